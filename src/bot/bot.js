@@ -1,6 +1,7 @@
 // src/bot/bot.js
 const AIService = require('../services/ai');
 const { RedisService } = require('../services/redis');
+const PriceFeedsService = require('../services/priceFeeds');
 const redis = require('../../config/redis');
 
 // Safe require function to handle missing services
@@ -19,6 +20,17 @@ const CashflowService = safeRequire('../services/cashflow', 'CashflowService');
 const AssetService = safeRequire('../services/assets', 'AssetService');
 const LedgerService = safeRequire('../services/ledger', 'LedgerService');
 const LiabilityService = safeRequire('../services/liabilities', 'LiabilityService');
+const PrepaymentService = safeRequire('../services/prepayments', 'PrepaymentService');
+const BudgetService = safeRequire('../services/budgets', 'BudgetService');
+const RatioService = safeRequire('../services/ratios', 'RatioService');
+const TaxService = safeRequire('../services/tax', 'TaxService');
+const EInvoiceService = safeRequire('../services/einvoice', 'EInvoiceService');
+const InvoiceService = safeRequire('../services/invoices', 'InvoiceService');
+const BillService = safeRequire('../services/bills', 'BillService');
+const AgingService = safeRequire('../services/aging', 'AgingService');
+const ContactService = safeRequire('../services/contacts', 'ContactService');
+const InventoryService = safeRequire('../services/inventory', 'InventoryService');
+const PayrollService = safeRequire('../services/payroll', 'PayrollService');
 
 // Enhanced response templates
 const responses = {
@@ -50,9 +62,9 @@ Quick commands: /insights | /balance_sheet | /help`,
 
   transactionRecorded: (txn, balance, journalRef) => `✅ TRANSACTION & JOURNAL ENTRY RECORDED
 
-${txn.type === 'income' ? '💰' : '💸'} ${txn.description}
-💵 Amount: RM${txn.amount_myr.toFixed(2)}
-📂 Category: ${txn.category}
+${responses.transactionEmoji(txn.type)} ${txn.description}
+💵 Amount: RM${txn.amount_myr.toFixed(2)}${txn.amount_original ? ` (${txn.currency} ${txn.amount_original.toFixed(2)} @ ${txn.exchange_rate.toFixed(4)})` : ''}
+📂 Category: ${txn.category}${txn.counterparty ? `\n👤 ${txn.counterparty}${txn.contact_id ? '' : ' (not in /contacts yet)'}` : ''}${txn.stock_items ? `\n📦 Stock: ${txn.stock_items.map(item => `${txn.type === 'income' ? '-' : '+'}${item.quantity} ${item.sku}`).join(', ')}` : ''}${txn.dimensions ? `\n🏷️ ${responses.dimensions(txn.dimensions)}` : ''}${txn.tax_code ? `\n🧾 Tax: ${txn.tax_code}${txn.tax_amount_myr ? ` (SST RM${txn.tax_amount_myr.toFixed(2)} included)` : ''}` : ''}
 📅 Date: ${new Date(txn.date).toLocaleDateString()}
 
 📚 Journal Entry: ${journalRef}
@@ -60,6 +72,46 @@ ${txn.type === 'income' ? '💰' : '💸'} ${txn.description}
 
 Commands: /trial_balance | /balance_sheet | /income_statement`,
 
+  depreciationSchedule: (asset) => asset.depreciation ? `
+
+📉 DEPRECIATION
+Method: ${asset.depreciation.method === 'reducing_balance' ? `Reducing balance ${(asset.depreciation.annual_rate * 100).toFixed(1)}%/yr` : 'Straight-line'}
+Useful life: ${(asset.depreciation.useful_life_months / 12).toFixed(1)} years • Residual: RM${asset.depreciation.residual_value_myr.toFixed(2)}
+Posted monthly from the month after purchase.
+Change it: /assets_depreciation` : '',
+
+  amount: (amount, comparison) => {
+    if (!comparison) return `RM${amount.toFixed(2)}`;
+    const arrow = comparison.change > 0.005 ? '▲' : comparison.change < -0.005 ? '▼' : '•';
+    const pct = comparison.change_pct === null ? 'n/a' : `${comparison.change_pct > 0 ? '+' : ''}${comparison.change_pct.toFixed(1)}%`;
+    return `RM${amount.toFixed(2)} vs RM${comparison.previous.toFixed(2)} ${arrow}RM${Math.abs(comparison.change).toFixed(2)} (${pct})`;
+  },
+
+  // Drawings and capital injections are owner movements, not income or spending
+  transactionEmoji: (type) => ({ income: '💰', drawing: '🏧', capital: '🏦' })[type] || '💸',
+
+  dimensions: (dimensions) => Object.entries(dimensions || {})
+    .map(([name, value]) => `${name.replace(/_/g, ' ')}: ${value === null ? '(none)' : value}`)
+    .join(' • '),
+
+  budgetAlert: (alert) => `${alert.status === 'over' ? '🚨 OVER BUDGET' : '⚠️ BUDGET WARNING'}
+
+${alert.account_code} ${alert.account_name} • ${alert.period}
+💸 Spent: RM${alert.actual.toFixed(2)} of RM${alert.budget.toFixed(2)} (${alert.percent_used.toFixed(0)}%)
+${alert.status === 'over'
+    ? `📉 Over by RM${(alert.actual - alert.budget).toFixed(2)}`
+    : `💰 Remaining: RM${(alert.budget - alert.actual).toFixed(2)} (alert at ${alert.threshold}%)`}
+
+View all budgets: /budget report`,
+
+  billReminder: ({ bill, days_until_due: days }) => `🔔 BILL ${days < 0 ? 'OVERDUE' : 'DUE SOON'}
+
+${bill.number} • ${bill.supplier.name}${bill.supplier_reference ? ` (${bill.supplier_reference})` : ''}
+💸 RM${bill.balance_due.toFixed(2)} owing
+📅 ${days < 0 ? `Was due ${-days} day${days === -1 ? '' : 's'} ago` : days === 0 ? 'Due today' : `Due in ${days} day${days === 1 ? '' : 's'}`}
+
+Record payment: /bills pay ${bill.number} [amount]`,
+
   parseError: `❌ I couldn't parse that transaction.
 
 Try these formats:
@@ -74,51 +126,25 @@ Or ask me anything about accounting! 🤖`,
 Try being more specific or use /help for available commands.`
 };
 
-// Helper function to reverse journal entry from ledger
-async function reverseJournalFromLedger(userId, journalEntry) {
-  try {
-    const month = new Date(journalEntry.date).getMonth() + 1;
-    const year = new Date(journalEntry.date).getFullYear();
-
-    for (const entry of journalEntry.entries) {
-      const ledgerKey = `ledger:${userId}:${entry.account_code}:${year}:${month}`;
-      
-      // REVERSE the totals
-      if (entry.debit_amount > 0) {
-        await redis.hIncrByFloat(ledgerKey, 'total_debits', -entry.debit_amount);
-      }
-      if (entry.credit_amount > 0) {
-        await redis.hIncrByFloat(ledgerKey, 'total_credits', -entry.credit_amount);
-      }
-
-      // REVERSE balance change
-      const balanceChange = -(entry.debit_amount - entry.credit_amount);
-      
-      // Get account type to determine how to reverse
-      const accountCode = entry.account_code;
-      const isAssetOrExpense = accountCode.startsWith('1') || accountCode.startsWith('5');
-      
-      if (isAssetOrExpense) {
-        // For assets/expenses: reverse the debit-credit difference
-        await redis.hIncrByFloat(ledgerKey, 'balance', balanceChange);
-      } else {
-        // For liabilities/equity/revenue: reverse the credit-debit difference  
-        await redis.hIncrByFloat(ledgerKey, 'balance', -balanceChange);
-      }
-      
-      await redis.hSet(ledgerKey, 'last_updated', new Date().toISOString());
-    }
-    
-    console.log(`✅ Reversed journal entry: ${journalEntry.id}`);
-  } catch (error) {
-    console.error('Reverse journal error:', error);
-    throw error;
-  }
-}
-
 function initializeBot(bot) {
   console.log('🚀 Initializing kheAI Accounting Bot...');
 
+  // Sends generated content (CSV, JSON) as a document via a temp file
+  const sendFile = async (userId, filename, contents, caption) => {
+    const fs = require('fs');
+    const path = require('path');
+    const os = require('os');
+    
+    const tempFilePath = path.join(os.tmpdir(), filename);
+    fs.writeFileSync(tempFilePath, contents);
+    
+    try {
+      await bot.sendDocument(userId, tempFilePath, { caption: caption });
+    } finally {
+      fs.unlinkSync(tempFilePath);
+    }
+  };
+
   // Welcome & Onboarding
   bot.onText(/\/start/, async (msg) => {
     const userId = msg.from.id;
@@ -164,25 +190,49 @@ function initializeBot(bot) {
 
 💰 TRANSACTIONS:
 • "Sales RM500" or "Paid rent RM800" - Add transactions
+• "Withdraw RM500 for personal use" or "Injected capital RM5000" - Owner drawings & capital
 • /transactions - View all transactions
 • /search [term] - Find transactions
 • /delete - Remove transactions (choose by number)
 • /export - Download CSV
+• /invoices - Unpaid invoices (/invoices new Acme; Design 2 x 1500 SV8; due 14 | /invoices pay INV-000001 [amount])
+• /ar_aging [date] [csv] and /ap_aging [date] [csv] - Receivables & payables aging by customer/supplier, reconciled to 1200/2000
+• /contacts [name] - Customers & suppliers with totals and a statement of account (/contacts add customer Ah Chong phone=012... alias=AC)
+• /bills - Unpaid supplier bills by due date (/bills new Supplier; Rice 10 x 45 1300; due 30 | /bills pay BILL-000001 [amount] | /bills remind 3)
+• /stock [SKU] - Stock on hand, value and low-stock warnings (/stock add BERAS5 Beras 5kg reorder=10 | /stock buy BERAS5 10 150 | /stock sell BERAS5 2 40 | /stock adjust BERAS5 38 | /stock method fifo)
+• /employees - Staff register for payroll (/employees add Siti salary=2500 ic=900101-14-5678 marital=married children=2)
+• /payroll [YYYY-MM] - Monthly payroll with EPF, SOCSO, EIS & PCB, posted with payslips (/payroll run 2026-10; Siti bonus=500 | /payroll pay 2026-10 | /payroll remit 2026-10 epf)
+• /einvoice [number] - LHDN MyInvois e-invoice for an income transaction or invoice (/einvoice profile to set your TIN etc.)
 
 📚 ACCOUNTING & BOOKKEEPING:
-• /trial_balance - View trial balance
-• /balance_sheet - Generate balance sheet
-• /income_statement - Profit & loss statement
-• /cashflow_statement - Cash flow statement
-• /chart_of_accounts - View account codes
+• /trial_balance [period] - Trial balance as of a period end
+• /ledger [code] [from] [to] - Account drill-down with running balance
+• /balance_sheet [period] [vs period] - Balance sheet, optionally comparative
+• /income_statement [period] [vs period] - Profit & loss (e.g. 2026-Q1 vs 2025-Q1, ytd vs prior)
+  Add outlet=Bangsar to filter or "by outlet" to split by any dimension (project, cost_centre...)
+• /cashflow_statement [period] - Cash flow statement
+• /equity_statement [period] - Opening equity, capital, drawings, net income and closing equity
+• /sst_return [period] - SST-02 figures for a bi-monthly taxable period ("Sales RM108 incl 8% SST" tags the tax)
+• /ratios [period] - Liquidity, leverage, margin, DSO/DPO and runway ratios with 12-month trend
+📅 Periods: 2026-03, Q2 2026, FY2025, ytd, last month, 2026-01-01..2026-03-31
+• /chart_of_accounts - View & manage account codes (add, rename, archive, sub-accounts)
+• /fiscal_year - View fiscal year (/fiscal_year start 7 for July)
+• /close_year - Close a fiscal year into Retained Earnings
+• /lock_period - Lock a reported month (/unlock_period to reopen)
+• /fx_rate - View or set exchange rates (/fx_rate USD 4.72)
+• /fx_revalue - Month-end revaluation of foreign balances
+• /prepaid - Prepaid expenses released monthly (insurance, software)
+• /accrue - Month-end accruals that auto-reverse next month
+• /budget - Monthly budgets per expense account (/budget report for budget vs actual)
 • /journal - Create manual journal entries
 • /journal_list - View all journal entries (🤖 auto + ✏️ manual)
-• /journal_edit - Edit journal entries (fix AI mistakes)
-• /journal_delete - Delete journal entries (choose by number)
+• /journal_edit - Correct journal entries (reverses + reposts)
+• /journal_delete - Void journal entries with a reversing entry
 
 💎 ASSETS & LIABILITIES:
 • /assets_list - View/manage assets
 • /assets_add - Add new asset (auto-creates journal entry)
+• /assets_depreciation - Depreciation schedules & net book value
 • /liabilities_list - View/manage liabilities
 • /liabilities_add - Add new liability (auto-creates journal entry)
 
@@ -202,6 +252,8 @@ function initializeBot(bot) {
 🔧 MAINTENANCE & RECOVERY:
 • /recover - Fix data issues & rebuild metrics
 • /fix_metrics - Repair calculations
+• /rebuild_ledger - Regenerate ledger balances from journal entries
+• /audit_books - Audit journals, ledger & transactions (/audit_books fix to repair)
 • /debug - System status & diagnostics
 • /status - Service availability
 
@@ -337,8 +389,9 @@ What journal entry would you like to create?`);
             const date = new Date(journal.date).toLocaleDateString();
             const isAuto = journal.reference.includes('TXN-') || journal.reference.includes('ASSET-') || journal.reference.includes('LIAB-');
             const autoFlag = isAuto ? '🤖' : '✏️';
+            const statusFlag = LedgerService.getJournalStatusFlag(journal);
             
-            message += `${i + 1}. ${autoFlag} ${journal.description}\n`;
+            message += `${i + 1}. ${autoFlag} ${journal.description}${statusFlag ? ` [${statusFlag}]` : ''}\n`;
             message += `   ${journal.reference} • RM${journal.total_debit.toFixed(2)} • ${date}\n\n`;
           }
         } catch (error) {
@@ -350,7 +403,7 @@ What journal entry would you like to create?`);
         message += `... and ${journalIds.length - 10} more entries\n\n`;
       }
       
-      message += `🤖 = Auto-generated | ✏️ = Manual\nType number to view details`;
+      message += `🤖 = Auto-generated | ✏️ = Manual\n🚫 Voided | ♻️ Superseded | ↩️ Reversal\nType number to view details`;
       
       bot.sendMessage(userId, message);
       
@@ -390,7 +443,7 @@ What journal entry would you like to create?`);
         
         try {
           const journal = await redis.json.get(`journal:${journalId}`);
-          if (journal) {
+          if (journal && (journal.status || 'posted') === 'posted' && !['reversal', 'closing'].includes(journal.entry_type)) {
             const date = new Date(journal.date).toLocaleDateString();
             const isAuto = journal.reference.includes('TXN-') || journal.reference.includes('ASSET-') || journal.reference.includes('LIAB-');
             const autoFlag = isAuto ? '🤖' : '✏️';
@@ -441,7 +494,7 @@ What journal entry would you like to create?`);
         return;
       }
       
-      let message = `🗑️ RECENT JOURNAL ENTRIES\n\nReply with the number to delete:\n\n`;
+      let message = `🗑️ RECENT JOURNAL ENTRIES\n\nReply with the number to void (a reversing entry is posted, nothing is erased):\n\n`;
       
       const validJournals = [];
       let displayCount = 0;
@@ -451,7 +504,7 @@ What journal entry would you like to create?`);
         
         try {
           const journal = await redis.json.get(`journal:${journalId}`);
-          if (journal) {
+          if (journal && (journal.status || 'posted') === 'posted' && !['reversal', 'closing'].includes(journal.entry_type)) {
             const date = new Date(journal.date).toLocaleDateString();
             const isAuto = journal.reference.includes('TXN-') || journal.reference.includes('ASSET-') || journal.reference.includes('LIAB-');
             const autoFlag = isAuto ? '🤖' : '✏️';
@@ -473,7 +526,7 @@ What journal entry would you like to create?`);
       }
       
       message += `\n🤖 = Auto-generated | ✏️ = Manual\n`;
-      message += `Type the number (1-${validJournals.length}) to delete:`;
+      message += `Type the number (1-${validJournals.length}) to void:`;
       
       bot.sendMessage(userId, message);
       
@@ -486,7 +539,7 @@ What journal entry would you like to create?`);
   });
 
   // Balance Sheet command
-  bot.onText(/\/balance_sheet/, async (msg) => {
+  bot.onText(/\/balance_sheet(?:\s+(.+))?/, async (msg, match) => {
     const userId = msg.from.id;
     console.log(`📱 /balance_sheet command from user ${userId}`);
     
@@ -495,63 +548,79 @@ What journal entry would you like to create?`);
       return;
     }
     
+    let period, compare;
+    try {
+      ({ period, compare } = await LedgerService.parseComparativeArgs(userId, match[1]));
+    } catch (error) {
+      bot.sendMessage(userId, `❌ ${error.message}`);
+      return;
+    }
+    
     bot.sendChatAction(userId, 'typing');
     
     try {
-      const balanceSheet = await LedgerService.generateBalanceSheet(userId);
+      const now = new Date();
+      const asOfDate = period && period.end < now ? period.end : now;
+
+      const balanceSheet = await LedgerService.generateBalanceSheet(userId, asOfDate,
+        compare ? { compare_date: compare.end < now ? compare.end : now } : {});
       
-      let message = `📊 BALANCE SHEET\nAs of: ${balanceSheet.as_of_date}\n\n`;
+      let message = `📊 BALANCE SHEET\nAs of: ${balanceSheet.as_of_date} (${balanceSheet.fiscal_year})\n`;
+      if (balanceSheet.compared_to) {
+        message += `Compared to: ${balanceSheet.compared_to.as_of_date} (${balanceSheet.compared_to.fiscal_year})\n`;
+      }
+      message += `\n`;
       
       message += `💰 ASSETS\n`;
       if (balanceSheet.assets.current.length > 0) {
         message += `Current Assets:\n`;
         balanceSheet.assets.current.forEach(asset => {
-          message += `  ${asset.account_name}: RM${asset.balance.toFixed(2)}\n`;
+          message += `  ${asset.account_name}: ${responses.amount(asset.balance, asset.comparison)}\n`;
         });
       }
       
       if (balanceSheet.assets.fixed.length > 0) {
         message += `Fixed Assets:\n`;
         balanceSheet.assets.fixed.forEach(asset => {
-          message += `  ${asset.account_name}: RM${asset.balance.toFixed(2)}\n`;
+          message += `  ${asset.account_name}: ${responses.amount(asset.balance, asset.comparison)}\n`;
         });
       }
 
       if (balanceSheet.assets.investment.length > 0) {
         message += `Investment Assets:\n`;
         balanceSheet.assets.investment.forEach(asset => {
-          message += `  ${asset.account_name}: RM${asset.balance.toFixed(2)}\n`;
+          message += `  ${asset.account_name}: ${responses.amount(asset.balance, asset.comparison)}\n`;
         });
       }
       
-      message += `Total Assets: RM${balanceSheet.assets.total.toFixed(2)}\n\n`;
+      message += `Total Assets: ${responses.amount(balanceSheet.assets.total, balanceSheet.comparisons && balanceSheet.comparisons.total_assets)}\n\n`;
       
       message += `📋 LIABILITIES\n`;
       if (balanceSheet.liabilities.current.length > 0) {
         message += `Current Liabilities:\n`;
         balanceSheet.liabilities.current.forEach(liability => {
-          message += `  ${liability.account_name}: RM${liability.balance.toFixed(2)}\n`;
+          message += `  ${liability.account_name}: ${responses.amount(liability.balance, liability.comparison)}\n`;
         });
       }
       
       if (balanceSheet.liabilities.long_term.length > 0) {
         message += `Long-term Liabilities:\n`;
         balanceSheet.liabilities.long_term.forEach(liability => {
-          message += `  ${liability.account_name}: RM${liability.balance.toFixed(2)}\n`;
+          message += `  ${liability.account_name}: ${responses.amount(liability.balance, liability.comparison)}\n`;
         });
       }
       
-      message += `Total Liabilities: RM${balanceSheet.liabilities.total.toFixed(2)}\n\n`;
+      message += `Total Liabilities: ${responses.amount(balanceSheet.liabilities.total, balanceSheet.comparisons && balanceSheet.comparisons.total_liabilities)}\n\n`;
       
       message += `🏛️ EQUITY\n`;
       balanceSheet.equity.items.forEach(equity => {
-        message += `  ${equity.account_name}: RM${equity.balance.toFixed(2)}\n`;
+        message += `  ${equity.account_name}: ${responses.amount(equity.balance, equity.comparison)}\n`;
       });
       
-      message += `Total Equity: RM${balanceSheet.equity.total.toFixed(2)}\n\n`;
+      message += `Total Equity: ${responses.amount(balanceSheet.equity.total, balanceSheet.comparisons && balanceSheet.comparisons.total_equity)}\n\n`;
       
       message += `📈 SUMMARY\n`;
-      message += `Total Liabilities + Equity: RM${balanceSheet.total_liabilities_equity.toFixed(2)}\n`;
+      message += `Total Liabilities + Equity: ${responses.amount(balanceSheet.total_liabilities_equity, balanceSheet.comparisons && balanceSheet.comparisons.total_liabilities_equity)}\n`;
       message += `Balanced: ${balanceSheet.is_balanced ? '✅' : '❌'}\n`;
       
       if (!balanceSheet.is_balanced) {
@@ -567,7 +636,7 @@ What journal entry would you like to create?`);
   });
 
   // Income Statement command
-  bot.onText(/\/income_statement/, async (msg) => {
+  bot.onText(/\/income_statement(?:\s+(.+))?/, async (msg, match) => {
     const userId = msg.from.id;
     console.log(`📱 /income_statement command from user ${userId}`);
     
@@ -576,66 +645,87 @@ What journal entry would you like to create?`);
       return;
     }
     
+    // Dimension arguments: outlet=Bangsar filters, "by outlet" segments
+    let period, compare, dimensionArgs;
+    try {
+      dimensionArgs = LedgerService.parseDimensionArgs(match[1]);
+      ({ period, compare } = await LedgerService.parseComparativeArgs(userId, dimensionArgs.text));
+      period = period || await LedgerService.parseReportPeriod(userId, '');
+    } catch (error) {
+      bot.sendMessage(userId, `❌ ${error.message}`);
+      return;
+    }
+    
     bot.sendChatAction(userId, 'typing');
     
     try {
-      const currentDate = new Date();
-      const startOfMonth = new Date(currentDate.getFullYear(), currentDate.getMonth(), 1);
-      const incomeStatement = await LedgerService.generateIncomeStatement(userId, startOfMonth, currentDate);
+      const incomeStatement = await LedgerService.generateIncomeStatement(userId, period.start, period.end, {
+        compare: compare ? { start: compare.start, end: compare.end } : null,
+        dimensions: dimensionArgs.dimensions,
+        segment_by: dimensionArgs.segment_by
+      });
+      const comparisons = incomeStatement.comparisons || {};
       
-      let message = `📈 INCOME STATEMENT\n${incomeStatement.period}\n\n`;
+      let message = `📈 INCOME STATEMENT\n${period.label}: ${incomeStatement.period}\n`;
+      if (incomeStatement.dimensions) {
+        message += `🏷️ ${responses.dimensions(incomeStatement.dimensions)}\n`;
+      }
+      if (compare) {
+        message += `Compared to ${compare.label}\n`;
+      }
+      message += `\n`;
       
       message += `💰 REVENUE\n`;
       if (incomeStatement.revenue.items.length > 0) {
         incomeStatement.revenue.items.forEach(item => {
-          message += `  ${item.account_name}: RM${item.amount.toFixed(2)}\n`;
+          message += `  ${item.account_name}: ${responses.amount(item.amount, item.comparison)}\n`;
         });
       } else {
         message += `  No revenue recorded\n`;
       }
-      message += `Total Revenue: RM${incomeStatement.revenue.total.toFixed(2)}\n\n`;
+      message += `Total Revenue: ${responses.amount(incomeStatement.revenue.total, incomeStatement.revenue.comparison)}\n\n`;
       
-      if (incomeStatement.cogs.total > 0) {
+      if (incomeStatement.cogs.items.length > 0) {
         message += `📦 COST OF GOODS SOLD\n`;
         incomeStatement.cogs.items.forEach(item => {
-          message += `  ${item.account_name}: RM${item.amount.toFixed(2)}\n`;
+          message += `  ${item.account_name}: ${responses.amount(item.amount, item.comparison)}\n`;
         });
-        message += `Total COGS: RM${incomeStatement.cogs.total.toFixed(2)}\n\n`;
-        message += `💎 GROSS PROFIT: RM${incomeStatement.gross_profit.toFixed(2)}\n\n`;
+        message += `Total COGS: ${responses.amount(incomeStatement.cogs.total, incomeStatement.cogs.comparison)}\n\n`;
+        message += `💎 GROSS PROFIT: ${responses.amount(incomeStatement.gross_profit, comparisons.gross_profit)}\n\n`;
       }
       
       message += `💸 OPERATING EXPENSES\n`;
       if (incomeStatement.operating_expenses.items.length > 0) {
         incomeStatement.operating_expenses.items.forEach(item => {
-          message += `  ${item.account_name}: RM${item.amount.toFixed(2)}\n`;
+          message += `  ${item.account_name}: ${responses.amount(item.amount, item.comparison)}\n`;
         });
       } else {
         message += `  No operating expenses recorded\n`;
       }
-      message += `Total Operating Expenses: RM${incomeStatement.operating_expenses.total.toFixed(2)}\n\n`;
+      message += `Total Operating Expenses: ${responses.amount(incomeStatement.operating_expenses.total, incomeStatement.operating_expenses.comparison)}\n\n`;
       
-      message += `🏢 OPERATING INCOME: RM${incomeStatement.operating_income.toFixed(2)}\n\n`;
+      message += `🏢 OPERATING INCOME: ${responses.amount(incomeStatement.operating_income, comparisons.operating_income)}\n\n`;
       
-      if (incomeStatement.other_income.total > 0) {
+      if (incomeStatement.other_income.items.length > 0) {
         message += `📊 OTHER INCOME\n`;
         incomeStatement.other_income.items.forEach(item => {
-          message += `  ${item.account_name}: RM${item.amount.toFixed(2)}\n`;
+          message += `  ${item.account_name}: ${responses.amount(item.amount, item.comparison)}\n`;
         });
-        message += `Total Other Income: RM${incomeStatement.other_income.total.toFixed(2)}\n\n`;
+        message += `Total Other Income: ${responses.amount(incomeStatement.other_income.total, incomeStatement.other_income.comparison)}\n\n`;
       }
       
-      if (incomeStatement.other_expenses.total > 0) {
+      if (incomeStatement.other_expenses.items.length > 0) {
         message += `📉 OTHER EXPENSES\n`;
         incomeStatement.other_expenses.items.forEach(item => {
-          message += `  ${item.account_name}: RM${item.amount.toFixed(2)}\n`;
+          message += `  ${item.account_name}: ${responses.amount(item.amount, item.comparison)}\n`;
         });
-        message += `Total Other Expenses: RM${incomeStatement.other_expenses.total.toFixed(2)}\n\n`;
+        message += `Total Other Expenses: ${responses.amount(incomeStatement.other_expenses.total, incomeStatement.other_expenses.comparison)}\n\n`;
       }
       
-      message += `🎯 NET INCOME: RM${incomeStatement.net_income.toFixed(2)}\n`;
+      message += `🎯 NET INCOME: ${responses.amount(incomeStatement.net_income, comparisons.net_income)}\n`;
       
       // Add profitability ratios
-      if (incomeStatement.revenue.total > 0) {
+      if (incomeStatement.revenue.items.length > 0) {
         const grossMargin = (incomeStatement.gross_profit / incomeStatement.revenue.total) * 100;
         const netMargin = (incomeStatement.net_income / incomeStatement.revenue.total) * 100;
         
@@ -644,6 +734,21 @@ What journal entry would you like to create?`);
         message += `Net Margin: ${netMargin.toFixed(1)}%\n`;
       }
       
+      if (incomeStatement.segments) {
+        const dimensionLabel = incomeStatement.segment_by.replace(/_/g, ' ');
+        message += `\n🏷️ BY ${dimensionLabel.toUpperCase()}\n`;
+        
+        if (incomeStatement.segments.every(segment => segment.value === null)) {
+          message += `  No lines tagged with ${dimensionLabel} in this period\n`;
+        }
+        
+        incomeStatement.segments.forEach(({ value, statement }) => {
+          const revenue = statement.revenue.total + statement.other_income.total;
+          const costs = statement.cogs.total + statement.operating_expenses.total + statement.other_expenses.total;
+          message += `${value === null ? `No ${dimensionLabel}` : value}: Revenue RM${revenue.toFixed(2)} • Costs RM${costs.toFixed(2)} • Net ${statement.net_income < 0 ? '-' : ''}RM${Math.abs(statement.net_income).toFixed(2)}\n`;
+        });
+      }
+      
       bot.sendMessage(userId, message);
       
     } catch (error) {
@@ -652,8 +757,72 @@ What journal entry would you like to create?`);
     }
   });
 
+  // Financial ratios with a 12-month trend
+  bot.onText(/\/ratios(?:\s+(.+))?/, async (msg, match) => {
+    const userId = msg.from.id;
+    console.log(`📱 /ratios command from user ${userId}`);
+    
+    if (!LedgerService || !RatioService) {
+      bot.sendMessage(userId, '📚 Accounting features are coming soon!');
+      return;
+    }
+    
+    let asOfDate = new Date();
+    try {
+      if (match && match[1]) {
+        const period = await LedgerService.parseReportPeriod(userId, match[1].trim());
+        if (period.end < asOfDate) asOfDate = period.end;
+      }
+    } catch (error) {
+      bot.sendMessage(userId, `❌ ${error.message}`);
+      return;
+    }
+    
+    bot.sendChatAction(userId, 'typing');
+    
+    try {
+      const ratios = await RatioService.getRatios(userId, asOfDate);
+      const current = ratios.current;
+      const format = (value, suffix = '', digits = 2) => value === null ? 'n/a' : `${value.toFixed(digits)}${suffix}`;
+      
+      let message = `📐 FINANCIAL RATIOS\nAs of ${ratios.as_of_date}\n\n`;
+      
+      message += `💧 LIQUIDITY\n`;
+      message += `Current ratio: ${format(current.current_ratio)}\n`;
+      message += `Quick ratio: ${format(current.quick_ratio)} (excl. inventory & prepayments)\n`;
+      message += current.cash_runway_months === null
+        ? `Cash runway: not burning cash (RM${current.figures.cash.toFixed(2)} cash)\n\n`
+        : `Cash runway: ${format(current.cash_runway_months, ' months', 1)} at RM${current.monthly_burn.toFixed(2)}/month burn\n\n`;
+      
+      message += `🏦 SOLVENCY\n`;
+      message += `Debt-to-equity: ${current.figures.equity > 0 ? format(current.debt_to_equity) : 'n/a (equity is negative)'}\n`;
+      message += `Interest coverage: ${current.interest_coverage === null ? 'no interest expense' : format(current.interest_coverage, 'x', 1)}\n\n`;
+      
+      message += `💰 PROFITABILITY (${current.period}${current.is_partial ? ' to date' : ''})\n`;
+      message += `Gross margin: ${format(current.gross_margin, '%', 1)}\n`;
+      message += `Net margin: ${format(current.net_margin, '%', 1)}\n\n`;
+      
+      message += `⏱️ WORKING CAPITAL (last ${ratios.trailing_months} months)\n`;
+      message += `Days sales outstanding: ${format(current.dso, ' days', 0)}\n`;
+      message += `Days payable outstanding: ${format(current.dpo, ' days', 0)}\n\n`;
+      
+      message += `📈 12-MONTH TREND\nMonth: Current • Quick • D/E • Net margin • DSO\n`;
+      ratios.trend.forEach(point => {
+        message += `${point.period}: ${format(point.current_ratio)} • ${format(point.quick_ratio)} • ${format(point.debt_to_equity)} • ${format(point.net_margin, '%', 1)} • ${format(point.dso, 'd', 0)}\n`;
+      });
+      
+      message += `\nn/a = nothing to divide by yet. AI commentary: /insights`;
+      
+      bot.sendMessage(userId, message);
+      
+    } catch (error) {
+      console.error('Ratios error:', error);
+      bot.sendMessage(userId, '❌ Unable to calculate ratios. Please try again.');
+    }
+  });
+
   // Cashflow Statement command
-  bot.onText(/\/cashflow_statement/, async (msg) => {
+  bot.onText(/\/cashflow_statement(?:\s+(.+))?/, async (msg, match) => {
     const userId = msg.from.id;
     console.log(`📱 /cashflow_statement command from user ${userId}`);
     
@@ -662,14 +831,20 @@ What journal entry would you like to create?`);
       return;
     }
     
+    let period;
+    try {
+      period = await LedgerService.parseReportPeriod(userId, match[1]);
+    } catch (error) {
+      bot.sendMessage(userId, `❌ ${error.message}`);
+      return;
+    }
+    
     bot.sendChatAction(userId, 'typing');
     
     try {
-      const currentDate = new Date();
-      const startOfMonth = new Date(currentDate.getFullYear(), currentDate.getMonth(), 1);
-      const cashflowStatement = await LedgerService.generateCashflowStatement(userId, startOfMonth, currentDate);
+      const cashflowStatement = await LedgerService.generateCashflowStatement(userId, period.start, period.end);
       
-      let message = `💧 CASHFLOW STATEMENT\n${cashflowStatement.period}\n\n`;
+      let message = `💧 CASHFLOW STATEMENT\n${period.label}: ${cashflowStatement.period}\n\n`;
       
       message += `🏢 OPERATING ACTIVITIES\n`;
       cashflowStatement.operating_activities.items.forEach(item => {
@@ -709,8 +884,153 @@ What journal entry would you like to create?`);
     }
   });
 
+  // Statement of changes in equity
+  bot.onText(/\/equity_statement(?:\s+(.+))?/, async (msg, match) => {
+    const userId = msg.from.id;
+    console.log(`📱 /equity_statement command from user ${userId}`);
+    
+    if (!LedgerService) {
+      bot.sendMessage(userId, '📚 Accounting features are coming soon!');
+      return;
+    }
+    
+    let period;
+    try {
+      period = await LedgerService.parseReportPeriod(userId, match[1]);
+    } catch (error) {
+      bot.sendMessage(userId, `❌ ${error.message}`);
+      return;
+    }
+    
+    bot.sendChatAction(userId, 'typing');
+    
+    try {
+      const statement = await LedgerService.generateEquityStatement(userId, period.start, period.end);
+      const signed = (amount) => `${amount < 0 ? '-' : ''}RM${Math.abs(amount).toFixed(2)}`;
+      
+      let message = `🏛️ STATEMENT OF CHANGES IN EQUITY\n${period.label}: ${statement.period}\n\n`;
+      
+      message += `Opening Equity: ${signed(statement.opening_equity)}\n`;
+      message += `  + Capital Contributed: RM${statement.contributions.toFixed(2)}\n`;
+      message += `  − Owner's Drawings: RM${statement.drawings.toFixed(2)}\n`;
+      message += `  ${statement.net_income >= 0 ? '+ Net Income' : '− Net Loss'}: RM${Math.abs(statement.net_income).toFixed(2)}\n`;
+      if (statement.other_movements !== 0) {
+        message += `  ± Other Adjustments: ${signed(statement.other_movements)}\n`;
+      }
+      message += `Closing Equity: ${signed(statement.closing_equity)}\n`;
+      
+      if (statement.accounts.length > 0) {
+        message += `\n📒 BY ACCOUNT (opening → closing)\n`;
+        statement.accounts.forEach(account => {
+          message += `  ${account.account_name}: ${signed(account.opening)} → ${signed(account.closing)}\n`;
+        });
+      }
+      
+      if (statement.drawings > 0 && statement.net_income > 0 && statement.drawings > statement.net_income) {
+        message += `\n⚠️ Drawings exceeded profit this period, so the business is shrinking its equity.\n`;
+      }
+      
+      message += `\nRecord owner movements naturally: "Withdraw RM500 for personal use", "Injected capital RM5000"`;
+      
+      bot.sendMessage(userId, message);
+      
+    } catch (error) {
+      console.error('Equity statement error:', error);
+      bot.sendMessage(userId, '❌ Unable to generate equity statement. Please try again.');
+    }
+  });
+
+  // SST-02 return summary for a bi-monthly taxable period
+  bot.onText(/\/sst_return(?:\s+(.+))?/, async (msg, match) => {
+    const userId = msg.from.id;
+    const args = (match[1] || '').trim();
+    console.log(`📱 /sst_return command from user ${userId}`);
+    
+    if (!TaxService || !LedgerService) {
+      bot.sendMessage(userId, '🧾 SST features are coming soon!');
+      return;
+    }
+    
+    // Settings and the period: errors here are the user's input, shown as-is
+    let date;
+    try {
+      if (/^codes$/i.test(args)) {
+        const codes = Object.entries(TaxService.taxCodes)
+          .map(([code, taxCode]) => `• ${code} - ${taxCode.name}`)
+          .join('\n');
+        bot.sendMessage(userId, `🧾 SST TAX CODES\n\n${codes}\n\nSales amounts are tax-inclusive; the SST is split into ${TaxService.sstPayableAccount} SST Payable. Say "Sales RM108 incl 8% SST" or "RM100 + 8% SST".`);
+        return;
+      }
+      
+      const startMatch = args.match(/^start\s+(\S+)$/i);
+      if (startMatch) {
+        const month = { jan: 1, january: 1, feb: 2, february: 2 }[startMatch[1].toLowerCase()] || startMatch[1];
+        const firstMonth = await TaxService.setFirstPeriodMonth(userId, month);
+        bot.sendMessage(userId, `✅ Taxable periods now run ${firstMonth === 1 ? 'Jan-Feb, Mar-Apr, May-Jun...' : 'Feb-Mar, Apr-May, Jun-Jul...'}`);
+        return;
+      }
+      
+      const defaultMatch = args.match(/^default\s+(\S+)$/i);
+      if (defaultMatch) {
+        const off = /^(?:off|none)$/i.test(defaultMatch[1]);
+        const taxCode = await TaxService.setDefaultSalesTaxCode(userId, off ? null : defaultMatch[1]);
+        bot.sendMessage(userId, taxCode
+          ? `✅ Sales without a tax code are now recorded as ${taxCode.code} (${taxCode.name}), tax-inclusive`
+          : '✅ Sales are no longer given a default tax code');
+        return;
+      }
+      
+      // Default to the last completed taxable period, the one due for filing
+      if (!args) {
+        const current = await TaxService.getTaxablePeriod(userId);
+        date = new Date(current.start.getFullYear(), current.start.getMonth(), 0);
+      } else if (/^current$/i.test(args)) {
+        date = new Date();
+      } else {
+        date = (await LedgerService.parseReportPeriod(userId, args)).start;
+      }
+    } catch (error) {
+      bot.sendMessage(userId, `❌ ${error.message}`);
+      return;
+    }
+    
+    bot.sendChatAction(userId, 'typing');
+    
+    try {
+      const sstReturn = await TaxService.getSSTReturn(userId, date);
+      const amount = (value) => `${value < 0 ? '-' : ''}RM${Math.abs(value).toFixed(2)}`;
+      const taxLines = (lines) => lines
+        .map(line => `  ${line.rate}%: value ${amount(line.value)}, tax ${amount(line.tax)}\n`)
+        .join('');
+      
+      let message = `🧾 SST-02 RETURN\nTaxable period: ${sstReturn.start_date} to ${sstReturn.end_date}\nDue: ${sstReturn.due_date}\n\n`;
+      
+      message += `📦 SALES TAX\n${taxLines(sstReturn.sales_tax)}`;
+      message += `  Total sales tax: ${amount(sstReturn.total_sales_tax)}\n\n`;
+      message += `🛠️ SERVICE TAX\n${taxLines(sstReturn.service_tax)}`;
+      message += `  Total service tax: ${amount(sstReturn.total_service_tax)}\n\n`;
+      
+      message += `Exempt sales: ${amount(sstReturn.exempt_value)}\n`;
+      message += `Out of scope: ${amount(sstReturn.out_of_scope_value)}\n\n`;
+      message += `💰 TOTAL TAX PAYABLE: ${amount(sstReturn.total_tax_payable)}\n`;
+      message += `📒 SST Payable (${TaxService.sstPayableAccount}) balance at period end: ${amount(sstReturn.sst_payable_balance)}\n`;
+      
+      if (Math.abs(sstReturn.untagged_revenue) >= 0.01) {
+        message += `\n⚠️ ${amount(sstReturn.untagged_revenue)} of revenue has no tax code. Tag sales with SST (or set /sst_return default SV8) so the return is complete.\n`;
+      }
+      
+      message += `\nCommands: /sst_return codes | /sst_return default SV8 | /sst_return start feb`;
+      
+      bot.sendMessage(userId, message);
+      
+    } catch (error) {
+      console.error('SST return error:', error);
+      bot.sendMessage(userId, '❌ Unable to generate SST return. Please try again.');
+    }
+  });
+
   // Trial Balance command
-  bot.onText(/\/trial_balance/, async (msg) => {
+  bot.onText(/\/trial_balance(?:\s+(.+))?/, async (msg, match) => {
     const userId = msg.from.id;
     console.log(`📱 /trial_balance command from user ${userId}`);
     
@@ -719,12 +1039,20 @@ What journal entry would you like to create?`);
       return;
     }
     
+    let period;
+    try {
+      period = await LedgerService.parseReportPeriod(userId, match[1]);
+    } catch (error) {
+      bot.sendMessage(userId, `❌ ${error.message}`);
+      return;
+    }
+    
     bot.sendChatAction(userId, 'typing');
     
     try {
-      const trialBalance = await LedgerService.getTrialBalance(userId);
+      const trialBalance = await LedgerService.getTrialBalance(userId, period.end);
       
-      let message = `⚖️ TRIAL BALANCE\nPeriod: ${trialBalance.period}\n\n`;
+      let message = `⚖️ TRIAL BALANCE\nAs of: ${trialBalance.as_of_date} (${period.label})\n\n`;
       
       if (trialBalance.accounts.length === 0) {
         message += `No account balances found.\n\nStart by adding transactions:\n• "Sales RM500"\n• "Paid rent RM800"`;
@@ -761,217 +1089,1724 @@ What journal entry would you like to create?`);
     }
   });
 
-  // Chart of Accounts command
-  bot.onText(/\/chart_of_accounts/, async (msg) => {
+  // General ledger drill-down for one account
+  bot.onText(/\/ledger(?:\s+(.+))?/, async (msg, match) => {
     const userId = msg.from.id;
-    console.log(`📱 /chart_of_accounts command from user ${userId}`);
+    const args = match && match[1] ? match[1].trim() : '';
+    console.log(`📱 /ledger command from user ${userId}, args: ${args}`);
     
     if (!LedgerService) {
       bot.sendMessage(userId, '📚 Accounting features are coming soon!');
       return;
     }
     
-    const chartOfAccounts = LedgerService.chartOfAccounts;
-    
-    let message = `📋 CHART OF ACCOUNTS\n\n`;
-    
-    const categories = {
-      'ASSETS': [],
-      'LIABILITIES': [],
-      'EQUITY': [],
-      'REVENUE': [],
-      'EXPENSES': []
-    };
-    
-    Object.entries(chartOfAccounts).forEach(([code, account]) => {
-      const item = `${code} - ${account.name}`;
-      
-      switch (account.type) {
-        case 'asset':
-          categories.ASSETS.push(item);
-          break;
-        case 'liability':
-          categories.LIABILITIES.push(item);
-          break;
-        case 'equity':
-          categories.EQUITY.push(item);
-          break;
-        case 'revenue':
-          categories.REVENUE.push(item);
-          break;
-        case 'expense':
-          categories.EXPENSES.push(item);
-          break;
-      }
-    });
-    
-    Object.entries(categories).forEach(([category, accounts]) => {
-      if (accounts.length > 0) {
-        message += `💼 ${category}\n`;
-        accounts.forEach(account => {
-          message += `  ${account}\n`;
-        });
-        message += `\n`;
-      }
-    });
+    const usage = `❌ Usage: /ledger [account_code] [from] [to] [page]\n\nExamples:\n• /ledger 1100\n• /ledger 1100 2026-01-01 2026-06-30\n• /ledger 5100 2026-03 p2`;
     
-    message += `Use account codes in journal entries:\n`;
-    message += `Example: "Dr 5100 RM800, Cr 1100 RM800"`;
+    if (!args) {
+      bot.sendMessage(userId, usage);
+      return;
+    }
     
-    bot.sendMessage(userId, message);
-  });
-
-  // Transactions command
-  bot.onText(/\/transactions/, async (msg) => {
-    const userId = msg.from.id;
-    console.log(`📱 /transactions command from user ${userId}`);
+    bot.sendChatAction(userId, 'typing');
     
     try {
-      const allTransactions = await RedisService.findAllUserTransactions(userId);
-      const transactions = allTransactions.slice(0, 15);
+      const [accountCode, ...rest] = args.split(/\s+/);
+      const dates = [];
+      let page = 1;
       
-      if (transactions.length === 0) {
-        bot.sendMessage(userId, '📝 No transactions found.\n\nStart by adding one:\n• "Sales RM500"\n• "Paid rent RM800"');
-        return;
+      for (const token of rest) {
+        const pageMatch = token.match(/^p(?:age)?(\d+)$/i);
+        const dateMatch = token.match(/^(\d{4})-(\d{1,2})(?:-(\d{1,2}))?$/);
+        
+        if (pageMatch) {
+          page = parseInt(pageMatch[1]);
+        } else if (dateMatch) {
+          dates.push(dateMatch);
+        } else {
+          bot.sendMessage(userId, usage);
+          return;
+        }
       }
       
-      let message = `📝 ALL TRANSACTIONS (${allTransactions.length} total)\n\n`;
+      // YYYY-MM covers the whole month; a single date argument is the start date
+      const toDate = ([, year, month, day], isEnd) => {
+        if (day) {
+          return isEnd ? new Date(year, month - 1, day, 23, 59, 59, 999) : new Date(year, month - 1, day);
+        }
+        return isEnd ? new Date(year, month, 0, 23, 59, 59, 999) : new Date(year, month - 1, 1);
+      };
       
-      transactions.forEach((txn, index) => {
-        const emoji = txn.type === 'income' ? '💰' : '💸';
-        const date = new Date(txn.date).toLocaleDateString();
-        const isRecurring = txn.description.includes('(Auto)') ? '🔄' : '';
-        message += `${index + 1}. ${emoji}${isRecurring} ${txn.description}\n`;
-        message += `   RM${txn.amount_myr} • ${txn.category} • ${date}\n\n`;
-      });
+      const from = dates[0] ? toDate(dates[0], false) : null;
+      let to = dates[1] ? toDate(dates[1], true) : null;
+      if (!to && dates[0] && !dates[0][3]) {
+        to = toDate(dates[0], true);
+      }
       
-      if (allTransactions.length > 15) {
-        message += `... and ${allTransactions.length - 15} more transactions\n\n`;
+      const ledger = await LedgerService.getAccountLedger(userId, accountCode, { from, to, page });
+      
+      let message = `📒 GENERAL LEDGER\n${ledger.account_code} - ${ledger.account_name}${ledger.includes_sub_accounts ? ' (incl. sub-accounts)' : ''}\n`;
+      message += `Period: ${ledger.from || 'Beginning'} to ${ledger.to}\n\n`;
+      message += `Opening balance: RM${ledger.opening_balance.toFixed(2)}\n\n`;
+      
+      if (ledger.lines.length === 0) {
+        message += `No postings in this period.\n\n`;
       }
       
-      message += `Commands: /search [term] | /delete | /trial_balance`;
+      ledger.lines.forEach(line => {
+        const date = new Date(line.date).toLocaleDateString();
+        const amount = line.debit > 0 ? `Dr ${line.debit.toFixed(2)}` : `Cr ${line.credit.toFixed(2)}`;
+        const subAccount = line.account_code !== ledger.account_code ? ` [${line.account_code}]` : '';
+        const statusFlag = line.status !== 'posted' ? ' 🚫' : line.entry_type === 'reversal' ? ' ↩️' : '';
+        
+        message += `${date} • ${line.reference}${subAccount}${statusFlag}\n`;
+        message += `  ${line.description.substring(0, 40)}\n`;
+        const foreign = line.currency !== 'MYR' && line.foreign_amount > 0 ? ` (${line.currency} ${line.foreign_amount.toFixed(2)})` : '';
+        message += `  ${amount}${foreign} → Bal RM${line.balance.toFixed(2)}\n`;
+      });
+      
+      message += `\nTotal debits: RM${ledger.total_debits.toFixed(2)}\n`;
+      message += `Total credits: RM${ledger.total_credits.toFixed(2)}\n`;
+      message += `Closing balance: RM${ledger.closing_balance.toFixed(2)}\n\n`;
+      message += `Page ${ledger.page} of ${ledger.total_pages} (${ledger.line_count} lines)`;
+      
+      if (ledger.page < ledger.total_pages) {
+        message += `\nNext: /ledger ${args.replace(/\s+p(?:age)?\d+$/i, '')} p${ledger.page + 1}`;
+      }
       
       bot.sendMessage(userId, message);
       
     } catch (error) {
-      console.error('Transactions error:', error);
-      bot.sendMessage(userId, '❌ Unable to load transactions.');
+      console.error('Account ledger error:', error);
+      bot.sendMessage(userId, `❌ ${error.message}`);
     }
   });
 
-  // Search command
-  bot.onText(/\/search(?:\s+(.+))?/, async (msg, match) => {
+  // Chart of Accounts command
+  bot.onText(/\/chart_of_accounts(?:\s+(.+))?/, async (msg, match) => {
     const userId = msg.from.id;
-    const query = match && match[1];
-    console.log(`📱 /search command from user ${userId}, query: ${query}`);
+    const args = match && match[1] ? match[1].trim() : '';
+    console.log(`📱 /chart_of_accounts command from user ${userId}, args: ${args}`);
     
-    if (!query) {
-      bot.sendMessage(userId, `🔍 SEARCH TRANSACTIONS
-
-EXAMPLES:
-• /search rental
-• /search RM800
-• /search inventory
-
-What would you like to search for?`);
+    if (!LedgerService) {
+      bot.sendMessage(userId, '📚 Accounting features are coming soon!');
       return;
     }
     
     try {
-      const results = await RedisService.searchTransactions(userId, query);
+      const [action, code, ...nameParts] = args.split(/\s+/);
+      const name = nameParts.join(' ');
       
-      if (results.documents && results.documents.length > 0) {
-        let message = `🔍 SEARCH RESULTS FOR "${query}"\n\n`;
-        let total = 0;
+      if (action && action.toLowerCase() === 'add') {
+        if (!code || !name) {
+          bot.sendMessage(userId, `❌ Usage: /chart_of_accounts add [code] [name]\n\nExamples:\n• /chart_of_accounts add 1100-01 Maybank\n• /chart_of_accounts add 5950 Bank Charges`);
+          return;
+        }
         
-        results.documents.slice(0, 10).forEach((doc, index) => {
-          const txn = doc.value;
-          const emoji = txn.type === 'income' ? '💰' : '💸';
-          const date = new Date(txn.date).toLocaleDateString();
-          message += `${index + 1}. ${emoji} ${txn.description}\n`;
-          message += `   RM${txn.amount_myr} • ${txn.category} • ${date}\n\n`;
-          total += txn.amount_myr;
-        });
+        const account = await LedgerService.addAccount(userId, { code, name });
+        const parentInfo = account.parent_code ? `\n↳ Sub-account of ${account.parent_code}` : '';
+        bot.sendMessage(userId, `✅ ACCOUNT ADDED\n\n${account.code} - ${account.name}\n📂 ${account.type} • ${account.category}${parentInfo}`);
+        return;
+      }
+      
+      if (action && action.toLowerCase() === 'rename') {
+        if (!code || !name) {
+          bot.sendMessage(userId, `❌ Usage: /chart_of_accounts rename [code] [new name]\n\nExample: /chart_of_accounts rename 1100-01 Maybank Islamic`);
+          return;
+        }
         
-        message += `📊 Total Found: RM${total.toFixed(2)}`;
+        const account = await LedgerService.renameAccount(userId, code, name);
+        bot.sendMessage(userId, `✅ ACCOUNT RENAMED\n\n${account.code}\nOld: ${account.old_name}\nNew: ${account.name}`);
+        return;
+      }
+      
+      if (action && action.toLowerCase() === 'archive') {
+        if (!code) {
+          bot.sendMessage(userId, `❌ Usage: /chart_of_accounts archive [code]`);
+          return;
+        }
         
-        bot.sendMessage(userId, message);
-      } else {
-        bot.sendMessage(userId, `🔍 No transactions found for "${query}"`);
+        const account = await LedgerService.archiveAccount(userId, code);
+        bot.sendMessage(userId, `🗄️ ACCOUNT ARCHIVED\n\n${account.code} - ${account.name}\n\nExisting balances are kept, but no new entries can be posted to it.`);
+        return;
+      }
+      
+      if (action) {
+        bot.sendMessage(userId, `❌ Unknown option "${action}". Use add, rename or archive.`);
+        return;
+      }
+      
+      const chartOfAccounts = await LedgerService.getChartOfAccounts(userId);
+      
+      let message = `📋 CHART OF ACCOUNTS\n\n`;
+      
+      const categories = {
+        'ASSETS': [],
+        'LIABILITIES': [],
+        'EQUITY': [],
+        'REVENUE': [],
+        'EXPENSES': []
+      };
+      
+      Object.entries(chartOfAccounts)
+        .sort(([a], [b]) => a.localeCompare(b))
+        .forEach(([code, account]) => {
+          const indent = account.parent_code ? '  ↳ ' : '';
+          const archived = account.is_archived ? ' 🗄️' : '';
+          const item = `${indent}${code} - ${account.name}${archived}`;
+          
+          switch (account.type) {
+            case 'asset':
+              categories.ASSETS.push(item);
+              break;
+            case 'liability':
+              categories.LIABILITIES.push(item);
+              break;
+            case 'equity':
+              categories.EQUITY.push(item);
+              break;
+            case 'revenue':
+              categories.REVENUE.push(item);
+              break;
+            case 'expense':
+              categories.EXPENSES.push(item);
+              break;
+          }
+        });
+      
+      Object.entries(categories).forEach(([category, accounts]) => {
+        if (accounts.length > 0) {
+          message += `💼 ${category}\n`;
+          accounts.forEach(account => {
+            message += `  ${account}\n`;
+          });
+          message += `\n`;
+        }
+      });
+      
+      message += `🗄️ = Archived\n\n`;
+      message += `Use account codes in journal entries:\n`;
+      message += `Example: "Dr 5100 RM800, Cr 1100 RM800"\n\n`;
+      message += `MANAGE ACCOUNTS:\n`;
+      message += `• /chart_of_accounts add 1100-01 Maybank\n`;
+      message += `• /chart_of_accounts rename 1100-01 Maybank Islamic\n`;
+      message += `• /chart_of_accounts archive 1100-01`;
+      
+      bot.sendMessage(userId, message);
+      
+    } catch (error) {
+      console.error('Chart of accounts error:', error);
+      bot.sendMessage(userId, `❌ ${error.message}`);
+    }
+  });
+
+  // Fiscal year command
+  bot.onText(/\/fiscal_year(?:\s+(.+))?/, async (msg, match) => {
+    const userId = msg.from.id;
+    const args = match && match[1] ? match[1].trim() : '';
+    console.log(`📱 /fiscal_year command from user ${userId}, args: ${args}`);
+    
+    if (!LedgerService) {
+      bot.sendMessage(userId, '📚 Accounting features are coming soon!');
+      return;
+    }
+    
+    try {
+      const [action, value] = args.split(/\s+/);
+      const monthNames = ['January', 'February', 'March', 'April', 'May', 'June', 'July', 'August', 'September', 'October', 'November', 'December'];
+      
+      if (action && action.toLowerCase() === 'start') {
+        if (!value) {
+          bot.sendMessage(userId, `❌ Usage: /fiscal_year start [month 1-12]\n\nExample: /fiscal_year start 7 (July - June)`);
+          return;
+        }
+        
+        const startMonth = await LedgerService.setFiscalYearStartMonth(userId, value);
+        const fiscalYear = await LedgerService.getFiscalYear(userId);
+        bot.sendMessage(userId, `✅ FISCAL YEAR UPDATED\n\nYour fiscal year now starts in ${monthNames[startMonth - 1]}.\nCurrent: ${fiscalYear.label} (${fiscalYear.start_date.toLocaleDateString()} - ${fiscalYear.end_date.toLocaleDateString()})`);
+        return;
+      }
+      
+      if (action) {
+        bot.sendMessage(userId, `❌ Unknown option "${action}". Use /fiscal_year start [month].`);
+        return;
+      }
+      
+      const fiscalYear = await LedgerService.getFiscalYear(userId);
+      const closes = await LedgerService.getFiscalCloses(userId);
+      
+      let message = `📅 FISCAL YEAR\n\n`;
+      message += `Starts in: ${monthNames[fiscalYear.start_month - 1]}\n`;
+      message += `Current: ${fiscalYear.label} (${fiscalYear.start_date.toLocaleDateString()} - ${fiscalYear.end_date.toLocaleDateString()})\n\n`;
+      
+      if (closes.length > 0) {
+        message += `🔒 CLOSED YEARS:\n`;
+        closes.forEach(close => {
+          message += `• ${close.label}: net income RM${close.net_income.toFixed(2)} (closed ${new Date(close.closed_at).toLocaleDateString()})\n`;
+        });
+        message += `\n`;
+      } else {
+        message += `No fiscal years closed yet.\n\n`;
+      }
+      
+      message += `• /fiscal_year start 7 - Change start month (before first close)\n`;
+      message += `• /close_year - Close the last completed fiscal year`;
+      
+      bot.sendMessage(userId, message);
+      
+    } catch (error) {
+      console.error('Fiscal year error:', error);
+      bot.sendMessage(userId, `❌ ${error.message}`);
+    }
+  });
+
+  // Exchange rate commands
+  bot.onText(/\/fx_rate(?:\s+(.+))?/, async (msg, match) => {
+    const userId = msg.from.id;
+    const args = match && match[1] ? match[1].trim() : '';
+    console.log(`📱 /fx_rate command from user ${userId}, args: ${args}`);
+    
+    try {
+      if (!args) {
+        const rates = await PriceFeedsService.getExchangeRates();
+        
+        let message = `💱 EXCHANGE RATES (MYR per unit)\n\n`;
+        if (rates.length === 0) {
+          message += `No rates yet - the feed may be unavailable.\n`;
+        }
+        rates.forEach(rate => {
+          const source = rate.source === 'manual' ? '✏️' : '📡';
+          message += `${source} ${rate.currency}: ${rate.rate.toFixed(4)} • ${rate.updated_at ? new Date(rate.updated_at).toLocaleString() : 'unknown'}\n`;
+        });
+        
+        message += `\n📡 = Live feed | ✏️ = Set by hand\n\n`;
+        message += `• /fx_rate USD 4.72 - Set a rate by hand\n`;
+        message += `• /fx_revalue - Revalue open foreign balances`;
+        
+        bot.sendMessage(userId, message);
+        return;
+      }
+      
+      const [currency, rate] = args.split(/\s+/);
+      if (!rate) {
+        bot.sendMessage(userId, `❌ Usage: /fx_rate [currency] [MYR rate]\n\nExample: /fx_rate USD 4.72`);
+        return;
+      }
+      
+      const result = await PriceFeedsService.setExchangeRate(currency, rate, 'manual');
+      bot.sendMessage(userId, `✅ RATE SET\n\n1 ${result.currency} = RM${result.rate.toFixed(4)}\n\nUsed for new ${result.currency} entries until the live feed updates it.`);
+      
+    } catch (error) {
+      console.error('FX rate error:', error);
+      bot.sendMessage(userId, `❌ ${error.message}`);
+    }
+  });
+
+  bot.onText(/\/fx_revalue/, async (msg) => {
+    const userId = msg.from.id;
+    console.log(`📱 /fx_revalue command from user ${userId}`);
+    
+    if (!LedgerService) {
+      bot.sendMessage(userId, '📚 Accounting features are coming soon!');
+      return;
+    }
+    
+    bot.sendChatAction(userId, 'typing');
+    
+    try {
+      const result = await LedgerService.revalueForeignBalances(userId);
+      
+      if (result.items.length === 0) {
+        bot.sendMessage(userId, `💱 FX REVALUATION\n\nNo open foreign-currency balances need revaluing as of ${result.as_of_date}.`);
+        return;
+      }
+      
+      let message = `💱 FX REVALUATION\nAs of: ${result.as_of_date}\n\n`;
+      result.items.forEach(item => {
+        message += `${item.account_code} ${item.account_name}\n`;
+        message += `  ${item.currency} ${item.foreign_balance.toFixed(2)} @ ${item.rate.toFixed(4)} = RM${item.revalued_myr.toFixed(2)}\n`;
+        message += `  Was RM${item.carrying_myr.toFixed(2)} → ${item.difference >= 0 ? 'gain' : 'loss'} RM${Math.abs(item.difference).toFixed(2)}\n\n`;
+      });
+      
+      message += `📈 Unrealised gain: RM${result.total_gain.toFixed(2)}\n`;
+      message += `📉 Unrealised loss: RM${result.total_loss.toFixed(2)}\n`;
+      message += `📚 Journal Entry: ${result.journal_entry.reference}`;
+      
+      bot.sendMessage(userId, message);
+      
+    } catch (error) {
+      console.error('FX revaluation error:', error);
+      bot.sendMessage(userId, `❌ ${error.message}`);
+    }
+  });
+
+  // Prepaid expense commands
+  bot.onText(/\/prepaid(?:\s+(.+))?/, async (msg, match) => {
+    const userId = msg.from.id;
+    const args = match && match[1] ? match[1].trim() : '';
+    console.log(`📱 /prepaid command from user ${userId}, args: ${args}`);
+    
+    if (!PrepaymentService) {
+      bot.sendMessage(userId, '📚 Prepayment features are coming soon!');
+      return;
+    }
+    
+    try {
+      const [action, amount, expenseAccount, months, ...descriptionParts] = args.split(/\s+/);
+      
+      if (action && action.toLowerCase() === 'add') {
+        const description = descriptionParts.join(' ');
+        
+        if (!amount || !expenseAccount || !months || !description) {
+          bot.sendMessage(userId, `❌ Usage: /prepaid add [amount] [expense_code] [months] [description]\n\nExample: /prepaid add 2400 5100 12 Shop rent\n\nPaid from 1100 Bank today and released on the 1st of each month.`);
+          return;
+        }
+        
+        const prepayment = await PrepaymentService.createPrepayment(userId, {
+          amount: amount.replace(/^rm/i, ''),
+          expense_account: expenseAccount,
+          months: months,
+          description: description,
+          idempotency_key: `tg:${msg.chat.id}:${msg.message_id}`
+        });
+        
+        bot.sendMessage(userId, `✅ PREPAYMENT RECORDED\n\n📝 ${prepayment.description}\n💵 RM${prepayment.amount_myr.toFixed(2)} → 1400 Prepaid Expenses\n📅 RM${prepayment.monthly_amount_myr.toFixed(2)}/month to ${prepayment.expense_account} for ${prepayment.months} months\n✅ Released so far: ${prepayment.released_months} month(s)`);
+        return;
+      }
+      
+      if (action) {
+        bot.sendMessage(userId, `❌ Unknown option "${action}". Use /prepaid add ...`);
+        return;
+      }
+      
+      const prepayments = await PrepaymentService.getPrepayments(userId);
+      
+      let message = `📅 PREPAID EXPENSES\n\n`;
+      
+      if (prepayments.length === 0) {
+        message += `No prepayments recorded.\n\n`;
+      }
+      
+      prepayments.forEach((prepayment, index) => {
+        const remaining = prepayment.amount_myr - prepayment.released_myr;
+        message += `${index + 1}. ${prepayment.is_active ? '⏳' : '✅'} ${prepayment.description}\n`;
+        message += `   RM${prepayment.amount_myr.toFixed(2)} → ${prepayment.expense_account} • ${prepayment.released_months}/${prepayment.months} months released\n`;
+        message += `   Remaining in 1400: RM${remaining.toFixed(2)}\n\n`;
+      });
+      
+      message += `Add: /prepaid add [amount] [expense_code] [months] [description]`;
+      
+      bot.sendMessage(userId, message);
+      
+    } catch (error) {
+      console.error('Prepaid command error:', error);
+      bot.sendMessage(userId, `❌ ${error.message}`);
+    }
+  });
+
+  // Accrued expense commands
+  bot.onText(/\/accrue(?:\s+(.+))?/, async (msg, match) => {
+    const userId = msg.from.id;
+    const args = match && match[1] ? match[1].trim() : '';
+    console.log(`📱 /accrue command from user ${userId}, args: ${args}`);
+    
+    if (!PrepaymentService) {
+      bot.sendMessage(userId, '📚 Accrual features are coming soon!');
+      return;
+    }
+    
+    try {
+      if (!args) {
+        const accruals = await PrepaymentService.getAccruals(userId);
+        
+        let message = `🧾 ACCRUED EXPENSES\n\n`;
+        
+        if (accruals.length === 0) {
+          message += `No accruals recorded.\n\n`;
+        }
+        
+        accruals.slice(0, 10).forEach((accrual, index) => {
+          message += `${index + 1}. ${accrual.is_reversed ? '↩️' : '⏳'} ${accrual.period} • ${accrual.description}\n`;
+          message += `   RM${accrual.amount_myr.toFixed(2)} → ${accrual.expense_account} • ${accrual.is_reversed ? 'reversed' : 'reverses'} ${new Date(accrual.reversal_date).toLocaleDateString()}\n\n`;
+        });
+        
+        message += `Add: /accrue [amount] [expense_code] [YYYY-MM] [description]\n`;
+        message += `Example: /accrue 350 5200 2026-06 June electricity`;
+        
+        bot.sendMessage(userId, message);
+        return;
+      }
+      
+      const tokens = args.split(/\s+/);
+      const [amount, expenseAccount] = tokens;
+      const hasPeriod = /^\d{4}-\d{1,2}$/.test(tokens[2] || '');
+      const period = hasPeriod ? tokens[2] : null;
+      const description = tokens.slice(hasPeriod ? 3 : 2).join(' ');
+      
+      if (!amount || !expenseAccount || !description) {
+        bot.sendMessage(userId, `❌ Usage: /accrue [amount] [expense_code] [YYYY-MM] [description]\n\nExample: /accrue 350 5200 2026-06 June electricity`);
+        return;
+      }
+      
+      const accrual = await PrepaymentService.createAccrual(userId, {
+        amount: amount.replace(/^rm/i, ''),
+        expense_account: expenseAccount,
+        period: period,
+        description: description,
+        idempotency_key: `tg:${msg.chat.id}:${msg.message_id}`
+      });
+      
+      bot.sendMessage(userId, `✅ ACCRUAL RECORDED\n\n📝 ${accrual.description}\n💵 Dr ${accrual.expense_account} / Cr 2100 RM${accrual.amount_myr.toFixed(2)} at end of ${accrual.period}\n↩️ Reverses automatically on ${new Date(accrual.reversal_date).toLocaleDateString()}`);
+      
+    } catch (error) {
+      console.error('Accrue command error:', error);
+      bot.sendMessage(userId, `❌ ${error.message}`);
+    }
+  });
+
+  // Budgets: set per expense account, compare with actual spend
+  bot.onText(/\/budget(?:\s+(.+))?/, async (msg, match) => {
+    const userId = msg.from.id;
+    const args = match && match[1] ? match[1].trim() : '';
+    console.log(`📱 /budget command from user ${userId}, args: ${args}`);
+    
+    if (!BudgetService || !LedgerService) {
+      bot.sendMessage(userId, '📚 Budget features are coming soon!');
+      return;
+    }
+    
+    const usage = `Usage:
+• /budget report [period] - Budget vs actual (default: this month)
+• /budget 5100 800 - Monthly budget for an expense account
+• /budget 5100 1200 2026-12 - Budget for one month only
+• /budget 5100 off [2026-12] - Remove a budget
+• /budget alert 90 - Warn when spend reaches 90% of budget`;
+    
+    try {
+      const [first, second, third] = args.split(/\s+/);
+      
+      if (first && first.toLowerCase() === 'alert') {
+        const threshold = await BudgetService.setAlertThreshold(userId, second);
+        bot.sendMessage(userId, `✅ You'll be warned when an account reaches ${threshold}% of its budget, and again if it goes over.`);
+        return;
+      }
+      
+      if (first && /^\d{4}(-\d{2})?$/.test(first) && second) {
+        if (second.toLowerCase() === 'off') {
+          const removed = await BudgetService.removeBudget(userId, first, third);
+          bot.sendMessage(userId, removed
+            ? `✅ Removed the ${third || 'monthly'} budget for ${first}.`
+            : `❌ No ${third || 'monthly'} budget set for ${first}.`);
+          return;
+        }
+        
+        const budget = await BudgetService.setBudget(userId, first, second.replace(/^rm/i, ''), third);
+        bot.sendMessage(userId, `✅ BUDGET SET\n\n${budget.account_code} ${budget.account_name}\n💰 RM${budget.amount.toFixed(2)} ${budget.period === 'monthly' ? 'every month' : `for ${budget.period}`}\n\nSee progress: /budget report`);
+        return;
+      }
+      
+      if (first && first.toLowerCase() !== 'report') {
+        bot.sendMessage(userId, `❌ ${usage}`);
+        return;
+      }
+      
+      bot.sendChatAction(userId, 'typing');
+      
+      const period = await LedgerService.parseReportPeriod(userId, args.replace(/^report\s*/i, ''));
+      const report = await BudgetService.getBudgetReport(userId, period.start, period.end);
+      
+      if (report.items.length === 0) {
+        bot.sendMessage(userId, `📊 BUDGET VS ACTUAL\n${period.label}\n\nNo budgets set yet.\n\n${usage}`);
+        return;
+      }
+      
+      const statusIcon = { ok: '✅', warning: '⚠️', over: '🚨' };
+      let message = `📊 BUDGET VS ACTUAL\n${period.label}: ${report.period}\n\n`;
+      
+      report.items.forEach(item => {
+        message += `${statusIcon[item.status]} ${item.account_code} ${item.account_name}\n`;
+        message += `   RM${item.actual.toFixed(2)} of RM${item.budget.toFixed(2)} (${item.percent_used.toFixed(0)}% used)\n`;
+        message += `   ${item.variance >= 0 ? 'Remaining' : 'Over by'}: RM${Math.abs(item.variance).toFixed(2)}\n\n`;
+      });
+      
+      message += `TOTAL: RM${report.total_actual.toFixed(2)} of RM${report.total_budget.toFixed(2)} (${report.total_percent_used.toFixed(0)}% used)\n`;
+      message += `Variance: ${report.total_variance >= 0 ? 'RM' : '-RM'}${Math.abs(report.total_variance).toFixed(2)}\n`;
+      
+      if (Math.abs(report.unbudgeted_actual) >= 0.01) {
+        message += `Unbudgeted spend: RM${report.unbudgeted_actual.toFixed(2)}\n`;
+      }
+      
+      message += `\n🔔 Alerts at ${report.threshold}% of budget (/budget alert [percent] to change)`;
+      
+      bot.sendMessage(userId, message);
+      
+    } catch (error) {
+      console.error('Budget command error:', error);
+      bot.sendMessage(userId, `❌ ${error.message}`);
+    }
+  });
+
+  // Period locking commands
+  bot.onText(/\/lock_period(?:\s+(.+))?/, async (msg, match) => {
+    const userId = msg.from.id;
+    const args = match && match[1] ? match[1].trim() : '';
+    console.log(`📱 /lock_period command from user ${userId}, args: ${args}`);
+    
+    if (!LedgerService) {
+      bot.sendMessage(userId, '📚 Accounting features are coming soon!');
+      return;
+    }
+    
+    try {
+      if (!args) {
+        const lockedPeriods = await LedgerService.getLockedPeriods(userId);
+        const history = await LedgerService.getPeriodLockHistory(userId, 5);
+        
+        let message = `🔒 LOCKED PERIODS\n\n`;
+        message += lockedPeriods.length > 0 ? lockedPeriods.map(period => `• ${period}`).join('\n') : 'No periods locked yet.';
+        message += `\n\n`;
+        
+        if (history.length > 0) {
+          message += `📜 RECENT CHANGES:\n`;
+          history.forEach(entry => {
+            const icon = entry.action === 'lock' ? '🔒' : '🔓';
+            message += `${icon} ${entry.period} • ${new Date(entry.timestamp).toLocaleString()}${entry.reason ? ` • ${entry.reason}` : ''}\n`;
+          });
+          message += `\n`;
+        }
+        
+        message += `• /lock_period 2026-06 [reason] - Lock a month\n`;
+        message += `• /unlock_period 2026-06 [reason] - Reopen a month`;
+        
+        bot.sendMessage(userId, message);
+        return;
+      }
+      
+      const [period, ...reasonParts] = args.split(/\s+/);
+      const locked = await LedgerService.lockPeriod(userId, period, reasonParts.join(' '));
+      
+      bot.sendMessage(userId, `🔒 PERIOD LOCKED: ${locked}\n\nJournal entries, edits and transactions dated in ${locked} will be refused until you run /unlock_period ${locked}.`);
+      
+    } catch (error) {
+      console.error('Lock period error:', error);
+      bot.sendMessage(userId, `❌ ${error.message}`);
+    }
+  });
+
+  bot.onText(/\/unlock_period(?:\s+(.+))?/, async (msg, match) => {
+    const userId = msg.from.id;
+    const args = match && match[1] ? match[1].trim() : '';
+    console.log(`📱 /unlock_period command from user ${userId}, args: ${args}`);
+    
+    if (!LedgerService) {
+      bot.sendMessage(userId, '📚 Accounting features are coming soon!');
+      return;
+    }
+    
+    if (!args) {
+      bot.sendMessage(userId, `❌ Usage: /unlock_period [YYYY-MM] [reason]\n\nExample: /unlock_period 2026-06 late supplier invoice`);
+      return;
+    }
+    
+    try {
+      const [period, ...reasonParts] = args.split(/\s+/);
+      const unlocked = await LedgerService.unlockPeriod(userId, period, reasonParts.join(' '));
+      
+      bot.sendMessage(userId, `🔓 PERIOD REOPENED: ${unlocked}\n\n⚠️ Reports for ${unlocked} may change. Lock it again with /lock_period ${unlocked} when you're done.`);
+      
+    } catch (error) {
+      console.error('Unlock period error:', error);
+      bot.sendMessage(userId, `❌ ${error.message}`);
+    }
+  });
+
+  // Year-end close command
+  bot.onText(/\/close_year(?:\s+(.+))?/, async (msg, match) => {
+    const userId = msg.from.id;
+    const args = match && match[1] ? match[1].trim() : '';
+    console.log(`📱 /close_year command from user ${userId}, args: ${args}`);
+    
+    if (!LedgerService) {
+      bot.sendMessage(userId, '📚 Accounting features are coming soon!');
+      return;
+    }
+    
+    bot.sendChatAction(userId, 'typing');
+    
+    try {
+      let endYear;
+      
+      if (args) {
+        const yearMatch = args.match(/^(?:FY)?(\d{4})$/i);
+        if (!yearMatch) {
+          bot.sendMessage(userId, `❌ Usage: /close_year [FY2025]\n\nLeave blank to close the last completed fiscal year.`);
+          return;
+        }
+        endYear = parseInt(yearMatch[1]);
+      } else {
+        const currentFiscalYear = await LedgerService.getFiscalYear(userId);
+        endYear = currentFiscalYear.end_year - 1;
+      }
+      
+      const result = await LedgerService.closeFiscalYear(userId, endYear);
+      const netIncome = result.net_income;
+      
+      let message = `🔒 ${result.fiscal_year.label} CLOSED\n\n`;
+      message += `Period: ${result.fiscal_year.start_date.toLocaleDateString()} - ${result.fiscal_year.end_date.toLocaleDateString()}\n`;
+      message += `${netIncome >= 0 ? '📈 Net profit' : '📉 Net loss'}: RM${Math.abs(netIncome).toFixed(2)}\n`;
+      
+      if (result.closing_entry) {
+        message += `📝 Closing entry: ${result.closing_entry.reference}\n`;
+      } else {
+        message += `📝 No revenue or expense balances to close\n`;
+      }
+      
+      message += `\n💼 Revenue and expense accounts reset to zero and the result moved to Retained Earnings (3100).\n`;
+      message += `📂 ${result.next_fiscal_year.label} opens with RM${(result.opening_balances['3100'] || 0).toFixed(2)} in Retained Earnings.\n\n`;
+      message += `⚠️ Entries dated on or before ${result.fiscal_year.end_date.toLocaleDateString()} can no longer be posted.`;
+      
+      bot.sendMessage(userId, message);
+      
+    } catch (error) {
+      console.error('Close year error:', error);
+      bot.sendMessage(userId, `❌ ${error.message}`);
+    }
+  });
+
+  // Transactions command
+  bot.onText(/\/transactions/, async (msg) => {
+    const userId = msg.from.id;
+    console.log(`📱 /transactions command from user ${userId}`);
+    
+    try {
+      const allTransactions = await RedisService.findAllUserTransactions(userId);
+      const transactions = allTransactions.slice(0, 15);
+      
+      if (transactions.length === 0) {
+        bot.sendMessage(userId, '📝 No transactions found.\n\nStart by adding one:\n• "Sales RM500"\n• "Paid rent RM800"');
+        return;
+      }
+      
+      let message = `📝 ALL TRANSACTIONS (${allTransactions.length} total)\n\n`;
+      
+      transactions.forEach((txn, index) => {
+        const emoji = responses.transactionEmoji(txn.type);
+        const date = new Date(txn.date).toLocaleDateString();
+        const isRecurring = txn.description.includes('(Auto)') ? '🔄' : '';
+        message += `${index + 1}. ${emoji}${isRecurring} ${txn.description}\n`;
+        message += `   RM${txn.amount_myr} • ${txn.category} • ${date}\n\n`;
+      });
+      
+      if (allTransactions.length > 15) {
+        message += `... and ${allTransactions.length - 15} more transactions\n\n`;
+      }
+      
+      message += `Commands: /search [term] | /delete | /trial_balance`;
+      
+      bot.sendMessage(userId, message);
+      
+    } catch (error) {
+      console.error('Transactions error:', error);
+      bot.sendMessage(userId, '❌ Unable to load transactions.');
+    }
+  });
+
+  // Search command
+  bot.onText(/\/search(?:\s+(.+))?/, async (msg, match) => {
+    const userId = msg.from.id;
+    const query = match && match[1];
+    console.log(`📱 /search command from user ${userId}, query: ${query}`);
+    
+    if (!query) {
+      bot.sendMessage(userId, `🔍 SEARCH TRANSACTIONS
+
+EXAMPLES:
+• /search rental
+• /search RM800
+• /search inventory
+
+What would you like to search for?`);
+      return;
+    }
+    
+    try {
+      const results = await RedisService.searchTransactions(userId, query);
+      
+      if (results.documents && results.documents.length > 0) {
+        let message = `🔍 SEARCH RESULTS FOR "${query}"\n\n`;
+        let total = 0;
+        
+        results.documents.slice(0, 10).forEach((doc, index) => {
+          const txn = doc.value;
+          const emoji = responses.transactionEmoji(txn.type);
+          const date = new Date(txn.date).toLocaleDateString();
+          message += `${index + 1}. ${emoji} ${txn.description}\n`;
+          message += `   RM${txn.amount_myr} • ${txn.category} • ${date}\n\n`;
+          total += txn.amount_myr;
+        });
+        
+        message += `📊 Total Found: RM${total.toFixed(2)}`;
+        
+        bot.sendMessage(userId, message);
+      } else {
+        bot.sendMessage(userId, `🔍 No transactions found for "${query}"`);
+      }
+      
+    } catch (error) {
+      console.error('Search error:', error);
+      bot.sendMessage(userId, '❌ Search failed. Please try again.');
+    }
+  });
+
+  // Delete command
+  bot.onText(/\/delete/, async (msg) => {
+    const userId = msg.from.id;
+    console.log(`📱 /delete command from user ${userId}`);
+    
+    try {
+      const transactions = await RedisService.findAllUserTransactions(userId);
+      
+      if (transactions.length === 0) {
+        bot.sendMessage(userId, '🗑️ No transactions to delete.');
+        return;
+      }
+      
+      let message = `🗑️ RECENT TRANSACTIONS\n\nReply with the number to delete:\n\n`;
+      
+      transactions.slice(0, 10).forEach((txn, index) => {
+        const emoji = responses.transactionEmoji(txn.type);
+        const date = new Date(txn.date).toLocaleDateString();
+        const isRecurring = txn.description.includes('(Auto)') ? '🔄' : '';
+        message += `${index + 1}. ${emoji}${isRecurring} ${txn.description} - RM${txn.amount_myr} (${date})\n`;
+      });
+      
+      message += `\nType the number (1-${Math.min(10, transactions.length)}) to delete:`;
+      
+      bot.sendMessage(userId, message);
+      
+      await RedisService.setUserState(userId, 'awaiting_delete_number', transactions.slice(0, 10));
+      
+    } catch (error) {
+      console.error('Delete command error:', error);
+      bot.sendMessage(userId, '❌ Unable to show transactions.');
+    }
+  });
+
+  // Export command
+  bot.onText(/\/export/, async (msg) => {
+    const userId = msg.from.id;
+    console.log(`📱 /export command from user ${userId}`);
+    
+    bot.sendChatAction(userId, 'upload_document');
+    
+    try {
+      const csv = await RedisService.exportTransactions(userId, 'csv');
+      
+      if (csv && csv.length > 0) {
+        await sendFile(userId, `kheAI_accounting_${userId}_${Date.now()}.csv`, csv,
+          '📋 Your complete accounting records (CSV format)\n\nIncludes transactions and journal entries.');
+      } else {
+        bot.sendMessage(userId, '❌ No transactions to export.');
+      }
+    } catch (error) {
+      console.error('Export error:', error);
+      bot.sendMessage(userId, '❌ Export failed. Please try again.');
+    }
+  });
+
+  // LHDN e-Invoice (MyInvois) documents for income transactions
+  bot.onText(/\/einvoice(?:\s+(.+))?/, async (msg, match) => {
+    const userId = msg.from.id;
+    console.log(`📱 /einvoice command from user ${userId}`);
+    
+    if (!EInvoiceService || !LedgerService) {
+      bot.sendMessage(userId, '🧾 E-invoicing is coming soon!');
+      return;
+    }
+    
+    // key=value options: profile fields, buyer_* fields and classification
+    const { text, dimensions: fields } = LedgerService.parseDimensionArgs(match[1]);
+    const [action, reference] = text.split(' ');
+    
+    try {
+      if (!action || action.toLowerCase() === 'profile') {
+        const profile = action ? await EInvoiceService.updateProfile(userId, fields) : await EInvoiceService.getProfile(userId);
+        const missing = EInvoiceService.profileFields.filter(field => !['sst', 'email', 'postcode'].includes(field) && !profile[field]);
+        
+        let message = `🧾 E-INVOICE SELLER PROFILE\n\n`;
+        EInvoiceService.profileFields.forEach(field => {
+          message += `${field}: ${profile[field] || '—'}\n`;
+        });
+        message += missing.length > 0
+          ? `\n⚠️ Missing: ${missing.join(', ')}\nSet with /einvoice profile tin=C1234567890 brn=202301012345 name="Kedai Ali Sdn Bhd" msic=47190 activity="Retail" address="12 Jalan Ampang" city="Kuala Lumpur" state=14 phone=+60123456789\n`
+          : `\n✅ Profile complete\n`;
+        message += `\nUsage: /einvoice [number] to generate, /einvoice submit [number] to send to MyInvois (numbers from /transactions, or an invoice number such as INV-000001). Add buyer_tin=... buyer_name="..." for a business buyer; otherwise the general public TIN is used.`;
+        
+        bot.sendMessage(userId, message);
+        return;
+      }
+      
+      const isSubmit = action.toLowerCase() === 'submit';
+      const transactionRef = isSubmit ? reference : action;
+      if (!transactionRef) {
+        bot.sendMessage(userId, '❌ Which transaction? Use the number from /transactions, e.g. /einvoice submit 1');
+        return;
+      }
+      
+      // INV-000001 is an invoice; a number or TXN- reference is a transaction
+      let source;
+      if (/^inv-/i.test(transactionRef) && InvoiceService) {
+        source = EInvoiceService.invoiceSource(userId, await InvoiceService.getInvoice(userId, transactionRef));
+      } else {
+        const transactions = await RedisService.findAllUserTransactions(userId);
+        const number = /^\d+$/.test(transactionRef) ? parseInt(transactionRef) : 0;
+        const transactionId = transactionRef.replace(/^txn-/i, '').toLowerCase();
+        const transaction = number >= 1 && number <= transactions.length
+          ? transactions[number - 1]
+          : transactions.find(txn => transactionId.length >= 4 && txn.id.startsWith(transactionId));
+        
+        if (!transaction) {
+          bot.sendMessage(userId, `❌ Transaction "${transactionRef}" not found. Use the number from /transactions or an invoice number.`);
+          return;
+        }
+        source = EInvoiceService.transactionSource(userId, transaction);
+      }
+      
+      const options = {};
+      for (const [key, value] of Object.entries(fields)) {
+        if (key === 'classification') {
+          options.classification = value;
+        } else if (key.startsWith('buyer_')) {
+          options.buyer = { ...options.buyer, [key.replace(/^buyer_/, '')]: value };
+        } else {
+          bot.sendMessage(userId, `❌ Unknown option "${key}". Use buyer_tin=..., buyer_name="..." or classification=...`);
+          return;
+        }
+      }
+      
+      bot.sendChatAction(userId, isSubmit ? 'typing' : 'upload_document');
+      
+      if (isSubmit) {
+        const record = await EInvoiceService.submit(userId, source, options);
+        bot.sendMessage(userId, record.status === 'submitted'
+          ? `✅ E-INVOICE SUBMITTED\n\n🧾 ${record.id}\n🆔 UUID: ${record.uuid}\n📨 Submission: ${record.submission_uid}`
+          : `❌ E-INVOICE REJECTED\n\n🧾 ${record.id}\n${record.error}`);
+        return;
+      }
+      
+      const { id, document, validation, record } = await EInvoiceService.generate(userId, source, options);
+      
+      if (!validation.valid) {
+        bot.sendMessage(userId, `⚠️ E-INVOICE ${id} NEEDS FIXING\n\n• ${validation.errors.join('\n• ')}`);
+        return;
+      }
+      
+      const totals = document.Invoice[0].LegalMonetaryTotal[0];
+      await sendFile(userId, `${id}.json`, JSON.stringify(document, null, 2),
+        `🧾 E-INVOICE ${id} (MyInvois UBL JSON)\n\n👤 Buyer: ${record.buyer.name} (${record.buyer.tin})\n💵 Total: ${totals.PayableAmount[0].currencyID} ${totals.PayableAmount[0]._.toFixed(2)}\n✅ Passed local validation\n\n${record.status === 'submitted' ? `Submitted to MyInvois (UUID ${record.uuid})` : `Submit with /einvoice submit ${transactionRef}`}`);
+      
+    } catch (error) {
+      console.error('E-invoice error:', error);
+      bot.sendMessage(userId, `❌ ${error.message}`);
+    }
+  });
+
+  // Sales invoices: create, list unpaid, record payments, void
+  bot.onText(/\/invoices(?:\s+(.+))?/, async (msg, match) => {
+    const userId = msg.from.id;
+    const args = (match[1] || '').trim();
+    console.log(`📱 /invoices command from user ${userId}`);
+    
+    if (!InvoiceService || !LedgerService) {
+      bot.sendMessage(userId, '🧾 Invoicing is coming soon!');
+      return;
+    }
+    
+    const formatDate = (date) => LedgerService.formatLocalDate(new Date(date));
+    const statusLabel = (invoice) => InvoiceService.isOverdue(invoice)
+      ? `⚠️ Overdue (${invoice.status === 'partially_paid' ? 'partially paid' : 'unpaid'})`
+      : { unpaid: '🕒 Unpaid', partially_paid: '🌓 Partially paid', paid: '✅ Paid', void: '🚫 Void' }[invoice.status];
+    const summary = (invoice) => `🧾 INVOICE ${invoice.number}
+👤 ${invoice.customer.name}
+📅 Issued ${formatDate(invoice.issue_date)} • Due ${formatDate(invoice.due_date)}
+Status: ${statusLabel(invoice)}
+
+${invoice.lines.map((line, index) => `${index + 1}. ${line.description}: ${line.quantity} x RM${line.unit_price.toFixed(2)} = RM${line.amount.toFixed(2)}${line.tax_code ? ` (${line.tax_code})` : ''}`).join('\n')}
+
+Subtotal: RM${invoice.subtotal.toFixed(2)}
+SST: RM${invoice.tax_total.toFixed(2)}
+Total: RM${invoice.total.toFixed(2)}
+Paid: RM${invoice.amount_paid.toFixed(2)}
+Balance due: RM${invoice.balance_due.toFixed(2)}${invoice.payments.length > 0 ? `\n\n💳 PAYMENTS\n${invoice.payments.map(payment => `• ${formatDate(payment.date)}: RM${payment.amount.toFixed(2)}`).join('\n')}` : ''}`;
+    
+    try {
+      const [action, ...rest] = args.split(/\s+/);
+      
+      if (/^new$/i.test(action)) {
+        const data = InvoiceService.parseInvoiceText(args.replace(/^new\s*/i, ''));
+        const invoice = await InvoiceService.createInvoice(userId, {
+          ...data,
+          idempotency_key: `tg:${msg.chat.id}:${msg.message_id}`
+        });
+        const unmatched = InventoryService ? await InventoryService.findUnmatchedStockLines(userId, invoice.lines) : [];
+        const stockNote = unmatched.length > 0
+          ? `\n\nℹ️ Not taken from stock: ${unmatched.map(line => `"${line.description}" (start the line with ${line.sku} to sell stock)`).join(', ')}`
+          : '';
+        bot.sendMessage(userId, `✅ INVOICE CREATED\n\n${summary(invoice)}\n\n📚 Posted: Dr Accounts Receivable / Cr Revenue${invoice.tax_total > 0 ? ' & SST Payable' : ''}${stockNote}\nRecord payment: /invoices pay ${invoice.number} [amount]`);
+        return;
+      }
+      
+      if (/^pay$/i.test(action)) {
+        const [reference, amount, date] = rest;
+        if (!reference || (amount && isNaN(parseFloat(amount)))) {
+          bot.sendMessage(userId, '❌ Usage: /invoices pay INV-000001 [amount] [YYYY-MM-DD]\nLeave out the amount to record full payment.');
+          return;
+        }
+        const { invoice, payment } = await InvoiceService.recordPayment(userId, reference, {
+          amount: amount ? parseFloat(amount) : null,
+          date: date,
+          idempotency_key: `tg:${msg.chat.id}:${msg.message_id}`
+        });
+        bot.sendMessage(userId, `✅ PAYMENT RECORDED${payment ? ` RM${payment.amount.toFixed(2)}` : ''}\n\n${summary(invoice)}`);
+        return;
+      }
+      
+      if (/^void$/i.test(action)) {
+        if (!rest[0]) {
+          bot.sendMessage(userId, '❌ Usage: /invoices void INV-000001 [reason]');
+          return;
+        }
+        const invoice = await InvoiceService.voidInvoice(userId, rest[0], rest.slice(1).join(' ') || null);
+        bot.sendMessage(userId, `🚫 Invoice ${invoice.number} voided. Its journal entry has been reversed.`);
+        return;
+      }
+      
+      if (action && !/^all$/i.test(action)) {
+        bot.sendMessage(userId, summary(await InvoiceService.getInvoice(userId, action)));
+        return;
+      }
+      
+      const showAll = /^all$/i.test(action || '');
+      const invoices = await InvoiceService.getInvoices(userId, showAll ? null : 'open');
+      
+      if (invoices.length === 0) {
+        bot.sendMessage(userId, `🧾 No ${showAll ? '' : 'unpaid '}invoices.\n\nCreate one:\n/invoices new Acme Sdn Bhd; Web design 2 x 1500 SV8; Hosting 600; due 14`);
+        return;
+      }
+      
+      let message = `🧾 ${showAll ? 'ALL' : 'UNPAID'} INVOICES (${invoices.length})\n\n`;
+      invoices.slice(0, 20).forEach(invoice => {
+        message += `${invoice.number} • ${invoice.customer.name}\n`;
+        message += `   RM${invoice.balance_due.toFixed(2)} due of RM${invoice.total.toFixed(2)} • due ${formatDate(invoice.due_date)} • ${statusLabel(invoice)}\n\n`;
+      });
+      if (invoices.length > 20) {
+        message += `... and ${invoices.length - 20} more\n\n`;
+      }
+      
+      const open = invoices.filter(invoice => ['unpaid', 'partially_paid'].includes(invoice.status));
+      const outstanding = open.reduce((sum, invoice) => sum + invoice.balance_due, 0);
+      const overdue = open.filter(invoice => InvoiceService.isOverdue(invoice)).reduce((sum, invoice) => sum + invoice.balance_due, 0);
+      message += `💰 Total outstanding: RM${outstanding.toFixed(2)}\n`;
+      if (overdue > 0) message += `⚠️ Overdue: RM${overdue.toFixed(2)}\n`;
+      
+      message += `\nCommands: /invoices new Customer; Item 2 x 100 SV8; due 30 | /invoices pay INV-000001 [amount] | /invoices INV-000001 | /invoices all`;
+      
+      bot.sendMessage(userId, message);
+      
+    } catch (error) {
+      console.error('Invoices error:', error);
+      bot.sendMessage(userId, `❌ ${error.message}`);
+    }
+  });
+
+  // Supplier bills: record, list unpaid by due date, pay, void, reminders
+  bot.onText(/\/bills(?:\s+(.+))?/, async (msg, match) => {
+    const userId = msg.from.id;
+    const args = (match[1] || '').trim();
+    console.log(`📱 /bills command from user ${userId}`);
+    
+    if (!BillService || !LedgerService) {
+      bot.sendMessage(userId, '📥 Supplier bills are coming soon!');
+      return;
+    }
+    
+    const formatDate = (date) => LedgerService.formatLocalDate(new Date(date));
+    const statusLabel = (bill) => BillService.isOverdue(bill)
+      ? `⚠️ Overdue (${bill.status === 'partially_paid' ? 'partially paid' : 'unpaid'})`
+      : { unpaid: '🕒 Unpaid', partially_paid: '🌓 Partially paid', paid: '✅ Paid', void: '🚫 Void' }[bill.status];
+    const summary = (bill) => `📥 BILL ${bill.number}
+🏭 ${bill.supplier.name}${bill.supplier_reference ? ` • Ref ${bill.supplier_reference}` : ''}
+📅 Dated ${formatDate(bill.issue_date)} • Due ${formatDate(bill.due_date)}
+Status: ${statusLabel(bill)}
+
+${bill.lines.map((line, index) => `${index + 1}. ${line.description}: ${line.quantity} x RM${line.unit_price.toFixed(2)} = RM${line.amount.toFixed(2)} → ${line.account_code}${line.tax_code ? ` (${line.tax_code})` : ''}`).join('\n')}
+
+Subtotal: RM${bill.subtotal.toFixed(2)}
+SST: RM${bill.tax_total.toFixed(2)}
+Total: RM${bill.total.toFixed(2)}
+Paid: RM${bill.amount_paid.toFixed(2)}
+Balance owing: RM${bill.balance_due.toFixed(2)}${bill.payments.length > 0 ? `\n\n💳 PAYMENTS\n${bill.payments.map(payment => `• ${formatDate(payment.date)}: RM${payment.amount.toFixed(2)}`).join('\n')}` : ''}`;
+    
+    try {
+      const [action, ...rest] = args.split(/\s+/);
+      
+      if (/^new$/i.test(action)) {
+        const data = BillService.parseBillText(args.replace(/^new\s*/i, ''));
+        const bill = await BillService.createBill(userId, {
+          ...data,
+          idempotency_key: `tg:${msg.chat.id}:${msg.message_id}`
+        });
+        const unmatched = InventoryService ? await InventoryService.findUnmatchedStockLines(userId, bill.lines) : [];
+        const stockNote = unmatched.length > 0
+          ? `\n\nℹ️ Not received into stock: ${unmatched.map(line => `"${line.description}" (start the line with ${line.sku} to receive stock)`).join(', ')}`
+          : '';
+        bot.sendMessage(userId, `✅ BILL RECORDED\n\n${summary(bill)}\n\n📚 Posted: Dr ${[...new Set(bill.lines.map(line => line.account_code))].join(', ')} / Cr Accounts Payable${stockNote}\nRecord payment: /bills pay ${bill.number} [amount]`);
+        return;
+      }
+      
+      if (/^pay$/i.test(action)) {
+        const [reference, amount, date] = rest;
+        if (!reference || (amount && isNaN(parseFloat(amount)))) {
+          bot.sendMessage(userId, '❌ Usage: /bills pay BILL-000001 [amount] [YYYY-MM-DD]\nLeave out the amount to pay the full balance.');
+          return;
+        }
+        const { bill, payment } = await BillService.recordPayment(userId, reference, {
+          amount: amount ? parseFloat(amount) : null,
+          date: date,
+          idempotency_key: `tg:${msg.chat.id}:${msg.message_id}`
+        });
+        bot.sendMessage(userId, `✅ PAYMENT RECORDED${payment ? ` RM${payment.amount.toFixed(2)}` : ''}\n\n${summary(bill)}`);
+        return;
+      }
+      
+      if (/^void$/i.test(action)) {
+        if (!rest[0]) {
+          bot.sendMessage(userId, '❌ Usage: /bills void BILL-000001 [reason]');
+          return;
+        }
+        const bill = await BillService.voidBill(userId, rest[0], rest.slice(1).join(' ') || null);
+        bot.sendMessage(userId, `🚫 Bill ${bill.number} voided. Its journal entry has been reversed.`);
+        return;
+      }
+      
+      if (/^remind$/i.test(action)) {
+        if (rest[0] === undefined) {
+          const days = await BillService.getReminderDays(userId);
+          bot.sendMessage(userId, `🔔 ${days === 0 ? 'Bill reminders are off.' : `Reminders are sent ${days} day${days === 1 ? '' : 's'} before a bill is due.`}\n\nChange with /bills remind [days] (0 turns them off).`);
+          return;
+        }
+        const days = await BillService.setReminderDays(userId, rest[0]);
+        bot.sendMessage(userId, days === 0 ? '🔕 Bill reminders turned off.' : `🔔 You will be reminded ${days} day${days === 1 ? '' : 's'} before each bill is due.`);
+        return;
+      }
+      
+      if (action && !/^all$/i.test(action)) {
+        bot.sendMessage(userId, summary(await BillService.getBill(userId, action)));
+        return;
+      }
+      
+      const showAll = /^all$/i.test(action || '');
+      const bills = await BillService.getBills(userId, showAll ? null : 'open');
+      
+      if (bills.length === 0) {
+        bot.sendMessage(userId, `📥 No ${showAll ? '' : 'unpaid '}bills.\n\nRecord one:\n/bills new Borong Sdn Bhd; Rice 10 x 45 1300; Delivery 30 5400; due 30 ref=INV-8812`);
+        return;
+      }
+      
+      let message = `📥 ${showAll ? 'ALL' : 'UNPAID'} BILLS (${bills.length})\n\n`;
+      bills.slice(0, 20).forEach(bill => {
+        message += `${bill.number} • ${bill.supplier.name}${bill.supplier_reference ? ` (${bill.supplier_reference})` : ''}\n`;
+        message += `   RM${bill.balance_due.toFixed(2)} owing of RM${bill.total.toFixed(2)} • due ${formatDate(bill.due_date)} • ${statusLabel(bill)}\n\n`;
+      });
+      if (bills.length > 20) {
+        message += `... and ${bills.length - 20} more\n\n`;
+      }
+      
+      const open = bills.filter(bill => BillService.isOpen(bill));
+      const owing = open.reduce((sum, bill) => sum + bill.balance_due, 0);
+      const overdue = open.filter(bill => BillService.isOverdue(bill)).reduce((sum, bill) => sum + bill.balance_due, 0);
+      message += `💸 Total owing: RM${owing.toFixed(2)}\n`;
+      if (overdue > 0) message += `⚠️ Overdue: RM${overdue.toFixed(2)}\n`;
+      
+      message += `\nCommands: /bills new Supplier; Item 10 x 45 1300; due 30 | /bills pay BILL-000001 [amount] | /bills BILL-000001 | /bills all | /bills remind [days]`;
+      
+      bot.sendMessage(userId, message);
+      
+    } catch (error) {
+      console.error('Bills error:', error);
+      bot.sendMessage(userId, `❌ ${error.message}`);
+    }
+  });
+
+  // Aging reports: open invoices (1200) or bills (2000) by days past due
+  const sendAgingReport = async (msg, args, kind) => {
+    const userId = msg.from.id;
+    const command = kind === 'receivables' ? '/ar_aging' : '/ap_aging';
+    
+    if (!AgingService || !LedgerService) {
+      bot.sendMessage(userId, '📊 Aging reports are coming soon!');
+      return;
+    }
+    
+    const wantsCsv = /(?:^|\s)csv$/i.test(args);
+    const periodText = args.replace(/(?:^|\s)csv$/i, '').trim();
+    let asOf = new Date();
+    try {
+      if (periodText) asOf = (await LedgerService.parseReportPeriod(userId, periodText)).end;
+    } catch (error) {
+      bot.sendMessage(userId, `❌ ${error.message}\nUsage: ${command} [YYYY-MM-DD | period] [csv]`);
+      return;
+    }
+    
+    bot.sendChatAction(userId, wantsCsv ? 'upload_document' : 'typing');
+    
+    try {
+      const report = await AgingService.getAgingReport(userId, kind, asOf);
+      const reconciliation = report.is_reconciled
+        ? `✅ Reconciled to ledger ${report.account_code}: RM${report.ledger_balance.toFixed(2)}`
+        : `⚠️ Ledger ${report.account_code} shows RM${report.ledger_balance.toFixed(2)}, a difference of RM${report.difference.toFixed(2)} from entries posted outside ${kind === 'receivables' ? 'invoices' : 'bills'}`;
+      
+      if (wantsCsv) {
+        await sendFile(userId, `kheAI_${kind}_aging_${report.as_of_date}.csv`, AgingService.toCSV(report),
+          `📊 ${report.title.toUpperCase()} AGING as of ${report.as_of_date} (CSV format)\n\n${reconciliation}`);
+        return;
+      }
+      
+      let message = `📊 ${report.title.toUpperCase()} AGING\nAs of: ${report.as_of_date}\n\n`;
+      
+      if (report.parties.length === 0) {
+        message += `No open ${kind === 'receivables' ? 'invoices' : 'bills'} on this date.\n\n`;
+      }
+      
+      report.parties.slice(0, 20).forEach(party => {
+        message += `${party.name}: RM${party.total.toFixed(2)}\n`;
+        message += `   ${AgingService.buckets.filter(bucket => party[bucket.key] > 0).map(bucket => `${bucket.label} RM${party[bucket.key].toFixed(2)}`).join(' • ')}\n\n`;
+      });
+      if (report.parties.length > 20) {
+        message += `... and ${report.parties.length - 20} more (full list in ${command} csv)\n\n`;
+      }
+      
+      if (report.parties.length > 0) {
+        message += `TOTALS\n`;
+        AgingService.buckets.forEach(bucket => {
+          message += `${bucket.label}: RM${report.totals[bucket.key].toFixed(2)}\n`;
+        });
+        message += `Total: RM${report.totals.total.toFixed(2)}\n\n`;
+      }
+      
+      message += `${reconciliation}\n\n📋 Download: ${command} ${periodText ? `${periodText} ` : ''}csv`;
+      
+      bot.sendMessage(userId, message);
+      
+    } catch (error) {
+      console.error('Aging report error:', error);
+      bot.sendMessage(userId, '❌ Error generating aging report. Please try again.');
+    }
+  };
+
+  bot.onText(/\/ar_aging(?:\s+(.+))?/, async (msg, match) => {
+    console.log(`📱 /ar_aging command from user ${msg.from.id}`);
+    await sendAgingReport(msg, (match[1] || '').trim(), 'receivables');
+  });
+
+  bot.onText(/\/ap_aging(?:\s+(.+))?/, async (msg, match) => {
+    console.log(`📱 /ap_aging command from user ${msg.from.id}`);
+    await sendAgingReport(msg, (match[1] || '').trim(), 'payables');
+  });
+
+  // Contact directory: customers and suppliers with totals and statements
+  bot.onText(/\/contacts(?:\s+(.+))?/, async (msg, match) => {
+    const userId = msg.from.id;
+    const args = (match[1] || '').trim();
+    console.log(`📱 /contacts command from user ${userId}`);
+    
+    if (!ContactService || !LedgerService) {
+      bot.sendMessage(userId, '👥 Contacts are coming soon!');
+      return;
+    }
+    
+    const typeLabel = { customer: '🛒 Customer', supplier: '🏭 Supplier', both: '🔁 Customer & supplier' };
+    const details = (contact) => [
+      typeLabel[contact.type],
+      contact.phone && `📞 ${contact.phone}`,
+      contact.email && `✉️ ${contact.email}`,
+      contact.tin && `🆔 TIN ${contact.tin}`,
+      contact.address && `📍 ${contact.address}`,
+      contact.aliases.length > 0 && `🔤 Also known as: ${contact.aliases.join(', ')}`
+    ].filter(Boolean).join('\n');
+    
+    try {
+      const [action] = args.split(/\s+/);
+      const rest = args.replace(/^\S+\s*/, '');
+      
+      if (/^add$/i.test(action)) {
+        const { reference: name, data } = ContactService.parseContactText(rest, { allowType: true });
+        const contact = await ContactService.createContact(userId, { ...data, name: name });
+        bot.sendMessage(userId, `✅ CONTACT ADDED\n\n👤 ${contact.name}\n${details(contact)}${contact.linked > 0 ? `\n\n🔗 Linked ${contact.linked} earlier transactions, invoices and bills` : ''}\n\nStatement: /contacts ${contact.name}`);
+        return;
+      }
+      
+      if (/^edit$/i.test(action)) {
+        const { reference, data } = ContactService.parseContactText(rest);
+        if (!reference || Object.keys(data).length === 0) {
+          bot.sendMessage(userId, '❌ Usage: /contacts edit <name> phone=... tin=... email=... address="..." alias=... type=customer|supplier|both name="New name"');
+          return;
+        }
+        const contact = await ContactService.updateContact(userId, reference, data);
+        bot.sendMessage(userId, `✅ CONTACT UPDATED\n\n👤 ${contact.name}\n${details(contact)}${contact.linked > 0 ? `\n\n🔗 Linked ${contact.linked} more records` : ''}`);
+        return;
+      }
+      
+      if (/^delete$/i.test(action)) {
+        if (!rest) {
+          bot.sendMessage(userId, '❌ Usage: /contacts delete <name>');
+          return;
+        }
+        const contact = await ContactService.deleteContact(userId, rest);
+        bot.sendMessage(userId, `🗑️ ${contact.name} removed from contacts. Their transactions, invoices and bills are kept.`);
+        return;
+      }
+      
+      if (args) {
+        const { reference, data } = ContactService.parseContactText(args, { extraFields: ['period'] });
+        const period = data.period ? await LedgerService.parseReportPeriod(userId, data.period) : null;
+        const statement = await ContactService.getStatement(userId, reference, period);
+        const { contact, totals } = statement;
+        const balanceText = (balance) => balance > 0.005
+          ? `RM${balance.toFixed(2)} owed to you`
+          : balance < -0.005 ? `RM${(-balance).toFixed(2)} owed by you` : 'RM0.00 (settled)';
+        
+        let message = `📄 STATEMENT OF ACCOUNT\n👤 ${contact.name}\n${details(contact)}\n${statement.period ? `Period: ${statement.period}\n` : ''}\n`;
+        
+        if (period) message += `Opening balance: ${balanceText(statement.opening_balance)}\n\n`;
+        
+        if (statement.lines.length === 0) {
+          message += 'No transactions, invoices or bills in this period.\n\n';
+        }
+        statement.lines.slice(-25).forEach(line => {
+          const amounts = [line.debit > 0 && `Dr RM${line.debit.toFixed(2)}`, line.credit > 0 && `Cr RM${line.credit.toFixed(2)}`].filter(Boolean).join(' ');
+          message += `${line.date} ${line.reference}\n   ${line.description} • ${amounts} • Bal ${line.balance < 0 ? '-' : ''}RM${Math.abs(line.balance).toFixed(2)}\n`;
+        });
+        if (statement.lines.length > 25) {
+          message += `(last 25 of ${statement.lines.length} lines; narrow with period=2026-Q3)\n`;
+        }
+        
+        message += `\nClosing balance: ${balanceText(statement.closing_balance)}\n\n`;
+        message += `📊 ALL-TIME TOTALS\n💰 Sales: RM${totals.sales.toFixed(2)}\n💸 Purchases: RM${totals.purchases.toFixed(2)}\n`;
+        if (totals.receivable > 0) message += `🧾 Unpaid invoices: RM${totals.receivable.toFixed(2)}\n`;
+        if (totals.payable > 0) message += `📥 Unpaid bills: RM${totals.payable.toFixed(2)}\n`;
+        
+        bot.sendMessage(userId, message);
+        return;
+      }
+      
+      const contacts = await ContactService.getDirectory(userId);
+      
+      if (contacts.length === 0) {
+        bot.sendMessage(userId, `👥 No contacts yet.\n\nAdd one:\n/contacts add customer Ah Chong phone=0123456789 alias="Chong"\n\nCustomers on invoices and suppliers on bills are added automatically.`);
+        return;
+      }
+      
+      let message = `👥 CONTACTS (${contacts.length})\n\n`;
+      contacts.slice(0, 30).forEach(contact => {
+        const { totals } = contact;
+        message += `${contact.name} • ${typeLabel[contact.type]}\n`;
+        message += `   Sales RM${totals.sales.toFixed(2)} • Purchases RM${totals.purchases.toFixed(2)}`;
+        if (totals.receivable > 0) message += ` • Owes you RM${totals.receivable.toFixed(2)}`;
+        if (totals.payable > 0) message += ` • You owe RM${totals.payable.toFixed(2)}`;
+        message += '\n\n';
+      });
+      if (contacts.length > 30) {
+        message += `... and ${contacts.length - 30} more\n\n`;
+      }
+      
+      message += `Commands: /contacts <name> [period=2026-Q3] | /contacts add customer|supplier Name phone=... | /contacts edit Name alias=... | /contacts delete Name`;
+      
+      bot.sendMessage(userId, message);
+      
+    } catch (error) {
+      console.error('Contacts error:', error);
+      bot.sendMessage(userId, `❌ ${error.message}`);
+    }
+  });
+
+  // Stock on hand per SKU, costed at weighted average or FIFO into 1300 Inventory
+  bot.onText(/\/stock(?:\s+(.+))?/, async (msg, match) => {
+    const userId = msg.from.id;
+    const args = (match[1] || '').trim();
+    console.log(`📱 /stock command from user ${userId}`);
+    
+    if (!InventoryService || !LedgerService) {
+      bot.sendMessage(userId, '📦 Inventory tracking is coming soon!');
+      return;
+    }
+    
+    const quantity = (item, amount = item.quantity) => `${amount} ${item.unit}`;
+    const position = (item) => `On hand: ${quantity(item)} • RM${item.value.toFixed(2)}${item.quantity > 0 ? ` (avg RM${InventoryService.getAverageCost(item).toFixed(2)}/${item.unit})` : ''}${InventoryService.isLowStock(item) ? `\n⚠️ Low stock: reorder level is ${quantity(item, item.reorder_level)}` : ''}`;
+    
+    try {
+      const [action, ...rest] = args.split(/\s+/);
+      
+      if (/^add$/i.test(action)) {
+        const { reference, data } = InventoryService.parseItemText(args.replace(/^add\s*/i, ''));
+        const [sku, ...name] = reference.split(' ');
+        if (!sku || name.length === 0) {
+          bot.sendMessage(userId, '❌ Usage: /stock add SKU Item name [unit=bag] [reorder=10] [qty=40 cost=14.50]\nqty and cost bring in stock you already have.');
+          return;
+        }
+        const item = await InventoryService.createItem(userId, { ...data, sku: sku, name: name.join(' ') });
+        bot.sendMessage(userId, `✅ STOCK ITEM ADDED\n\n📦 ${item.sku} • ${item.name}\n${position(item)}${item.quantity > 0 ? `\n\n📚 Opening stock posted: Dr 1300 Inventory / Cr 3000 Owner's Equity` : ''}\n\nBuy: /stock buy ${item.sku} 10 150 | Sell: /stock sell ${item.sku} 2 40`);
+        return;
+      }
+      
+      if (/^edit$/i.test(action)) {
+        const { reference: sku, data } = InventoryService.parseItemText(rest.join(' '));
+        if (!sku || Object.keys(data).length === 0) {
+          bot.sendMessage(userId, '❌ Usage: /stock edit SKU [name="New name"] [unit=bag] [reorder=10]');
+          return;
+        }
+        const item = await InventoryService.updateItem(userId, sku, data);
+        bot.sendMessage(userId, `✅ ${item.sku} updated\n\n📦 ${item.name}\n${position(item)}`);
+        return;
+      }
+      
+      if (/^(?:buy|sell)$/i.test(action)) {
+        const isSale = /^sell$/i.test(action);
+        const [sku, quantityText, amountText, date] = rest;
+        const count = parseFloat(quantityText);
+        const price = parseFloat(String(amountText || '').replace(/^@/, ''));
+        if (!sku || !(count > 0) || !(price > 0)) {
+          bot.sendMessage(userId, `❌ Usage: /stock ${isSale ? 'sell' : 'buy'} SKU quantity total [YYYY-MM-DD]\nGive a price per unit as @price, e.g. /stock ${isSale ? 'sell' : 'buy'} BERAS5 10 @15`);
+          return;
+        }
+        
+        const item = await InventoryService.getItem(userId, sku);
+        const amount = amountText.startsWith('@') ? Math.round(count * price * 100) / 100 : price;
+        const transaction = await RedisService.createTransaction(userId, {
+          amount: amount,
+          type: isSale ? 'income' : 'expense',
+          category: isSale ? 'revenue' : 'inventory',
+          description: `${isSale ? 'Sales of' : 'Purchase'} ${quantity(item, count)} ${item.name}`,
+          date: date ? new Date(date).toISOString() : undefined,
+          stock_items: [{ sku: item.sku, quantity: count }],
+          idempotency_key: `tg:${msg.chat.id}:${msg.message_id}`
+        });
+        
+        let journalRef;
+        try {
+          journalRef = (await LedgerService.convertTransactionToJournalEntry(userId, transaction)).reference;
+        } catch (error) {
+          console.error('Stock journal entry error:', error);
+          bot.sendMessage(userId, `⚠️ Transaction recorded but the stock was not moved: ${error.message}`);
+          return;
+        }
+        
+        const updated = await InventoryService.getItem(userId, item.sku);
+        bot.sendMessage(userId, `✅ STOCK ${isSale ? 'SOLD' : 'BOUGHT'}\n\n📦 ${updated.sku} • ${updated.name}\n${isSale ? '-' : '+'}${quantity(updated, count)} for RM${transaction.amount_myr.toFixed(2)}\n${position(updated)}\n\n📚 Journal Entry: ${journalRef}\n${isSale ? 'Dr Cash / Cr Sales, and the cost of the stock Dr 5000 / Cr 1300' : 'Dr 1300 Inventory / Cr Cash'}`);
+        return;
+      }
+      
+      if (/^adjust$/i.test(action)) {
+        const [sku, counted, ...more] = rest;
+        const unitCost = more[0] && more[0].startsWith('@') ? more.shift().slice(1) : null;
+        if (!sku || counted === undefined) {
+          bot.sendMessage(userId, '❌ Usage: /stock adjust SKU counted|+found|-missing [@cost] [reason]\ne.g. /stock adjust BERAS5 38 Stock take, /stock adjust MILO -2 Damaged');
+          return;
+        }
+        const { item, change, value, journal_entry: journalEntry } = await InventoryService.adjustStock(userId, sku, {
+          quantity: counted,
+          unit_cost: unitCost,
+          reason: more.join(' ') || null,
+          idempotency_key: `tg:${msg.chat.id}:${msg.message_id}`
+        });
+        bot.sendMessage(userId, `✅ STOCK ADJUSTED\n\n📦 ${item.sku} • ${item.name}\n${change > 0 ? '+' : ''}${quantity(item, change)} at cost RM${value.toFixed(2)}\n${position(item)}\n\n📚 Journal Entry: ${journalEntry.reference} (${change > 0 ? 'Dr 1300 / Cr 5000' : 'Dr 5000 / Cr 1300'})`);
+        return;
+      }
+      
+      if (/^method$/i.test(action)) {
+        if (!rest[0]) {
+          const method = await InventoryService.getCostingMethod(userId);
+          bot.sendMessage(userId, `⚖️ Stock is costed at ${InventoryService.costingMethods[method]}.\n\nChange with /stock method fifo|average`);
+          return;
+        }
+        const method = await InventoryService.setCostingMethod(userId, rest[0]);
+        bot.sendMessage(userId, `⚖️ Sales are now costed at ${InventoryService.costingMethods[method]}. Stock on hand keeps the cost it was bought at.`);
+        return;
+      }
+      
+      if (action) {
+        const item = await InventoryService.getItem(userId, action);
+        const movements = await InventoryService.getMovements(userId, item.sku);
+        let message = `📦 ${item.sku} • ${item.name}\n${position(item)}\n`;
+        if (item.reorder_level !== null && !InventoryService.isLowStock(item)) {
+          message += `Reorder level: ${quantity(item, item.reorder_level)}\n`;
+        }
+        if (movements.length > 0) {
+          message += `\n🔄 RECENT MOVEMENTS\n`;
+          movements.forEach(movement => {
+            message += `• ${LedgerService.formatLocalDate(new Date(movement.date))} ${movement.type === 'in' ? '+' : '-'}${movement.quantity} @ RM${movement.unit_cost.toFixed(2)} ${movement.reference || ''} → ${movement.quantity_after}\n`;
+          });
+        }
+        bot.sendMessage(userId, message);
+        return;
+      }
+      
+      const report = await InventoryService.getStockReport(userId);
+      
+      if (report.items.length === 0) {
+        bot.sendMessage(userId, `📦 No stock items yet.\n\nAdd one:\n/stock add BERAS5 Beras Cap Rambutan 5kg unit=bag reorder=10 qty=40 cost=14.50\n\nThen "Beli 10 beras RM150" or bill lines naming the item move it into 1300 Inventory, and sales cost it out to 5000.`);
+        return;
+      }
+      
+      let message = `📦 STOCK ON HAND (${report.items.length})\nCosting: ${InventoryService.costingMethods[report.method]}\n\n`;
+      report.items.slice(0, 30).forEach(item => {
+        message += `${item.is_low ? '⚠️ ' : ''}${item.sku} • ${item.name}\n`;
+        message += `   ${quantity(item)} • RM${item.value.toFixed(2)}${item.quantity > 0 ? ` @ RM${item.average_cost.toFixed(2)}` : ''}${item.reorder_level !== null ? ` • reorder at ${item.reorder_level}` : ''}\n\n`;
+      });
+      if (report.items.length > 30) {
+        message += `... and ${report.items.length - 30} more\n\n`;
+      }
+      
+      message += `💰 Total stock value: RM${report.total_value.toFixed(2)}\n`;
+      message += report.is_reconciled
+        ? `✅ Reconciled to ledger 1300: RM${report.ledger_balance.toFixed(2)}\n`
+        : `⚠️ Ledger 1300 shows RM${report.ledger_balance.toFixed(2)}, a difference of RM${report.difference.toFixed(2)} from entries posted outside /stock\n`;
+      if (report.low_stock.length > 0) {
+        message += `\n⚠️ LOW STOCK (${report.low_stock.length}): ${report.low_stock.map(item => `${item.sku} (${quantity(item)} left)`).join(', ')}\n`;
+      }
+      
+      message += `\nCommands: /stock SKU | /stock add SKU Name reorder=10 | /stock buy SKU qty total | /stock sell SKU qty total | /stock adjust SKU counted | /stock method fifo|average`;
+      
+      bot.sendMessage(userId, message);
+      
+    } catch (error) {
+      console.error('Stock error:', error);
+      bot.sendMessage(userId, `❌ ${error.message}`);
+    }
+  });
+
+  // Payroll commands
+  bot.onText(/\/employees(?:\s+(.+))?/, async (msg, match) => {
+    const userId = msg.from.id;
+    const args = (match[1] || '').trim();
+    console.log(`📱 /employees command from user ${userId}`);
+    
+    if (!PayrollService) {
+      bot.sendMessage(userId, '👥 Payroll is coming soon!');
+      return;
+    }
+    
+    const details = (employee) => {
+      let text = `👤 ${employee.name}${employee.status !== 'active' ? ` (left ${employee.end_date})` : ''}\n`;
+      text += `Salary: RM${employee.salary.toFixed(2)}${employee.allowance > 0 ? ` + RM${employee.allowance.toFixed(2)} allowance` : ''}\n`;
+      text += `${PayrollService.residencies[employee.residency]} • ${employee.marital}${employee.marital === 'married' ? ` (spouse ${employee.spouse_working ? 'working' : 'not working'})` : ''} • ${employee.children} child${employee.children === 1 ? '' : 'ren'} • PCB category ${PayrollService.getTaxCategory(employee)}\n`;
+      text += `IC: ${employee.ic || '-'}${employee.birth_date ? ` • born ${employee.birth_date}` : ''} • started ${employee.start_date}\n`;
+      text += `EPF: ${employee.epf_no || '-'} • SOCSO: ${employee.socso_no || '-'} • Tax: ${employee.tin || '-'}\n`;
+      return text;
+    };
+    
+    try {
+      const [action, ...rest] = args.split(/\s+/);
+      
+      if (/^add$/i.test(action)) {
+        const { reference: name, data } = PayrollService.parseEmployeeText(rest.join(' '));
+        if (!name || !data.salary) {
+          bot.sendMessage(userId, '❌ Usage: /employees add Name salary=2500 [ic=900101-14-5678] [residency=malaysian|pr|foreign] [marital=married spouse_working=no children=2] [allowance=200] [epf=...] [socso=...] [tin=...] [start=YYYY-MM-DD]');
+          return;
+        }
+        const employee = await PayrollService.createEmployee(userId, { ...data, name: name });
+        bot.sendMessage(userId, `✅ EMPLOYEE ADDED\n\n${details(employee)}${employee.birth_date ? '' : '\n⚠️ Add ic= so EPF, SOCSO and EIS follow their age rules'}\n\nRun the month's payroll with /payroll run`);
+        return;
+      }
+      
+      if (/^edit$/i.test(action)) {
+        const { reference, data } = PayrollService.parseEmployeeText(rest.join(' '));
+        if (!reference || Object.keys(data).length === 0) {
+          bot.sendMessage(userId, '❌ Usage: /employees edit Name field=value ... e.g. /employees edit Siti salary=2800 children=3');
+          return;
+        }
+        const employee = await PayrollService.updateEmployee(userId, reference, data);
+        bot.sendMessage(userId, `✅ ${employee.name} updated\n\n${details(employee)}`);
+        return;
+      }
+      
+      if (/^(?:leave|remove)$/i.test(action)) {
+        const date = rest.length > 1 && /^\d{4}-\d{2}-\d{2}$/.test(rest[rest.length - 1]) ? rest.pop() : null;
+        if (rest.length === 0) {
+          bot.sendMessage(userId, '❌ Usage: /employees leave Name [last day YYYY-MM-DD]');
+          return;
+        }
+        const employee = await PayrollService.terminateEmployee(userId, rest.join(' '), date);
+        bot.sendMessage(userId, `✅ ${employee.name} left on ${employee.end_date}. They are paid in runs up to that month and kept for their payslips.`);
+        return;
       }
       
-    } catch (error) {
-      console.error('Search error:', error);
-      bot.sendMessage(userId, '❌ Search failed. Please try again.');
-    }
-  });
-
-  // Delete command
-  bot.onText(/\/delete/, async (msg) => {
-    const userId = msg.from.id;
-    console.log(`📱 /delete command from user ${userId}`);
-    
-    try {
-      const transactions = await RedisService.findAllUserTransactions(userId);
-      
-      if (transactions.length === 0) {
-        bot.sendMessage(userId, '🗑️ No transactions to delete.');
+      if (action) {
+        const employee = await PayrollService.getEmployee(userId, args);
+        bot.sendMessage(userId, details(employee));
         return;
       }
       
-      let message = `🗑️ RECENT TRANSACTIONS\n\nReply with the number to delete:\n\n`;
+      const employees = await PayrollService.getEmployees(userId);
       
-      transactions.slice(0, 10).forEach((txn, index) => {
-        const emoji = txn.type === 'income' ? '💰' : '💸';
-        const date = new Date(txn.date).toLocaleDateString();
-        const isRecurring = txn.description.includes('(Auto)') ? '🔄' : '';
-        message += `${index + 1}. ${emoji}${isRecurring} ${txn.description} - RM${txn.amount_myr} (${date})\n`;
-      });
+      if (employees.length === 0) {
+        bot.sendMessage(userId, `👥 No employees yet.\n\nAdd one:\n/employees add Siti Aminah salary=2500 ic=900101-14-5678 marital=married children=2\n\nThen /payroll run works out EPF, SOCSO, EIS and PCB and posts the month's payroll.`);
+        return;
+      }
       
-      message += `\nType the number (1-${Math.min(10, transactions.length)}) to delete:`;
+      let message = `👥 EMPLOYEES (${employees.length})\n\n`;
+      employees.forEach(employee => {
+        message += `• ${employee.name}: RM${employee.salary.toFixed(2)}${employee.allowance > 0 ? ` + RM${employee.allowance.toFixed(2)}` : ''} • ${PayrollService.residencies[employee.residency]} • PCB cat. ${PayrollService.getTaxCategory(employee)}\n`;
+      });
+      const total = employees.reduce((sum, employee) => sum + employee.salary + (employee.allowance || 0), 0);
+      message += `\n💰 Monthly salaries: RM${total.toFixed(2)}\n`;
+      message += `\nCommands: /employees Name | /employees add Name salary=2500 ic=... | /employees edit Name salary=2800 | /employees leave Name [date]`;
       
       bot.sendMessage(userId, message);
       
-      await RedisService.setUserState(userId, 'awaiting_delete_number', transactions.slice(0, 10));
-      
     } catch (error) {
-      console.error('Delete command error:', error);
-      bot.sendMessage(userId, '❌ Unable to show transactions.');
+      console.error('Employees error:', error);
+      bot.sendMessage(userId, `❌ ${error.message}`);
     }
   });
 
-  // Export command
-  bot.onText(/\/export/, async (msg) => {
+  bot.onText(/\/payroll(?:\s+(.+))?/, async (msg, match) => {
     const userId = msg.from.id;
-    console.log(`📱 /export command from user ${userId}`);
+    const args = (match[1] || '').trim();
+    console.log(`📱 /payroll command from user ${userId}`);
     
-    bot.sendChatAction(userId, 'upload_document');
+    if (!PayrollService || !LedgerService) {
+      bot.sendMessage(userId, '👥 Payroll is coming soon!');
+      return;
+    }
+    
+    const currentPeriod = () => LedgerService.formatLocalDate(new Date()).slice(0, 7);
+    const summary = (run) => {
+      let text = '';
+      run.payslips.forEach(payslip => {
+        text += `👤 ${payslip.name}\n`;
+        text += `   Gross RM${payslip.gross.toFixed(2)} • EPF ${payslip.epf_employee.toFixed(2)} • SOCSO ${payslip.socso_employee.toFixed(2)} • EIS ${payslip.eis_employee.toFixed(2)} • PCB ${payslip.pcb.toFixed(2)}\n`;
+        text += `   Net pay RM${payslip.net_pay.toFixed(2)} • employer adds RM${payslip.employer_contributions.toFixed(2)}\n`;
+      });
+      const amounts = PayrollService.getStatutoryAmounts(run.totals);
+      text += `\n💰 Gross: RM${run.totals.gross.toFixed(2)}\n`;
+      text += `💵 Net pay: RM${run.totals.net_pay.toFixed(2)}\n`;
+      text += `🏛️ EPF RM${amounts.epf.toFixed(2)} • SOCSO RM${amounts.socso.toFixed(2)} • EIS RM${amounts.eis.toFixed(2)} • PCB RM${amounts.pcb.toFixed(2)}\n`;
+      text += `📊 Cost to the business: RM${run.totals.employer_cost.toFixed(2)}\n`;
+      return text;
+    };
+    const sendPayslips = async (run, employee = null) => {
+      const employer = EInvoiceService ? await EInvoiceService.getProfile(userId) : {};
+      const payslips = employee
+        ? run.payslips.filter(payslip => payslip.employee_id === employee.id)
+        : run.payslips;
+      if (payslips.length === 0) throw new Error(`${employee.name} is not in payroll ${run.period}`);
+      
+      for (const payslip of payslips) {
+        await sendFile(userId, `payslip_${run.period}_${payslip.name.replace(/[^\w]+/g, '_')}.html`, PayrollService.toPayslipHTML(run, payslip, employer),
+          `🧾 Payslip ${run.period} • ${payslip.name} • Net RM${payslip.net_pay.toFixed(2)}`);
+      }
+    };
     
     try {
-      const csv = await RedisService.exportTransactions(userId, 'csv');
+      const [action, ...rest] = args.split(/[\s;]+/);
       
-      if (csv && csv.length > 0) {
-        const fs = require('fs');
-        const path = require('path');
-        const os = require('os');
-        
-        const filename = `kheAI_accounting_${userId}_${Date.now()}.csv`;
-        const tempFilePath = path.join(os.tmpdir(), filename);
+      if (/^(?:run|preview)$/i.test(action)) {
+        const { period, adjustments } = PayrollService.parseRunText(args.replace(/^\w+\s*/, ''));
         
-        fs.writeFileSync(tempFilePath, csv);
+        if (/^preview$/i.test(action)) {
+          const preview = await PayrollService.previewRun(userId, period || currentPeriod(), adjustments);
+          bot.sendMessage(userId, `🔍 PAYROLL PREVIEW ${preview.period}\n\n${summary(preview)}\nNothing posted yet. Post it with /payroll run ${args.replace(/^\w+\s*/, '') || preview.period}`);
+          return;
+        }
         
-        await bot.sendDocument(userId, tempFilePath, {
-          caption: '📋 Your complete accounting records (CSV format)\n\nIncludes transactions and journal entries.'
+        const run = await PayrollService.runPayroll(userId, period || currentPeriod(), adjustments, {
+          idempotency_key: `tg:${msg.chat.id}:${msg.message_id}`
         });
-        
-        fs.unlinkSync(tempFilePath);
-        
-      } else {
-        bot.sendMessage(userId, '❌ No transactions to export.');
+        const accounts = await PayrollService.getAccounts(userId);
+        await bot.sendMessage(userId, `✅ PAYROLL ${run.period} POSTED\n\n${summary(run)}\n📚 Journal Entry: ${run.reference}\nDr ${accounts.salaries} Salaries & Wages, ${accounts.employer_contributions} Employer Contributions / Cr ${accounts.salaries_payable} Salaries Payable, ${[accounts.epf, accounts.socso, accounts.eis, accounts.pcb].join(', ')} EPF, SOCSO, EIS, PCB Payable\n\nPay staff: /payroll pay ${run.period} | Pay statutory bodies: /payroll remit ${run.period}`);
+        await sendPayslips(run);
+        return;
+      }
+      
+      if (/^payslips?$/i.test(action)) {
+        const run = await PayrollService.getRun(userId, rest[0] || currentPeriod());
+        const employee = rest.length > 1 ? await PayrollService.getEmployee(userId, rest.slice(1).join(' ')) : null;
+        await sendPayslips(run, employee);
+        return;
+      }
+      
+      if (/^pay$/i.test(action)) {
+        const run = await PayrollService.paySalaries(userId, rest[0] || currentPeriod(), {
+          date: rest[1],
+          idempotency_key: `tg:${msg.chat.id}:${msg.message_id}`
+        });
+        const accounts = await PayrollService.getAccounts(userId);
+        bot.sendMessage(userId, `✅ SALARIES PAID ${run.period}\n\n💵 RM${run.totals.net_pay.toFixed(2)} to ${run.payslips.length} employee${run.payslips.length === 1 ? '' : 's'}\n📚 Journal Entry: ${run.reference}-NET (Dr ${accounts.salaries_payable} Salaries Payable / Cr 1100 Bank)`);
+        return;
+      }
+      
+      if (/^remit$/i.test(action)) {
+        const period = rest[0] || currentPeriod();
+        const date = rest.find(part => /^\d{4}-\d{2}-\d{2}$/.test(part));
+        const bodies = rest.slice(1).filter(part => part !== date);
+        const { run, remitted } = await PayrollService.remitStatutory(userId, period, bodies, {
+          date: date,
+          idempotency_key: `tg:${msg.chat.id}:${msg.message_id}`
+        });
+        let message = `✅ STATUTORY PAYMENTS ${run.period}\n\n`;
+        remitted.forEach(body => {
+          message += `• ${PayrollService.statutoryBodies[body]}: RM${run.remittances[body].amount.toFixed(2)} (${run.reference}-${body.toUpperCase()})\n`;
+        });
+        const outstanding = Object.keys(PayrollService.statutoryBodies)
+          .filter(body => !run.remittances[body] && PayrollService.getStatutoryAmounts(run.totals)[body] > 0);
+        message += outstanding.length > 0
+          ? `\n⏳ Still to pay: ${outstanding.map(body => body.toUpperCase()).join(', ')}`
+          : `\n✅ All statutory bodies paid for ${run.period}`;
+        bot.sendMessage(userId, message);
+        return;
       }
+      
+      if (/^void$/i.test(action)) {
+        if (!rest[0]) {
+          bot.sendMessage(userId, '❌ Usage: /payroll void YYYY-MM [reason]');
+          return;
+        }
+        const run = await PayrollService.voidRun(userId, rest[0], rest.slice(1).join(' ') || null);
+        bot.sendMessage(userId, `✅ Payroll ${run.period} voided and its journal ${run.reference} reversed.\n\nRun it again with /payroll run ${run.period}`);
+        return;
+      }
+      
+      if (action) {
+        const run = await PayrollService.getRun(userId, action);
+        const paid = Object.entries(run.remittances).map(([body, remittance]) => `${body.toUpperCase()} ${LedgerService.formatLocalDate(new Date(remittance.date))}`);
+        bot.sendMessage(userId, `👥 PAYROLL ${run.period} (${run.reference})${run.status === 'void' ? ' • VOID' : ''}\n\n${summary(run)}\n💵 Salaries: ${run.paid_at ? `paid ${LedgerService.formatLocalDate(new Date(run.paid_at))}` : 'not paid yet'}\n🏛️ Statutory: ${paid.length > 0 ? paid.join(', ') : 'not paid yet'}\n\nPayslips: /payroll payslips ${run.period}`);
+        return;
+      }
+      
+      const runs = await PayrollService.getRuns(userId);
+      
+      if (runs.length === 0) {
+        bot.sendMessage(userId, `👥 No payroll runs yet.\n\n1. Add staff: /employees add Siti salary=2500 ic=900101-14-5678\n2. Check the numbers: /payroll preview ${currentPeriod()}\n3. Post it: /payroll run ${currentPeriod()}; Siti overtime=150\n\nEach run posts salaries, EPF, SOCSO, EIS and PCB and sends payslips.`);
+        return;
+      }
+      
+      let message = `👥 PAYROLL RUNS\n\n`;
+      runs.slice(0, 12).forEach(run => {
+        const outstanding = Object.keys(PayrollService.statutoryBodies)
+          .filter(body => !run.remittances[body] && PayrollService.getStatutoryAmounts(run.totals)[body] > 0);
+        const status = run.status === 'void'
+          ? 'void'
+          : `${run.paid_at ? 'salaries paid' : 'salaries unpaid'}${outstanding.length > 0 ? `, ${outstanding.map(body => body.toUpperCase()).join('/')} due` : ', statutory paid'}`;
+        message += `• ${run.period}: ${run.payslips.length} staff • net RM${run.totals.net_pay.toFixed(2)} • ${status}\n`;
+      });
+      
+      message += `\nCommands: /payroll YYYY-MM | /payroll preview|run YYYY-MM; Name bonus=500 overtime=120 | /payroll payslips YYYY-MM [Name] | /payroll pay YYYY-MM | /payroll remit YYYY-MM [epf socso eis pcb] | /payroll void YYYY-MM`;
+      
+      bot.sendMessage(userId, message);
+      
     } catch (error) {
-      console.error('Export error:', error);
-      bot.sendMessage(userId, '❌ Export failed. Please try again.');
+      console.error('Payroll error:', error);
+      bot.sendMessage(userId, `❌ ${error.message}`);
     }
   });
 
@@ -999,7 +2834,12 @@ What would you like to search for?`);
         const categoryEmoji = asset.category === 'current' ? '💧' : 
                              asset.category === 'fixed' ? '🏔️' : '📈';
         message += `${index + 1}. ${categoryEmoji} ${asset.name}\n`;
-        message += `   RM${asset.current_value_myr.toFixed(2)} • ${asset.type}\n\n`;
+        message += `   RM${asset.current_value_myr.toFixed(2)} • ${asset.type}\n`;
+        if (asset.depreciation) {
+          message += `   Cost RM${asset.purchase_price_myr.toFixed(2)} • Acc. dep. RM${asset.depreciation.accumulated_myr.toFixed(2)}\n`;
+          message += `   📉 NBV RM${AssetService.getNetBookValue(asset).toFixed(2)}\n`;
+        }
+        message += `\n`;
       });
       
       const totalValue = assets.reduce((sum, asset) => sum + asset.current_value_myr, 0);
@@ -1027,12 +2867,71 @@ EXAMPLES:
 • "Add Bitcoin RM2000"
 • "Add property RM500000"
 • "Add stocks RM15000"
+• "Add equipment laptop RM6000 3 years"
 
 What asset would you like to add?`);
     
     await RedisService.setUserState(userId, 'awaiting_asset_input', 'general');
   });
 
+  bot.onText(/\/assets_depreciation(?:\s+(.+))?/, async (msg, match) => {
+    const userId = msg.from.id;
+    const args = match && match[1] ? match[1].trim() : '';
+    console.log(`📱 /assets_depreciation command from user ${userId}, args: ${args}`);
+    
+    if (!AssetService) {
+      bot.sendMessage(userId, '💎 Asset management feature is coming soon!');
+      return;
+    }
+    
+    try {
+      const assets = (await AssetService.getUserAssets(userId)).filter(asset => asset.depreciation);
+      
+      if (assets.length === 0) {
+        bot.sendMessage(userId, '📉 No depreciating assets.\n\nAdd one by typing: "Add equipment laptop RM6000 3 years"');
+        return;
+      }
+      
+      if (args) {
+        // e.g. "2 3 600 rb" → asset #2, 3 years, RM600 residual, reducing balance
+        const [number, years, residual, method] = args.split(/\s+/);
+        const asset = assets[parseInt(number) - 1];
+        
+        if (!asset || !years) {
+          bot.sendMessage(userId, `❌ Usage: /assets_depreciation [number] [years] [residual] [sl|rb]\n\nExample: /assets_depreciation 1 3 600 sl`);
+          return;
+        }
+        
+        const updated = await AssetService.setDepreciationSchedule(userId, asset.id, {
+          useful_life_years: years,
+          residual_value: residual,
+          depreciation_method: method && method.toLowerCase() === 'rb' ? 'reducing_balance' : 'straight_line'
+        });
+        
+        bot.sendMessage(userId, `✅ SCHEDULE UPDATED\n\n💎 ${updated.name}${responses.depreciationSchedule(updated)}\n\nAlready-posted months are not changed.`);
+        return;
+      }
+      
+      let message = `📉 DEPRECIATION SCHEDULES\n\n`;
+      
+      assets.forEach((asset, index) => {
+        const schedule = asset.depreciation;
+        message += `${index + 1}. ${asset.name}\n`;
+        message += `   ${schedule.method === 'reducing_balance' ? 'Reducing balance' : 'Straight-line'} • ${(schedule.useful_life_months / 12).toFixed(1)} yrs • Residual RM${schedule.residual_value_myr.toFixed(2)}\n`;
+        message += `   Cost RM${asset.purchase_price_myr.toFixed(2)} • Acc. dep. RM${schedule.accumulated_myr.toFixed(2)} • NBV RM${AssetService.getNetBookValue(asset).toFixed(2)}\n`;
+        message += `   Next month: RM${AssetService.calculateMonthlyDepreciation(asset).toFixed(2)}${schedule.last_posted_period ? ` • Posted to ${schedule.last_posted_period}` : ''}\n\n`;
+      });
+      
+      message += `Change a schedule:\n/assets_depreciation [number] [years] [residual] [sl|rb]`;
+      
+      bot.sendMessage(userId, message);
+      
+    } catch (error) {
+      console.error('Asset depreciation error:', error);
+      bot.sendMessage(userId, `❌ ${error.message}`);
+    }
+  });
+
   bot.onText(/\/assets_delete/, async (msg) => {
     const userId = msg.from.id;
     console.log(`📱 /assets_delete command from user ${userId}`);
@@ -1301,6 +3200,138 @@ Try /insights now!`);
     }
   });
 
+  // Regenerate the general ledger from the journal
+  bot.onText(/\/rebuild_ledger/, async (msg) => {
+    const userId = msg.from.id;
+    console.log(`📱 /rebuild_ledger command from user ${userId}`);
+    
+    if (!LedgerService) {
+      bot.sendMessage(userId, '📚 Accounting features are coming soon!');
+      return;
+    }
+    
+    bot.sendChatAction(userId, 'typing');
+    
+    try {
+      bot.sendMessage(userId, '🔄 Rebuilding ledger from journal entries...');
+      
+      const result = await LedgerService.rebuildLedger(userId);
+      
+      let message = `✅ LEDGER REBUILT
+
+📚 Journal entries replayed: ${result.journals_replayed}
+🗂️ Ledger records replaced: ${result.ledger_keys_removed}\n`;
+      
+      if (result.unlinked_journals > 0) {
+        message += `🧹 Stale entries removed from your journal list: ${result.unlinked_journals}\n`;
+      }
+      
+      if (result.changed_accounts.length === 0) {
+        message += `\n✅ Every account already matched the journal - nothing changed.\n`;
+      } else {
+        message += `\n🔧 CORRECTED BALANCES (before → after)\n`;
+        result.changed_accounts.slice(0, 20).forEach(account => {
+          const sign = account.difference > 0 ? '+' : '';
+          message += `${account.account_code} ${account.account_name}: RM${account.before.toFixed(2)} → RM${account.after.toFixed(2)} (${sign}${account.difference.toFixed(2)})\n`;
+        });
+        if (result.changed_accounts.length > 20) {
+          message += `...and ${result.changed_accounts.length - 20} more accounts\n`;
+        }
+      }
+      
+      message += `\nTrial balance: ${result.is_balanced ? '✅ Balanced' : '❌ Not balanced'}
+Commands: /trial_balance | /balance_sheet | /debug_balance`;
+      
+      bot.sendMessage(userId, message);
+      
+    } catch (error) {
+      console.error('Rebuild ledger error:', error);
+      bot.sendMessage(userId, `❌ Ledger rebuild failed: ${error.message}`);
+    }
+  });
+
+  // Full books audit: journals, ledger and transactions, with automatic fixes
+  bot.onText(/\/audit_books(?:\s+(.+))?/, async (msg, match) => {
+    const userId = msg.from.id;
+    const args = match && match[1] ? match[1].trim().toLowerCase() : '';
+    console.log(`📱 /audit_books command from user ${userId}, args: ${args}`);
+    
+    if (!LedgerService) {
+      bot.sendMessage(userId, '📚 Accounting features are coming soon!');
+      return;
+    }
+    
+    if (args && args !== 'fix') {
+      bot.sendMessage(userId, '❌ Usage: /audit_books [fix]');
+      return;
+    }
+    
+    bot.sendChatAction(userId, 'typing');
+    
+    const severityIcon = { high: '🔴', medium: '🟡', low: '⚪' };
+    const describeIssues = (issues) => issues.map(issue => {
+      let line = `${severityIcon[issue.severity] || '⚪'} ${issue.description}\n`;
+      if (issue.type === 'ledger_mismatch') {
+        issue.data.slice(0, 5).forEach(mismatch => {
+          line += `   ${mismatch.account_code} ${mismatch.period}: ledger RM${mismatch.actual.toFixed(2)}, journals RM${mismatch.expected.toFixed(2)}\n`;
+        });
+      }
+      return line;
+    }).join('');
+    
+    try {
+      if (args === 'fix') {
+        bot.sendMessage(userId, '🔧 Repairing books...');
+        
+        const result = await RedisService.repairDataIntegrity(userId);
+        
+        let message = `🔧 BOOKS REPAIRED\n\n`;
+        if (result.fixes.length === 0) {
+          message += `Nothing to fix automatically.\n`;
+        } else {
+          result.fixes.forEach(fix => {
+            message += `✅ ${fix}\n`;
+          });
+        }
+        
+        if (result.after.issues_found === 0) {
+          message += `\n✅ All checks pass - journals, ledger and transactions agree.`;
+        } else {
+          message += `\n⚠️ STILL NEEDS ATTENTION\n${describeIssues(result.after.issues)}`;
+          message += `\n💡 ${result.after.recommendations.join('\n💡 ')}`;
+        }
+        
+        bot.sendMessage(userId, message);
+        return;
+      }
+      
+      const report = await RedisService.performDataIntegrityCheck(userId);
+      
+      if (report.issues_found < 0) {
+        throw new Error(report.error);
+      }
+      
+      let message = `🔍 BOOKS AUDIT\n\n`;
+      message += `📝 Transactions checked: ${report.transactions_checked}\n`;
+      message += `📚 Journal entries checked: ${report.journals_checked}\n`;
+      message += `🗂️ Ledger records checked: ${report.ledger_records_checked}\n\n`;
+      
+      if (report.issues_found === 0) {
+        message += `✅ No issues found - journals, ledger and transactions agree.`;
+      } else {
+        message += `⚠️ ${report.issues_found} ISSUE${report.issues_found === 1 ? '' : 'S'} FOUND\n${describeIssues(report.issues)}\n`;
+        message += `💡 RECOMMENDATIONS\n• ${report.recommendations.join('\n• ')}\n\n`;
+        message += `Run /audit_books fix to apply the automatic fixes.`;
+      }
+      
+      bot.sendMessage(userId, message);
+      
+    } catch (error) {
+      console.error('Audit books error:', error);
+      bot.sendMessage(userId, `❌ Audit failed: ${error.message}`);
+    }
+  });
+
   // Debug command
   bot.onText(/\/debug/, async (msg) => {
     const userId = msg.from.id;
@@ -1462,7 +3493,7 @@ Use /recurring_list to manage recurring transactions.`);
       }
       
       // Check for asset patterns
-      const assetKeywords = ['add cash', 'add bitcoin', 'add property', 'add stock'];
+      const assetKeywords = ['add cash', 'add bitcoin', 'add property', 'add stock', 'add equipment'];
       const isAssetPattern = assetKeywords.some(keyword => 
         message.toLowerCase().includes(keyword)
       );
@@ -1478,13 +3509,15 @@ Use /recurring_list to manage recurring transactions.`);
 
 💎 ${asset.name}
 💵 RM${asset.current_value_myr}
-📂 ${asset.type} • ${asset.category}
+📂 ${asset.type} • ${asset.category}${responses.depreciationSchedule(asset)}
 
 Use /assets_list to view all assets.`);
             return;
           }
         } catch (error) {
           console.error('Asset creation error:', error);
+          bot.sendMessage(userId, `❌ Failed to add asset: ${error.message}`);
+          return;
         }
       }
       
@@ -1524,7 +3557,17 @@ Use /liabilities_list to view all liabilities.`);
       const parsedTransaction = await AIService.parseTransaction(message, userId);
       
       if (parsedTransaction && parsedTransaction.amount) {
-        const transaction = await RedisService.createTransaction(userId, parsedTransaction);
+        let transaction;
+        try {
+          transaction = await RedisService.createTransaction(userId, {
+            ...parsedTransaction,
+            idempotency_key: `tg:${msg.chat.id}:${msg.message_id}`
+          });
+        } catch (error) {
+          console.error('Transaction creation error:', error);
+          bot.sendMessage(userId, `❌ ${error.message}`);
+          return;
+        }
         
         // AUTO-CREATE JOURNAL ENTRY
         let journalRef = 'N/A';
@@ -1584,9 +3627,9 @@ Use /liabilities_list to view all liabilities.`);
           const result = await RedisService.deleteTransaction(userId, txnToDelete.id);
           
           if (result.success) {
-            bot.sendMessage(userId, `✅ Deleted: ${txnToDelete.description} (RM${txnToDelete.amount_myr})`);
+            bot.sendMessage(userId, `✅ Deleted: ${txnToDelete.description} (RM${txnToDelete.amount_myr})${result.reversal ? `\n📚 Journal entry reversed by ${result.reversal.reference}` : ''}`);
           } else {
-            bot.sendMessage(userId, `❌ Failed to delete transaction.`);
+            bot.sendMessage(userId, `❌ Failed to delete transaction: ${result.error}`);
           }
         } else {
           bot.sendMessage(userId, `❌ Invalid number. Please choose 1-${transactions.length}`);
@@ -1633,7 +3676,7 @@ Use /liabilities_list to view all liabilities.`);
             if (result.success) {
               bot.sendMessage(userId, `✅ Deleted asset: ${assetToDelete.name} (RM${assetToDelete.current_value_myr})`);
             } else {
-              bot.sendMessage(userId, `❌ Failed to delete asset.`);
+              bot.sendMessage(userId, `❌ Failed to delete asset: ${result.error}`);
             }
           } else {
             bot.sendMessage(userId, '💎 Asset service not available.');
@@ -1658,7 +3701,7 @@ Use /liabilities_list to view all liabilities.`);
             if (result.success) {
               bot.sendMessage(userId, `✅ Deleted liability: ${liabilityToDelete.name} (RM${liabilityToDelete.current_balance_myr})`);
             } else {
-              bot.sendMessage(userId, `❌ Failed to delete liability.`);
+              bot.sendMessage(userId, `❌ Failed to delete liability: ${result.error}`);
             }
           } else {
             bot.sendMessage(userId, '📋 Liability service not available.');
@@ -1682,7 +3725,7 @@ Use /liabilities_list to view all liabilities.`);
 
 💎 ${asset.name}
 💵 RM${asset.current_value_myr}
-📂 ${asset.type}
+📂 ${asset.type}${responses.depreciationSchedule(asset)}
 
 Use /assets_list to view all assets.`);
             } else {
@@ -1690,7 +3733,7 @@ Use /assets_list to view all assets.`);
             }
           } catch (error) {
             console.error('Asset parsing error:', error);
-            bot.sendMessage(userId, `❌ Failed to add asset. Try: "Add Bitcoin RM2000"`);
+            bot.sendMessage(userId, `❌ Failed to add asset: ${error.message}\nTry: "Add Bitcoin RM2000"`);
           }
         } else {
           bot.sendMessage(userId, '💎 Asset management feature is coming soon!');
@@ -1744,7 +3787,10 @@ Use /liabilities_list to view all liabilities.`);
           const parsedJournal = await AIService.parseJournalEntry(msg.text, userId);
           
           if (parsedJournal && parsedJournal.lines) {
-            const journalEntry = await LedgerService.createJournalEntry(userId, parsedJournal);
+            const journalEntry = await LedgerService.createJournalEntry(userId, {
+              ...parsedJournal,
+              idempotency_key: `tg:${msg.chat.id}:${msg.message_id}`
+            });
             
             bot.sendMessage(userId, `✅ JOURNAL ENTRY CREATED
 
@@ -1786,7 +3832,25 @@ Try these formats:
               message += `Reference: ${journal.reference}\n`;
               message += `Date: ${new Date(journal.date).toLocaleDateString()}\n`;
               message += `Description: ${journal.description}\n`;
-              message += `Total: RM${journal.total_debit.toFixed(2)}\n\n`;
+              message += `Total: RM${journal.total_debit.toFixed(2)}\n`;
+              
+              const statusFlag = LedgerService.getJournalStatusFlag(journal);
+              if (statusFlag) {
+                message += `Status: ${statusFlag}\n`;
+              }
+              if (journal.reverses) {
+                message += `↩️ Reverses entry ${journal.reverses.substring(0, 8)}\n`;
+              }
+              if (journal.replaces) {
+                message += `✏️ Replaces entry ${journal.replaces.substring(0, 8)}\n`;
+              }
+              if (journal.reversed_by) {
+                message += `↩️ Reversed by entry ${journal.reversed_by.substring(0, 8)}\n`;
+              }
+              if (journal.superseded_by) {
+                message += `♻️ Superseded by entry ${journal.superseded_by.substring(0, 8)}\n`;
+              }
+              message += `\n`;
               
               message += `ENTRIES:\n`;
               journal.entries.forEach(entry => {
@@ -1826,18 +3890,14 @@ Try these formats:
           const journalToDelete = journals[number - 1];
           
           try {
-            // REVERSE THE JOURNAL ENTRY FROM LEDGER
-            await reverseJournalFromLedger(userId, journalToDelete);
+            // VOID WITH A REVERSING ENTRY - THE ORIGINAL STAYS IN THE JOURNAL
+            const { reversal } = await LedgerService.reverseJournalEntry(userId, journalToDelete.id, { reason: 'deleted by user' });
             
-            // DELETE THE JOURNAL ENTRY
-            await redis.del(`journal:${journalToDelete.id}`);
-            await redis.lRem(`user:${userId}:journals`, 1, journalToDelete.id);
-            
-            bot.sendMessage(userId, `✅ Deleted journal entry: ${journalToDelete.description} (${journalToDelete.reference})`);
+            bot.sendMessage(userId, `🚫 Voided journal entry: ${journalToDelete.description} (${journalToDelete.reference})\n\n↩️ Reversing entry ${reversal.reference} posted on ${new Date(reversal.date).toLocaleDateString()}.\nBoth entries stay visible in /journal_list.`);
             
           } catch (error) {
             console.error('Journal deletion error:', error);
-            bot.sendMessage(userId, `❌ Failed to delete journal entry.`);
+            bot.sendMessage(userId, `❌ Failed to void journal entry: ${error.message}`);
           }
         } else {
           bot.sendMessage(userId, `❌ Invalid number. Please choose 1-${journals.length}`);
@@ -1853,6 +3913,14 @@ Try these formats:
         if (number >= 1 && number <= journals.length) {
           const journalToEdit = journals[number - 1];
           
+          try {
+            await LedgerService.assertJournalOpen(userId, journalToEdit);
+          } catch (error) {
+            bot.sendMessage(userId, `❌ ${error.message}`);
+            await RedisService.clearUserState(userId);
+            return;
+          }
+          
           // Show current journal entry details
           let message = `📝 EDITING JOURNAL ENTRY\n\n`;
           message += `Reference: ${journalToEdit.reference}\n`;
@@ -1935,15 +4003,20 @@ Try these formats:
         }
         
         try {
-          // Update description only
-          await redis.json.set(`journal:${journalToEdit.id}`, '$.description', newDescription);
-          await redis.json.set(`journal:${journalToEdit.id}`, '$.updated_at', new Date().toISOString());
+          // Same lines, new description - posted as a correction like any other edit
+          await LedgerService.replaceJournalEntry(userId, journalToEdit.id, {
+            description: newDescription,
+            lines: journalToEdit.entries.map(entry => ({
+              ...LedgerService.entryToLine(entry),
+              description: entry.description === journalToEdit.description ? newDescription : entry.description
+            }))
+          });
           
-          bot.sendMessage(userId, `✅ DESCRIPTION UPDATED\n\nOld: ${journalToEdit.description}\nNew: ${newDescription}\n\nJournal entry ${journalToEdit.reference} has been updated.`);
+          bot.sendMessage(userId, `✅ DESCRIPTION UPDATED\n\nOld: ${journalToEdit.description}\nNew: ${newDescription}\n\nJournal entry ${journalToEdit.reference} was superseded by a corrected entry.`);
           
         } catch (error) {
           console.error('Journal description edit error:', error);
-          bot.sendMessage(userId, '❌ Failed to update description.');
+          bot.sendMessage(userId, `❌ Failed to update description: ${error.message}`);
         }
         
         await RedisService.clearUserState(userId);
@@ -1960,54 +4033,15 @@ Try these formats:
           const parsedJournal = await AIService.parseJournalEntry(msg.text, userId);
           
           if (parsedJournal && parsedJournal.lines) {
-            // REVERSE the old journal entry from ledger
-            await reverseJournalFromLedger(userId, journalToEdit);
-            
-            // Calculate new totals
-            let totalDebit = 0;
-            let totalCredit = 0;
-            const newEntries = [];
-            
-            for (const line of parsedJournal.lines) {
-              const lineEntry = {
-                account_code: line.account_code,
-                account_name: LedgerService.chartOfAccounts[line.account_code]?.name || 'Unknown Account',
-                debit_amount: parseFloat(line.debit || 0),
-                credit_amount: parseFloat(line.credit || 0),
-                description: line.description || parsedJournal.description
-              };
-              
-              newEntries.push(lineEntry);
-              totalDebit += lineEntry.debit_amount;
-              totalCredit += lineEntry.credit_amount;
-            }
-            
-            // Validate double-entry
-            if (Math.abs(totalDebit - totalCredit) > 0.01) {
-              bot.sendMessage(userId, `❌ Journal entry not balanced!\nDebits: RM${totalDebit.toFixed(2)}\nCredits: RM${totalCredit.toFixed(2)}\n\nPlease try again.`);
-              return;
-            }
-            
-            // Update the journal entry
-            const updatedJournal = {
-              ...journalToEdit,
+            // Reverse the original and post the corrected entry in its place
+            const { reversal, replacement } = await LedgerService.replaceJournalEntry(userId, journalToEdit.id, {
               description: parsedJournal.description || journalToEdit.description,
-              total_debit: totalDebit,
-              total_credit: totalCredit,
-              entries: newEntries,
-              updated_at: new Date().toISOString(),
-              edited_by: 'user'
-            };
-            
-            // Save updated journal
-            await redis.json.set(`journal:${journalToEdit.id}`, '$', updatedJournal);
-            
-            // Apply new journal entry to ledger
-            await LedgerService.updateGeneralLedger(userId, updatedJournal);
+              lines: parsedJournal.lines
+            });
             
-            bot.sendMessage(userId, `✅ JOURNAL ENTRY UPDATED\n\n📚 Reference: ${updatedJournal.reference}\n📝 Description: ${updatedJournal.description}\n💰 Amount: RM${updatedJournal.total_debit.toFixed(2)}\n\nNEW ENTRIES:\n${updatedJournal.entries.map(entry => 
+            bot.sendMessage(userId, `✅ JOURNAL ENTRY CORRECTED\n\n📚 Reference: ${replacement.reference}\n📝 Description: ${replacement.description}\n💰 Amount: RM${replacement.total_debit.toFixed(2)}\n\nNEW ENTRIES:\n${replacement.entries.map(entry => 
               `${entry.account_name}: Dr RM${entry.debit_amount.toFixed(2)} Cr RM${entry.credit_amount.toFixed(2)}`
-            ).join('\n')}\n\n✅ Ledger balances have been updated.\nUse /trial_balance to verify.`);
+            ).join('\n')}\n\n♻️ Original marked superseded, reversed by ${reversal.reference}.\n✅ Ledger balances have been updated.\nUse /trial_balance to verify.`);
             
           } else {
             bot.sendMessage(userId, `❌ Could not parse journal entry.\n\nTry these formats:\n• "Paid rent RM800"\n• "Dr 5100 RM800, Cr 1100 RM800"`);
@@ -2050,15 +4084,78 @@ Try these formats:
     console.log('✅ Recurring processor started');
   }
 
+  if (AssetService && typeof AssetService.processDueDepreciation === 'function') {
+    setInterval(async () => {
+      try {
+        await AssetService.processDueDepreciation();
+      } catch (error) {
+        console.error('Depreciation processing error:', error);
+      }
+    }, 60 * 60 * 1000);
+    
+    console.log('✅ Depreciation processor started');
+  }
+
+  if (PrepaymentService && typeof PrepaymentService.processDue === 'function') {
+    setInterval(async () => {
+      try {
+        await PrepaymentService.processDue();
+      } catch (error) {
+        console.error('Prepayment processing error:', error);
+      }
+    }, 60 * 60 * 1000);
+    
+    console.log('✅ Prepayment & accrual processor started');
+  }
+
+  if (BudgetService && typeof BudgetService.drainAlerts === 'function') {
+    setInterval(async () => {
+      try {
+        const alerts = await BudgetService.drainAlerts();
+        for (const alert of alerts) {
+          try {
+            await bot.sendMessage(alert.user_id, responses.budgetAlert(alert));
+          } catch (error) {
+            console.error(`Budget alert to user ${alert.user_id} failed:`, error.message);
+            await BudgetService.requeueAlert(alert);
+          }
+        }
+      } catch (error) {
+        console.error('Budget alert error:', error);
+      }
+    }, 30000);
+    
+    console.log('✅ Budget alert sender started');
+  }
+
+  if (BillService && typeof BillService.processReminders === 'function') {
+    setInterval(async () => {
+      try {
+        const reminders = await BillService.processReminders();
+        for (const reminder of reminders) {
+          try {
+            await bot.sendMessage(reminder.user_id, responses.billReminder(reminder));
+          } catch (error) {
+            console.error(`Bill reminder to user ${reminder.user_id} failed:`, error.message);
+          }
+        }
+      } catch (error) {
+        console.error('Bill reminder error:', error);
+      }
+    }, 60 * 60 * 1000);
+    
+    console.log('✅ Bill reminder sender started');
+  }
+
   console.log('✅ kheAI Accounting Bot initialized successfully');
   console.log('🚀 Core Features: Transactions, Search, Delete, Export');
   console.log('📚 Accounting: Journal Entries, Financial Statements, Trial Balance');
   if (RecurringService) console.log('💫 Recurring: /recurring_list');
   if (CashflowService) console.log('📊 Cashflow: /forecast');
-  if (AssetService) console.log('💎 Assets: /assets_list, /assets_add, /assets_delete');
+  if (AssetService) console.log('💎 Assets: /assets_list, /assets_add, /assets_delete, /assets_depreciation');
   if (LiabilityService) console.log('📋 Liabilities: /liabilities_list, /liabilities_add, /liabilities_delete');
   console.log('🪙 Bitcoin Treasury: Natural language queries');
-  console.log('🔧 Maintenance: /recover, /fix_metrics, /debug, /status');
+  console.log('🔧 Maintenance: /recover, /fix_metrics, /rebuild_ledger, /audit_books, /debug, /status');
 }
 
 module.exports = { initializeBot };
\ No newline at end of file
@@ -0,0 +1,107 @@
+// src/data/payrollSchedules.js
+// Malaysian statutory payroll schedules, bundled so payroll runs offline and
+// every payslip can be traced to the table it was computed from. Update the
+// figures here (and `effective`) when KWSP, PERKESO or LHDN revise them.
+
+module.exports = {
+  // EPF Act 1991, Third Schedule. Wages are rounded up to the top of their
+  // band (RM20 bands to RM5,000, RM100 bands to RM20,000, the exact wage
+  // above that) and each share is rounded up to the next ringgit.
+  epf: {
+    effective: '2025-10-01',
+    minimum_wage: 10,
+    bands: [
+      { up_to: 5000, step: 20 },
+      { up_to: 20000, step: 100 }
+    ],
+    // Rates in percent by employee group; employer rates step down above RM5,000
+    rates: {
+      citizen_below_60: { employee: 11, employer: 13, employer_above_5000: 12 },
+      citizen_60_and_above: { employee: 0, employer: 4, employer_above_5000: 4 },
+      foreign: { employee: 2, employer: 2, employer_above_5000: 2 }
+    }
+  },
+
+  // Employees' Social Security Act 1969, Third Schedule. Rows are
+  // [wages up to, employer (first category), employee (first category),
+  // employer (second category: employment injury only, 60 and above and
+  // foreign workers)]. Wages above the ceiling pay the last row.
+  socso: {
+    effective: '2024-10-01',
+    ceiling: 6000,
+    rows: [
+      [30, 0.40, 0.10, 0.30], [50, 0.70, 0.20, 0.50], [70, 1.10, 0.30, 0.80],
+      [100, 1.50, 0.40, 1.10], [140, 2.10, 0.60, 1.50], [200, 2.95, 0.85, 2.10],
+      [300, 4.35, 1.25, 3.10], [400, 6.15, 1.75, 4.40], [500, 7.85, 2.25, 5.60],
+      [600, 9.65, 2.75, 6.90], [700, 11.35, 3.25, 8.10], [800, 13.15, 3.75, 9.40],
+      [900, 14.85, 4.25, 10.60], [1000, 16.65, 4.75, 11.90], [1100, 18.35, 5.25, 13.10],
+      [1200, 20.15, 5.75, 14.40], [1300, 21.85, 6.25, 15.60], [1400, 23.65, 6.75, 16.90],
+      [1500, 25.35, 7.25, 18.10], [1600, 27.15, 7.75, 19.40], [1700, 28.85, 8.25, 20.60],
+      [1800, 30.65, 8.75, 21.90], [1900, 32.35, 9.25, 23.10], [2000, 34.15, 9.75, 24.40],
+      [2100, 35.85, 10.25, 25.60], [2200, 37.65, 10.75, 26.90], [2300, 39.35, 11.25, 28.10],
+      [2400, 41.15, 11.75, 29.40], [2500, 42.85, 12.25, 30.60], [2600, 44.65, 12.75, 31.90],
+      [2700, 46.35, 13.25, 33.10], [2800, 48.15, 13.75, 34.40], [2900, 49.85, 14.25, 35.60],
+      [3000, 51.65, 14.75, 36.90], [3100, 53.35, 15.25, 38.10], [3200, 55.15, 15.75, 39.40],
+      [3300, 56.85, 16.25, 40.60], [3400, 58.65, 16.75, 41.90], [3500, 60.35, 17.25, 43.10],
+      [3600, 62.15, 17.75, 44.40], [3700, 63.85, 18.25, 45.60], [3800, 65.65, 18.75, 46.90],
+      [3900, 67.35, 19.25, 48.10], [4000, 69.15, 19.75, 49.40], [4100, 70.85, 20.25, 50.60],
+      [4200, 72.65, 20.75, 51.90], [4300, 74.35, 21.25, 53.10], [4400, 76.15, 21.75, 54.40],
+      [4500, 77.85, 22.25, 55.60], [4600, 79.65, 22.75, 56.90], [4700, 81.35, 23.25, 58.10],
+      [4800, 83.15, 23.75, 59.40], [4900, 84.85, 24.25, 60.60], [5000, 86.65, 24.75, 61.90],
+      [5100, 88.35, 25.25, 63.10], [5200, 90.15, 25.75, 64.40], [5300, 91.85, 26.25, 65.60],
+      [5400, 93.65, 26.75, 66.90], [5500, 95.35, 27.25, 68.10], [5600, 97.15, 27.75, 69.40],
+      [5700, 98.85, 28.25, 70.60], [5800, 100.65, 28.75, 71.90], [5900, 102.35, 29.25, 73.10],
+      [6000, 104.15, 29.75, 74.40]
+    ]
+  },
+
+  // Employment Insurance System Act 2017, Second Schedule: [wages up to,
+  // employer and employee share each]. Citizens and permanent residents
+  // under 60 only.
+  eis: {
+    effective: '2024-10-01',
+    ceiling: 6000,
+    maximum_age: 60,
+    rows: [
+      [30, 0.05], [50, 0.10], [70, 0.15], [100, 0.20], [140, 0.25], [200, 0.35],
+      [300, 0.50], [400, 0.70], [500, 0.90], [600, 1.10], [700, 1.30], [800, 1.50],
+      [900, 1.70], [1000, 1.90], [1100, 2.10], [1200, 2.30], [1300, 2.50], [1400, 2.70],
+      [1500, 2.90], [1600, 3.10], [1700, 3.30], [1800, 3.50], [1900, 3.70], [2000, 3.90],
+      [2100, 4.10], [2200, 4.30], [2300, 4.50], [2400, 4.70], [2500, 4.90], [2600, 5.10],
+      [2700, 5.30], [2800, 5.50], [2900, 5.70], [3000, 5.90], [3100, 6.10], [3200, 6.30],
+      [3300, 6.50], [3400, 6.70], [3500, 6.90], [3600, 7.10], [3700, 7.30], [3800, 7.50],
+      [3900, 7.70], [4000, 7.90], [4100, 8.10], [4200, 8.30], [4300, 8.50], [4400, 8.70],
+      [4500, 8.90], [4600, 9.10], [4700, 9.30], [4800, 9.50], [4900, 9.70], [5000, 9.90],
+      [5100, 10.10], [5200, 10.30], [5300, 10.50], [5400, 10.70], [5500, 10.90], [5600, 11.10],
+      [5700, 11.30], [5800, 11.50], [5900, 11.70], [6000, 11.90]
+    ]
+  },
+
+  // LHDN monthly tax deduction (PCB / MTD), computerised calculation method,
+  // for resident employees. Each bracket gives M (chargeable income from),
+  // R (rate, percent) and B (tax on M after the RM400 individual rebate, and
+  // the RM400 spouse rebate for category 2, where chargeable income is RM35,000
+  // or less) for categories 1 and 3 (single; married to a working spouse)
+  // and category 2 (married to a non-working spouse).
+  pcb: {
+    effective: '2024-01-01',
+    individual_relief: 9000,
+    spouse_relief: 4000,
+    child_relief: 2000,
+    epf_relief_limit: 4000,
+    // Deductions below this are not made
+    minimum_deduction: 10,
+    brackets: [
+      { from: 0, rate: 0, b_category_1_3: 0, b_category_2: 0 },
+      { from: 5000, rate: 1, b_category_1_3: -400, b_category_2: -800 },
+      { from: 20000, rate: 3, b_category_1_3: -250, b_category_2: -650 },
+      { from: 35000, rate: 6, b_category_1_3: 600, b_category_2: 600 },
+      { from: 50000, rate: 11, b_category_1_3: 1500, b_category_2: 1500 },
+      { from: 70000, rate: 19, b_category_1_3: 3700, b_category_2: 3700 },
+      { from: 100000, rate: 25, b_category_1_3: 9400, b_category_2: 9400 },
+      { from: 400000, rate: 26, b_category_1_3: 84400, b_category_2: 84400 },
+      { from: 600000, rate: 28, b_category_1_3: 136400, b_category_2: 136400 },
+      { from: 2000000, rate: 30, b_category_1_3: 528400, b_category_2: 528400 }
+    ]
+  }
+};
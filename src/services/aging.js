@@ -0,0 +1,151 @@
+// src/services/aging.js
+
+class AgingService {
+  constructor() {
+    // Days past the due date; anything not yet due is current
+    this.buckets = [
+      { key: 'current', label: 'Current', max: 0 },
+      { key: 'days_1_30', label: '1-30 days', max: 30 },
+      { key: 'days_31_60', label: '31-60 days', max: 60 },
+      { key: 'days_61_90', label: '61-90 days', max: 90 },
+      { key: 'over_90', label: '90+ days', max: Infinity }
+    ];
+
+    this.ledgers = {
+      receivables: { title: 'Receivables', account_code: '1200', party: 'Customer' },
+      payables: { title: 'Payables', account_code: '2000', party: 'Supplier' }
+    };
+  }
+
+  round(amount) {
+    return Math.round(amount * 100) / 100;
+  }
+
+  getBucket(daysOverdue) {
+    return this.buckets.find(bucket => daysOverdue <= bucket.max);
+  }
+
+  emptyBuckets() {
+    return Object.fromEntries(this.buckets.map(bucket => [bucket.key, 0]));
+  }
+
+  // Balance of an invoice or bill as of a date: its total less the payments
+  // made by then. Voided documents are reversed on their own date, so they
+  // never count.
+  getOutstanding(document, asOfDate) {
+    if (document.status === 'void' || new Date(document.issue_date) > asOfDate) return 0;
+
+    const paid = document.payments
+      .filter(payment => new Date(payment.date) <= asOfDate)
+      .reduce((sum, payment) => sum + payment.amount, 0);
+    return this.round(document.total - paid);
+  }
+
+  // Ledger balance of the control account and its sub-accounts, on its normal side
+  async getLedgerBalance(userId, kind, asOfDate) {
+    const LedgerService = require('./ledger');
+    const { account_code: accountCode } = this.ledgers[kind];
+    const trialBalance = await LedgerService.getTrialBalance(userId, asOfDate);
+
+    const balance = trialBalance.accounts
+      .filter(account => account.account_code === accountCode || account.account_code.startsWith(`${accountCode}-`))
+      .reduce((sum, account) => sum + account.debit_balance - account.credit_balance, 0);
+    return this.round(kind === 'receivables' ? balance : -balance);
+  }
+
+  // Open invoices (receivables) or bills (payables) as of a date, bucketed by
+  // days past due per customer or supplier, reconciled to the 1200 or 2000
+  // balance in the trial balance
+  async getAgingReport(userId, kind, asOfDate = new Date()) {
+    try {
+      const LedgerService = require('./ledger');
+      const ledger = this.ledgers[kind];
+      if (!ledger) throw new Error(`Unknown aging report "${kind}"`);
+
+      const documents = kind === 'receivables'
+        ? await require('./invoices').getInvoices(userId)
+        : await require('./bills').getBills(userId);
+      const contacts = Object.fromEntries((await require('./contacts').getContacts(userId)).map(contact => [contact.id, contact]));
+      const asOf = new Date(asOfDate);
+      const asOfDay = new Date(asOf.getFullYear(), asOf.getMonth(), asOf.getDate());
+      const parties = {};
+      const totals = { ...this.emptyBuckets(), total: 0 };
+
+      for (const document of documents) {
+        const outstanding = this.getOutstanding(document, asOf);
+        if (outstanding <= 0.005) continue;
+
+        const dueDate = new Date(document.due_date);
+        const dueDay = new Date(dueDate.getFullYear(), dueDate.getMonth(), dueDate.getDate());
+        const daysOverdue = Math.round((asOfDay - dueDay) / (24 * 60 * 60 * 1000));
+        const bucket = this.getBucket(daysOverdue);
+        // Grouped by contact where linked, so spelling variants land together
+        const contact = contacts[document.contact_id];
+        const party = contact || (kind === 'receivables' ? document.customer : document.supplier);
+        const partyKey = contact ? contact.id : party.name.toLowerCase();
+
+        if (!parties[partyKey]) {
+          parties[partyKey] = { name: party.name, ...this.emptyBuckets(), total: 0, documents: [] };
+        }
+
+        parties[partyKey].documents.push({
+          number: document.number,
+          reference: document.supplier_reference || null,
+          issue_date: LedgerService.formatLocalDate(new Date(document.issue_date)),
+          due_date: LedgerService.formatLocalDate(dueDate),
+          days_overdue: Math.max(daysOverdue, 0),
+          bucket: bucket.key,
+          outstanding: outstanding
+        });
+        parties[partyKey][bucket.key] = this.round(parties[partyKey][bucket.key] + outstanding);
+        parties[partyKey].total = this.round(parties[partyKey].total + outstanding);
+        totals[bucket.key] = this.round(totals[bucket.key] + outstanding);
+        totals.total = this.round(totals.total + outstanding);
+      }
+
+      const ledgerBalance = await this.getLedgerBalance(userId, kind, asOf);
+      const difference = this.round(ledgerBalance - totals.total);
+
+      return {
+        kind: kind,
+        title: ledger.title,
+        party_label: ledger.party,
+        account_code: ledger.account_code,
+        as_of_date: LedgerService.formatLocalDate(asOf),
+        parties: Object.values(parties)
+          .map(party => ({ ...party, documents: party.documents.sort((a, b) => a.due_date.localeCompare(b.due_date)) }))
+          .sort((a, b) => b.total - a.total || a.name.localeCompare(b.name)),
+        totals: totals,
+        ledger_balance: ledgerBalance,
+        difference: difference,
+        is_reconciled: Math.abs(difference) < 0.01
+      };
+    } catch (error) {
+      console.error('Aging report error:', error);
+      throw error;
+    }
+  }
+
+  // One row per open document, then the bucket totals and the reconciliation
+  toCSV(report) {
+    const escape = (value) => `"${String(value).replace(/"/g, '""')}"`;
+    const amounts = (row) => this.buckets.map(bucket => row[bucket.key].toFixed(2)).join(',');
+
+    let csv = `${report.party_label},Document,Reference,Issue Date,Due Date,Days Overdue,${this.buckets.map(bucket => bucket.label).join(',')},Total (MYR)\n`;
+
+    report.parties.forEach(party => {
+      party.documents.forEach(document => {
+        const row = { ...this.emptyBuckets(), [document.bucket]: document.outstanding };
+        csv += `${escape(party.name)},${document.number},${escape(document.reference || '')},${document.issue_date},${document.due_date},${document.days_overdue},${amounts(row)},${document.outstanding.toFixed(2)}\n`;
+      });
+    });
+
+    csv += `TOTAL,,,,,,${amounts(report.totals)},${report.totals.total.toFixed(2)}\n`;
+    csv += `Ledger ${report.account_code} as of ${report.as_of_date},,,,,,${this.buckets.map(() => '').join(',')},${report.ledger_balance.toFixed(2)}\n`;
+    csv += `Difference,,,,,,${this.buckets.map(() => '').join(',')},${report.difference.toFixed(2)}\n`;
+
+    return csv;
+  }
+}
+
+module.exports = new AgingService();
@@ -22,13 +22,13 @@ LANGUAGE POLICY:
 CORE CAPABILITIES:
 - Bookkeeping and financial planning advice
 - Bitcoin treasury management for inflation protection
-- Malaysian business regulations (GST, income tax, SST)
+- Malaysian business regulations (SST, income tax)
 - Cash flow optimization strategies
 - Real-time business insights
 
 MALAYSIAN CONTEXT:
 - Inflation rate: ~3.5% annually
-- GST: 6% (where applicable)
+- SST: service tax 6% or 8%, sales tax 5% or 10%, filed bi-monthly on SST-02 (GST was abolished in 2018)
 - Microbusiness threshold: RM500,000 annually
 - Common business types: kedai runcit, restaurants, services
 - Bitcoin: Legal but unregulated
@@ -304,14 +304,22 @@ The user may write in any language (English, Malay, Chinese, etc.) but extract t
 Extract and return ONLY valid JSON:
 {
   "amount": number,
-  "type": "income|expense",
-  "category": "inventory|rent|utilities|marketing|supplies|revenue|rental|other",
-  "description": "clean English description"
+  "currency": "MYR|USD|SGD|EUR|GBP|CNY",
+  "type": "income|expense|drawing|capital",
+  "category": "inventory|rent|utilities|marketing|supplies|revenue|rental|owner|other",
+  "description": "clean English description",
+  "dimensions": {"outlet": "name", "project": "name", "cost_centre": "name"},
+  "tax_code": "SV6|SV8|ST5|ST10|EX|OS",
+  "tax_inclusive": true,
+  "counterparty": "customer or supplier name",
+  "items": [{"name": "product name or SKU", "quantity": number, "amount": number}]
 }
 
 TRANSACTION TYPE DETECTION:
 INCOME keywords: sales, income, received, dapat, terima, rental income, commission, payment received, cash in, revenue, earning, profit, dividend, interest, refund received
 EXPENSE keywords: beli, buy, bayar, pay, expense, cost, spend, purchase, paid, payment, bill, fee
+DRAWING (owner takes money out for personal use): withdraw for personal use, personal use, owner drawings, ambil duit untuk kegunaan peribadi
+CAPITAL (owner puts money into the business): injected capital, capital injection, owner contribution, put in my own money, tambah modal, suntik modal
 
 CATEGORY DETECTION:
 - inventory: inventory, stock, barang, goods, products, merchandise
@@ -321,6 +329,29 @@ CATEGORY DETECTION:
 - marketing: ads, marketing, promotion, iklan, advertising
 - supplies: supplies, office, stationery, alat tulis
 - revenue: sales, revenue, income (general business income)
+- owner: every drawing and capital transaction
+
+DIMENSION DETECTION (only include dimensions that are mentioned; omit "dimensions" if none):
+- outlet: the shop, outlet or branch it belongs to ("for Bangsar outlet", "cawangan Cheras")
+- project: a named project or job ("for Raya campaign project", "projek renovation")
+- cost_centre: a named cost centre or department ("cost centre kitchen")
+- any other clear tag as "name": "value", e.g. "event": "Pasar Malam"
+
+SST DETECTION (only include "tax_code" when tax is mentioned):
+- SV6 / SV8: service tax 6% / 8% ("8% SST" on services, "cukai perkhidmatan")
+- ST5 / ST10: sales tax 5% / 10% on goods ("cukai jualan")
+- EX: exempt; OS: out of scope
+- "tax_inclusive": false when the amount is before tax ("RM100 + 8% SST", "excluding SST"), otherwise true
+
+COUNTERPARTY DETECTION (only include "counterparty" when a customer or supplier is named):
+- the person or business paid or paying: "Sales to Ah Chong", "Ah Chong paid us", "beli dari Kedai Lim", "received from Syarikat ABC"
+- use the name as written, without words like "to", "from", "dari"
+- never a place, outlet, project or the owner
+
+STOCK ITEMS (only include "items" when a quantity of a named product is bought for resale or sold):
+- "name" is the product as written ("beras 5kg", "Milo"), "quantity" how many
+- "amount" is that product's share of the total, only when each product's price is stated
+- buying stock is an expense with category "inventory"; selling it is income with category "revenue"
 
 EXAMPLES:
 "Beli inventory RM150" → {"amount": 150, "type": "expense", "category": "inventory", "description": "Purchase inventory"}
@@ -328,10 +359,22 @@ EXAMPLES:
 "Rental income big room RM800" → {"amount": 800, "type": "income", "category": "rental", "description": "Rental income - big room"}
 "Bayar sewa kedai RM1200" → {"amount": 1200, "type": "expense", "category": "rent", "description": "Shop rent payment"}
 "Dapat commission RM200" → {"amount": 200, "type": "income", "category": "revenue", "description": "Commission received"}
+"Received USD 300 from client" → {"amount": 300, "currency": "USD", "type": "income", "category": "revenue", "description": "Payment received from client"}
+"Withdraw RM500 for personal use" → {"amount": 500, "type": "drawing", "category": "owner", "description": "Owner withdrawal for personal use"}
+"Injected capital RM5000" → {"amount": 5000, "type": "capital", "category": "owner", "description": "Owner capital injection"}
+"Paid rent RM2500 for Bangsar outlet" → {"amount": 2500, "type": "expense", "category": "rent", "description": "Rent payment", "dimensions": {"outlet": "Bangsar"}}
+"Consulting fee received RM1080 incl. 8% service tax" → {"amount": 1080, "type": "income", "category": "revenue", "description": "Consulting fee received", "tax_code": "SV8", "tax_inclusive": true}
+"Sales to Ah Chong RM300" → {"amount": 300, "type": "income", "category": "revenue", "description": "Sales to Ah Chong", "counterparty": "Ah Chong"}
+"Ah Chong paid us RM300" → {"amount": 300, "type": "income", "category": "revenue", "description": "Payment received from Ah Chong", "counterparty": "Ah Chong"}
+"TNB paid RM200" → {"amount": 200, "type": "expense", "category": "utilities", "description": "TNB electricity bill", "counterparty": "TNB"}
+"Beli 10 beras 5kg RM150" → {"amount": 150, "type": "expense", "category": "inventory", "description": "Purchase 10 beras 5kg", "items": [{"name": "beras 5kg", "quantity": 10}]}
+"Jual 3 Milo RM27" → {"amount": 27, "type": "income", "category": "revenue", "description": "Sales of 3 Milo", "items": [{"name": "Milo", "quantity": 3}]}
 
 RULES:
-- amount must be a positive number
-- type must be either "income" or "expense"
+- amount must be a positive number, in the currency it was written in
+- currency is MYR unless another currency (USD, SGD, $, S$...) is stated
+- type must be "income", "expense", "drawing" or "capital"
+- money the owner takes for personal use is a drawing, never a business expense
 - description should be clean, professional English
 - If you cannot parse a valid transaction, return null
 
@@ -341,28 +384,34 @@ Return ONLY the JSON object:`;
       const result = await this.model.generateContent(prompt);
       const response = result.response.text();
       
-      // Extract JSON from response
-      const jsonMatch = response.match(/\{[\s\S]*?\}/);
+      // Extract JSON from response (greedy, as dimensions nest an object)
+      const jsonMatch = response.match(/\{[\s\S]*\}/);
       if (jsonMatch) {
         const parsed = JSON.parse(jsonMatch[0]);
         // Validate required fields
         if (parsed.amount && 
             parsed.amount > 0 && 
             parsed.type && 
-            ['income', 'expense'].includes(parsed.type) &&
+            ['income', 'expense', 'drawing', 'capital'].includes(parsed.type) &&
             parsed.description && 
             parsed.description.length > 2) {
-          return parsed;
+          const dimensions = {
+            ...this.extractDimensions(message),
+            ...(parsed.dimensions && typeof parsed.dimensions === 'object' ? parsed.dimensions : {})
+          };
+          delete parsed.dimensions;
+          if (Object.keys(dimensions).length > 0) parsed.dimensions = dimensions;
+          return await this.applyStockItems(await this.applyContact(await this.applyNamedPayer(this.applyTaxFields(parsed, message), message, userId), message, userId), message, userId);
         }
       }
       
       // Fallback: Try rule-based parsing
-      return this.fallbackTransactionParsing(message);
+      return await this.applyStockItems(await this.applyContact(await this.applyNamedPayer(this.fallbackTransactionParsing(message), message, userId), message, userId), message, userId);
       
     } catch (error) {
       console.error('Transaction parsing error:', error);
       // Fallback: Try rule-based parsing
-      return this.fallbackTransactionParsing(message);
+      return await this.applyStockItems(await this.applyContact(await this.applyNamedPayer(this.fallbackTransactionParsing(message), message, userId), message, userId), message, userId);
     }
   }
 
@@ -383,7 +432,7 @@ Return ONLY the JSON object:`;
       
       // Detect transaction type
       const incomeKeywords = [
-        'sales', 'income', 'received', 'dapat', 'terima', 'rental income', 
+        'sales', 'sold', 'jual', 'income', 'received', 'dapat', 'terima', 'rental income', 
         'commission', 'payment received', 'cash in', 'revenue', 'earning',
         'profit', 'dividend', 'interest', 'refund received'
       ];
@@ -393,10 +442,28 @@ Return ONLY the JSON object:`;
         'purchase', 'paid', 'payment', 'bill', 'fee'
       ];
       
+      // Owner movements: money taken out for personal use or put into the business
+      const drawingKeywords = [
+        'personal use', 'for personal', 'owner withdrawal', 'drawings', 'peribadi', 'kegunaan sendiri'
+      ];
+      
+      const capitalKeywords = [
+        'inject', 'capital injection', 'capital contribution', 'owner contribution', 'add capital',
+        'own money', 'tambah modal', 'suntik modal', 'masuk modal'
+      ];
+      
       let type = 'expense'; // default
       
-      // Check for income keywords first (more specific)
-      if (incomeKeywords.some(keyword => lowerMessage.includes(keyword))) {
+      // Owner drawings and capital first: "withdraw RM500 for personal use" is not an expense
+      if (drawingKeywords.some(keyword => lowerMessage.includes(keyword))) {
+        type = 'drawing';
+      } else if (capitalKeywords.some(keyword => lowerMessage.includes(keyword))) {
+        type = 'capital';
+      } else if (/\b[Pp]aid\s+by\s+(?!(?:Card|Cash|Cheque|Credit|Debit|Bank|Transfer|DuitNow|FPX)\b)[A-Z]|^\s*(?!I\b|We\b)[A-Z][\w&'.-]*(?:\s+[A-Z][\w&'.-]*)*\s+(?:paid|transferred|bayar)\s+(?:us|me|kami|saya)\b/.test(message)) {
+        // "Paid by Ah Chong", "Ah Chong paid us RM300": a named customer paying us.
+        // A bare "TNB paid RM200" is a bill; see applyNamedPayer.
+        type = 'income';
+      } else if (incomeKeywords.some(keyword => lowerMessage.includes(keyword))) {
         type = 'income';
       } else if (expenseKeywords.some(keyword => lowerMessage.includes(keyword))) {
         type = 'expense';
@@ -405,7 +472,9 @@ Return ONLY the JSON object:`;
       // Detect category
       let category = 'other';
       
-      if (type === 'income') {
+      if (type === 'drawing' || type === 'capital') {
+        category = 'owner';
+      } else if (type === 'income') {
         if (lowerMessage.includes('rental') || lowerMessage.includes('sewa')) {
           category = 'rental';
         } else if (lowerMessage.includes('sales') || lowerMessage.includes('revenue')) {
@@ -431,19 +500,229 @@ Return ONLY the JSON object:`;
       // Generate clean English description
       let description = this.generateEnglishDescription(message, type, category);
       
-      return {
+      const transaction = {
         amount: amount,
         type: type,
         category: category,
         description: description
       };
       
+      const dimensions = this.extractDimensions(message);
+      if (Object.keys(dimensions).length > 0) transaction.dimensions = dimensions;
+      
+      const counterparty = this.extractCounterparty(message);
+      if (counterparty) transaction.counterparty = counterparty;
+      
+      return this.applyTaxFields(transaction, message);
+      
     } catch (error) {
       console.error('Fallback parsing error:', error);
       return null;
     }
   }
 
+  // Rule-based dimension tags: "for Bangsar outlet", "outlet: Cheras",
+  // "Raya project", "projek renovation", "cost centre kitchen"
+  extractDimensions(message) {
+    const dimensions = {};
+    const keywords = {
+      outlet: ['outlet', 'branch', 'cawangan'],
+      project: ['project', 'projek'],
+      cost_centre: ['cost centre', 'cost center']
+    };
+    const stopWords = /^(?:(?:for|at|from|to|the|of|di|untuk|kat|bagi)\s+)+/i;
+    const allKeywords = Object.values(keywords).flat();
+    // Amounts become a break so they are never read as names; keywords are
+    // lower-cased so a capitalised name before them stands out
+    const text = allKeywords.reduce(
+      (result, keyword) => result.replace(new RegExp(`\\b${keyword}\\b`, 'gi'), keyword),
+      String(message || '').replace(/\b(?:rm|myr|usd|sgd)?\s*\d[\d,.]*/gi, ' , ')
+    );
+
+    for (const [name, words] of Object.entries(keywords)) {
+      const alternatives = words.join('|');
+      // "<Name> outlet": one word, or two when both are capitalised (Mid Valley)
+      const before = text.match(new RegExp(`(?:^|\\s)((?:[A-Z][\\w&'-]*\\s+)?[A-Za-z][\\w&'-]*)\\s+(?:${alternatives})\\b`));
+      // "outlet <Name>" / "outlet: <Name>"
+      const after = text.match(new RegExp(`\\b(?:${alternatives})\\s*[:=]?\\s+([A-Za-z][\\w&'-]*)`, 'i'));
+
+      const candidates = [before && before[1], after && after[1]]
+        .map(candidate => candidate && candidate.replace(stopWords, '').trim())
+        .filter(candidate => candidate &&
+          !stopWords.test(`${candidate} `) &&
+          !allKeywords.some(keyword => candidate.toLowerCase().split(/\s+/).includes(keyword)) &&
+          !/^(?:rm|myr|my|our|new|this|paid|pay|bayar|beli|buy|rent|sewa|sales)$/i.test(candidate));
+      // A capitalised name beats a lower-case word that happens to sit next to the keyword
+      const value = candidates.find(candidate => /^[A-Z]/.test(candidate)) || candidates[0];
+
+      if (value) dimensions[name] = value;
+    }
+
+    return dimensions;
+  }
+
+  // Rule-based SST: "8% SST", "service tax 6%", "sales tax 10%", "exempt";
+  // "+ SST" or "excluding SST" means the amount is before tax
+  extractTaxCode(message) {
+    const text = String(message || '').toLowerCase();
+    const tax = {};
+    const rateMatch = text.match(/(?:(service tax|cukai perkhidmatan|sales tax|cukai jualan|sst)\s*(?:of\s*|@\s*)?(\d{1,2})\s*%|(\d{1,2})\s*%\s*(service tax|cukai perkhidmatan|sales tax|cukai jualan|sst))/);
+
+    if (rateMatch) {
+      const kind = rateMatch[1] || rateMatch[4];
+      const rate = parseInt(rateMatch[2] || rateMatch[3]);
+      const isSales = /sales|jualan/.test(kind) || (kind === 'sst' && [5, 10].includes(rate));
+      const code = `${isSales ? 'ST' : 'SV'}${rate}`;
+      if (['SV6', 'SV8', 'ST5', 'ST10'].includes(code)) tax.tax_code = code;
+    } else if (/\b(?:sst|tax)[- ]exempt\b|\bexempt(?:ed)? from (?:sst|tax)\b|\bdikecualikan\b/.test(text)) {
+      tax.tax_code = 'EX';
+    } else if (/\bout of scope\b/.test(text)) {
+      tax.tax_code = 'OS';
+    }
+
+    if (tax.tax_code && /\+\s*(?:\d{1,2}\s*%\s*)?(?:sst|service tax|sales tax|tax)|\bexcl(?:uding|usive|\.)?\s*(?:of\s*)?(?:sst|tax)|\bbefore (?:sst|tax)/.test(text)) {
+      tax.tax_inclusive = false;
+    }
+
+    return tax;
+  }
+
+  // Merges rule-based SST detection with what was parsed and drops tax codes
+  // that are not valid SST codes
+  applyTaxFields(transaction, message) {
+    const TaxService = require('./tax');
+    const tax = { ...this.extractTaxCode(message) };
+    if (transaction.tax_code) tax.tax_code = transaction.tax_code;
+    if (transaction.tax_inclusive === false) tax.tax_inclusive = false;
+
+    delete transaction.tax_code;
+    delete transaction.tax_inclusive;
+
+    if (tax.tax_code) {
+      try {
+        transaction.tax_code = TaxService.getTaxCode(tax.tax_code).code;
+        if (tax.tax_inclusive === false) transaction.tax_inclusive = false;
+      } catch (error) {
+        console.error('Tax code parsing error:', error.message);
+      }
+    }
+
+    return transaction;
+  }
+
+  // Rule-based counterparty: a capitalised name after "to/from/dari/kepada"
+  // ("Sales to Ah Chong") or before "paid/bayar" ("Ah Chong paid RM300")
+  extractCounterparty(message) {
+    const text = String(message || '').replace(/\b(?:rm|myr|usd|sgd)?\s*\d[\d,.]*/gi, ' , ');
+    const name = "[A-Z][\\w&'.-]*(?:\\s+(?:[A-Z][\\w&'.-]*|bin|binti|a/[lp]))*";
+    const after = text.match(new RegExp(`\\b(?:to|from|dari|daripada|kepada|[Pp]aid by)\\s+(${name})`));
+    const before = text.match(new RegExp(`^\\s*(${name})\\s+(?:paid|bayar|transferred|sent)\\b`));
+    const candidate = (after && after[1]) || (before && before[1]);
+
+    if (!candidate || /^(?:i|we|me|my|our|the|owner|rm)$/i.test(candidate)) return null;
+    return candidate.trim();
+  }
+
+  // A bare "Ah Chong paid RM300" is a customer paying us only when Ah Chong
+  // is one of the user's customers (and not also a supplier); otherwise it is
+  // a bill paid to them, so "TNB paid RM200" is an expense whichever parser
+  // read it. "Ah Chong paid us" is left as parsed.
+  async applyNamedPayer(transaction, message, userId) {
+    if (!transaction || !['income', 'expense'].includes(transaction.type)) return transaction;
+
+    const payer = String(message || '').match(/^\s*(?!I\b|We\b)([A-Z][\w&'.-]*(?:\s+[A-Z][\w&'.-]*)*)\s+(?:paid|transferred|bayar)\b(?!\s+(?:us|me|kami|saya)\b)/);
+    if (!payer) return transaction;
+
+    try {
+      const ContactService = require('./contacts');
+      const match = await ContactService.resolveContact(userId, payer[1], 'customer');
+      const isCustomer = Boolean(match && match.contact.type === 'customer');
+      if (isCustomer === (transaction.type === 'income')) return transaction;
+
+      if (!isCustomer) {
+        const { category, description } = this.fallbackTransactionParsing(message) || {};
+        return { ...transaction, type: 'expense', category: category || 'other', description: description || transaction.description };
+      }
+
+      const category = /rental|sewa/i.test(message) ? 'rental' : 'revenue';
+      return {
+        ...transaction,
+        type: 'income',
+        category: category,
+        description: this.generateEnglishDescription(message, 'income', category)
+      };
+    } catch (error) {
+      console.error('Payer matching error:', error.message);
+      return transaction;
+    }
+  }
+
+  // Links a parsed transaction to a contact: the parsed counterparty matched
+  // by name or alias (fuzzy), or else a contact named in the message. An
+  // unknown counterparty is kept as text and linked once it is added to
+  // /contacts. Owner drawings and capital have no counterparty.
+  async applyContact(transaction, message, userId) {
+    if (!transaction) return transaction;
+
+    const counterparty = typeof transaction.counterparty === 'string' ? transaction.counterparty.trim() : '';
+    delete transaction.counterparty;
+    if (!['income', 'expense'].includes(transaction.type)) return transaction;
+
+    try {
+      const ContactService = require('./contacts');
+      const type = transaction.type === 'income' ? 'customer' : 'supplier';
+      const match = counterparty ? await ContactService.resolveContact(userId, counterparty, type) : null;
+      const contact = match ? match.contact : await ContactService.findInText(userId, message, type);
+
+      if (contact) {
+        transaction.contact_id = contact.id;
+        transaction.counterparty = contact.name;
+      } else if (counterparty) {
+        transaction.counterparty = counterparty;
+      }
+    } catch (error) {
+      console.error('Contact matching error:', error.message);
+      if (counterparty) transaction.counterparty = counterparty;
+    }
+
+    return transaction;
+  }
+
+  // Links a parsed purchase or sale to the /stock items it moves: the parsed
+  // items matched by SKU or name, or else items named in the message with a
+  // quantity ("10 beras"). A stock purchase is always an inventory expense.
+  // Products that are not in /stock are left as a plain transaction.
+  async applyStockItems(transaction, message, userId) {
+    if (!transaction) return transaction;
+
+    const parsedItems = Array.isArray(transaction.items) ? transaction.items : [];
+    delete transaction.items;
+    if (!['income', 'expense'].includes(transaction.type)) return transaction;
+
+    try {
+      const InventoryService = require('./inventory');
+      const stockItems = [];
+
+      for (const parsedItem of parsedItems) {
+        const item = parsedItem && await InventoryService.resolveItem(userId, parsedItem.name);
+        if (item) stockItems.push({ sku: item.sku, quantity: parsedItem.quantity, amount: parsedItem.amount });
+      }
+      if (stockItems.length === 0) {
+        stockItems.push(...await InventoryService.findItemsInText(userId, message));
+      }
+
+      const normalized = InventoryService.normalizeStockItems(stockItems);
+      if (normalized.length > 0) {
+        transaction.stock_items = normalized;
+        if (transaction.type === 'expense') transaction.category = 'inventory';
+      }
+    } catch (error) {
+      console.error('Stock item matching error:', error.message);
+    }
+
+    return transaction;
+  }
+
   generateEnglishDescription(originalMessage, type, category) {
     // Clean the message and convert to English
     let description = originalMessage.trim();
@@ -481,6 +760,7 @@ Return ONLY the JSON object:`;
         marketing: 'Marketing expense',
         supplies: 'Office supplies',
         revenue: 'Business revenue',
+        owner: type === 'drawing' ? 'Owner drawings' : 'Owner capital injection',
         other: type === 'expense' ? 'Business expense' : 'Business income'
       };
       
@@ -579,6 +859,10 @@ Examples:
     return null;
   }
 
+  async parseAsset(message, userId) {
+    return this.parseAssetOrLiability(message, userId, false);
+  }
+
   async parseAssetOrLiability(message, userId, isLiability = false) {
     const entityType = isLiability ? 'liability' : 'asset';
     const typeOptions = isLiability ? 
@@ -592,7 +876,10 @@ Examples:
   {
     "name": "${entityType} name",
     "type": "${typeOptions}",
-    "value": number
+    "value": number${isLiability ? '' : `,
+    "useful_life_years": number_or_null,
+    "residual_value": number_or_null,
+    "depreciation_method": "straight_line|reducing_balance|null"`}
   }
 
   ${isLiability ? 'LIABILITY' : 'ASSET'} TYPE DETECTION:
@@ -606,7 +893,10 @@ Examples:
   - bank_savings: bank, savings, simpanan
   - crypto: bitcoin, btc, crypto, cryptocurrency
   - stocks: stocks, shares, saham
-  - property: property, house, rumah, tanah`
+  - property: property, house, rumah, tanah
+  - equipment: equipment, machine, laptop, computer, vehicle, peralatan, mesin
+
+  Depreciation fields apply to equipment and property only; leave them null unless stated.`
   }
 
   EXAMPLES:
@@ -614,7 +904,8 @@ Examples:
     `"Add loan RM10000" → {"name": "Business Loan", "type": "loan", "value": 10000}
   "Add credit card RM2000" → {"name": "Credit Card", "type": "credit_card", "value": 2000}` :
     `"Add cash RM5000" → {"name": "Cash", "type": "cash", "value": 5000}
-  "Add Bitcoin RM2000" → {"name": "Bitcoin", "type": "crypto", "value": 2000}`
+  "Add Bitcoin RM2000" → {"name": "Bitcoin", "type": "crypto", "value": 2000}
+  "Add equipment laptop RM6000 3 years residual RM600" → {"name": "Laptop", "type": "equipment", "value": 6000, "useful_life_years": 3, "residual_value": 600, "depreciation_method": "straight_line"}`
   }
 
   Return ONLY the JSON object:`;
@@ -684,6 +975,9 @@ Examples:
         } else if (lowerMessage.includes('property') || lowerMessage.includes('house')) {
           type = 'property';
           name = 'Property';
+        } else if (lowerMessage.includes('equipment') || lowerMessage.includes('laptop') || lowerMessage.includes('machine')) {
+          type = 'equipment';
+          name = 'Equipment';
         }
       }
       
@@ -743,6 +1037,25 @@ Examples:
   }
 
   async parseJournalEntry(message, userId) {
+    let chartListing = `Assets: 1000-1999 (Cash=1000, Bank=1100, AR=1200, Inventory=1300, Equipment=1500)
+Liabilities: 2000-2999 (AP=2000, SST Payable=2300, Loans=2500)
+Equity: 3000-3999 (Owner's Equity=3000, Retained Earnings=3100, Owner's Drawings=3300)
+Revenue: 4000-4999 (Sales=4000, Service=4100, Rental=4200)
+Expenses: 5000-5999 (COGS=5000, Rent=5100, Utilities=5200, Marketing=5300)`;
+
+    try {
+      // Prefer the user's own chart so custom and sub-accounts can be used
+      const LedgerService = require('./ledger');
+      const chart = await LedgerService.getChartOfAccounts(userId);
+      chartListing = Object.entries(chart)
+        .filter(([code, account]) => !account.is_archived)
+        .sort(([a], [b]) => a.localeCompare(b))
+        .map(([code, account]) => `${code}=${account.name} (${account.type})`)
+        .join('\n');
+    } catch (error) {
+      console.error('Chart of accounts lookup error:', error);
+    }
+
     const prompt = `Parse this accounting journal entry into structured data:
 Message: "${message}"
 
@@ -755,17 +1068,18 @@ Extract and return ONLY valid JSON:
       "account_name": "account_name", 
       "debit": number_or_0,
       "credit": number_or_0,
+      "currency": "MYR",
+      "tax_code": "SV6|SV8|ST5|ST10|EX|OS (optional)",
       "description": "line_description"
     }
   ]
 }
 
-MALAYSIAN CHART OF ACCOUNTS:
-Assets: 1000-1999 (Cash=1000, Bank=1100, AR=1200, Inventory=1300, Equipment=1500)
-Liabilities: 2000-2999 (AP=2000, GST=2300, Loans=2500)
-Equity: 3000-3999 (Owner's Equity=3000, Retained Earnings=3100)
-Revenue: 4000-4999 (Sales=4000, Service=4100, Rental=4200)
-Expenses: 5000-5999 (COGS=5000, Rent=5100, Utilities=5200, Marketing=5300)
+Amounts are in the line's currency (MYR unless another currency such as USD or SGD is stated).
+Give a sales line a "tax_code" only when SST is mentioned, and keep its amount tax-inclusive: the SST Payable (2300) line is split out automatically, so do not add one yourself.
+
+CHART OF ACCOUNTS (use ONLY these codes):
+${chartListing}
 
 EXAMPLES:
 "Paid rent RM800" → 
@@ -805,6 +1119,30 @@ Return ONLY the JSON object:`;
     }
   }
 
+  formatRatiosForPrompt(ratios) {
+    const format = (value, suffix = '') => value === null || value === undefined ? 'n/a' : `${value.toFixed(2)}${suffix}`;
+    const current = ratios.current;
+    const trend = (key, suffix = '') => ratios.trend.map(point => format(point[key], suffix)).join(', ');
+
+    return `As of ${ratios.as_of_date} (${current.period}${current.is_partial ? ' to date' : ''}):
+Current Ratio: ${format(current.current_ratio)}
+Quick Ratio: ${format(current.quick_ratio)}
+Debt-to-Equity: ${format(current.debt_to_equity)}${current.figures.equity <= 0 ? ' (equity is negative or zero)' : ''}
+Gross Margin: ${format(current.gross_margin, '%')}
+Net Margin: ${format(current.net_margin, '%')}
+Days Sales Outstanding: ${format(current.dso, ' days')} (last ${ratios.trailing_months} months)
+Days Payable Outstanding: ${format(current.dpo, ' days')} (last ${ratios.trailing_months} months)
+Cash: RM${current.figures.cash.toFixed(2)}, monthly net cash burn RM${current.monthly_burn.toFixed(2)}
+Cash Runway: ${current.cash_runway_months === null ? 'not burning cash' : format(current.cash_runway_months, ' months')}
+Interest Coverage: ${current.interest_coverage === null ? 'no interest expense' : format(current.interest_coverage, 'x')}
+
+12-month trend, oldest to newest (${ratios.trend[0].period} to ${current.period}):
+Current Ratio: ${trend('current_ratio')}
+Net Margin: ${trend('net_margin', '%')}
+DSO: ${trend('dso')}
+Cash Runway (months): ${trend('cash_runway_months')}`;
+  }
+
   async generateAccountingInsights(userId) {
     try {
       const LedgerService = require('./ledger');
@@ -815,6 +1153,15 @@ Return ONLY the JSON object:`;
       const startOfMonth = new Date(currentDate.getFullYear(), currentDate.getMonth(), 1);
       const incomeStatement = await LedgerService.generateIncomeStatement(userId, startOfMonth, currentDate);
       
+      // Ratios are computed from the ledger so the model interprets them instead of guessing
+      let ratioSummary = 'Not available';
+      try {
+        const RatioService = require('./ratios');
+        ratioSummary = this.formatRatiosForPrompt(await RatioService.getRatios(userId, currentDate));
+      } catch (error) {
+        console.error('Ratio calculation error:', error);
+      }
+      
       const prompt = `Analyze this Malaysian business's financial statements and provide accounting insights:
 
 BALANCE SHEET:
@@ -829,11 +1176,15 @@ Gross Profit: RM${incomeStatement.gross_profit}
 Operating Income: RM${incomeStatement.operating_income}
 Net Income: RM${incomeStatement.net_income}
 
+COMPUTED RATIOS (from the ledger; n/a = not meaningful for this business):
+${ratioSummary}
+
 Provide 3 key accounting insights focusing on:
 1. Financial health and ratios
 2. Cash flow and liquidity concerns
 3. Profitability and efficiency
 
+Use the computed ratios and trends above as given; do not calculate or estimate other ratios.
 Keep each insight under 100 words and include specific RM amounts where relevant.`;
 
       const result = await this.model.generateContent(prompt);
@@ -3,6 +3,14 @@ const redis = require('../../config/redis');
 const { v4: uuidv4 } = require('uuid');
 
 class AssetService {
+  constructor() {
+    // Fixed asset types we depreciate, with their cost and accumulated depreciation accounts
+    this.depreciableTypes = {
+      equipment: { asset_account: '1500', accumulated_account: '1600', default_life_years: 5 },
+      property: { asset_account: '1700', accumulated_account: '1750', default_life_years: 50 }
+    };
+  }
+
   async createAsset(userId, assetData) {
     try {
       const assetId = uuidv4();
@@ -20,46 +28,50 @@ class AssetService {
         updated_at: new Date().toISOString()
       };
 
-      // Store asset
-      await redis.json.set(`asset:${assetId}`, '$', asset);
-      await redis.lPush(`user:${userId}:assets`, assetId);
-
-      // CREATE JOURNAL ENTRY FOR ASSET ADDITION
-      try {
-        const LedgerService = require('./ledger');
-        let assetAccountCode = '1000'; // Default to Cash
-        let equityAccountCode = '3000'; // Owner's Equity
-        
-        // Determine correct asset account
-        if (assetData.type === 'cash') assetAccountCode = '1000';
-        else if (assetData.type === 'bank_savings') assetAccountCode = '1100';
-        else if (assetData.type === 'crypto') assetAccountCode = '1800';
-        else if (assetData.type === 'property') assetAccountCode = '1700';
-        else if (assetData.type === 'stocks') assetAccountCode = '1800';
-        else if (assetData.type === 'equipment') assetAccountCode = '1500';
-        
-        await LedgerService.createJournalEntry(userId, {
-          description: `Initial ${assetData.name} asset`,
-          reference: `ASSET-${assetId.substring(0, 8)}`,
-          lines: [
-            {
-              account_code: assetAccountCode,
-              debit: parseFloat(assetData.value),
-              credit: 0,
-              description: `Add ${assetData.name}`
-            },
-            {
-              account_code: equityAccountCode,
-              debit: 0,
-              credit: parseFloat(assetData.value),
-              description: `Owner contribution - ${assetData.name}`
-            }
-          ]
-        });
-      } catch (journalError) {
-        console.error('Asset journal entry error:', journalError);
+      if (this.depreciableTypes[asset.type]) {
+        asset.depreciation = this.buildDepreciationSchedule(asset, assetData);
       }
 
+      // CREATE JOURNAL ENTRY FOR ASSET ADDITION, stored in the same
+      // transaction as the asset so the scheduler never depreciates an asset
+      // whose cost is not on the books
+      const LedgerService = require('./ledger');
+      let assetAccountCode = '1000'; // Default to Cash
+      let equityAccountCode = '3000'; // Owner's Equity
+      
+      // Determine correct asset account
+      if (assetData.type === 'cash') assetAccountCode = '1000';
+      else if (assetData.type === 'bank_savings') assetAccountCode = '1100';
+      else if (assetData.type === 'crypto') assetAccountCode = '1800';
+      else if (assetData.type === 'property') assetAccountCode = '1700';
+      else if (assetData.type === 'stocks') assetAccountCode = '1800';
+      else if (assetData.type === 'equipment') assetAccountCode = '1500';
+      
+      await LedgerService.postJournalEntries(userId, async () => [await LedgerService.buildJournalEntry(userId, {
+        description: `Initial ${assetData.name} asset`,
+        reference: `ASSET-${assetId.substring(0, 8)}`,
+        lines: [
+          {
+            account_code: assetAccountCode,
+            debit: parseFloat(assetData.value),
+            credit: 0,
+            description: `Add ${assetData.name}`
+          },
+          {
+            account_code: equityAccountCode,
+            debit: 0,
+            credit: parseFloat(assetData.value),
+            description: `Owner contribution - ${assetData.name}`
+          }
+        ]
+      })], {
+        queue: (multi) => {
+          multi.json.set(`asset:${assetId}`, '$', asset);
+          multi.lPush(`user:${userId}:assets`, assetId);
+          if (asset.depreciation) multi.sAdd('depreciating_assets', assetId);
+        }
+      });
+
       console.log(`✅ Created asset: ${assetId} for user ${userId}`);
       return asset;
     } catch (error) {
@@ -103,50 +115,68 @@ class AssetService {
         return { success: false, error: 'Asset not found or unauthorized' };
       }
       
-      // CREATE REVERSE JOURNAL ENTRY WHEN DELETING ASSET
-      try {
-        const LedgerService = require('./ledger');
-        let assetAccountCode = '1000';
-        let equityAccountCode = '3000';
+      // CREATE REVERSE JOURNAL ENTRY WHEN DELETING ASSET, in the same
+      // transaction that marks it inactive and stops its depreciation
+      const LedgerService = require('./ledger');
+      let assetAccountCode = '1000';
+      let equityAccountCode = '3000';
+      
+      if (asset.type === 'cash') assetAccountCode = '1000';
+      else if (asset.type === 'bank_savings') assetAccountCode = '1100';
+      else if (asset.type === 'crypto') assetAccountCode = '1800';
+      else if (asset.type === 'property') assetAccountCode = '1700';
+      else if (asset.type === 'stocks') assetAccountCode = '1800';
+      else if (asset.type === 'equipment') assetAccountCode = '1500';
+      
+      await LedgerService.postJournalEntries(userId, async () => {
+        // Depreciation may have run since the asset was read
+        const current = await this.getAsset(assetId);
+        const accumulated = current.depreciation ? current.depreciation.accumulated_myr : 0;
+        const lines = [
+          {
+            account_code: equityAccountCode,
+            debit: current.current_value_myr,
+            credit: 0,
+            description: `Remove ${current.name}`
+          },
+          {
+            account_code: assetAccountCode,
+            debit: 0,
+            credit: current.current_value_myr + accumulated,
+            description: `Asset removal - ${current.name}`
+          }
+        ];
         
-        if (asset.type === 'cash') assetAccountCode = '1000';
-        else if (asset.type === 'bank_savings') assetAccountCode = '1100';
-        else if (asset.type === 'crypto') assetAccountCode = '1800';
-        else if (asset.type === 'property') assetAccountCode = '1700';
-        else if (asset.type === 'stocks') assetAccountCode = '1800';
-        else if (asset.type === 'equipment') assetAccountCode = '1500';
+        // Depreciated assets also clear their accumulated depreciation
+        if (accumulated > 0) {
+          lines.push({
+            account_code: LedgerService.getSystemAccountCode(await LedgerService.getChartOfAccounts(userId), this.depreciableTypes[current.type].accumulated_account),
+            debit: accumulated,
+            credit: 0,
+            description: `Clear accumulated depreciation - ${current.name}`
+          });
+        }
         
-        await LedgerService.createJournalEntry(userId, {
-          description: `Remove ${asset.name} asset`,
+        return [await LedgerService.buildJournalEntry(userId, {
+          description: `Remove ${current.name} asset`,
           reference: `ASSET-DEL-${assetId.substring(0, 8)}`,
-          lines: [
-            {
-              account_code: equityAccountCode,
-              debit: asset.current_value_myr,
-              credit: 0,
-              description: `Remove ${asset.name}`
-            },
-            {
-              account_code: assetAccountCode,
-              debit: 0,
-              credit: asset.current_value_myr,
-              description: `Asset removal - ${asset.name}`
-            }
-          ]
-        });
-      } catch (journalError) {
-        console.error('Asset deletion journal entry error:', journalError);
-      }
-      
-      // Mark as inactive
-      await redis.json.set(`asset:${assetId}`, '$.is_active', false);
-      await redis.json.set(`asset:${assetId}`, '$.deleted_at', new Date().toISOString());
+          lines: lines
+        })];
+      }, {
+        watch: [`asset:${assetId}`],
+        queue: (multi) => {
+          // Mark as inactive
+          multi.sRem('depreciating_assets', assetId);
+          multi.json.set(`asset:${assetId}`, '$.is_active', false);
+          multi.json.set(`asset:${assetId}`, '$.deleted_at', new Date().toISOString());
+        }
+      });
       
       console.log(`✅ Deleted asset: ${assetId} for user ${userId}`);
       return { success: true, asset };
     } catch (error) {
       console.error('Delete asset error:', error);
-      return { success: false, error: 'Failed to delete asset' };
+      return { success: false, error: error.message || 'Failed to delete asset' };
     }
   }
 
@@ -160,6 +190,212 @@ class AssetService {
     }
   }
 
+  // Depreciation
+  buildDepreciationSchedule(asset, options = {}) {
+    const defaults = this.depreciableTypes[asset.type];
+    const lifeYears = parseFloat(options.useful_life_years) || defaults.default_life_years;
+    const residualValue = parseFloat(options.residual_value) || 0;
+    const method = ['reducing_balance', 'rb'].includes(options.depreciation_method) ? 'reducing_balance' : 'straight_line';
+
+    if (!(lifeYears > 0)) {
+      throw new Error('Useful life must be greater than zero');
+    }
+    if (residualValue < 0 || residualValue >= asset.purchase_price_myr) {
+      throw new Error('Residual value must be less than the asset cost');
+    }
+
+    return {
+      method: method,
+      useful_life_months: Math.round(lifeYears * 12),
+      residual_value_myr: residualValue,
+      // Reducing balance defaults to double-declining
+      annual_rate: method === 'reducing_balance' ? (parseFloat(options.depreciation_rate) || 2 / lifeYears) : null,
+      accumulated_myr: (asset.depreciation && asset.depreciation.accumulated_myr) || 0,
+      last_posted_period: (asset.depreciation && asset.depreciation.last_posted_period) || null,
+      start_date: asset.purchase_date
+    };
+  }
+
+  async setDepreciationSchedule(userId, assetId, options) {
+    try {
+      const asset = await this.getAsset(assetId);
+
+      if (!asset || asset.user_id !== userId.toString() || !asset.is_active) {
+        throw new Error('Asset not found');
+      }
+      if (!this.depreciableTypes[asset.type]) {
+        throw new Error(`${asset.type} assets are not depreciated`);
+      }
+
+      // Changes apply to future months only - posted depreciation stays as is
+      const schedule = this.buildDepreciationSchedule(asset, options);
+      await redis.json.set(`asset:${assetId}`, '$.depreciation', schedule);
+      await redis.json.set(`asset:${assetId}`, '$.updated_at', new Date().toISOString());
+      await redis.sAdd('depreciating_assets', assetId);
+
+      return { ...asset, depreciation: schedule };
+    } catch (error) {
+      console.error('Set depreciation schedule error:', error);
+      throw error;
+    }
+  }
+
+  getNetBookValue(asset) {
+    const accumulated = asset.depreciation ? asset.depreciation.accumulated_myr : 0;
+    return asset.purchase_price_myr - accumulated;
+  }
+
+  calculateMonthlyDepreciation(asset) {
+    const schedule = asset.depreciation;
+    const netBookValue = this.getNetBookValue(asset);
+    const depreciable = netBookValue - schedule.residual_value_myr;
+
+    if (depreciable <= 0.005) return 0;
+
+    const amount = schedule.method === 'reducing_balance'
+      ? netBookValue * schedule.annual_rate / 12
+      : (asset.purchase_price_myr - schedule.residual_value_myr) / schedule.useful_life_months;
+
+    // Never depreciate below the residual value
+    return Math.round(Math.min(amount, depreciable) * 100) / 100;
+  }
+
+  // Months owed for an asset: from the month after purchase (or last posting)
+  // up to the last month that has fully ended
+  getDueDepreciationPeriods(asset, now = new Date()) {
+    const schedule = asset.depreciation;
+    const periods = [];
+
+    let cursor;
+    if (schedule.last_posted_period) {
+      const [year, month] = schedule.last_posted_period.split('-').map(Number);
+      cursor = new Date(year, month, 1);
+    } else {
+      const start = new Date(schedule.start_date);
+      cursor = new Date(start.getFullYear(), start.getMonth() + 1, 1);
+    }
+
+    while (new Date(cursor.getFullYear(), cursor.getMonth() + 1, 0, 23, 59, 59, 999) < now) {
+      periods.push({
+        period: `${cursor.getFullYear()}-${String(cursor.getMonth() + 1).padStart(2, '0')}`,
+        date: new Date(cursor.getFullYear(), cursor.getMonth() + 1, 0, 23, 59, 59)
+      });
+      cursor = new Date(cursor.getFullYear(), cursor.getMonth() + 1, 1);
+    }
+
+    return periods;
+  }
+
+  // Each month's entry and the asset's schedule are written in one EXEC, keyed
+  // by asset and period, so a crash or a second scheduler run never posts a
+  // month twice
+  async postDepreciation(asset, now = new Date()) {
+    const LedgerService = require('./ledger');
+    const accounts = this.depreciableTypes[asset.type];
+    const assetKey = `asset:${asset.id}`;
+    let posted = 0;
+
+    for (const { period, date } of this.getDueDepreciationPeriods(asset, now)) {
+      if (this.calculateMonthlyDepreciation(asset) === 0) {
+        asset.depreciation.last_posted_period = period;
+        asset.current_value_myr = this.getNetBookValue(asset);
+        await redis.json.set(assetKey, '$', { ...asset, updated_at: new Date().toISOString() });
+        break;
+      }
+
+      let updated;
+      const { duplicate_of: duplicateOf } = await LedgerService.postJournalEntries(asset.user_id, async () => {
+        const current = await this.getAsset(asset.id);
+        const amount = this.calculateMonthlyDepreciation(current);
+        updated = {
+          ...current,
+          depreciation: {
+            ...current.depreciation,
+            accumulated_myr: Math.round((current.depreciation.accumulated_myr + amount) * 100) / 100,
+            last_posted_period: period
+          },
+          updated_at: new Date().toISOString()
+        };
+        updated.current_value_myr = this.getNetBookValue(updated);
+
+        const chart = await LedgerService.getChartOfAccounts(asset.user_id);
+        return [await LedgerService.buildJournalEntry(asset.user_id, {
+          description: `Depreciation ${period} - ${asset.name}`,
+          reference: `DEP-${asset.id.substring(0, 8)}-${period}`,
+          date: date.toISOString(),
+          entry_type: 'depreciation',
+          created_by: 'system',
+          lines: [
+            {
+              account_code: '5600',
+              debit: amount,
+              credit: 0,
+              description: `Depreciation - ${asset.name}`
+            },
+            {
+              account_code: LedgerService.getSystemAccountCode(chart, accounts.accumulated_account),
+              debit: 0,
+              credit: amount,
+              description: `Accumulated depreciation - ${asset.name}`
+            }
+          ]
+        })];
+      }, {
+        idempotency_key: `DEP-${asset.id}-${period}`,
+        watch: [assetKey],
+        queue: (multi) => multi.json.set(assetKey, '$', updated)
+      });
+
+      // The caller keeps using this asset, so bring it up to date in place; a
+      // duplicate means another run is posting it and carries on
+      if (duplicateOf) {
+        Object.assign(asset, await this.getAsset(asset.id));
+        break;
+      }
+      Object.assign(asset, updated);
+      posted++;
+    }
+
+    return posted;
+  }
+
+  async processDueDepreciation() {
+    try {
+      const assetIds = await redis.sMembers('depreciating_assets');
+      let postedCount = 0;
+
+      for (const assetId of assetIds) {
+        try {
+          const asset = await this.getAsset(assetId);
+
+          if (!asset || !asset.is_active || !asset.depreciation) {
+            await redis.sRem('depreciating_assets', assetId);
+            continue;
+          }
+
+          postedCount += await this.postDepreciation(asset);
+
+          // Fully depreciated assets drop out of the schedule
+          if (this.calculateMonthlyDepreciation(asset) === 0) {
+            await redis.sRem('depreciating_assets', assetId);
+          }
+        } catch (error) {
+          // Locked or closed periods stop posting until the user reopens them
+          console.error(`Error depreciating asset ${assetId}:`, error.message);
+        }
+      }
+
+      if (postedCount > 0) {
+        console.log(`✅ Posted ${postedCount} monthly depreciation entries`);
+      }
+
+      return postedCount;
+    } catch (error) {
+      console.error('Process due depreciation error:', error);
+      return 0;
+    }
+  }
+
   classifyAssetCategory(assetType) {
     const categoryMap = {
       'cash': 'current',
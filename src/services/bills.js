@@ -0,0 +1,470 @@
+// src/services/bills.js
+
+const redis = require('../../config/redis');
+const { v4: uuidv4 } = require('uuid');
+
+class BillService {
+  constructor() {
+    this.payableAccount = '2000';
+    this.defaultAccount = '5000';
+    this.defaultTermsDays = 30;
+    this.defaultReminderDays = 3;
+    this.supplierFields = ['tin', 'brn', 'sst', 'email', 'phone', 'address'];
+  }
+
+  formatNumber(number) {
+    return `BILL-${String(number).padStart(6, '0')}`;
+  }
+
+  // "BILL-000012", "bill-12" and "12" all mean bill BILL-000012
+  normalizeNumber(reference) {
+    const match = String(reference || '').trim().match(/^(?:bill-?)?(\d+)$/i);
+    return match ? this.formatNumber(parseInt(match[1])) : null;
+  }
+
+  round(amount) {
+    return Math.round(amount * 100) / 100;
+  }
+
+  isOpen(bill) {
+    return ['unpaid', 'partially_paid'].includes(bill.status);
+  }
+
+  // Bill lines go to expense accounts (5000 Cost of Goods Sold by default) or
+  // asset accounts such as 1300 Inventory. Amounts are before SST; SST charged
+  // by the supplier cannot be claimed back, so it is added to the line's cost.
+  // A line starting with a /stock item's SKU (or carrying `sku`) goes to 1300
+  // and receives that stock, matched as invoice lines are.
+  async buildLines(userId, lines) {
+    const LedgerService = require('./ledger');
+    const TaxService = require('./tax');
+    const InventoryService = require('./inventory');
+    const chart = await LedgerService.getChartOfAccounts(userId);
+
+    if (!Array.isArray(lines) || lines.length === 0) {
+      throw new Error('A bill needs at least one line item');
+    }
+
+    const stockItems = (await InventoryService.matchLineItems(userId, lines)).map((item, index) => {
+      const line = lines[index];
+      const isStockLine = !line.account_code || String(line.account_code) === InventoryService.inventoryAccount;
+      if (line.sku && !isStockLine) throw new Error(`"${line.description}": stock is received into ${InventoryService.inventoryAccount} Inventory, not ${line.account_code}`);
+      return isStockLine ? item : null;
+    });
+
+    return lines.map((line, index) => {
+      const quantity = parseFloat(line.quantity || 1);
+      const unitPrice = parseFloat(line.unit_price);
+      const stockItem = stockItems[index];
+      const accountCode = String(line.account_code || (stockItem ? InventoryService.inventoryAccount : this.defaultAccount));
+      const account = chart[accountCode];
+
+      if (!line.description) throw new Error('Every line item needs a description');
+      if (!(quantity > 0) || !(unitPrice > 0)) throw new Error(`"${line.description}": quantity and price must be greater than zero`);
+      if (!account || !['expense', 'asset'].includes(account.type) || account.is_archived) {
+        throw new Error(`Account ${accountCode} is not an active expense or asset account in your chart`);
+      }
+
+      const taxCode = line.tax_code ? TaxService.getTaxCode(line.tax_code) : null;
+      const amount = this.round(quantity * unitPrice);
+
+      return {
+        description: line.description,
+        quantity: quantity,
+        unit_price: unitPrice,
+        account_code: accountCode,
+        tax_code: taxCode ? taxCode.code : null,
+        amount: amount,
+        tax_amount: taxCode ? this.round(amount * taxCode.rate / 100) : 0,
+        ...(stockItem ? { sku: stockItem.sku } : {})
+      };
+    });
+  }
+
+  // Stock received on a bill, at each line's cost including SST
+  getStockMovements(bill) {
+    return bill.lines
+      .filter(line => line.sku)
+      .map(line => ({
+        sku: line.sku,
+        type: 'in',
+        quantity: line.quantity,
+        value: this.round(line.amount + line.tax_amount),
+        reference: bill.number,
+        date: bill.issue_date
+      }));
+  }
+
+  // Dr each line's account for its cost including SST; Cr Accounts Payable
+  buildBillJournalLines(bill) {
+    const lines = bill.lines.map(line => ({
+      account_code: line.account_code,
+      debit: this.round(line.amount + line.tax_amount),
+      credit: 0,
+      description: line.description,
+      ...(line.tax_code ? { tax_code: line.tax_code } : {})
+    }));
+
+    lines.push({
+      account_code: this.payableAccount,
+      debit: 0,
+      credit: bill.total,
+      description: `${bill.number} - ${bill.supplier.name}`
+    });
+
+    return lines;
+  }
+
+  // Records and posts a supplier bill. Bill numbers are our own, sequential
+  // per user like invoice numbers; the supplier's invoice number is kept as
+  // supplier_reference.
+  async createBill(userId, data) {
+    try {
+      const LedgerService = require('./ledger');
+      const supplier = typeof data.supplier === 'string' ? { name: data.supplier } : { ...data.supplier };
+      supplier.name = String(supplier.name || '').trim();
+      if (!supplier.name) throw new Error('A bill needs a supplier name');
+
+      const lines = await this.buildLines(userId, data.lines);
+      const issueDate = data.issue_date ? new Date(data.issue_date) : new Date();
+      const dueDate = data.due_date
+        ? new Date(data.due_date)
+        : new Date(issueDate.getFullYear(), issueDate.getMonth(), issueDate.getDate() + (parseInt(data.terms_days) || this.defaultTermsDays));
+      if (isNaN(issueDate) || isNaN(dueDate)) throw new Error('Invalid bill or due date');
+      if (dueDate < new Date(issueDate.getFullYear(), issueDate.getMonth(), issueDate.getDate())) {
+        throw new Error('The due date cannot be before the bill date');
+      }
+
+      // Every supplier is a contact: matched by name or added to /contacts
+      const ContactService = require('./contacts');
+      const resolved = data.contact_id
+        ? { contact: await ContactService.getContact(userId, data.contact_id), party: supplier }
+        : await ContactService.resolveParty(userId, supplier, 'supplier');
+      const { contact, party } = resolved;
+
+      const subtotal = this.round(lines.reduce((sum, line) => sum + line.amount, 0));
+      const taxTotal = this.round(lines.reduce((sum, line) => sum + line.tax_amount, 0));
+      const billId = uuidv4();
+      const counterKey = `bill_counter:${userId}`;
+      const InventoryService = require('./inventory');
+      let bill;
+      let number;
+      let stock;
+
+      const { duplicate_of: duplicateOf } = await LedgerService.postJournalEntries(userId, async () => {
+        number = parseInt(await redis.get(counterKey) || 0) + 1;
+        bill = {
+          id: billId,
+          user_id: userId.toString(),
+          number: this.formatNumber(number),
+          supplier: party,
+          contact_id: contact.id,
+          supplier_reference: data.supplier_reference || null,
+          issue_date: issueDate.toISOString(),
+          due_date: dueDate.toISOString(),
+          lines: lines,
+          subtotal: subtotal,
+          tax_total: taxTotal,
+          total: this.round(subtotal + taxTotal),
+          amount_paid: 0,
+          balance_due: this.round(subtotal + taxTotal),
+          status: 'unpaid',
+          payments: [],
+          reminder_sent_at: null,
+          created_at: new Date().toISOString(),
+          updated_at: new Date().toISOString()
+        };
+        if (data.dimensions) bill.dimensions = LedgerService.normalizeDimensions(data.dimensions);
+
+        const journalEntry = await LedgerService.buildJournalEntry(userId, {
+          description: `Bill ${bill.number} - ${supplier.name}${bill.supplier_reference ? ` (${bill.supplier_reference})` : ''}`,
+          reference: bill.number,
+          date: bill.issue_date,
+          entry_type: 'bill',
+          dimensions: bill.dimensions,
+          lines: this.buildBillJournalLines(bill)
+        });
+        bill.journal_entry_id = journalEntry.id;
+        stock = await InventoryService.applyMovements(userId, this.getStockMovements(bill));
+        return [journalEntry];
+      }, {
+        idempotency_key: data.idempotency_key,
+        watch: [counterKey, ...InventoryService.getItemKeys(userId, lines.filter(line => line.sku))],
+        queue: (multi) => {
+          ContactService.queueParty(multi, userId, resolved);
+          InventoryService.queueMovements(multi, userId, stock);
+          multi.set(counterKey, number.toString());
+          multi.json.set(`bill:${billId}`, '$', bill);
+          multi.lPush(`user:${userId}:bills`, billId);
+          multi.hSet(`bill_numbers:${userId}`, bill.number, billId);
+          multi.sAdd('open_bills', billId);
+        }
+      });
+
+      if (duplicateOf) {
+        const journalEntry = await LedgerService.getJournalEntry(userId, duplicateOf);
+        console.log(`⏭️ Bill ${data.idempotency_key} already recorded as ${journalEntry.reference}`);
+        return await this.getBill(userId, journalEntry.reference);
+      }
+
+      await ContactService.linkNewParty(userId, resolved);
+      console.log(`✅ Recorded bill ${bill.number} for user ${userId}`);
+      return bill;
+    } catch (error) {
+      console.error('Create bill error:', error);
+      throw error;
+    }
+  }
+
+  async getBill(userId, reference) {
+    const number = this.normalizeNumber(reference);
+    const billId = number
+      ? await redis.hGet(`bill_numbers:${userId}`, number)
+      : reference;
+    const bill = billId ? await redis.json.get(`bill:${billId}`) : null;
+
+    if (!bill || bill.user_id !== userId.toString()) {
+      throw new Error(`Bill ${number || reference} not found`);
+    }
+
+    return bill;
+  }
+
+  // `status` filters on 'open' (unpaid or part-paid, soonest due first) or an
+  // exact status; otherwise newest first
+  async getBills(userId, status = null) {
+    try {
+      const billIds = await redis.lRange(`user:${userId}:bills`, 0, -1);
+      const bills = [];
+
+      for (const billId of billIds) {
+        const bill = await redis.json.get(`bill:${billId}`);
+        if (!bill) continue;
+        if (status === 'open' && !this.isOpen(bill)) continue;
+        if (status && status !== 'open' && bill.status !== status) continue;
+        bills.push(bill);
+      }
+
+      return status === 'open'
+        ? bills.sort((a, b) => new Date(a.due_date) - new Date(b.due_date) || a.number.localeCompare(b.number))
+        : bills.sort((a, b) => b.number.localeCompare(a.number));
+    } catch (error) {
+      console.error('Get bills error:', error);
+      return [];
+    }
+  }
+
+  isOverdue(bill, now = new Date()) {
+    const dueDate = new Date(bill.due_date);
+    const endOfDueDay = new Date(dueDate.getFullYear(), dueDate.getMonth(), dueDate.getDate(), 23, 59, 59, 999);
+    return this.isOpen(bill) && now > endOfDueDay;
+  }
+
+  // Whole days from today until the due date; negative once overdue
+  getDaysUntilDue(bill, now = new Date()) {
+    const dueDate = new Date(bill.due_date);
+    const today = new Date(now.getFullYear(), now.getMonth(), now.getDate());
+    const dueDay = new Date(dueDate.getFullYear(), dueDate.getMonth(), dueDate.getDate());
+    return Math.round((dueDay - today) / (24 * 60 * 60 * 1000));
+  }
+
+  // Full or partial payment: Dr Accounts Payable / Cr Bank. The payment entry
+  // and the bill's new balance and status are written together.
+  async recordPayment(userId, reference, data = {}) {
+    try {
+      const LedgerService = require('./ledger');
+      const paidDate = data.date ? new Date(data.date) : new Date();
+      if (isNaN(paidDate)) throw new Error('Invalid payment date');
+
+      const billKey = `bill:${(await this.getBill(userId, reference)).id}`;
+      let bill;
+      let payment;
+
+      const { duplicate_of: duplicateOf } = await LedgerService.postJournalEntries(userId, async () => {
+        bill = await this.getBill(userId, reference);
+
+        if (!this.isOpen(bill)) {
+          throw new Error(`Bill ${bill.number} is ${bill.status.replace('_', ' ')}`);
+        }
+
+        const amount = data.amount === undefined || data.amount === null
+          ? bill.balance_due
+          : this.round(parseFloat(data.amount));
+        if (!(amount > 0)) throw new Error('Payment amount must be greater than zero');
+        if (amount > bill.balance_due + 0.005) {
+          throw new Error(`Payment RM${amount.toFixed(2)} is more than the RM${bill.balance_due.toFixed(2)} owing on ${bill.number}`);
+        }
+
+        const journalEntry = await LedgerService.buildJournalEntry(userId, {
+          description: `Payment for ${bill.number} - ${bill.supplier.name}`,
+          reference: `PAY-${bill.number}-${bill.payments.length + 1}`,
+          date: paidDate.toISOString(),
+          entry_type: 'bill_payment',
+          dimensions: bill.dimensions,
+          lines: [
+            { account_code: this.payableAccount, debit: amount, credit: 0, description: `${bill.number} - ${bill.supplier.name}` },
+            { account_code: data.paid_from || '1100', debit: 0, credit: amount, description: `Paid to ${bill.supplier.name}` }
+          ]
+        });
+
+        payment = {
+          id: uuidv4(),
+          date: paidDate.toISOString(),
+          amount: amount,
+          journal_entry_id: journalEntry.id
+        };
+        const amountPaid = this.round(bill.amount_paid + amount);
+        const balanceDue = this.round(bill.total - amountPaid);
+
+        bill = {
+          ...bill,
+          amount_paid: amountPaid,
+          balance_due: balanceDue,
+          status: balanceDue <= 0.005 ? 'paid' : 'partially_paid',
+          payments: [...bill.payments, payment],
+          updated_at: new Date().toISOString()
+        };
+        if (bill.status === 'paid') bill.paid_at = payment.date;
+
+        return [journalEntry];
+      }, {
+        idempotency_key: data.idempotency_key,
+        watch: [billKey],
+        queue: (multi) => {
+          multi.json.set(billKey, '$', bill);
+          if (bill.status === 'paid') multi.sRem('open_bills', bill.id);
+        }
+      });
+
+      if (duplicateOf) {
+        console.log(`⏭️ Payment ${data.idempotency_key} already recorded`);
+        return { bill: await this.getBill(userId, reference), payment: null };
+      }
+
+      console.log(`✅ Recorded payment of RM${payment.amount.toFixed(2)} on ${bill.number} for user ${userId}`);
+      return { bill, payment };
+    } catch (error) {
+      console.error('Record bill payment error:', error);
+      throw error;
+    }
+  }
+
+  // Voids a bill with no payments by reversing its journal entry
+  async voidBill(userId, reference, reason = null) {
+    try {
+      const LedgerService = require('./ledger');
+      const InventoryService = require('./inventory');
+      const existing = await this.getBill(userId, reference);
+      const billKey = `bill:${existing.id}`;
+      let bill;
+      let original;
+      let stock;
+
+      await LedgerService.postJournalEntries(userId, async () => {
+        bill = await this.getBill(userId, reference);
+
+        if (bill.status === 'void') throw new Error(`Bill ${bill.number} is already void`);
+        if (bill.payments.length > 0) {
+          throw new Error(`Bill ${bill.number} has payments recorded and cannot be voided`);
+        }
+
+        original = await LedgerService.getJournalEntry(userId, bill.journal_entry_id);
+        const reversal = await LedgerService.buildReversal(userId, original, { reason: reason || `${bill.number} voided` });
+        // Stock received on the bill goes back out at the cost it came in at
+        stock = await InventoryService.applyMovements(userId, this.getStockMovements(bill)
+          .map(movement => ({ ...movement, type: 'out', reverses: bill.number, date: reversal.date })));
+
+        bill = {
+          ...bill,
+          status: 'void',
+          balance_due: 0,
+          voided_at: new Date().toISOString(),
+          void_journal_entry_id: reversal.id,
+          updated_at: new Date().toISOString()
+        };
+
+        return [reversal];
+      }, {
+        watch: [billKey, ...InventoryService.getItemKeys(userId, existing.lines.filter(line => line.sku))],
+        queue: (multi, [reversal]) => {
+          LedgerService.queueReversedStatus(multi, original, 'voided', reversal.id);
+          InventoryService.queueMovements(multi, userId, stock);
+          multi.json.set(billKey, '$', bill);
+          multi.sRem('open_bills', bill.id);
+        }
+      });
+
+      console.log(`✅ Voided bill ${bill.number} for user ${userId}`);
+      return bill;
+    } catch (error) {
+      console.error('Void bill error:', error);
+      throw error;
+    }
+  }
+
+  async getReminderDays(userId) {
+    const days = await redis.hGet(`bill_settings:${userId}`, 'reminder_days');
+    return days === null || days === undefined ? this.defaultReminderDays : parseInt(days);
+  }
+
+  // Days before the due date to send a reminder; 0 turns reminders off
+  async setReminderDays(userId, days) {
+    const value = parseInt(days);
+    if (isNaN(value) || value < 0 || value > 60) {
+      throw new Error('Reminder days must be a whole number from 0 (off) to 60');
+    }
+
+    await redis.hSet(`bill_settings:${userId}`, 'reminder_days', value.toString());
+    return value;
+  }
+
+  // Open bills due within each user's reminder window that have not been
+  // reminded yet. Each bill is marked so it is reminded once; the caller
+  // delivers the returned { user_id, bill, days_until_due } reminders.
+  async processReminders(now = new Date()) {
+    try {
+      const reminders = [];
+
+      for (const billId of await redis.sMembers('open_bills')) {
+        try {
+          const bill = await redis.json.get(`bill:${billId}`);
+
+          if (!bill || !this.isOpen(bill)) {
+            await redis.sRem('open_bills', billId);
+            continue;
+          }
+          if (bill.reminder_sent_at) continue;
+
+          const reminderDays = await this.getReminderDays(bill.user_id);
+          const daysUntilDue = this.getDaysUntilDue(bill, now);
+          if (reminderDays === 0 || daysUntilDue > reminderDays) continue;
+
+          await redis.json.set(`bill:${billId}`, '$.reminder_sent_at', now.toISOString());
+          reminders.push({ user_id: bill.user_id, bill: bill, days_until_due: daysUntilDue });
+        } catch (error) {
+          console.error(`Error checking bill ${billId} for reminders:`, error.message);
+        }
+      }
+
+      if (reminders.length > 0) {
+        console.log(`🔔 ${reminders.length} bill reminders due`);
+      }
+
+      return reminders;
+    } catch (error) {
+      console.error('Process bill reminders error:', error);
+      return [];
+    }
+  }
+
+  // "Borong Sdn Bhd; Rice 10 x 45 1300; Delivery 30 5400 SV8; due 30 ref=INV-8812"
+  // → supplier, line items and due date as for invoices (due in 30 days when
+  // left out); ref= keeps the supplier's invoice number, date= sets the bill date
+  parseBillText(text) {
+    const InvoiceService = require('./invoices');
+    const { party, ...data } = InvoiceService.parseDocumentText(text, this.supplierFields, { ref: 'supplier_reference' });
+    return { supplier: party, ...data };
+  }
+}
+
+module.exports = new BillService();
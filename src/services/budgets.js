@@ -0,0 +1,283 @@
+// src/services/budgets.js
+
+const redis = require('../../config/redis');
+
+class BudgetService {
+  constructor() {
+    this.defaultThreshold = 80;
+    this.alertQueue = 'budget_alerts';
+    this.maxAlertAttempts = 5;
+  }
+
+  // Budgets live in one hash per user: `{account}:monthly` applies to every
+  // month, `{account}:{YYYY-MM}` overrides a single month
+  async getBudgetAccount(userId, accountCode) {
+    const LedgerService = require('./ledger');
+    const account = await LedgerService.getAccount(userId, accountCode);
+
+    if (!account || account.type !== 'expense' || account.is_archived) {
+      throw new Error(`Account ${accountCode} is not an active expense account in your chart`);
+    }
+
+    return account;
+  }
+
+  async setBudget(userId, accountCode, amount, period = null) {
+    try {
+      const LedgerService = require('./ledger');
+      const code = String(accountCode).trim();
+      const value = Math.round(parseFloat(amount) * 100) / 100;
+
+      if (!(value > 0)) throw new Error('Budget must be greater than zero');
+
+      const account = await this.getBudgetAccount(userId, code);
+      const budgetPeriod = period ? LedgerService.parsePeriod(period) : 'monthly';
+
+      await redis.hSet(`budgets:${userId}`, `${code}:${budgetPeriod}`, value.toString());
+
+      console.log(`✅ Set ${budgetPeriod} budget for ${code}: RM${value} (user ${userId})`);
+      return { account_code: code, account_name: account.name, period: budgetPeriod, amount: value };
+    } catch (error) {
+      console.error('Set budget error:', error);
+      throw error;
+    }
+  }
+
+  async removeBudget(userId, accountCode, period = null) {
+    const LedgerService = require('./ledger');
+    const budgetPeriod = period ? LedgerService.parsePeriod(period) : 'monthly';
+    const removed = await redis.hDel(`budgets:${userId}`, `${String(accountCode).trim()}:${budgetPeriod}`);
+    return removed > 0;
+  }
+
+  async getBudgets(userId) {
+    try {
+      const LedgerService = require('./ledger');
+      const chart = await LedgerService.getChartOfAccounts(userId);
+      const stored = await redis.hGetAll(`budgets:${userId}`);
+
+      return Object.entries(stored)
+        .map(([field, amount]) => {
+          const separator = field.lastIndexOf(':');
+          const accountCode = field.substring(0, separator);
+          return {
+            account_code: accountCode,
+            account_name: chart[accountCode]?.name || 'Unknown account',
+            period: field.substring(separator + 1),
+            amount: parseFloat(amount)
+          };
+        })
+        .sort((a, b) => a.account_code.localeCompare(b.account_code) || a.period.localeCompare(b.period));
+    } catch (error) {
+      console.error('Get budgets error:', error);
+      return [];
+    }
+  }
+
+  // A month's budget: its own override if set, otherwise the monthly budget
+  getBudgetForMonth(budgets, accountCode, period) {
+    const override = budgets.find(b => b.account_code === accountCode && b.period === period);
+    if (override) return override.amount;
+
+    const monthly = budgets.find(b => b.account_code === accountCode && b.period === 'monthly');
+    return monthly ? monthly.amount : 0;
+  }
+
+  async getAlertThreshold(userId) {
+    const threshold = await redis.hGet(`budget_settings:${userId}`, 'alert_threshold');
+    return threshold ? parseFloat(threshold) : this.defaultThreshold;
+  }
+
+  async setAlertThreshold(userId, percent) {
+    const threshold = parseFloat(percent);
+    if (!(threshold > 0 && threshold <= 100)) {
+      throw new Error('Alert threshold must be a percentage between 1 and 100');
+    }
+
+    await redis.hSet(`budget_settings:${userId}`, 'alert_threshold', threshold.toString());
+    return threshold;
+  }
+
+  getMonthsInRange(start, end) {
+    const months = [];
+    const cursor = new Date(start.getFullYear(), start.getMonth(), 1);
+
+    while (cursor <= end) {
+      months.push(`${cursor.getFullYear()}-${String(cursor.getMonth() + 1).padStart(2, '0')}`);
+      cursor.setMonth(cursor.getMonth() + 1);
+    }
+
+    return months;
+  }
+
+  getUsageStatus(actual, budget, threshold) {
+    const percentUsed = budget > 0 ? (actual / budget) * 100 : null;
+    if (percentUsed === null) return { percent_used: null, status: 'unbudgeted' };
+    if (percentUsed > 100) return { percent_used: percentUsed, status: 'over' };
+    if (percentUsed >= threshold) return { percent_used: percentUsed, status: 'warning' };
+    return { percent_used: percentUsed, status: 'ok' };
+  }
+
+  // Budget vs actual for any period; actuals come from the income statement,
+  // with a parent account's budget covering its sub-accounts
+  async getBudgetReport(userId, startDate, endDate) {
+    try {
+      const LedgerService = require('./ledger');
+      const start = new Date(startDate);
+      const end = new Date(endDate);
+
+      const budgets = await this.getBudgets(userId);
+      const threshold = await this.getAlertThreshold(userId);
+      const chart = await LedgerService.getChartOfAccounts(userId);
+      const incomeStatement = await LedgerService.generateIncomeStatement(userId, start, end);
+      const months = this.getMonthsInRange(start, end);
+
+      const expenseItems = [
+        ...incomeStatement.cogs.items,
+        ...incomeStatement.operating_expenses.items,
+        ...incomeStatement.other_expenses.items
+      ];
+      const totalExpenses = expenseItems.reduce((sum, item) => sum + item.amount, 0);
+
+      const items = [...new Set(budgets.map(b => b.account_code))]
+        .map(accountCode => {
+          const family = LedgerService.getAccountFamily(chart, accountCode);
+          const budget = months.reduce((sum, month) => sum + this.getBudgetForMonth(budgets, accountCode, month), 0);
+          const actual = expenseItems
+            .filter(item => family.includes(item.account_code))
+            .reduce((sum, item) => sum + item.amount, 0);
+
+          return {
+            account_code: accountCode,
+            account_name: chart[accountCode]?.name || 'Unknown account',
+            budget: budget,
+            actual: actual,
+            variance: budget - actual,
+            ...this.getUsageStatus(actual, budget, threshold)
+          };
+        })
+        .filter(item => item.budget > 0);
+
+      const totalBudget = items.reduce((sum, item) => sum + item.budget, 0);
+      const totalActual = items.reduce((sum, item) => sum + item.actual, 0);
+
+      return {
+        period: incomeStatement.period,
+        threshold: threshold,
+        items: items,
+        total_budget: totalBudget,
+        total_actual: totalActual,
+        total_variance: totalBudget - totalActual,
+        total_percent_used: totalBudget > 0 ? (totalActual / totalBudget) * 100 : null,
+        unbudgeted_actual: totalExpenses - totalActual
+      };
+    } catch (error) {
+      console.error('Budget report error:', error);
+      throw error;
+    }
+  }
+
+  // Called after every posting. Queues a warning when expense lines take an
+  // account's spend for the month across the alert threshold or over budget;
+  // the bot drains the queue and messages the user.
+  async checkPostedEntries(userId, journalEntries) {
+    try {
+      const budgets = await this.getBudgets(userId);
+      if (budgets.length === 0) return 0;
+
+      const LedgerService = require('./ledger');
+      const chart = await LedgerService.getChartOfAccounts(userId);
+      const threshold = await this.getAlertThreshold(userId);
+      const budgetedCodes = new Set(budgets.map(b => b.account_code));
+      const postings = new Map();
+
+      for (const journalEntry of journalEntries) {
+        if (journalEntry.entry_type === 'closing') continue;
+
+        const date = new Date(journalEntry.date);
+        const period = `${date.getFullYear()}-${String(date.getMonth() + 1).padStart(2, '0')}`;
+
+        journalEntry.entries.forEach(entry => {
+          const account = chart[entry.account_code];
+          if (!account || account.type !== 'expense') return;
+
+          // A budget on the parent account covers its sub-accounts
+          [entry.account_code, account.parent_code].filter(code => code && budgetedCodes.has(code)).forEach(code => {
+            const key = `${code}|${period}`;
+            postings.set(key, (postings.get(key) || 0) + (entry.debit_amount || 0) - (entry.credit_amount || 0));
+          });
+        });
+      }
+
+      const rank = { ok: 0, warning: 1, over: 2 };
+      let queued = 0;
+
+      for (const [key, posted] of postings) {
+        if (posted <= 0) continue;
+
+        const [accountCode, period] = key.split('|');
+        const budget = this.getBudgetForMonth(budgets, accountCode, period);
+        if (!budget) continue;
+
+        const [year, month] = period.split('-').map(Number);
+        let actual = 0;
+        for (const code of LedgerService.getAccountFamily(chart, accountCode)) {
+          actual += parseFloat(await redis.hGet(`ledger:${userId}:${code}:${year}:${month}`, 'balance') || 0);
+        }
+
+        const before = this.getUsageStatus(actual - posted, budget, threshold);
+        const after = this.getUsageStatus(actual, budget, threshold);
+        if (rank[after.status] <= rank[before.status]) continue;
+
+        await redis.rPush(this.alertQueue, JSON.stringify({
+          user_id: userId.toString(),
+          account_code: accountCode,
+          account_name: chart[accountCode]?.name || accountCode,
+          period: period,
+          budget: budget,
+          actual: Math.round(actual * 100) / 100,
+          percent_used: after.percent_used,
+          status: after.status,
+          threshold: threshold,
+          created_at: new Date().toISOString()
+        }));
+        queued++;
+      }
+
+      return queued;
+    } catch (error) {
+      console.error('Budget check error:', error);
+      return 0;
+    }
+  }
+
+  async drainAlerts(limit = 50) {
+    const alerts = [];
+
+    for (let i = 0; i < limit; i++) {
+      const alert = await redis.lPop(this.alertQueue);
+      if (!alert) break;
+
+      try {
+        alerts.push(JSON.parse(alert));
+      } catch (error) {
+        console.error('Invalid budget alert:', error);
+      }
+    }
+
+    return alerts;
+  }
+
+  // An alert whose message could not be sent goes back on the queue for the
+  // next run, until it has failed maxAlertAttempts times (e.g. the user
+  // blocked the bot)
+  async requeueAlert(alert) {
+    const attempts = (alert.attempts || 0) + 1;
+    if (attempts >= this.maxAlertAttempts) return false;
+
+    await redis.rPush(this.alertQueue, JSON.stringify({ ...alert, attempts }));
+    return true;
+  }
+}
+
+module.exports = new BudgetService();
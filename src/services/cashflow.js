@@ -56,9 +56,10 @@ class CashflowService {
           };
         }
         
+        // Drawings still take cash out; one-off capital injections are left out of the averages
         if (txn.type === 'income') {
           monthlyData[monthKey].income += txn.amount_myr;
-        } else {
+        } else if (txn.type !== 'capital') {
           monthlyData[monthKey].expenses += txn.amount_myr;
         }
         monthlyData[monthKey].transactions++;
@@ -236,7 +237,7 @@ class CashflowService {
         
         if (txn.type === 'income') {
           income += txn.amount_myr;
-        } else {
+        } else if (txn.type !== 'capital') {
           expenses += txn.amount_myr;
         }
       }
@@ -0,0 +1,486 @@
+// src/services/contacts.js
+
+const redis = require('../../config/redis');
+const { v4: uuidv4 } = require('uuid');
+const { RedisService } = require('./redis');
+
+class ContactService {
+  constructor() {
+    this.types = ['customer', 'supplier', 'both'];
+    this.fields = ['phone', 'tin', 'email', 'address'];
+    // Name similarity (0-1) needed to treat a typed name as a known contact
+    this.matchThreshold = 0.8;
+  }
+
+  // "Ah Chong Trading Sdn. Bhd." → "ah chong trading"
+  normalizeName(name) {
+    return String(name || '')
+      .toLowerCase()
+      .replace(/[^\p{L}\p{N}\s&]/gu, ' ')
+      .replace(/\b(?:sdn\s+bhd|bhd|plt)\b/g, ' ')
+      .replace(/\s+/g, ' ')
+      .trim();
+  }
+
+  levenshtein(a, b) {
+    let previous = Array.from({ length: b.length + 1 }, (value, index) => index);
+
+    for (let i = 1; i <= a.length; i++) {
+      const current = [i];
+      for (let j = 1; j <= b.length; j++) {
+        current[j] = Math.min(
+          previous[j] + 1,
+          current[j - 1] + 1,
+          previous[j - 1] + (a[i - 1] === b[j - 1] ? 0 : 1)
+        );
+      }
+      previous = current;
+    }
+
+    return previous[b.length];
+  }
+
+  // 1 for the same normalized name; 0.9 when every word typed is a word of
+  // the contact's name ("Ah Chong" for "Ah Chong Trading"); otherwise edit
+  // distance similarity against the whole name or, a little lower, its
+  // leading words, which absorbs typos ("Ah Cheong" for "Ah Chong Trading")
+  scoreName(query, candidate) {
+    const a = this.normalizeName(query);
+    const b = this.normalizeName(candidate);
+    if (!a || !b) return 0;
+    if (a === b) return 1;
+
+    const queryWords = a.split(' ');
+    const candidateWords = b.split(' ');
+    if (a.length >= 3 && queryWords.every(word => candidateWords.includes(word))) return 0.9;
+
+    const similarity = (x, y) => 1 - this.levenshtein(x, y) / Math.max(x.length, y.length);
+    const leading = candidateWords.slice(0, queryWords.length).join(' ');
+    return Math.max(
+      similarity(a, b),
+      candidateWords.length > queryWords.length && a.length >= 5 ? similarity(a, leading) * 0.95 : 0
+    );
+  }
+
+  // A contact of type 'customer' is never matched for a purchase and vice versa
+  isTypeCompatible(contact, type) {
+    return !type || contact.type === 'both' || contact.type === type;
+  }
+
+  async getContacts(userId) {
+    try {
+      const contactIds = await redis.lRange(`user:${userId}:contacts`, 0, -1);
+      const contacts = [];
+
+      for (const contactId of contactIds) {
+        const contact = await redis.json.get(`contact:${contactId}`);
+        if (contact) contacts.push(contact);
+      }
+
+      return contacts.sort((a, b) => a.name.localeCompare(b.name));
+    } catch (error) {
+      console.error('Get contacts error:', error);
+      return [];
+    }
+  }
+
+  // Best match for a name across contact names and aliases, or null when
+  // nothing is close enough or two contacts match equally well
+  async resolveContact(userId, name, type = null) {
+    const matches = [];
+
+    for (const contact of await this.getContacts(userId)) {
+      if (!this.isTypeCompatible(contact, type)) continue;
+
+      const score = Math.max(...[contact.name, ...contact.aliases].map(candidate => this.scoreName(name, candidate)));
+      if (score >= this.matchThreshold) matches.push({ contact, score });
+    }
+
+    matches.sort((a, b) => b.score - a.score);
+    if (matches.length === 0 || (matches[1] && matches[1].score === matches[0].score)) return null;
+
+    return matches[0];
+  }
+
+  // A contact whose name or alias appears word for word in a message, the
+  // longest one winning ("Ah Chong paid RM300")
+  async findInText(userId, message, type = null) {
+    const text = ` ${this.normalizeName(message)} `;
+    let best = null;
+
+    for (const contact of await this.getContacts(userId)) {
+      if (!this.isTypeCompatible(contact, type)) continue;
+
+      for (const candidate of [contact.name, ...contact.aliases]) {
+        const name = this.normalizeName(candidate);
+        if (name && text.includes(` ${name} `) && (!best || name.length > best.length)) {
+          best = { contact, length: name.length };
+        }
+      }
+    }
+
+    return best ? best.contact : null;
+  }
+
+  // By ID or by (fuzzy) name
+  async getContact(userId, reference) {
+    const byId = await redis.json.get(`contact:${String(reference || '').trim()}`);
+    if (byId && byId.user_id === userId.toString()) return byId;
+
+    const match = await this.resolveContact(userId, reference);
+    if (!match) throw new Error(`Contact "${reference}" not found`);
+
+    return match.contact;
+  }
+
+  normalizeFields(data) {
+    const contact = {};
+
+    if (data.type !== undefined) {
+      const type = String(data.type).toLowerCase();
+      if (!this.types.includes(type)) throw new Error(`Contact type must be ${this.types.join(', ')}`);
+      contact.type = type;
+    }
+    for (const field of this.fields) {
+      if (data[field] !== undefined) contact[field] = String(data[field]).trim() || null;
+    }
+
+    return contact;
+  }
+
+  parseAliases(aliases) {
+    return (Array.isArray(aliases) ? aliases : String(aliases || '').split(','))
+      .map(alias => String(alias).trim())
+      .filter(Boolean);
+  }
+
+  // A new contact, checked but not stored yet
+  async buildContact(userId, data) {
+    const name = String(data.name || '').trim();
+    if (!name) throw new Error('A contact needs a name');
+
+    const existing = (await this.getContacts(userId)).find(contact => this.scoreName(name, contact.name) === 1);
+    if (existing) throw new Error(`${existing.name} is already in your contacts`);
+
+    return {
+      id: uuidv4(),
+      user_id: userId.toString(),
+      name: name,
+      type: 'both',
+      ...Object.fromEntries(this.fields.map(field => [field, null])),
+      ...this.normalizeFields(data),
+      aliases: this.parseAliases(data.aliases),
+      created_at: new Date().toISOString(),
+      updated_at: new Date().toISOString()
+    };
+  }
+
+  async createContact(userId, data) {
+    try {
+      const contact = await this.buildContact(userId, data);
+
+      await redis.json.set(`contact:${contact.id}`, '$', contact);
+      await redis.lPush(`user:${userId}:contacts`, contact.id);
+
+      contact.linked = await this.linkExisting(userId, contact);
+      console.log(`✅ Created contact ${contact.name} for user ${userId} (${contact.linked} records linked)`);
+      return contact;
+    } catch (error) {
+      console.error('Create contact error:', error);
+      throw error;
+    }
+  }
+
+  // Changes details, type or name; `aliases` are added to the existing ones
+  async updateContact(userId, reference, data) {
+    try {
+      const contact = await this.getContact(userId, reference);
+      const name = data.name !== undefined ? String(data.name).trim() : contact.name;
+      if (!name) throw new Error('A contact needs a name');
+
+      const updated = {
+        ...contact,
+        ...this.normalizeFields(data),
+        name: name,
+        aliases: [...new Set([...contact.aliases, ...this.parseAliases(data.aliases)])],
+        updated_at: new Date().toISOString()
+      };
+
+      await redis.json.set(`contact:${contact.id}`, '$', updated);
+
+      updated.linked = await this.linkExisting(userId, updated);
+      console.log(`✅ Updated contact ${updated.name} for user ${userId}`);
+      return updated;
+    } catch (error) {
+      console.error('Update contact error:', error);
+      throw error;
+    }
+  }
+
+  // Removes the contact; linked records keep their counterparty name
+  async deleteContact(userId, reference) {
+    try {
+      const contact = await this.getContact(userId, reference);
+      const activity = await this.getActivity(userId, contact.id);
+
+      for (const { key } of [...activity.transactions, ...activity.invoices, ...activity.bills]) {
+        await redis.json.set(key, '$.contact_id', null);
+      }
+      await redis.del(`contact:${contact.id}`);
+      await redis.lRem(`user:${userId}:contacts`, 0, contact.id);
+
+      console.log(`✅ Deleted contact ${contact.name} for user ${userId}`);
+      return contact;
+    } catch (error) {
+      console.error('Delete contact error:', error);
+      throw error;
+    }
+  }
+
+  // Customer for invoices, supplier for bills: the matching contact, filling
+  // in details the party does not carry, or a new contact built from it.
+  // A customer who is now also billing us (or the reverse) becomes 'both'.
+  // Nothing is stored here: the caller queues the contact with queueParty()
+  // in the same EXEC as its invoice or bill, so a rejected document leaves
+  // no stray contact behind.
+  async resolveParty(userId, party, type) {
+    const match = await this.resolveContact(userId, party.name, null);
+    let contact = match ? match.contact : null;
+    let isNew = false;
+    let changed = false;
+
+    if (!contact) {
+      contact = await this.buildContact(userId, {
+        ...Object.fromEntries(this.fields.filter(field => party[field]).map(field => [field, party[field]])),
+        name: party.name,
+        type: type
+      });
+      isNew = true;
+    } else if (contact.type !== type && contact.type !== 'both') {
+      contact = { ...contact, type: 'both', updated_at: new Date().toISOString() };
+      changed = true;
+    }
+
+    const filled = { ...party };
+    this.fields.forEach(field => {
+      if (!filled[field] && contact[field]) filled[field] = contact[field];
+    });
+
+    return { contact, party: filled, is_new: isNew, changed };
+  }
+
+  queueParty(multi, userId, resolved) {
+    if (resolved.is_new || resolved.changed) multi.json.set(`contact:${resolved.contact.id}`, '$', resolved.contact);
+    if (resolved.is_new) multi.lPush(`user:${userId}:contacts`, resolved.contact.id);
+  }
+
+  // Once a new party's document is stored, earlier records naming it are
+  // linked to it, as /contacts add does
+  async linkNewParty(userId, resolved) {
+    if (!resolved.is_new) return;
+
+    try {
+      const linked = await this.linkExisting(userId, resolved.contact);
+      console.log(`✅ Created contact ${resolved.contact.name} for user ${userId} (${linked} records linked)`);
+    } catch (error) {
+      console.error('Link new contact error:', error);
+    }
+  }
+
+  // Links transactions (by counterparty), invoices (by customer) and bills
+  // (by supplier) that have no contact yet and match this contact's names
+  async linkExisting(userId, contact) {
+    const matches = (name) => [contact.name, ...contact.aliases]
+      .some(candidate => this.scoreName(name, candidate) >= this.matchThreshold);
+    let linked = 0;
+
+    for (const transaction of await RedisService.findAllUserTransactions(userId)) {
+      if (transaction.contact_id || !transaction.counterparty || !matches(transaction.counterparty)) continue;
+      await redis.json.set(`transaction:${transaction.id}`, '$.contact_id', contact.id);
+      linked++;
+    }
+
+    for (const [kind, partyField] of [['invoice', 'customer'], ['bill', 'supplier']]) {
+      for (const id of await redis.lRange(`user:${userId}:${kind}s`, 0, -1)) {
+        const document = await redis.json.get(`${kind}:${id}`);
+        if (!document || document.contact_id || !matches(document[partyField].name)) continue;
+        await redis.json.set(`${kind}:${id}`, '$.contact_id', contact.id);
+        linked++;
+      }
+    }
+
+    return linked;
+  }
+
+  // Transactions, invoices and bills linked to a contact, with their keys
+  async getActivity(userId, contactId) {
+    const activity = { transactions: [], invoices: [], bills: [] };
+
+    for (const transaction of await RedisService.findAllUserTransactions(userId)) {
+      if (transaction.contact_id === contactId) {
+        activity.transactions.push({ key: `transaction:${transaction.id}`, record: transaction });
+      }
+    }
+
+    for (const kind of ['invoice', 'bill']) {
+      for (const id of await redis.lRange(`user:${userId}:${kind}s`, 0, -1)) {
+        const document = await redis.json.get(`${kind}:${id}`);
+        if (document && document.contact_id === contactId) {
+          activity[`${kind}s`].push({ key: `${kind}:${id}`, record: document });
+        }
+      }
+    }
+
+    return activity;
+  }
+
+  // Sales (income transactions and invoices), purchases (expense transactions
+  // and bills) and what is still owed either way
+  summarizeActivity(activity) {
+    const totals = { sales: 0, purchases: 0, receivable: 0, payable: 0, records: 0 };
+    const isOpen = (document) => ['unpaid', 'partially_paid'].includes(document.status);
+
+    activity.transactions.forEach(({ record }) => {
+      if (record.type === 'income') totals.sales += record.amount_myr;
+      if (record.type === 'expense') totals.purchases += record.amount_myr;
+      totals.records++;
+    });
+    activity.invoices.forEach(({ record }) => {
+      if (record.status === 'void') return;
+      totals.sales += record.total;
+      if (isOpen(record)) totals.receivable += record.balance_due;
+      totals.records++;
+    });
+    activity.bills.forEach(({ record }) => {
+      if (record.status === 'void') return;
+      totals.purchases += record.total;
+      if (isOpen(record)) totals.payable += record.balance_due;
+      totals.records++;
+    });
+
+    Object.keys(totals).forEach(key => {
+      totals[key] = Math.round(totals[key] * 100) / 100;
+    });
+    return totals;
+  }
+
+  // Statement of account: invoices and bills with their payments in date
+  // order, plus cash sales and purchases (settled on the spot), with a running
+  // balance. A positive balance is owed to us, a negative one by us.
+  async getStatement(userId, reference, period = null) {
+    try {
+      const LedgerService = require('./ledger');
+      const contact = await this.getContact(userId, reference);
+      const activity = await this.getActivity(userId, contact.id);
+      const entries = [];
+
+      activity.invoices.forEach(({ record: invoice }) => {
+        if (invoice.status === 'void') return;
+        entries.push({ date: invoice.issue_date, reference: invoice.number, description: `Invoice, due ${LedgerService.formatLocalDate(new Date(invoice.due_date))}`, debit: invoice.total, credit: 0 });
+        invoice.payments.forEach((payment, index) => {
+          entries.push({ date: payment.date, reference: `PAY-${invoice.number}-${index + 1}`, description: 'Payment received', debit: 0, credit: payment.amount });
+        });
+      });
+
+      activity.bills.forEach(({ record: bill }) => {
+        if (bill.status === 'void') return;
+        entries.push({ date: bill.issue_date, reference: bill.number, description: `Bill${bill.supplier_reference ? ` ${bill.supplier_reference}` : ''}, due ${LedgerService.formatLocalDate(new Date(bill.due_date))}`, debit: 0, credit: bill.total });
+        bill.payments.forEach((payment, index) => {
+          entries.push({ date: payment.date, reference: `PAY-${bill.number}-${index + 1}`, description: 'Payment made', debit: payment.amount, credit: 0 });
+        });
+      });
+
+      activity.transactions.forEach(({ record: transaction }) => {
+        if (!['income', 'expense'].includes(transaction.type)) return;
+        entries.push({
+          date: transaction.date,
+          reference: `TXN-${transaction.id.substring(0, 8)}`,
+          description: `${transaction.type === 'income' ? 'Cash sale' : 'Cash purchase'}: ${transaction.description}`,
+          debit: transaction.amount_myr,
+          credit: transaction.amount_myr
+        });
+      });
+
+      entries.sort((a, b) => new Date(a.date) - new Date(b.date));
+
+      let balance = 0;
+      let openingBalance = 0;
+      const lines = [];
+
+      for (const entry of entries) {
+        const date = new Date(entry.date);
+        if (period && date > period.end) continue;
+
+        balance = Math.round((balance + entry.debit - entry.credit) * 100) / 100;
+        if (period && date < period.start) {
+          openingBalance = balance;
+          continue;
+        }
+
+        lines.push({ ...entry, date: LedgerService.formatLocalDate(date), balance: balance });
+      }
+
+      return {
+        contact: contact,
+        period: period ? period.label : null,
+        opening_balance: openingBalance,
+        lines: lines,
+        closing_balance: balance,
+        totals: this.summarizeActivity(activity)
+      };
+    } catch (error) {
+      console.error('Contact statement error:', error);
+      throw error;
+    }
+  }
+
+  // "customer Ah Chong Trading phone=0123456789 alias="Ah Chong,AC"" →
+  // { reference: name, data: { type, phone, aliases } }. With allowType a
+  // leading customer/supplier/both sets the type; extraFields are further
+  // key=value options the caller accepts (e.g. period=)
+  parseContactText(text, { allowType = false, extraFields = [] } = {}) {
+    const data = {};
+    const allowed = [...this.fields, 'aliases', 'name', 'type', ...extraFields];
+    let rest = String(text || '').replace(/([a-z][\w-]*)\s*=\s*(?:"([^"]*)"|([^\s;]+))/gi, (all, name, quoted, plain) => {
+      const field = name.toLowerCase().replace(/^alias(?:es)?$/, 'aliases');
+      if (!allowed.includes(field)) {
+        throw new Error(`Unknown field "${name}". Use ${allowed.map(option => option === 'aliases' ? 'alias' : option).join(', ')}`);
+      }
+      data[field] = (quoted !== undefined ? quoted : plain).trim();
+      return ' ';
+    }).replace(/\s+/g, ' ').trim();
+
+    const type = rest.match(new RegExp(`^(${this.types.join('|')})s?\\b\\s*`, 'i'));
+    if (allowType && type) {
+      data.type = type[1].toLowerCase();
+      rest = rest.slice(type[0].length);
+    }
+
+    return { reference: rest, data };
+  }
+
+  // Every contact with its totals, from one pass over the user's records
+  async getDirectory(userId) {
+    try {
+      const contacts = await this.getContacts(userId);
+      const activity = Object.fromEntries(contacts.map(contact => [contact.id, { transactions: [], invoices: [], bills: [] }]));
+
+      for (const transaction of await RedisService.findAllUserTransactions(userId)) {
+        if (activity[transaction.contact_id]) activity[transaction.contact_id].transactions.push({ record: transaction });
+      }
+      for (const kind of ['invoice', 'bill']) {
+        for (const id of await redis.lRange(`user:${userId}:${kind}s`, 0, -1)) {
+          const document = await redis.json.get(`${kind}:${id}`);
+          if (document && activity[document.contact_id]) activity[document.contact_id][`${kind}s`].push({ record: document });
+        }
+      }
+
+      return contacts.map(contact => ({ ...contact, totals: this.summarizeActivity(activity[contact.id]) }));
+    } catch (error) {
+      console.error('Contact directory error:', error);
+      return [];
+    }
+  }
+}
+
+module.exports = new ContactService();
@@ -0,0 +1,453 @@
+// src/services/einvoice.js
+
+const redis = require('../../config/redis');
+
+// LHDN e-Invoice documents in the MyInvois UBL 2.1 JSON format, with a local
+// check against the MyInvois mandatory fields before anything is sent
+class EInvoiceService {
+  constructor() {
+    this.client = null;
+
+    this.profileFields = ['name', 'tin', 'brn', 'sst', 'msic', 'activity', 'address', 'city', 'postcode', 'state', 'phone', 'email'];
+    this.buyerFields = [...this.profileFields.filter(field => !['msic', 'activity'].includes(field)), 'id_type'];
+
+    // Sales to individuals without a TIN use the LHDN general public TIN
+    this.generalPublicBuyer = {
+      name: 'General Public',
+      tin: 'EI00000000010',
+      brn: 'NA',
+      id_type: 'BRN',
+      sst: 'NA',
+      address: 'NA',
+      city: 'NA',
+      postcode: '',
+      state: '17',
+      phone: 'NA'
+    };
+
+    // MyInvois state codes; 17 is "not applicable" (e.g. foreign addresses)
+    this.stateCodes = {
+      johor: '01', kedah: '02', kelantan: '03', melaka: '04', malacca: '04',
+      negeri_sembilan: '05', pahang: '06', pulau_pinang: '07', penang: '07',
+      perak: '08', perlis: '09', selangor: '10', terengganu: '11', sabah: '12',
+      sarawak: '13', kuala_lumpur: '14', kl: '14', labuan: '15', putrajaya: '16'
+    };
+
+    // MyInvois tax types by SST code type
+    this.taxTypes = { sales: '01', service: '02', exempt: 'E', out_of_scope: '06' };
+
+    // "022" is Others in the MyInvois classification list
+    this.defaultClassification = '022';
+
+    const tinPattern = /^(?:IG|C|CS|D|E|F|FA|PT|TA|TC|TN|TR|TP|J|LE|EI)\d{8,12}$/;
+    const phonePattern = /^(?:\+?[\d\s-]{8,20}|NA)$/;
+    const party = (prefix, who, setHint) => [
+      [`${prefix}.PartyIdentification.0.ID.0._`, `${who} TIN${setHint('tin')}`, tinPattern],
+      [`${prefix}.PartyIdentification.1.ID.0._`, `${who} registration number${setHint('brn')}`, /\S/],
+      [`${prefix}.PartyIdentification.2.ID.0._`, `${who} SST number${setHint('sst')}`, /\S/],
+      [`${prefix}.PartyLegalEntity.0.RegistrationName.0._`, `${who} name${setHint('name')}`, /\S/],
+      [`${prefix}.PostalAddress.0.AddressLine.0.Line.0._`, `${who} address${setHint('address')}`, /\S/],
+      [`${prefix}.PostalAddress.0.CityName.0._`, `${who} city${setHint('city')}`, /\S/],
+      [`${prefix}.PostalAddress.0.CountrySubentityCode.0._`, `${who} state code${setHint('state')}`, /^(?:0[1-9]|1[0-7])$/],
+      [`${prefix}.PostalAddress.0.Country.0.IdentificationCode.0._`, `${who} country`, /^[A-Z]{3}$/],
+      [`${prefix}.Contact.0.Telephone.0._`, `${who} phone${setHint('phone')}`, phonePattern]
+    ];
+    const seller = 'Invoice.0.AccountingSupplierParty.0.Party.0';
+    const buyer = 'Invoice.0.AccountingCustomerParty.0.Party.0';
+
+    // Local schema: [path, label, pattern] for every mandatory header and party field
+    this.schema = [
+      ['Invoice.0.ID.0._', 'Invoice number', /^\S.{0,49}$/],
+      ['Invoice.0.IssueDate.0._', 'Issue date', /^\d{4}-\d{2}-\d{2}$/],
+      ['Invoice.0.IssueTime.0._', 'Issue time', /^\d{2}:\d{2}:\d{2}Z$/],
+      ['Invoice.0.InvoiceTypeCode.0._', 'Invoice type code', /^(?:0[1-4]|1[1-4])$/],
+      ['Invoice.0.DocumentCurrencyCode.0._', 'Currency code', /^[A-Z]{3}$/],
+      [`${seller}.IndustryClassificationCode.0._`, 'Seller MSIC code (/einvoice profile msic=...)', /^\d{5}$/],
+      [`${seller}.IndustryClassificationCode.0.name`, 'Seller business activity (/einvoice profile activity=...)', /\S/],
+      ...party(seller, 'Seller', field => ` (/einvoice profile ${field}=...)`),
+      ...party(buyer, 'Buyer', field => ` (buyer_${field}=...)`)
+    ];
+  }
+
+  // Submission goes through a pluggable client: anything with
+  // submitDocuments([{ id, document }]) - the MyInvois API client by default
+  getClient() {
+    return this.client || require('./myinvois');
+  }
+
+  setClient(client) {
+    this.client = client;
+  }
+
+  normalizeState(state) {
+    const text = String(state || '').trim();
+    if (/^\d{1,2}$/.test(text)) return text.padStart(2, '0');
+
+    const key = text.toLowerCase().replace(/^(?:wp|wilayah persekutuan)\s+/, '').replace(/[\s-]+/g, '_');
+    return this.stateCodes[key] || text;
+  }
+
+  async getProfile(userId) {
+    return await redis.hGetAll(`einvoice_profile:${userId}`);
+  }
+
+  async updateProfile(userId, fields) {
+    const updates = {};
+
+    for (const [field, value] of Object.entries(fields)) {
+      if (!this.profileFields.includes(field)) {
+        throw new Error(`Unknown profile field "${field}". Use ${this.profileFields.join(', ')}`);
+      }
+      updates[field] = field === 'state' ? this.normalizeState(value) : String(value).trim();
+    }
+
+    if (Object.keys(updates).length > 0) {
+      await redis.hSet(`einvoice_profile:${userId}`, updates);
+    }
+
+    return await this.getProfile(userId);
+  }
+
+  // Buyer details given as buyer_tin=..., buyer_name=... on top of the
+  // general public defaults
+  getBuyer(fields = {}) {
+    const buyer = { ...this.generalPublicBuyer };
+
+    for (const [field, value] of Object.entries(fields)) {
+      if (!this.buyerFields.includes(field)) {
+        throw new Error(`Unknown buyer field "buyer_${field}". Use ${this.buyerFields.map(name => `buyer_${name}`).join(', ')}`);
+      }
+      buyer[field] = field === 'state' ? this.normalizeState(value) : String(value).trim();
+    }
+
+    return buyer;
+  }
+
+  buildParty(details, isSeller) {
+    const party = {};
+
+    if (isSeller) {
+      party.IndustryClassificationCode = [{ _: details.msic || '', name: details.activity || '' }];
+    }
+
+    party.PartyIdentification = [
+      { ID: [{ _: details.tin || '', schemeID: 'TIN' }] },
+      { ID: [{ _: details.brn || '', schemeID: details.id_type || 'BRN' }] },
+      { ID: [{ _: details.sst || 'NA', schemeID: 'SST' }] },
+      { ID: [{ _: 'NA', schemeID: 'TTX' }] }
+    ];
+    party.PostalAddress = [{
+      CityName: [{ _: details.city || '' }],
+      PostalZone: [{ _: details.postcode || '' }],
+      CountrySubentityCode: [{ _: details.state || '' }],
+      AddressLine: [{ Line: [{ _: details.address || '' }] }],
+      Country: [{ IdentificationCode: [{ _: details.country || 'MYS', listID: 'ISO3166-1', listAgencyID: '6' }] }]
+    }];
+    party.PartyLegalEntity = [{ RegistrationName: [{ _: details.name || '' }] }];
+    party.Contact = [{
+      Telephone: [{ _: details.phone || '' }],
+      ...(details.email ? { ElectronicMail: [{ _: details.email }] } : {})
+    }];
+
+    return party;
+  }
+
+  // Tax category for a line's SST code; lines without one are not taxable
+  getTaxCategory(taxCode) {
+    const TaxService = require('./tax');
+    const code = taxCode ? TaxService.getTaxCode(taxCode) : { code: null, tax_type: 'out_of_scope', rate: 0 };
+    return { code: code.code, type: this.taxTypes[code.tax_type], rate: code.rate };
+  }
+
+  buildTaxSubtotal(money, taxable, tax, category) {
+    return {
+      TaxableAmount: money(taxable),
+      TaxAmount: money(tax),
+      Percent: [{ _: category.rate }],
+      TaxCategory: [{
+        ID: [{ _: category.type }],
+        ...(category.type === 'E' ? { TaxExemptionReason: [{ _: 'Exempt from SST' }] } : {}),
+        TaxScheme: [{ ID: [{ _: 'OTH', schemeID: 'UN/ECE 5153', schemeAgencyID: '6' }] }]
+      }]
+    };
+  }
+
+  // MyInvois UBL 2.1 JSON invoice. Lines carry net amounts and tax in the
+  // document currency: { description, quantity, unit_price, net_amount,
+  // tax_amount, tax_code, classification }
+  buildDocument({ id, type_code = '01', currency = 'MYR', exchange_rate = null, issued_at = new Date(), seller, buyer, lines }) {
+    const round = value => Math.round(value * 100) / 100;
+    const money = value => [{ _: round(value), currencyID: currency }];
+    const issued = new Date(issued_at).toISOString();
+
+    const invoiceLines = lines.map((line, index) => {
+      const category = this.getTaxCategory(line.tax_code);
+      return {
+        ID: [{ _: String(index + 1) }],
+        InvoicedQuantity: [{ _: line.quantity, unitCode: line.unit_code || 'C62' }],
+        LineExtensionAmount: money(line.net_amount),
+        TaxTotal: [{
+          TaxAmount: money(line.tax_amount),
+          TaxSubtotal: [this.buildTaxSubtotal(money, line.net_amount, line.tax_amount, category)]
+        }],
+        Item: [{
+          CommodityClassification: [{ ItemClassificationCode: [{ _: line.classification || this.defaultClassification, listID: 'CLASS' }] }],
+          Description: [{ _: line.description }]
+        }],
+        Price: [{ PriceAmount: money(line.unit_price) }],
+        ItemPriceExtension: [{ Amount: money(line.net_amount) }]
+      };
+    });
+
+    // One document-level subtotal per tax type and rate
+    const subtotals = {};
+    lines.forEach(line => {
+      const category = this.getTaxCategory(line.tax_code);
+      const key = `${category.type}:${category.rate}`;
+      subtotals[key] = subtotals[key] || { category, taxable: 0, tax: 0 };
+      subtotals[key].taxable += line.net_amount;
+      subtotals[key].tax += line.tax_amount;
+    });
+
+    const netTotal = lines.reduce((sum, line) => sum + line.net_amount, 0);
+    const taxTotal = lines.reduce((sum, line) => sum + line.tax_amount, 0);
+
+    const invoice = {
+      ID: [{ _: id }],
+      IssueDate: [{ _: issued.split('T')[0] }],
+      IssueTime: [{ _: `${issued.split('T')[1].substring(0, 8)}Z` }],
+      InvoiceTypeCode: [{ _: type_code, listVersionID: '1.0' }],
+      DocumentCurrencyCode: [{ _: currency }],
+      TaxCurrencyCode: [{ _: 'MYR' }],
+      AccountingSupplierParty: [{ Party: [this.buildParty(seller, true)] }],
+      AccountingCustomerParty: [{ Party: [this.buildParty(buyer, false)] }],
+      TaxTotal: [{
+        TaxAmount: money(taxTotal),
+        TaxSubtotal: Object.values(subtotals).map(({ category, taxable, tax }) => this.buildTaxSubtotal(money, taxable, tax, category))
+      }],
+      LegalMonetaryTotal: [{
+        LineExtensionAmount: money(netTotal),
+        TaxExclusiveAmount: money(netTotal),
+        TaxInclusiveAmount: money(netTotal + taxTotal),
+        PayableAmount: money(netTotal + taxTotal)
+      }],
+      InvoiceLine: invoiceLines
+    };
+
+    if (currency !== 'MYR' && exchange_rate) {
+      invoice.TaxExchangeRate = [{
+        SourceCurrencyCode: [{ _: currency }],
+        TargetCurrencyCode: [{ _: 'MYR' }],
+        CalculationRate: [{ _: exchange_rate }]
+      }];
+    }
+
+    return {
+      _D: 'urn:oasis:names:specification:ubl:schema:xsd:Invoice-2',
+      _A: 'urn:oasis:names:specification:ubl:schema:xsd:CommonAggregateComponents-2',
+      _B: 'urn:oasis:names:specification:ubl:schema:xsd:CommonBasicComponents-2',
+      Invoice: [invoice]
+    };
+  }
+
+  // Checks a document against the local schema and that line, tax and
+  // document totals add up; returns every problem found, not just the first
+  validateDocument(document) {
+    const errors = [];
+    const get = (object, path) => path.split('.').reduce((value, key) => (value === undefined || value === null ? undefined : value[key]), object);
+    const amount = (object, path) => parseFloat(get(object, `${path}.0._`));
+    const differs = (a, b) => !(Math.abs(a - b) <= 0.01);
+
+    for (const [path, label, pattern] of this.schema) {
+      const value = get(document, path);
+      if (value === undefined || value === null || value === '') {
+        errors.push(`${label} is missing`);
+      } else if (!pattern.test(String(value))) {
+        errors.push(`${label} "${value}" is invalid`);
+      }
+    }
+
+    const invoice = get(document, 'Invoice.0');
+    const lines = (invoice && invoice.InvoiceLine) || [];
+    if (lines.length === 0) errors.push('Invoice has no lines');
+
+    let netTotal = 0;
+    let taxTotal = 0;
+
+    lines.forEach((line, index) => {
+      const label = `Line ${index + 1}`;
+      const quantity = amount(line, 'InvoicedQuantity');
+      const net = amount(line, 'LineExtensionAmount');
+      const tax = amount(line, 'TaxTotal.0.TaxAmount');
+      const percent = amount(line, 'TaxTotal.0.TaxSubtotal.0.Percent');
+      const taxType = get(line, 'TaxTotal.0.TaxSubtotal.0.TaxCategory.0.ID.0._');
+
+      if (!/^\d{3}$/.test(get(line, 'Item.0.CommodityClassification.0.ItemClassificationCode.0._') || '')) {
+        errors.push(`${label}: classification code must be 3 digits`);
+      }
+      if (!get(line, 'Item.0.Description.0._')) errors.push(`${label}: description is missing`);
+      if (!(quantity > 0)) errors.push(`${label}: quantity must be positive`);
+      if (!Object.values(this.taxTypes).includes(taxType)) errors.push(`${label}: tax type "${taxType}" is invalid`);
+      if (differs(amount(line, 'Price.0.PriceAmount') * quantity, net)) errors.push(`${label}: quantity × price does not equal the line amount`);
+      if (differs(net * percent / 100, tax)) errors.push(`${label}: tax is not ${percent}% of the line amount`);
+
+      netTotal += net || 0;
+      taxTotal += tax || 0;
+    });
+
+    const totals = 'Invoice.0.LegalMonetaryTotal.0';
+    if (differs(amount(document, `${totals}.LineExtensionAmount`), netTotal)) errors.push('Total line amount does not equal the sum of the lines');
+    if (differs(amount(document, 'Invoice.0.TaxTotal.0.TaxAmount'), taxTotal)) errors.push('Total tax does not equal the sum of line taxes');
+    if (differs(amount(document, `${totals}.TaxInclusiveAmount`), amount(document, `${totals}.TaxExclusiveAmount`) + amount(document, 'Invoice.0.TaxTotal.0.TaxAmount'))) {
+      errors.push('Total including tax does not equal total excluding tax plus tax');
+    }
+    if (differs(amount(document, `${totals}.PayableAmount`), amount(document, `${totals}.TaxInclusiveAmount`))) {
+      errors.push('Payable amount does not equal the total including tax');
+    }
+
+    return { valid: errors.length === 0, errors };
+  }
+
+  // What an e-invoice is built from: a document number, currency, line
+  // items and (for invoices) the customer as buyer
+  transactionSource(userId, transaction) {
+    if (!transaction || transaction.user_id !== userId.toString()) {
+      throw new Error('Transaction not found');
+    }
+    if (transaction.type !== 'income') {
+      throw new Error('Only income transactions can be e-invoiced');
+    }
+
+    // Amounts in the currency the customer paid; the SST recorded on the
+    // transaction is converted at the transaction's rate
+    const foreign = Boolean(transaction.amount_original);
+    const gross = foreign ? transaction.amount_original : transaction.amount_myr;
+    const taxMyr = transaction.tax_amount_myr || 0;
+    const tax = foreign ? Math.round(taxMyr / transaction.exchange_rate * 100) / 100 : taxMyr;
+    const net = Math.round((gross - tax) * 100) / 100;
+
+    return {
+      id: `TXN-${transaction.id.substring(0, 8)}`,
+      source: 'transaction',
+      source_id: transaction.id,
+      currency: transaction.currency || 'MYR',
+      exchange_rate: transaction.exchange_rate || null,
+      buyer: null,
+      lines: [{
+        description: transaction.description,
+        quantity: 1,
+        unit_price: net,
+        net_amount: net,
+        tax_amount: tax,
+        tax_code: transaction.tax_code || null
+      }]
+    };
+  }
+
+  invoiceSource(userId, invoice) {
+    if (!invoice || invoice.user_id !== userId.toString()) {
+      throw new Error('Invoice not found');
+    }
+    if (invoice.status === 'void') {
+      throw new Error(`Invoice ${invoice.number} is void`);
+    }
+
+    return {
+      id: invoice.number,
+      source: 'invoice',
+      source_id: invoice.id,
+      currency: 'MYR',
+      exchange_rate: null,
+      buyer: invoice.customer,
+      lines: invoice.lines.map(line => ({
+        description: line.description,
+        quantity: line.quantity,
+        unit_price: line.unit_price,
+        net_amount: line.amount,
+        tax_amount: line.tax_amount,
+        tax_code: line.tax_code
+      }))
+    };
+  }
+
+  // Builds and validates the e-invoice for a source and keeps a record of it
+  // (with the buyer, so a later submission reuses the details)
+  async generate(userId, source, options = {}) {
+    try {
+      const recordKey = `einvoice:${userId}:${source.source_id}`;
+      const existing = await redis.json.get(recordKey);
+      const buyer = options.buyer || !existing
+        ? this.getBuyer({ ...source.buyer, ...options.buyer })
+        : existing.buyer;
+      const classification = options.classification || (existing && existing.classification) || this.defaultClassification;
+
+      const document = this.buildDocument({
+        id: source.id,
+        currency: source.currency,
+        exchange_rate: source.exchange_rate,
+        seller: await this.getProfile(userId),
+        buyer: buyer,
+        lines: source.lines.map(line => ({ ...line, classification }))
+      });
+      const validation = this.validateDocument(document);
+
+      // A submitted e-invoice keeps its record; the document can still be re-sent as a file
+      const submitted = existing && existing.status === 'submitted';
+      const record = submitted ? existing : {
+        id: source.id,
+        source: source.source,
+        source_id: source.source_id,
+        buyer: buyer,
+        classification: classification,
+        status: validation.valid ? 'generated' : 'invalid',
+        generated_at: new Date().toISOString()
+      };
+      if (!submitted) await redis.json.set(recordKey, '$', record);
+
+      return { id: source.id, document, validation, record };
+    } catch (error) {
+      console.error('Generate e-invoice error:', error);
+      throw error;
+    }
+  }
+
+  // Validates and submits an e-invoice; a document that fails local
+  // validation is never sent
+  async submit(userId, source, options = {}) {
+    try {
+      const generated = await this.generate(userId, source, options);
+
+      if (generated.record.status === 'submitted') {
+        throw new Error(`${generated.id} was already submitted (UUID ${generated.record.uuid})`);
+      }
+      if (!generated.validation.valid) {
+        throw new Error(`${generated.id} failed validation:\n• ${generated.validation.errors.join('\n• ')}`);
+      }
+
+      const result = await this.getClient().submitDocuments([{ id: generated.id, document: generated.document }]);
+      const accepted = result.accepted.find(doc => doc.id === generated.id);
+      const rejected = result.rejected.find(doc => doc.id === generated.id);
+
+      const record = {
+        ...generated.record,
+        status: accepted ? 'submitted' : 'rejected',
+        submission_uid: result.submission_uid || null,
+        ...(accepted ? { uuid: accepted.uuid, submitted_at: new Date().toISOString() } : {}),
+        ...(rejected ? { error: rejected.error } : {})
+      };
+      await redis.json.set(`einvoice:${userId}:${source.source_id}`, '$', record);
+
+      console.log(`🧾 E-invoice ${generated.id} ${record.status} for user ${userId}`);
+      return record;
+    } catch (error) {
+      console.error('Submit e-invoice error:', error);
+      throw error;
+    }
+  }
+
+  async getRecord(userId, sourceId) {
+    return await redis.json.get(`einvoice:${userId}:${sourceId}`);
+  }
+}
+
+module.exports = new EInvoiceService();
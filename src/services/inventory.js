@@ -0,0 +1,638 @@
+// src/services/inventory.js
+
+const redis = require('../../config/redis');
+
+class InventoryService {
+  constructor() {
+    this.inventoryAccount = '1300';
+    this.cogsAccount = '5000';
+    this.openingStockAccount = '3000'; // Owner's Equity, as for assets brought into the business
+    this.defaultUnit = 'pcs';
+    this.costingMethods = {
+      weighted_average: 'Weighted average',
+      fifo: 'FIFO'
+    };
+    this.defaultCostingMethod = 'weighted_average';
+    this.movementHistoryLimit = 200;
+  }
+
+  round(amount) {
+    return Math.round(amount * 100) / 100;
+  }
+
+  roundQuantity(quantity) {
+    return Math.round(quantity * 1000) / 1000;
+  }
+
+  // SKUs are case-insensitive codes: "beras-5kg" is stored as BERAS-5KG
+  normalizeSku(sku) {
+    const normalized = String(sku || '').trim().toUpperCase();
+    return /^[A-Z0-9][A-Z0-9._-]{0,31}$/.test(normalized) ? normalized : null;
+  }
+
+  normalizeName(name) {
+    return String(name || '').toLowerCase().replace(/[^\p{L}\p{N}]+/gu, ' ').trim();
+  }
+
+  itemKey(userId, sku) {
+    return `inventory_item:${userId}:${sku}`;
+  }
+
+  movementsKey(userId, sku) {
+    return `inventory_movements:${userId}:${sku}`;
+  }
+
+  getItemKeys(userId, movements) {
+    return [...new Set(movements.map(movement => this.itemKey(userId, movement.sku)))];
+  }
+
+  async getCostingMethod(userId) {
+    const method = await redis.hGet(`inventory_settings:${userId}`, 'costing_method');
+    return this.costingMethods[method] ? method : this.defaultCostingMethod;
+  }
+
+  // Applies to stock issued from now on; stock on hand keeps the cost it was
+  // received at
+  async setCostingMethod(userId, method) {
+    const aliases = {
+      fifo: 'fifo',
+      average: 'weighted_average',
+      avg: 'weighted_average',
+      wac: 'weighted_average',
+      weighted_average: 'weighted_average'
+    };
+    const normalized = aliases[String(method || '').trim().toLowerCase().replace(/[\s-]+/g, '_')];
+    if (!normalized) throw new Error('Costing method must be "fifo" or "average"');
+
+    await redis.hSet(`inventory_settings:${userId}`, 'costing_method', normalized);
+    console.log(`✅ Inventory costing method set to ${normalized} for user ${userId}`);
+    return normalized;
+  }
+
+  async getItem(userId, sku) {
+    const normalized = this.normalizeSku(sku);
+    const item = normalized ? await redis.json.get(this.itemKey(userId, normalized)) : null;
+
+    if (!item) throw new Error(`Stock item ${normalized || sku} not found. Use /stock add to create it.`);
+    return item;
+  }
+
+  async getItems(userId) {
+    const skus = await redis.sMembers(`user:${userId}:inventory`);
+    const items = [];
+
+    for (const sku of skus) {
+      const item = await redis.json.get(this.itemKey(userId, sku));
+      if (item) items.push(item);
+    }
+
+    return items.sort((a, b) => a.name.localeCompare(b.name));
+  }
+
+  async getMovements(userId, sku, limit = 10) {
+    const item = await this.getItem(userId, sku);
+    const movements = await redis.lRange(this.movementsKey(userId, item.sku), 0, limit - 1);
+    return movements.map(movement => JSON.parse(movement));
+  }
+
+  isLowStock(item) {
+    return item.reorder_level !== null && item.quantity <= item.reorder_level;
+  }
+
+  getAverageCost(item) {
+    return item.quantity > 0 ? this.round(item.value / item.quantity) : 0;
+  }
+
+  normalizeFields(data) {
+    const fields = {};
+
+    if (data.name !== undefined) {
+      fields.name = String(data.name).trim();
+      if (!fields.name) throw new Error('A stock item needs a name');
+    }
+    if (data.unit !== undefined) {
+      fields.unit = String(data.unit).trim().toLowerCase() || this.defaultUnit;
+    }
+    if (data.reorder_level !== undefined) {
+      const level = data.reorder_level === null || data.reorder_level === '' ? null : parseFloat(data.reorder_level);
+      if (level !== null && !(level >= 0)) throw new Error('The reorder level must be zero or more');
+      fields.reorder_level = level;
+    }
+
+    return fields;
+  }
+
+  // Adds a stock item. Stock already on the shelf can be brought in with
+  // opening_quantity and opening_cost (per unit): Dr 1300 Inventory,
+  // Cr 3000 Owner's Equity.
+  async createItem(userId, data) {
+    try {
+      const sku = this.normalizeSku(data.sku);
+      if (!sku) throw new Error('SKUs are up to 32 letters, digits, dots, dashes or underscores');
+
+      const itemKey = this.itemKey(userId, sku);
+      if (await redis.json.get(itemKey)) throw new Error(`Stock item ${sku} already exists`);
+
+      const fields = { unit: this.defaultUnit, reorder_level: null, ...this.normalizeFields(data) };
+      if (!fields.name) throw new Error('A stock item needs a name');
+      const duplicate = (await this.getItems(userId))
+        .find(item => this.normalizeName(item.name) === this.normalizeName(fields.name));
+      if (duplicate) throw new Error(`"${fields.name}" is already stock item ${duplicate.sku}`);
+
+      const openingQuantity = parseFloat(data.opening_quantity);
+      const unitCost = parseFloat(data.opening_cost);
+      if (openingQuantity > 0 && !(unitCost > 0)) throw new Error('Opening stock needs a cost per unit');
+
+      const item = {
+        sku: sku,
+        user_id: userId.toString(),
+        ...fields,
+        quantity: 0,
+        value: 0,
+        layers: [],
+        created_at: new Date().toISOString(),
+        updated_at: new Date().toISOString()
+      };
+
+      if (!(openingQuantity > 0)) {
+        await redis.json.set(itemKey, '$', item);
+        await redis.sAdd(`user:${userId}:inventory`, sku);
+        console.log(`✅ Created stock item ${sku} for user ${userId}`);
+        return item;
+      }
+
+      // Opening stock: the item is stored in the same EXEC as its journal
+      // entry, so it never holds stock that is not in account 1300
+      const LedgerService = require('./ledger');
+      const value = this.round(openingQuantity * unitCost);
+      let stock;
+
+      await LedgerService.postJournalEntries(userId, async () => {
+        if (await redis.json.get(itemKey)) throw new Error(`Stock item ${sku} already exists`);
+
+        stock = await this.applyMovements(userId, [{ sku, type: 'in', quantity: openingQuantity, value, reference: `STK-${sku}` }], { [sku]: item });
+        return [await LedgerService.buildJournalEntry(userId, {
+          description: `Opening stock ${openingQuantity} ${item.unit} ${item.name}`,
+          reference: `STK-${sku}`,
+          entry_type: 'opening_stock',
+          lines: [
+            { account_code: this.inventoryAccount, debit: value, credit: 0, description: `Opening stock - ${item.name}` },
+            { account_code: this.openingStockAccount, debit: 0, credit: value, description: `Owner contribution - ${item.name} stock` }
+          ]
+        })];
+      }, {
+        watch: [itemKey],
+        queue: (multi) => {
+          this.queueMovements(multi, userId, stock);
+          multi.sAdd(`user:${userId}:inventory`, sku);
+        }
+      });
+
+      console.log(`✅ Created stock item ${sku} with opening stock for user ${userId}`);
+      return await this.getItem(userId, sku);
+    } catch (error) {
+      console.error('Create stock item error:', error);
+      throw error;
+    }
+  }
+
+  async updateItem(userId, sku, data) {
+    try {
+      const item = await this.getItem(userId, sku);
+      const fields = this.normalizeFields(data);
+
+      if (fields.name) {
+        const duplicate = (await this.getItems(userId))
+          .find(other => other.sku !== item.sku && this.normalizeName(other.name) === this.normalizeName(fields.name));
+        if (duplicate) throw new Error(`"${fields.name}" is already stock item ${duplicate.sku}`);
+      }
+
+      // Only the descriptive fields: quantities and cost move through postings
+      for (const [field, value] of Object.entries(fields)) {
+        await redis.json.set(this.itemKey(userId, item.sku), `$.${field}`, value);
+      }
+      await redis.json.set(this.itemKey(userId, item.sku), '$.updated_at', new Date().toISOString());
+
+      console.log(`✅ Updated stock item ${item.sku} for user ${userId}`);
+      return await this.getItem(userId, item.sku);
+    } catch (error) {
+      console.error('Update stock item error:', error);
+      throw error;
+    }
+  }
+
+  // The /stock item each invoice or bill line moves: the line's own `sku`
+  // (which must exist), or an item whose SKU is the first word of the
+  // description ("BERAS5 2 x 20"). Free text is never guessed at, so the same
+  // line moves stock on an invoice and on a bill alike.
+  async matchLineItems(userId, lines) {
+    const items = Object.fromEntries((await this.getItems(userId)).map(item => [item.sku, item]));
+
+    return lines.map(line => {
+      if (line.sku) {
+        const item = items[this.normalizeSku(line.sku)];
+        if (!item) throw new Error(`"${line.description}": there is no stock item ${line.sku}. See /stock`);
+        return item;
+      }
+      return items[this.normalizeSku(String(line.description || '').split(/\s+/)[0])] || null;
+    });
+  }
+
+  // Lines that look like a /stock item but moved no stock because they do not
+  // start with its SKU, so the user can be told rather than guessed for
+  async findUnmatchedStockLines(userId, lines) {
+    const unmatched = [];
+
+    for (const line of lines.filter(line => !line.sku)) {
+      const item = await this.resolveItem(userId, line.description);
+      if (item) unmatched.push({ description: line.description, sku: item.sku });
+    }
+
+    return unmatched;
+  }
+
+  // A stock item by SKU or name, or the only item whose name contains every
+  // word of `text` ("beras" → "Beras Cap Rambutan 5kg")
+  async resolveItem(userId, text) {
+    const query = this.normalizeName(text);
+    if (!query) return null;
+
+    const items = await this.getItems(userId);
+    const sku = this.normalizeSku(text);
+    const exact = items.find(item => item.sku === sku || this.normalizeName(item.name) === query);
+    if (exact) return exact;
+
+    const words = query.split(' ');
+    const partial = items.filter(item => {
+      const nameWords = this.normalizeName(item.name).split(' ');
+      return words.every(word => nameWords.includes(word));
+    });
+    return partial.length === 1 ? partial[0] : null;
+  }
+
+  // Stock items named in a message with a quantity: "10 beras", "Milo x 3",
+  // "5 bags of BERAS-5KG". An item is named by its SKU, its full name or the
+  // first word of its name when no other item shares it. Amounts in ringgit
+  // are never read as quantities.
+  async findItemsInText(userId, message) {
+    const text = String(message || '');
+    const escape = (value) => value.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+    const units = 'units?|pcs|pieces?|packs?|bags?|box(?:es)?|kotak|botol|bottles?|bungkus|tin|cartons?|kg';
+    const items = await this.getItems(userId);
+    const firstWord = (item) => this.normalizeName(item.name).split(' ')[0];
+    const found = [];
+
+    for (const item of items) {
+      const word = firstWord(item);
+      const isUnique = word.length >= 3 && items.filter(other => firstWord(other) === word).length === 1;
+
+      for (const name of [item.name, item.sku, ...(isUnique ? [word] : [])]) {
+        const pattern = escape(name).replace(/\s+/g, '\\s+');
+        const before = text.match(new RegExp(`(?<![\\w.])(?<!rm\\s?)(\\d+(?:\\.\\d+)?)\\s*(?:x\\s*)?(?:(?:${units}|${escape(item.unit)})\\s+(?:of\\s+)?)?${pattern}(?![\\w])`, 'i'));
+        const after = text.match(new RegExp(`(?<![\\w])${pattern}\\s*(?:x|×)\\s*(\\d+(?:\\.\\d+)?)(?![\\w.])`, 'i'));
+        const match = before || after;
+
+        if (match) {
+          found.push({ sku: item.sku, quantity: parseFloat(match[1]) });
+          break;
+        }
+      }
+    }
+
+    return found;
+  }
+
+  // Stock items on a parsed transaction, as stored: [{ sku, quantity, amount? }]
+  normalizeStockItems(stockItems) {
+    if (!Array.isArray(stockItems)) return [];
+
+    return stockItems
+      .map(stockItem => ({
+        sku: this.normalizeSku(stockItem.sku),
+        quantity: this.roundQuantity(parseFloat(stockItem.quantity)),
+        ...(parseFloat(stockItem.amount) > 0 ? { amount: this.round(parseFloat(stockItem.amount)) } : {})
+      }))
+      .filter(stockItem => stockItem.sku && stockItem.quantity > 0);
+  }
+
+  // Refuses to sell more than is on hand, before anything is recorded
+  async checkAvailability(userId, stockItems) {
+    const wanted = {};
+    stockItems.forEach(stockItem => {
+      wanted[stockItem.sku] = (wanted[stockItem.sku] || 0) + stockItem.quantity;
+    });
+
+    for (const [sku, quantity] of Object.entries(wanted)) {
+      const item = await this.getItem(userId, sku);
+      if (quantity > item.quantity + 0.0005) {
+        throw new Error(`Only ${item.quantity} ${item.unit} of ${item.sku} (${item.name}) on hand`);
+      }
+    }
+  }
+
+  // Brings a layer list back to one layer at the average cost
+  averageLayers(item, date) {
+    item.layers = item.quantity > 0
+      ? [{ quantity: item.quantity, value: item.value, date: date, reference: 'average' }]
+      : [];
+  }
+
+  updateTotals(item) {
+    item.quantity = this.roundQuantity(item.layers.reduce((sum, layer) => sum + layer.quantity, 0));
+    item.value = this.round(item.layers.reduce((sum, layer) => sum + layer.value, 0));
+  }
+
+  // Stock received at `value` is kept as its own cost layer
+  receive(item, movement) {
+    item.layers.push({
+      quantity: movement.quantity,
+      value: movement.value,
+      date: movement.date,
+      reference: movement.reference || null
+    });
+    this.updateTotals(item);
+    return movement.value;
+  }
+
+  // Cost of stock issued: the average cost of everything on hand, or the
+  // oldest layers first under FIFO. Returns the cost taken out of stock.
+  issue(item, movement, method) {
+    const quantity = movement.quantity;
+    if (quantity > item.quantity + 0.0005) {
+      throw new Error(`Only ${item.quantity} ${item.unit} of ${item.sku} (${item.name}) on hand`);
+    }
+
+    let cost = 0;
+    if (method === 'fifo') {
+      let remaining = quantity;
+      while (remaining > 0.0005 && item.layers.length > 0) {
+        const layer = item.layers[0];
+        if (layer.quantity <= remaining + 0.0005) {
+          cost += layer.value;
+          remaining = this.roundQuantity(remaining - layer.quantity);
+          item.layers.shift();
+        } else {
+          const layerCost = this.round(layer.value * remaining / layer.quantity);
+          cost += layerCost;
+          layer.quantity = this.roundQuantity(layer.quantity - remaining);
+          layer.value = this.round(layer.value - layerCost);
+          remaining = 0;
+        }
+      }
+      this.updateTotals(item);
+    } else {
+      cost = quantity >= item.quantity - 0.0005
+        ? item.value
+        : this.round(item.value * quantity / item.quantity);
+      item.quantity = this.roundQuantity(item.quantity - quantity);
+      item.value = this.round(item.value - cost);
+      this.averageLayers(item, movement.date);
+    }
+
+    return this.round(cost);
+  }
+
+  // Takes back stock received on `reverses` (a voided bill) at exactly the
+  // cost it came in at, so 1300 and the stock value stay equal
+  unreceive(item, movement, method) {
+    const index = item.layers.findIndex(layer => layer.reference === movement.reverses &&
+      Math.abs(layer.quantity - movement.quantity) < 0.0005 &&
+      Math.abs(layer.value - movement.value) < 0.005);
+
+    if (index >= 0) {
+      item.layers.splice(index, 1);
+      this.updateTotals(item);
+    } else if (method === 'weighted_average' && item.quantity >= movement.quantity - 0.0005 && item.value >= movement.value - 0.005) {
+      item.quantity = this.roundQuantity(item.quantity - movement.quantity);
+      item.value = this.round(item.value - movement.value);
+      this.averageLayers(item, movement.date);
+    } else {
+      throw new Error(`Some of the ${item.sku} stock from ${movement.reverses} has already been sold; record the return with /stock adjust instead`);
+    }
+
+    return movement.value;
+  }
+
+  // Works out the cost of each stock movement against the current items
+  // without writing anything: call it from a postJournalEntries build that
+  // watches getItemKeys(), then queue the result with queueMovements().
+  // Movements are { sku, type: 'in', quantity, value } for stock received,
+  // { sku, type: 'out', quantity } for stock issued at cost, or
+  // { sku, type: 'out', quantity, value, reverses } to undo a receipt.
+  // `pending` holds items by SKU that are not stored yet (a new item's
+  // opening stock).
+  async applyMovements(userId, movements, pending = {}) {
+    const method = await this.getCostingMethod(userId);
+    const items = JSON.parse(JSON.stringify(pending));
+    const applied = [];
+
+    for (const movement of movements) {
+      if (!items[movement.sku]) items[movement.sku] = JSON.parse(JSON.stringify(await this.getItem(userId, movement.sku)));
+
+      const item = items[movement.sku];
+      const dated = { ...movement, date: movement.date || new Date().toISOString() };
+      let value;
+      if (movement.type === 'in') value = this.receive(item, dated);
+      else if (movement.reverses) value = this.unreceive(item, dated, method);
+      else value = this.issue(item, dated, method);
+
+      item.updated_at = new Date().toISOString();
+      applied.push({
+        ...dated,
+        value: value,
+        unit_cost: movement.quantity > 0 ? this.round(value / movement.quantity) : 0,
+        quantity_after: item.quantity,
+        method: method
+      });
+    }
+
+    return { items: Object.values(items), movements: applied };
+  }
+
+  queueMovements(multi, userId, stock) {
+    stock.items.forEach(item => multi.json.set(this.itemKey(userId, item.sku), '$', item));
+    stock.movements.forEach(movement => {
+      const key = this.movementsKey(userId, movement.sku);
+      multi.lPush(key, JSON.stringify(movement));
+      multi.lTrim(key, 0, this.movementHistoryLimit - 1);
+    });
+  }
+
+  // Dr 5000 Cost of Goods Sold, Cr 1300 Inventory for stock sold
+  buildCostOfSalesLines(movements) {
+    const lines = [];
+
+    movements.filter(movement => movement.type === 'out' && movement.value > 0).forEach(movement => {
+      const description = `Cost of ${movement.quantity} x ${movement.sku}`;
+      lines.push({ account_code: this.cogsAccount, debit: movement.value, credit: 0, description });
+      lines.push({ account_code: this.inventoryAccount, debit: 0, credit: movement.value, description });
+    });
+
+    return lines;
+  }
+
+  // Posts a journal entry whose lines depend on the cost of the stock it
+  // moves, updating the items in the same EXEC. `buildLines(stock)` gets the
+  // applied movements and returns the entry's lines.
+  async postStockEntry(userId, movements, buildLines, entryData) {
+    const LedgerService = require('./ledger');
+    let stock;
+
+    const { entries, duplicate_of: duplicateOf } = await LedgerService.postJournalEntries(userId, async () => {
+      stock = await this.applyMovements(userId, movements.map(movement => ({ ...movement, date: movement.date || entryData.date })));
+      return [await LedgerService.buildJournalEntry(userId, { ...entryData, lines: buildLines(stock) })];
+    }, {
+      idempotency_key: entryData.idempotency_key,
+      watch: this.getItemKeys(userId, movements),
+      queue: (multi) => this.queueMovements(multi, userId, stock)
+    });
+
+    if (duplicateOf) {
+      console.log(`⏭️ Stock entry ${entryData.idempotency_key} already posted as ${duplicateOf}`);
+      return await LedgerService.getJournalEntry(userId, duplicateOf);
+    }
+
+    console.log(`✅ Posted stock entry ${entries[0].reference} for user ${userId}`);
+    return entries[0];
+  }
+
+  // Splits a purchase total across its items: by their own amounts when
+  // every item has one, otherwise by quantity
+  allocateCost(stockItems, total) {
+    const useAmounts = stockItems.every(stockItem => stockItem.amount > 0);
+    const weights = stockItems.map(stockItem => useAmounts ? stockItem.amount : stockItem.quantity);
+    const totalWeight = weights.reduce((sum, weight) => sum + weight, 0);
+    let allocated = 0;
+
+    return stockItems.map((stockItem, index) => {
+      const value = index === stockItems.length - 1
+        ? this.round(total - allocated)
+        : this.round(total * weights[index] / totalWeight);
+      allocated = this.round(allocated + value);
+      return { ...stockItem, value };
+    });
+  }
+
+  // Journal entry for a cash purchase or sale of tracked stock, from
+  // LedgerService.convertTransactionToJournalEntry: purchases come into
+  // stock at what was paid (SST included), sales add the cost of the stock
+  // sold, Dr 5000 / Cr 1300, to the sale's own lines
+  async postTransactionEntry(userId, transaction, lines, entryData) {
+    try {
+      const isSale = transaction.type === 'income';
+      const movements = isSale
+        ? transaction.stock_items.map(stockItem => ({ sku: stockItem.sku, type: 'out', quantity: stockItem.quantity, reference: entryData.reference }))
+        : this.allocateCost(transaction.stock_items, transaction.amount_myr)
+          .map(stockItem => ({ sku: stockItem.sku, type: 'in', quantity: stockItem.quantity, value: stockItem.value, reference: entryData.reference }));
+
+      return await this.postStockEntry(userId, movements, (stock) => [
+        ...lines,
+        ...(isSale ? this.buildCostOfSalesLines(stock.movements) : [])
+      ], entryData);
+    } catch (error) {
+      console.error('Stock transaction entry error:', error);
+      throw error;
+    }
+  }
+
+  // Stock count: sets an item to the quantity counted (or moves it by
+  // "+5" / "-3"). Shrinkage is written off at cost, Dr 5000 / Cr 1300; stock
+  // found comes in at the average cost on hand, or `unit_cost` if given.
+  async adjustStock(userId, sku, data) {
+    try {
+      const item = await this.getItem(userId, sku);
+      const text = String(data.quantity).trim();
+      const number = parseFloat(text);
+      if (isNaN(number)) throw new Error('Give the quantity counted, or a change such as +5 or -3');
+
+      const change = this.roundQuantity(/^[+-]/.test(text) ? number : number - item.quantity);
+      if (change === 0) throw new Error(`${item.sku} already has ${item.quantity} ${item.unit} on hand`);
+      if (item.quantity + change < 0) throw new Error(`${item.sku} only has ${item.quantity} ${item.unit} on hand`);
+
+      const reason = data.reason || 'Stock count adjustment';
+      const reference = `ADJ-${item.sku}-${Date.now().toString().slice(-6)}`;
+      let movement;
+      if (change > 0) {
+        const unitCost = parseFloat(data.unit_cost) > 0 ? parseFloat(data.unit_cost) : this.getAverageCost(item);
+        if (!(unitCost > 0)) throw new Error(`${item.sku} has no cost on hand; give the cost per unit, e.g. @12.50`);
+        movement = { sku: item.sku, type: 'in', quantity: change, value: this.round(change * unitCost), reference };
+      } else {
+        movement = { sku: item.sku, type: 'out', quantity: -change, reference };
+      }
+
+      let stockValue = 0;
+      const journalEntry = await this.postStockEntry(userId, [movement], (stock) => {
+        stockValue = stock.movements[0].value;
+        const [debit, credit] = change > 0
+          ? [this.inventoryAccount, this.cogsAccount]
+          : [this.cogsAccount, this.inventoryAccount];
+        return [
+          { account_code: debit, debit: stockValue, credit: 0, description: `${reason} - ${item.sku}` },
+          { account_code: credit, debit: 0, credit: stockValue, description: `${reason} - ${item.sku}` }
+        ];
+      }, {
+        description: `${reason}: ${change > 0 ? '+' : ''}${change} ${item.unit} ${item.name}`,
+        reference: reference,
+        date: data.date,
+        entry_type: 'stock_adjustment',
+        idempotency_key: data.idempotency_key
+      });
+
+      return { item: await this.getItem(userId, item.sku), change, value: stockValue, journal_entry: journalEntry };
+    } catch (error) {
+      console.error('Stock adjustment error:', error);
+      throw error;
+    }
+  }
+
+  // "BERAS5 Beras Cap Rambutan 5kg unit=bag reorder=10 qty=40 cost=14.50"
+  // → { reference: 'BERAS5 Beras Cap Rambutan 5kg', data }; qty and cost
+  // are the opening stock of a new item
+  parseItemText(text) {
+    const fields = { name: 'name', unit: 'unit', reorder: 'reorder_level', qty: 'opening_quantity', cost: 'opening_cost' };
+    const data = {};
+    const reference = String(text || '').replace(/([a-z][\w-]*)\s*=\s*(?:"([^"]*)"|(\S+))/gi, (all, name, quoted, plain) => {
+      const field = fields[name.toLowerCase()];
+      if (!field) throw new Error(`Unknown field "${name}". Use ${Object.keys(fields).join(', ')}`);
+      data[field] = (quoted !== undefined ? quoted : plain).trim();
+      return ' ';
+    }).replace(/\s+/g, ' ').trim();
+
+    return { reference, data };
+  }
+
+  // Every item with its quantity, value and average cost, the items at or
+  // below their reorder level, and the total reconciled to the 1300 balance
+  async getStockReport(userId) {
+    try {
+      const LedgerService = require('./ledger');
+      const items = (await this.getItems(userId)).map(item => ({
+        ...item,
+        average_cost: this.getAverageCost(item),
+        is_low: this.isLowStock(item)
+      }));
+      const totalValue = this.round(items.reduce((sum, item) => sum + item.value, 0));
+
+      const trialBalance = await LedgerService.getTrialBalance(userId, new Date());
+      const ledgerBalance = this.round(trialBalance.accounts
+        .filter(account => account.account_code === this.inventoryAccount || account.account_code.startsWith(`${this.inventoryAccount}-`))
+        .reduce((sum, account) => sum + account.debit_balance - account.credit_balance, 0));
+      const difference = this.round(ledgerBalance - totalValue);
+
+      return {
+        method: await this.getCostingMethod(userId),
+        items: items,
+        low_stock: items.filter(item => item.is_low),
+        total_value: totalValue,
+        ledger_balance: ledgerBalance,
+        difference: difference,
+        is_reconciled: Math.abs(difference) < 0.01
+      };
+    } catch (error) {
+      console.error('Stock report error:', error);
+      throw error;
+    }
+  }
+}
+
+module.exports = new InventoryService();
@@ -0,0 +1,454 @@
+// src/services/invoices.js
+
+const redis = require('../../config/redis');
+const { v4: uuidv4 } = require('uuid');
+
+class InvoiceService {
+  constructor() {
+    this.receivableAccount = '1200';
+    this.defaultRevenueAccount = '4000';
+    this.defaultTermsDays = 30;
+    this.customerFields = ['tin', 'brn', 'sst', 'email', 'phone', 'address', 'city', 'postcode', 'state', 'id_type'];
+  }
+
+  formatNumber(number) {
+    return `INV-${String(number).padStart(6, '0')}`;
+  }
+
+  // "INV-000012", "inv-12" and "12" all mean invoice INV-000012
+  normalizeNumber(reference) {
+    const match = String(reference || '').trim().match(/^(?:inv-?)?(\d+)$/i);
+    return match ? this.formatNumber(parseInt(match[1])) : null;
+  }
+
+  round(amount) {
+    return Math.round(amount * 100) / 100;
+  }
+
+  // Line amounts are before SST; the tax is added on top per line. Only a
+  // line that starts with a /stock SKU (or gives `sku`) sells that stock; a
+  // description that merely resembles an item, like "Delivery", never does.
+  async buildLines(userId, lines) {
+    const LedgerService = require('./ledger');
+    const TaxService = require('./tax');
+    const InventoryService = require('./inventory');
+    const chart = await LedgerService.getChartOfAccounts(userId);
+
+    if (!Array.isArray(lines) || lines.length === 0) {
+      throw new Error('An invoice needs at least one line item');
+    }
+
+    const stockItems = await InventoryService.matchLineItems(userId, lines);
+
+    return lines.map((line, index) => {
+      const quantity = parseFloat(line.quantity || 1);
+      const unitPrice = parseFloat(line.unit_price);
+      const accountCode = String(line.account_code || this.defaultRevenueAccount);
+      const account = chart[accountCode];
+
+      if (!line.description) throw new Error('Every line item needs a description');
+      if (!(quantity > 0) || !(unitPrice > 0)) throw new Error(`"${line.description}": quantity and price must be greater than zero`);
+      if (!account || account.type !== 'revenue' || account.is_archived) {
+        throw new Error(`Account ${accountCode} is not an active revenue account in your chart`);
+      }
+
+      const taxCode = line.tax_code ? TaxService.getTaxCode(line.tax_code) : null;
+      const amount = this.round(quantity * unitPrice);
+
+      return {
+        description: line.description,
+        quantity: quantity,
+        unit_price: unitPrice,
+        account_code: accountCode,
+        tax_code: taxCode ? taxCode.code : null,
+        amount: amount,
+        tax_amount: taxCode ? this.round(amount * taxCode.rate / 100) : 0,
+        ...(stockItems[index] ? { sku: stockItems[index].sku } : {})
+      };
+    });
+  }
+
+  // Stock sold on an invoice, costed when the invoice is posted
+  getStockMovements(invoice) {
+    return invoice.lines
+      .filter(line => line.sku)
+      .map(line => ({ sku: line.sku, type: 'out', quantity: line.quantity, reference: invoice.number, date: invoice.issue_date }));
+  }
+
+  // Dr Accounts Receivable for the total; Cr revenue per line and Cr SST
+  // Payable per tax code. Lines are posted net with their tax on its own line.
+  // Stock lines add their cost, Dr 5000 Cost of Goods Sold / Cr 1300 Inventory.
+  buildInvoiceJournalLines(invoice) {
+    const TaxService = require('./tax');
+    const lines = [{
+      account_code: this.receivableAccount,
+      debit: invoice.total,
+      credit: 0,
+      description: `${invoice.number} - ${invoice.customer.name}`
+    }];
+    const taxByCode = {};
+
+    invoice.lines.forEach(line => {
+      lines.push({
+        account_code: line.account_code,
+        debit: 0,
+        credit: line.amount,
+        description: line.description,
+        ...(line.tax_code ? { tax_code: line.tax_code, tax_inclusive: false } : {})
+      });
+      if (line.tax_amount > 0) {
+        taxByCode[line.tax_code] = (taxByCode[line.tax_code] || 0) + line.tax_amount;
+      }
+    });
+
+    Object.entries(taxByCode).forEach(([taxCode, amount]) => {
+      lines.push({
+        account_code: TaxService.sstPayableAccount,
+        debit: 0,
+        credit: this.round(amount),
+        description: `${TaxService.getTaxCode(taxCode).name} on ${invoice.number}`,
+        tax_code: taxCode,
+        is_tax: true
+      });
+    });
+
+    const InventoryService = require('./inventory');
+    lines.push(...InventoryService.buildCostOfSalesLines(invoice.lines
+      .filter(line => line.sku)
+      .map(line => ({ sku: line.sku, type: 'out', quantity: line.quantity, value: line.cost }))));
+
+    return lines;
+  }
+
+  // Creates and posts an invoice. Numbers are sequential per user with no
+  // gaps: the counter is watched and written in the same EXEC as the entry.
+  async createInvoice(userId, data) {
+    try {
+      const LedgerService = require('./ledger');
+      const customer = typeof data.customer === 'string' ? { name: data.customer } : { ...data.customer };
+      customer.name = String(customer.name || '').trim();
+      if (!customer.name) throw new Error('An invoice needs a customer name');
+
+      const lines = await this.buildLines(userId, data.lines);
+      const issueDate = data.issue_date ? new Date(data.issue_date) : new Date();
+      const dueDate = data.due_date
+        ? new Date(data.due_date)
+        : new Date(issueDate.getFullYear(), issueDate.getMonth(), issueDate.getDate() + (parseInt(data.terms_days) || this.defaultTermsDays));
+      if (isNaN(issueDate) || isNaN(dueDate)) throw new Error('Invalid invoice or due date');
+      if (dueDate < new Date(issueDate.getFullYear(), issueDate.getMonth(), issueDate.getDate())) {
+        throw new Error('The due date cannot be before the invoice date');
+      }
+
+      // Every customer is a contact: matched by name or added to /contacts
+      const ContactService = require('./contacts');
+      const resolved = data.contact_id
+        ? { contact: await ContactService.getContact(userId, data.contact_id), party: customer }
+        : await ContactService.resolveParty(userId, customer, 'customer');
+      const { contact, party } = resolved;
+
+      const subtotal = this.round(lines.reduce((sum, line) => sum + line.amount, 0));
+      const taxTotal = this.round(lines.reduce((sum, line) => sum + line.tax_amount, 0));
+      const invoiceId = uuidv4();
+      const counterKey = `invoice_counter:${userId}`;
+      const InventoryService = require('./inventory');
+      let invoice;
+      let number;
+      let stock;
+
+      const { duplicate_of: duplicateOf } = await LedgerService.postJournalEntries(userId, async () => {
+        number = parseInt(await redis.get(counterKey) || 0) + 1;
+        invoice = {
+          id: invoiceId,
+          user_id: userId.toString(),
+          number: this.formatNumber(number),
+          customer: party,
+          contact_id: contact.id,
+          issue_date: issueDate.toISOString(),
+          due_date: dueDate.toISOString(),
+          lines: lines,
+          subtotal: subtotal,
+          tax_total: taxTotal,
+          total: this.round(subtotal + taxTotal),
+          amount_paid: 0,
+          balance_due: this.round(subtotal + taxTotal),
+          status: 'unpaid',
+          payments: [],
+          created_at: new Date().toISOString(),
+          updated_at: new Date().toISOString()
+        };
+        if (data.dimensions) invoice.dimensions = LedgerService.normalizeDimensions(data.dimensions);
+
+        // Each stock line keeps the cost it was sold at, for the entry and a void
+        stock = await InventoryService.applyMovements(userId, this.getStockMovements(invoice));
+        const costs = stock.movements.map(movement => movement.value);
+        invoice.lines = invoice.lines.map(line => line.sku ? { ...line, cost: costs.shift() } : line);
+
+        const journalEntry = await LedgerService.buildJournalEntry(userId, {
+          description: `Invoice ${invoice.number} - ${customer.name}`,
+          reference: invoice.number,
+          date: invoice.issue_date,
+          entry_type: 'invoice',
+          dimensions: invoice.dimensions,
+          lines: this.buildInvoiceJournalLines(invoice)
+        });
+        invoice.journal_entry_id = journalEntry.id;
+        return [journalEntry];
+      }, {
+        idempotency_key: data.idempotency_key,
+        watch: [counterKey, ...InventoryService.getItemKeys(userId, lines.filter(line => line.sku))],
+        queue: (multi) => {
+          ContactService.queueParty(multi, userId, resolved);
+          InventoryService.queueMovements(multi, userId, stock);
+          multi.set(counterKey, number.toString());
+          multi.json.set(`invoice:${invoiceId}`, '$', invoice);
+          multi.lPush(`user:${userId}:invoices`, invoiceId);
+          multi.hSet(`invoice_numbers:${userId}`, invoice.number, invoiceId);
+        }
+      });
+
+      if (duplicateOf) {
+        const journalEntry = await LedgerService.getJournalEntry(userId, duplicateOf);
+        console.log(`⏭️ Invoice ${data.idempotency_key} already created as ${journalEntry.reference}`);
+        return await this.getInvoice(userId, journalEntry.reference);
+      }
+
+      await ContactService.linkNewParty(userId, resolved);
+      console.log(`✅ Created invoice ${invoice.number} for user ${userId}`);
+      return invoice;
+    } catch (error) {
+      console.error('Create invoice error:', error);
+      throw error;
+    }
+  }
+
+  async getInvoice(userId, reference) {
+    const number = this.normalizeNumber(reference);
+    const invoiceId = number
+      ? await redis.hGet(`invoice_numbers:${userId}`, number)
+      : reference;
+    const invoice = invoiceId ? await redis.json.get(`invoice:${invoiceId}`) : null;
+
+    if (!invoice || invoice.user_id !== userId.toString()) {
+      throw new Error(`Invoice ${number || reference} not found`);
+    }
+
+    return invoice;
+  }
+
+  // Newest first; `status` filters on 'open' (unpaid or part-paid) or an exact status
+  async getInvoices(userId, status = null) {
+    try {
+      const invoiceIds = await redis.lRange(`user:${userId}:invoices`, 0, -1);
+      const invoices = [];
+
+      for (const invoiceId of invoiceIds) {
+        const invoice = await redis.json.get(`invoice:${invoiceId}`);
+        if (!invoice) continue;
+        if (status === 'open' && !['unpaid', 'partially_paid'].includes(invoice.status)) continue;
+        if (status && status !== 'open' && invoice.status !== status) continue;
+        invoices.push(invoice);
+      }
+
+      return invoices.sort((a, b) => b.number.localeCompare(a.number));
+    } catch (error) {
+      console.error('Get invoices error:', error);
+      return [];
+    }
+  }
+
+  isOverdue(invoice, now = new Date()) {
+    const dueDate = new Date(invoice.due_date);
+    const endOfDueDay = new Date(dueDate.getFullYear(), dueDate.getMonth(), dueDate.getDate(), 23, 59, 59, 999);
+    return ['unpaid', 'partially_paid'].includes(invoice.status) && now > endOfDueDay;
+  }
+
+  // Full or partial payment: Dr Bank / Cr Accounts Receivable. The payment
+  // entry and the invoice's new balance and status are written together.
+  async recordPayment(userId, reference, data = {}) {
+    try {
+      const LedgerService = require('./ledger');
+      const paidDate = data.date ? new Date(data.date) : new Date();
+      if (isNaN(paidDate)) throw new Error('Invalid payment date');
+
+      const invoiceKey = `invoice:${(await this.getInvoice(userId, reference)).id}`;
+      let invoice;
+      let payment;
+
+      const { duplicate_of: duplicateOf } = await LedgerService.postJournalEntries(userId, async () => {
+        invoice = await this.getInvoice(userId, reference);
+
+        if (!['unpaid', 'partially_paid'].includes(invoice.status)) {
+          throw new Error(`Invoice ${invoice.number} is ${invoice.status.replace('_', ' ')}`);
+        }
+
+        const amount = data.amount === undefined || data.amount === null
+          ? invoice.balance_due
+          : this.round(parseFloat(data.amount));
+        if (!(amount > 0)) throw new Error('Payment amount must be greater than zero');
+        if (amount > invoice.balance_due + 0.005) {
+          throw new Error(`Payment RM${amount.toFixed(2)} is more than the RM${invoice.balance_due.toFixed(2)} due on ${invoice.number}`);
+        }
+
+        const journalEntry = await LedgerService.buildJournalEntry(userId, {
+          description: `Payment for ${invoice.number} - ${invoice.customer.name}`,
+          reference: `PAY-${invoice.number}-${invoice.payments.length + 1}`,
+          date: paidDate.toISOString(),
+          entry_type: 'invoice_payment',
+          dimensions: invoice.dimensions,
+          lines: [
+            { account_code: data.paid_to || '1100', debit: amount, credit: 0, description: `Received from ${invoice.customer.name}` },
+            { account_code: this.receivableAccount, debit: 0, credit: amount, description: `${invoice.number} - ${invoice.customer.name}` }
+          ]
+        });
+
+        payment = {
+          id: uuidv4(),
+          date: paidDate.toISOString(),
+          amount: amount,
+          journal_entry_id: journalEntry.id
+        };
+        const amountPaid = this.round(invoice.amount_paid + amount);
+        const balanceDue = this.round(invoice.total - amountPaid);
+
+        invoice = {
+          ...invoice,
+          amount_paid: amountPaid,
+          balance_due: balanceDue,
+          status: balanceDue <= 0.005 ? 'paid' : 'partially_paid',
+          payments: [...invoice.payments, payment],
+          updated_at: new Date().toISOString()
+        };
+        if (invoice.status === 'paid') invoice.paid_at = payment.date;
+
+        return [journalEntry];
+      }, {
+        idempotency_key: data.idempotency_key,
+        watch: [invoiceKey],
+        queue: (multi) => multi.json.set(invoiceKey, '$', invoice)
+      });
+
+      if (duplicateOf) {
+        console.log(`⏭️ Payment ${data.idempotency_key} already recorded`);
+        return { invoice: await this.getInvoice(userId, reference), payment: null };
+      }
+
+      console.log(`✅ Recorded payment of RM${payment.amount.toFixed(2)} on ${invoice.number} for user ${userId}`);
+      return { invoice, payment };
+    } catch (error) {
+      console.error('Record invoice payment error:', error);
+      throw error;
+    }
+  }
+
+  // Voids an invoice with no payments by reversing its journal entry
+  async voidInvoice(userId, reference, reason = null) {
+    try {
+      const LedgerService = require('./ledger');
+      const InventoryService = require('./inventory');
+      const existing = await this.getInvoice(userId, reference);
+      const invoiceKey = `invoice:${existing.id}`;
+      let invoice;
+      let original;
+      let stock;
+
+      await LedgerService.postJournalEntries(userId, async () => {
+        invoice = await this.getInvoice(userId, reference);
+
+        if (invoice.status === 'void') throw new Error(`Invoice ${invoice.number} is already void`);
+        if (invoice.payments.length > 0) {
+          throw new Error(`Invoice ${invoice.number} has payments recorded and cannot be voided`);
+        }
+
+        original = await LedgerService.getJournalEntry(userId, invoice.journal_entry_id);
+        const reversal = await LedgerService.buildReversal(userId, original, { reason: reason || `${invoice.number} voided` });
+        // Stock sold on the invoice comes back at the cost it went out at
+        stock = await InventoryService.applyMovements(userId, invoice.lines
+          .filter(line => line.sku)
+          .map(line => ({ sku: line.sku, type: 'in', quantity: line.quantity, value: line.cost, reference: invoice.number, date: reversal.date })));
+
+        invoice = {
+          ...invoice,
+          status: 'void',
+          balance_due: 0,
+          voided_at: new Date().toISOString(),
+          void_journal_entry_id: reversal.id,
+          updated_at: new Date().toISOString()
+        };
+
+        return [reversal];
+      }, {
+        watch: [invoiceKey, ...InventoryService.getItemKeys(userId, existing.lines.filter(line => line.sku))],
+        queue: (multi, [reversal]) => {
+          LedgerService.queueReversedStatus(multi, original, 'voided', reversal.id);
+          InventoryService.queueMovements(multi, userId, stock);
+          multi.json.set(invoiceKey, '$', invoice);
+        }
+      });
+
+      console.log(`✅ Voided invoice ${invoice.number} for user ${userId}`);
+      return invoice;
+    } catch (error) {
+      console.error('Void invoice error:', error);
+      throw error;
+    }
+  }
+
+  // "Acme Sdn Bhd; Web design 2 x 1500 SV8; Hosting 600 4100; due 14"
+  // → customer, line items (quantity x price, optional account and tax code)
+  // and due date (days or YYYY-MM-DD); key=value pairs add customer details
+  // (tin=..., email=...) or set the invoice date (date=YYYY-MM-DD)
+  parseInvoiceText(text) {
+    const { party, ...data } = this.parseDocumentText(text, this.customerFields);
+    return { customer: party, ...data };
+  }
+
+  // Shared by invoices and supplier bills: the first segment names the party,
+  // `partyFields` are the key=value details it accepts and `extraOptions` maps
+  // further option names onto the returned data (e.g. { ref: 'supplier_reference' })
+  parseDocumentText(text, partyFields, extraOptions = {}) {
+    const options = {};
+    const rest = String(text || '').replace(/([a-z][\w-]*)\s*=\s*(?:"([^"]*)"|([^\s;]+))/gi, (all, name, quoted, plain) => {
+      options[name.toLowerCase()] = (quoted !== undefined ? quoted : plain).trim();
+      return ' ';
+    });
+
+    const [partyName, ...segments] = rest.split(';').map(segment => segment.replace(/\s+/g, ' ').trim()).filter(Boolean);
+    const data = { party: { name: partyName || '' }, lines: [] };
+
+    for (const [name, value] of Object.entries(options)) {
+      if (name === 'date') {
+        data.issue_date = value;
+      } else if (extraOptions[name]) {
+        data[extraOptions[name]] = value;
+      } else if (partyFields.includes(name)) {
+        data.party[name] = value;
+      } else {
+        const extra = Object.keys(extraOptions).map(option => `, ${option}=...`).join('');
+        throw new Error(`Unknown option "${name}". Use date=YYYY-MM-DD${extra} or details: ${partyFields.join(', ')}`);
+      }
+    }
+
+    for (const segment of segments) {
+      const due = segment.match(/^due\s+(?:in\s+)?(\S+)(?:\s+days?)?$/i);
+      if (due) {
+        if (/^\d+$/.test(due[1])) data.terms_days = parseInt(due[1]);
+        else data.due_date = due[1];
+        continue;
+      }
+
+      const item = segment.match(/^(.+?)\s+(?:(\d+(?:\.\d+)?)\s*[x×]\s*)?(?:rm\s*)?(\d+(?:\.\d{1,2})?)((?:\s+(?:\d{4}(?:-\d{2})?|[a-z]{2}\d{0,2}))*)$/i);
+      if (!item) throw new Error(`Cannot read line item "${segment}". Use: description quantity x price [account] [tax code]`);
+
+      const line = { description: item[1], quantity: item[2] ? parseFloat(item[2]) : 1, unit_price: parseFloat(item[3]) };
+      for (const token of item[4].trim().split(/\s+/).filter(Boolean)) {
+        if (/^\d{4}(?:-\d{2})?$/.test(token)) line.account_code = token;
+        else line.tax_code = token;
+      }
+      data.lines.push(line);
+    }
+
+    return data;
+  }
+}
+
+module.exports = new InvoiceService();
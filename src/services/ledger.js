@@ -1,11 +1,14 @@
 // src/services/ledger.js
 const redis = require('../../config/redis');
+const { WatchError } = require('redis');
 const { v4: uuidv4 } = require('uuid');
+const PriceFeedsService = require('./priceFeeds');
 
 class LedgerService {
   constructor() {
-    // Chart of Accounts - Malaysian business context
-    this.chartOfAccounts = {
+    // Default Chart of Accounts - Malaysian business context
+    // Seeded into each user's own chart on first use (see getChartOfAccounts)
+    this.defaultChartOfAccounts = {
       // Assets (1000-1999)
       1000: { name: 'Cash', type: 'asset', category: 'current' },
       1100: { name: 'Bank - Current Account', type: 'asset', category: 'current' },
@@ -15,20 +18,27 @@ class LedgerService {
       1500: { name: 'Equipment', type: 'asset', category: 'fixed' },
       1600: { name: 'Accumulated Depreciation - Equipment', type: 'asset', category: 'fixed', isContra: true },
       1700: { name: 'Property', type: 'asset', category: 'fixed' },
+      1750: { name: 'Accumulated Depreciation - Property', type: 'asset', category: 'fixed', isContra: true },
       1800: { name: 'Investments', type: 'asset', category: 'investment' },
       
       // Liabilities (2000-2999)
       2000: { name: 'Accounts Payable', type: 'liability', category: 'current' },
       2100: { name: 'Accrued Expenses', type: 'liability', category: 'current' },
       2200: { name: 'Short-term Loans', type: 'liability', category: 'current' },
-      2300: { name: 'GST Payable', type: 'liability', category: 'current' },
+      2300: { name: 'SST Payable', type: 'liability', category: 'current' },
       2400: { name: 'Income Tax Payable', type: 'liability', category: 'current' },
       2500: { name: 'Long-term Debt', type: 'liability', category: 'long_term' },
+      2600: { name: 'Salaries Payable', type: 'liability', category: 'current' },
+      2610: { name: 'EPF Payable', type: 'liability', category: 'current' },
+      2620: { name: 'SOCSO Payable', type: 'liability', category: 'current' },
+      2630: { name: 'EIS Payable', type: 'liability', category: 'current' },
+      2640: { name: 'PCB Payable', type: 'liability', category: 'current' },
       
       // Equity (3000-3999)
       3000: { name: 'Owner\'s Equity', type: 'equity', category: 'capital' },
       3100: { name: 'Retained Earnings', type: 'equity', category: 'retained' },
       3200: { name: 'Current Year Earnings', type: 'equity', category: 'current' },
+      3300: { name: 'Owner\'s Drawings', type: 'equity', category: 'drawings', isContra: true },
       
       // Revenue (4000-4999)
       4000: { name: 'Sales Revenue', type: 'revenue', category: 'operating' },
@@ -36,172 +46,1723 @@ class LedgerService {
       4200: { name: 'Rental Income', type: 'revenue', category: 'operating' },
       4300: { name: 'Interest Income', type: 'revenue', category: 'non_operating' },
       4400: { name: 'Investment Gains', type: 'revenue', category: 'investment' },
+      4500: { name: 'Unrealised FX Gain', type: 'revenue', category: 'non_operating' },
       
       // Expenses (5000-5999)
       5000: { name: 'Cost of Goods Sold', type: 'expense', category: 'cogs' },
       5100: { name: 'Rent Expense', type: 'expense', category: 'operating' },
+      5150: { name: 'Salaries & Wages', type: 'expense', category: 'operating' },
+      5160: { name: 'Employer Statutory Contributions', type: 'expense', category: 'operating' },
       5200: { name: 'Utilities Expense', type: 'expense', category: 'operating' },
       5300: { name: 'Marketing Expense', type: 'expense', category: 'operating' },
       5400: { name: 'Office Supplies', type: 'expense', category: 'operating' },
       5500: { name: 'Professional Fees', type: 'expense', category: 'operating' },
       5600: { name: 'Depreciation Expense', type: 'expense', category: 'operating' },
       5700: { name: 'Interest Expense', type: 'expense', category: 'non_operating' },
-      5800: { name: 'Investment Losses', type: 'expense', category: 'investment' }
+      5800: { name: 'Investment Losses', type: 'expense', category: 'investment' },
+      5900: { name: 'Unrealised FX Loss', type: 'expense', category: 'non_operating' }
     };
+
+    // Account type is implied by the first digit of a top-level code
+    this.accountTypesByPrefix = {
+      1: 'asset',
+      2: 'liability',
+      3: 'equity',
+      4: 'revenue',
+      5: 'expense'
+    };
+
+    this.defaultCategories = {
+      asset: 'current',
+      liability: 'current',
+      equity: 'capital',
+      revenue: 'operating',
+      expense: 'operating'
+    };
+
+    // Default accounts whose name has changed: charts still carrying the old
+    // default name are renamed, names the user chose are left alone
+    this.renamedDefaultAccounts = {
+      2300: 'GST Payable'
+    };
+  }
+
+  // Per-user Chart of Accounts
+  async getChartOfAccounts(userId) {
+    try {
+      const chartKey = `chart_of_accounts:${userId}`;
+      let chart = await redis.json.get(chartKey);
+      let changed = false;
+
+      if (!chart) {
+        chart = {};
+      }
+
+      // Seed defaults (and any defaults added since the chart was created).
+      // A newer default whose code the user already took for an account of
+      // their own goes to the next free code instead, and automatic postings
+      // follow it there (see getSystemAccountCode).
+      for (const [code, account] of Object.entries(this.defaultChartOfAccounts)) {
+        if (this.findDefaultAccountCode(chart, code)) continue;
+
+        const seededCode = chart[code] ? this.findFreeAccountCode(chart, code) : code;
+        chart[seededCode] = {
+          code: seededCode,
+          ...account,
+          parent_code: null,
+          is_archived: false,
+          is_default: true,
+          ...(seededCode !== code ? { default_code: code } : {}),
+          created_at: new Date().toISOString()
+        };
+        changed = true;
+
+        if (seededCode !== code) {
+          console.log(`⚠️ Account ${code} is already "${chart[code].name}" for user ${userId}; added ${account.name} as ${seededCode}`);
+        }
+      }
+
+      for (const [code, oldName] of Object.entries(this.renamedDefaultAccounts)) {
+        if (chart[code]?.is_default && chart[code].name === oldName) {
+          chart[code].name = this.defaultChartOfAccounts[code].name;
+          changed = true;
+        }
+      }
+
+      if (changed) {
+        await redis.json.set(chartKey, '$', chart);
+      }
+
+      return chart;
+    } catch (error) {
+      console.error('Get chart of accounts error:', error);
+      throw error;
+    }
+  }
+
+  // Where a default account lives in a chart: its own code, or the code it
+  // was moved to because the user's own account already had that code
+  findDefaultAccountCode(chart, code) {
+    if (chart[code] && chart[code].is_default !== false) return code;
+
+    const moved = Object.values(chart).find(account => account.default_code === code);
+    return moved ? moved.code : null;
+  }
+
+  findFreeAccountCode(chart, code) {
+    for (let candidate = Number(code) + 1; String(candidate).charAt(0) === code.charAt(0); candidate++) {
+      const candidateCode = String(candidate);
+      if (!chart[candidateCode] && !this.defaultChartOfAccounts[candidateCode]) return candidateCode;
+    }
+
+    throw new Error(`No free account code left for ${this.defaultChartOfAccounts[code].name}`);
+  }
+
+  // The code automatic postings (payroll, depreciation, FX, drawings) use for
+  // a default account, so they never land in a user's unrelated account
+  getSystemAccountCode(chart, code) {
+    const resolved = this.findDefaultAccountCode(chart, code);
+    if (!resolved) throw new Error(`Default account ${code} is missing from your chart of accounts`);
+    return resolved;
+  }
+
+  async saveChartOfAccounts(userId, chart) {
+    await redis.json.set(`chart_of_accounts:${userId}`, '$', chart);
+    await redis.xAdd('chart_of_accounts_changes', '*', {
+      user_id: userId.toString(),
+      timestamp: Date.now().toString()
+    });
+  }
+
+  async getAccount(userId, accountCode) {
+    const chart = await this.getChartOfAccounts(userId);
+    return chart[String(accountCode).trim()] || null;
+  }
+
+  // Sub-accounts use the parent code plus a two-digit suffix, e.g. 1100-01
+  parseAccountCode(accountCode) {
+    const code = String(accountCode).trim();
+    const match = code.match(/^(\d{4})(?:-(\d{2}))?$/);
+
+    if (!match) {
+      return null;
+    }
+
+    return {
+      code: code,
+      parent_code: match[2] ? match[1] : null,
+      type: this.accountTypesByPrefix[code.charAt(0)] || null
+    };
+  }
+
+  async addAccount(userId, accountData) {
+    try {
+      const parsed = this.parseAccountCode(accountData.code);
+
+      if (!parsed || !parsed.type) {
+        throw new Error(`Invalid account code "${accountData.code}". Use 4 digits (1000-5999) or a sub-account like 1100-01`);
+      }
+
+      const name = (accountData.name || '').trim();
+      if (name.length < 2) {
+        throw new Error('Account name is too short');
+      }
+
+      const chart = await this.getChartOfAccounts(userId);
+
+      if (chart[parsed.code]) {
+        throw new Error(`Account ${parsed.code} already exists (${chart[parsed.code].name})`);
+      }
+
+      let account;
+
+      if (parsed.parent_code) {
+        const parent = chart[parsed.parent_code];
+
+        if (!parent) {
+          throw new Error(`Parent account ${parsed.parent_code} does not exist`);
+        }
+        if (parent.is_archived) {
+          throw new Error(`Parent account ${parsed.parent_code} is archived`);
+        }
+
+        // Sub-accounts report under their parent, so they share its classification
+        account = {
+          code: parsed.code,
+          name: name,
+          type: parent.type,
+          category: parent.category,
+          parent_code: parsed.parent_code
+        };
+
+        if (parent.isContra) {
+          account.isContra = true;
+        }
+      } else {
+        account = {
+          code: parsed.code,
+          name: name,
+          type: parsed.type,
+          category: accountData.category || this.defaultCategories[parsed.type],
+          parent_code: null
+        };
+      }
+
+      chart[parsed.code] = {
+        ...account,
+        is_archived: false,
+        is_default: false,
+        created_at: new Date().toISOString()
+      };
+
+      await this.saveChartOfAccounts(userId, chart);
+
+      console.log(`✅ Added account ${parsed.code} for user ${userId}`);
+      return chart[parsed.code];
+    } catch (error) {
+      console.error('Add account error:', error);
+      throw error;
+    }
+  }
+
+  async renameAccount(userId, accountCode, newName) {
+    try {
+      const code = String(accountCode).trim();
+      const name = (newName || '').trim();
+      const chart = await this.getChartOfAccounts(userId);
+
+      if (!chart[code]) {
+        throw new Error(`Account ${code} does not exist`);
+      }
+      if (name.length < 2) {
+        throw new Error('Account name is too short');
+      }
+
+      const oldName = chart[code].name;
+      chart[code].name = name;
+      chart[code].updated_at = new Date().toISOString();
+
+      await this.saveChartOfAccounts(userId, chart);
+
+      console.log(`✅ Renamed account ${code} for user ${userId}`);
+      return { ...chart[code], old_name: oldName };
+    } catch (error) {
+      console.error('Rename account error:', error);
+      throw error;
+    }
+  }
+
+  async archiveAccount(userId, accountCode) {
+    try {
+      const code = String(accountCode).trim();
+      const chart = await this.getChartOfAccounts(userId);
+
+      if (!chart[code]) {
+        throw new Error(`Account ${code} does not exist`);
+      }
+      if (chart[code].is_archived) {
+        throw new Error(`Account ${code} is already archived`);
+      }
+
+      const activeChildren = Object.values(chart).filter(account =>
+        account.parent_code === code && !account.is_archived
+      );
+
+      if (activeChildren.length > 0) {
+        throw new Error(`Archive sub-accounts first: ${activeChildren.map(account => account.code).join(', ')}`);
+      }
+
+      // Archived accounts keep their history but can no longer be posted to
+      chart[code].is_archived = true;
+      chart[code].archived_at = new Date().toISOString();
+
+      await this.saveChartOfAccounts(userId, chart);
+
+      console.log(`✅ Archived account ${code} for user ${userId}`);
+      return chart[code];
+    } catch (error) {
+      console.error('Archive account error:', error);
+      throw error;
+    }
+  }
+
+  // Codes for an account and all of its sub-accounts
+  getAccountFamily(chart, accountCode) {
+    const code = String(accountCode);
+    return Object.keys(chart).filter(c => c === code || chart[c].parent_code === code);
+  }
+
+  // Dimensions: free-form tags on journal lines and transactions, e.g.
+  // { outlet: 'Bangsar', project: 'Raya 2026' }. Names are snake_case;
+  // values keep the user's spelling and match case-insensitively.
+  normalizeDimensionName(name) {
+    const normalized = String(name || '').trim().toLowerCase().replace(/[\s-]+/g, '_').replace(/[^a-z0-9_]/g, '');
+    return normalized === 'cost_center' ? 'cost_centre' : normalized;
+  }
+
+  normalizeDimensions(dimensions) {
+    const normalized = {};
+    if (!dimensions || typeof dimensions !== 'object') return normalized;
+
+    for (const [name, value] of Object.entries(dimensions)) {
+      const key = this.normalizeDimensionName(name);
+      const text = value === null || value === undefined ? '' : String(value).trim().replace(/\s+/g, ' ');
+      if (key && text) normalized[key] = text;
+    }
+
+    return normalized;
+  }
+
+  dimensionValueKey(value) {
+    return String(value).trim().toLowerCase().replace(/[\s_-]+/g, ' ');
+  }
+
+  // True when a journal line carries every dimension in the filter; a filter
+  // value of null matches lines that have no value for that dimension
+  matchesDimensions(entry, filter) {
+    return Object.entries(filter).every(([name, value]) => {
+      const lineValue = entry.dimensions && entry.dimensions[name];
+      if (value === null) return !lineValue;
+      return !!lineValue && this.dimensionValueKey(lineValue) === this.dimensionValueKey(value);
+    });
+  }
+
+  // Splits report arguments like "2026-Q1 outlet=Bangsar by project" into the
+  // period text, a dimension filter and the dimension to segment by
+  parseDimensionArgs(args) {
+    const dimensions = {};
+    let segmentBy = null;
+
+    const text = String(args || '')
+      .replace(/([a-z][\w-]*)\s*=\s*(?:"([^"]*)"|(\S+))/gi, (all, name, quoted, plain) => {
+        dimensions[this.normalizeDimensionName(name)] = (quoted !== undefined ? quoted : plain).trim();
+        return ' ';
+      })
+      .replace(/\bby\s+([a-z][\w-]*)/i, (all, name) => {
+        segmentBy = this.normalizeDimensionName(name);
+        return ' ';
+      })
+      .replace(/\s+/g, ' ')
+      .trim();
+
+    return { text, dimensions, segment_by: segmentBy };
+  }
+
+  // Posts a journal entry and its ledger updates atomically. Pass
+  // entryData.idempotency_key to make retries (e.g. a redelivered Telegram
+  // update) return the entry already posted instead of posting it twice.
+  async createJournalEntry(userId, entryData) {
+    try {
+      const { entries, duplicate_of: duplicateOf } = await this.postJournalEntries(
+        userId,
+        async () => [await this.buildJournalEntry(userId, entryData)],
+        { idempotency_key: entryData.idempotency_key }
+      );
+
+      if (duplicateOf) {
+        console.log(`⏭️ Journal entry ${entryData.idempotency_key} already posted as ${duplicateOf}`);
+        return await this.getJournalEntry(userId, duplicateOf);
+      }
+
+      console.log(`✅ Created journal entry: ${entries[0].id} for user ${userId}`);
+      return entries[0];
+    } catch (error) {
+      console.error('Create journal entry error:', error);
+      throw error;
+    }
   }
 
-  async createJournalEntry(userId, entryData) {
-    try {
-      const journalId = uuidv4();
-      const journalEntry = {
-        id: journalId,
-        user_id: userId.toString(),
-        date: entryData.date || new Date().toISOString(),
-        reference: entryData.reference || `JE-${Date.now()}`,
-        description: entryData.description,
-        total_debit: 0,
-        total_credit: 0,
-        entries: [],
-        created_at: new Date().toISOString(),
-        created_by: 'ai_assistant'
-      };
+  // Validates entryData and returns the journal entry it describes, without writing anything
+  async buildJournalEntry(userId, entryData) {
+    const journalId = uuidv4();
+    const journalEntry = {
+      id: journalId,
+      user_id: userId.toString(),
+      date: entryData.date || new Date().toISOString(),
+      reference: entryData.reference || `JE-${Date.now()}`,
+      description: entryData.description,
+      total_debit: 0,
+      total_credit: 0,
+      entries: [],
+      entry_type: entryData.entry_type || 'standard',
+      status: 'posted',
+      created_at: new Date().toISOString(),
+      created_by: entryData.created_by || 'ai_assistant'
+    };
+
+    // Links between an original entry and its reversal / replacement
+    if (entryData.reverses) journalEntry.reverses = entryData.reverses;
+    if (entryData.replaces) journalEntry.replaces = entryData.replaces;
+
+    // Closing entries are the only postings allowed at or before a closed year-end
+    if (journalEntry.entry_type !== 'closing') {
+      const closedThrough = await this.getClosedThroughDate(userId);
+      if (closedThrough && new Date(journalEntry.date) <= closedThrough) {
+        throw new Error(`Cannot post to ${journalEntry.date.split('T')[0]}: the fiscal year ending ${closedThrough.toISOString().split('T')[0]} is closed`);
+      }
+    }
+
+    // Closing entries post to the year-end close period, which is not month-lockable
+    if (journalEntry.entry_type !== 'closing') {
+      await this.assertPeriodOpen(userId, journalEntry.date);
+    }
+
+    const chart = await this.getChartOfAccounts(userId);
+
+    // Process each line item
+    for (const line of entryData.lines) {
+      const accountCode = String(line.account_code).trim();
+      const account = chart[accountCode];
+
+      if (!account) {
+        throw new Error(`Account ${accountCode} is not in your chart of accounts. Use /chart_of_accounts to add it.`);
+      }
+      if (account.is_archived && journalEntry.entry_type !== 'reversal') {
+        throw new Error(`Account ${accountCode} (${account.name}) is archived and cannot be posted to`);
+      }
+
+      const lineEntry = {
+        account_code: accountCode,
+        account_name: account.name,
+        debit_amount: parseFloat(line.debit || 0),
+        credit_amount: parseFloat(line.credit || 0),
+        description: line.description || entryData.description
+      };
+
+      // Entry-level dimensions apply to every line unless the line overrides them
+      const dimensions = this.normalizeDimensions({ ...entryData.dimensions, ...line.dimensions });
+      if (Object.keys(dimensions).length > 0) {
+        lineEntry.dimensions = dimensions;
+      }
+
+      // Foreign currency lines: debit/credit are in the line currency and
+      // the MYR amounts are derived from the exchange rate
+      const currency = PriceFeedsService.normalizeCurrency(line.currency);
+      if (currency !== 'MYR') {
+        const exchangeRate = parseFloat(line.exchange_rate) || await PriceFeedsService.getExchangeRate(currency);
+
+        lineEntry.currency = currency;
+        lineEntry.exchange_rate = exchangeRate;
+
+        if (line.revaluation) {
+          // Revaluation adjusts the MYR carrying amount only
+          lineEntry.revaluation = true;
+          lineEntry.foreign_debit = 0;
+          lineEntry.foreign_credit = 0;
+        } else {
+          lineEntry.foreign_debit = lineEntry.debit_amount;
+          lineEntry.foreign_credit = lineEntry.credit_amount;
+          lineEntry.debit_amount = Math.round(lineEntry.foreign_debit * exchangeRate * 100) / 100;
+          lineEntry.credit_amount = Math.round(lineEntry.foreign_credit * exchangeRate * 100) / 100;
+        }
+      }
+
+      const taxLine = line.tax_code ? this.applyTaxCode(chart, account, line, lineEntry) : null;
+
+      for (const entry of taxLine ? [lineEntry, taxLine] : [lineEntry]) {
+        journalEntry.entries.push(entry);
+        journalEntry.total_debit += entry.debit_amount;
+        journalEntry.total_credit += entry.credit_amount;
+      }
+    }
+
+    // Validate double-entry (debits = credits)
+    if (Math.abs(journalEntry.total_debit - journalEntry.total_credit) > 0.01) {
+      throw new Error(`Journal entry not balanced: Debits RM${journalEntry.total_debit.toFixed(2)} ≠ Credits RM${journalEntry.total_credit.toFixed(2)}`);
+    }
+
+    return journalEntry;
+  }
+
+  // Records a line's SST code. Sales tax and service tax are collected on
+  // sales only, so a taxed revenue line is tax-inclusive: the SST is split off
+  // into its own SST Payable line. SST paid on purchases cannot be claimed
+  // back and stays in the cost, noted on the line as tax_amount.
+  // `tax_inclusive: false` marks amounts that are already net (reposted lines).
+  applyTaxCode(chart, account, line, lineEntry) {
+    const TaxService = require('./tax');
+    const taxCode = TaxService.getTaxCode(line.tax_code);
+    lineEntry.tax_code = taxCode.code;
+
+    if (line.is_tax) {
+      lineEntry.is_tax = true;
+      return null;
+    }
+    if (taxCode.rate === 0 || line.tax_inclusive === false) return null;
+
+    const side = lineEntry.credit_amount > 0 ? 'credit' : 'debit';
+    const gross = lineEntry[`${side}_amount`];
+    const tax = TaxService.getInclusiveTax(gross, taxCode.code);
+    lineEntry.tax_amount = tax;
+
+    if (account.type !== 'revenue' || tax === 0) return null;
+
+    lineEntry[`${side}_amount`] = Math.round((gross - tax) * 100) / 100;
+    if (lineEntry.currency && !lineEntry.revaluation) {
+      const foreign = lineEntry[`foreign_${side}`];
+      lineEntry[`foreign_${side}`] = Math.round(foreign * (gross - tax) / gross * 100) / 100;
+    }
+
+    const taxAccount = chart[TaxService.sstPayableAccount];
+    if (!taxAccount) {
+      throw new Error(`Account ${TaxService.sstPayableAccount} (SST Payable) is not in your chart of accounts`);
+    }
+
+    const taxLine = {
+      account_code: TaxService.sstPayableAccount,
+      account_name: taxAccount.name,
+      debit_amount: side === 'debit' ? tax : 0,
+      credit_amount: side === 'credit' ? tax : 0,
+      description: `${taxCode.name} on ${lineEntry.description}`,
+      tax_code: taxCode.code,
+      is_tax: true
+    };
+    if (lineEntry.dimensions) taxLine.dimensions = { ...lineEntry.dimensions };
+
+    return taxLine;
+  }
+
+  // Posts journal entries all-or-nothing with WATCH + MULTI/EXEC. `build` runs
+  // after the WATCH on every attempt, so validation always sees current state;
+  // a lock, year-end close, idempotency claim or `options.watch` key changing
+  // underneath aborts the EXEC and the post is retried instead of half-applied.
+  // `options.queue(multi, entries)` adds writes that must land with the entries.
+  async postJournalEntries(userId, build, options = {}) {
+    const idempotencyKey = options.idempotency_key
+      ? `journal_idempotency:${userId}:${options.idempotency_key}`
+      : null;
+    const watchKeys = [`period_locks:${userId}`, `fiscal_closes:${userId}`, ...(options.watch || [])];
+    if (idempotencyKey) watchKeys.push(idempotencyKey);
+
+    for (let attempt = 1; ; attempt++) {
+      try {
+        const result = await redis.executeIsolated(async (client) => {
+          await client.watch(watchKeys);
+
+          try {
+            if (idempotencyKey) {
+              const existingId = await client.get(idempotencyKey);
+              if (existingId) {
+                await client.unwatch();
+                return { entries: [], duplicate_of: existingId };
+              }
+            }
+
+            const entries = await build();
+            const chart = await this.getChartOfAccounts(userId);
+            const multi = client.multi();
+
+            entries.forEach(journalEntry => this.queueJournalEntry(multi, userId, journalEntry, chart));
+            if (options.queue) options.queue(multi, entries);
+            if (idempotencyKey && entries.length > 0) multi.set(idempotencyKey, entries[0].id, { EX: 86400 * 30 });
+
+            await multi.exec();
+            return { entries, duplicate_of: null };
+          } catch (error) {
+            // Never hand a connection back to the pool with a WATCH still armed
+            await client.unwatch();
+            throw error;
+          }
+        });
+
+        if (result.entries.length > 0) {
+          // Budget warnings are best-effort and never hold up a posting
+          await require('./budgets').checkPostedEntries(userId, result.entries);
+        }
+
+        return result;
+      } catch (error) {
+        if (!(error instanceof WatchError) || attempt >= 3) throw error;
+        console.log(`🔄 Books changed while posting for user ${userId}, retrying (attempt ${attempt + 1})`);
+      }
+    }
+  }
+
+  // Queues every write for one journal entry: the entry, the user's journal
+  // list, the journal stream and the general ledger buckets
+  queueJournalEntry(multi, userId, journalEntry, chart) {
+    multi.json.set(`journal:${journalEntry.id}`, '$', journalEntry);
+    multi.lPush(`user:${userId}:journals`, journalEntry.id);
+    multi.xAdd('journal_entries', '*', {
+      user_id: userId.toString(),
+      journal_id: journalEntry.id,
+      amount: journalEntry.total_debit.toString(),
+      description: journalEntry.description,
+      timestamp: Date.now().toString()
+    });
+
+    this.queueLedgerUpdates(multi, userId, journalEntry, chart);
+  }
+
+  async getJournalEntry(userId, journalId) {
+    const journalEntry = await redis.json.get(`journal:${journalId}`);
+
+    if (!journalEntry || journalEntry.user_id !== userId.toString()) {
+      throw new Error('Journal entry not found');
+    }
+
+    return journalEntry;
+  }
+
+  // An entry corrected with /edit_journal lives on in its replacement
+  async getLiveJournalEntry(userId, journalId) {
+    let journalEntry = await this.getJournalEntry(userId, journalId);
+
+    while (journalEntry.status === 'superseded' && journalEntry.superseded_by) {
+      journalEntry = await this.getJournalEntry(userId, journalEntry.superseded_by);
+    }
+
+    return journalEntry;
+  }
+
+  // The journal is append-only: a posted entry is cancelled by posting a
+  // mirror-image entry on the same date and linking the two together
+  // options.watch and options.queue let the caller change its own records in
+  // the same transaction as the reversal
+  async reverseJournalEntry(userId, journalId, options = {}) {
+    try {
+      const status = options.status || 'voided';
+      let original;
+
+      const { entries: [reversal] } = await this.postJournalEntries(userId, async () => {
+        original = await this.getJournalEntry(userId, journalId);
+        return [await this.buildReversal(userId, original, options)];
+      }, {
+        watch: [`journal:${journalId}`, ...(options.watch || [])],
+        queue: (multi, [reversal]) => {
+          this.queueReversedStatus(multi, original, status, reversal.id);
+          if (options.queue) options.queue(multi, reversal);
+        }
+      });
+
+      console.log(`✅ Reversed journal entry ${original.id} with ${reversal.id} (${status})`);
+      return { original: { ...original, status, reversed_by: reversal.id }, reversal };
+    } catch (error) {
+      console.error('Reverse journal entry error:', error);
+      throw error;
+    }
+  }
+
+  // Edits reverse the original and post a corrected entry that points back at
+  // it; both entries and the status change land in the same transaction
+  async replaceJournalEntry(userId, journalId, entryData) {
+    try {
+      let original;
+
+      const { entries: [reversal, replacement] } = await this.postJournalEntries(userId, async () => {
+        original = await this.getJournalEntry(userId, journalId);
+
+        return [
+          await this.buildReversal(userId, original, { reason: 'edited' }),
+          await this.buildJournalEntry(userId, {
+            description: entryData.description || original.description,
+            reference: original.reference,
+            date: original.date,
+            replaces: original.id,
+            created_by: 'user',
+            lines: entryData.lines
+          })
+        ];
+      }, {
+        watch: [`journal:${journalId}`],
+        queue: (multi, [reversal, replacement]) => {
+          this.queueReversedStatus(multi, original, 'superseded', reversal.id);
+          multi.json.set(`journal:${original.id}`, '$.superseded_by', replacement.id);
+        }
+      });
+
+      console.log(`✅ Replaced journal entry ${original.id} with ${replacement.id}`);
+      return { original, reversal, replacement };
+    } catch (error) {
+      console.error('Replace journal entry error:', error);
+      throw error;
+    }
+  }
+
+  // Checks an entry can be reversed and builds the mirror-image entry
+  async buildReversal(userId, original, options = {}) {
+    if ((original.status || 'posted') !== 'posted') {
+      throw new Error(`Journal entry ${original.reference} is already ${original.status}`);
+    }
+    if (original.entry_type === 'reversal') {
+      throw new Error('Reversing entries cannot themselves be reversed');
+    }
+
+    await this.assertJournalOpen(userId, original);
+
+    return await this.buildJournalEntry(userId, {
+      description: `Reversal of ${original.reference}: ${original.description}${options.reason ? ` (${options.reason})` : ''}`,
+      reference: `REV-${original.reference}`,
+      date: original.date,
+      entry_type: 'reversal',
+      reverses: original.id,
+      created_by: options.created_by || 'user',
+      lines: original.entries.map(entry => this.entryToLine(entry, true))
+    });
+  }
+
+  queueReversedStatus(multi, original, status, reversalId) {
+    const journalKey = `journal:${original.id}`;
+    multi.json.set(journalKey, '$.status', status);
+    multi.json.set(journalKey, '$.reversed_by', reversalId);
+    multi.json.set(journalKey, `$.${status}_at`, new Date().toISOString());
+  }
+
+  // Turn a posted journal entry line back into createJournalEntry input,
+  // keeping the original currency and rate so MYR amounts come out identical
+  entryToLine(entry, reverse = false) {
+    const line = {
+      account_code: entry.account_code,
+      debit: entry.debit_amount,
+      credit: entry.credit_amount,
+      description: entry.description
+    };
+
+    if (entry.dimensions) {
+      line.dimensions = { ...entry.dimensions };
+    }
+
+    // Posted amounts are already net of SST; the tax has its own line
+    if (entry.tax_code) {
+      line.tax_code = entry.tax_code;
+      line.tax_inclusive = false;
+      if (entry.is_tax) line.is_tax = true;
+    }
+
+    if (entry.currency && entry.currency !== 'MYR') {
+      line.currency = entry.currency;
+      line.exchange_rate = entry.exchange_rate;
+
+      if (entry.revaluation) {
+        line.revaluation = true;
+      } else {
+        line.debit = entry.foreign_debit;
+        line.credit = entry.foreign_credit;
+      }
+    }
+
+    if (reverse) {
+      [line.debit, line.credit] = [line.credit, line.debit];
+    }
+
+    return line;
+  }
+
+  // Status marker used wherever journal entries are listed
+  getJournalStatusFlag(journalEntry) {
+    if (journalEntry.status === 'voided') return '🚫 VOIDED';
+    if (journalEntry.status === 'superseded') return '♻️ SUPERSEDED';
+    if (journalEntry.entry_type === 'reversal') return '↩️ REVERSAL';
+    if (journalEntry.replaces) return '✏️ CORRECTED';
+    return '';
+  }
+
+  // Queues the general ledger bucket updates for a journal entry on a MULTI
+  queueLedgerUpdates(multi, userId, journalEntry, chart) {
+    const month = new Date(journalEntry.date).getMonth() + 1;
+    const year = new Date(journalEntry.date).getFullYear();
+
+    // Closing entries live in their own period after the year-end month so
+    // monthly income statements are unaffected by them
+    const isClosing = journalEntry.entry_type === 'closing';
+    const period = isClosing ? `${year}:close` : `${year}:${month}`;
+    const score = this.getPeriodScore(year, month) + (isClosing ? 0.5 : 0);
+
+    multi.zAdd(`ledger_periods:${userId}`, { score: score, value: period });
+
+    for (const entry of journalEntry.entries) {
+      const ledgerKey = `ledger:${userId}:${entry.account_code}:${period}`;
+      
+      // Update account balance
+      if (entry.debit_amount > 0) {
+        multi.hIncrByFloat(ledgerKey, 'total_debits', entry.debit_amount);
+      }
+      if (entry.credit_amount > 0) {
+        multi.hIncrByFloat(ledgerKey, 'total_credits', entry.credit_amount);
+      }
+
+      // Calculate running balance based on account type
+      const accountInfo = chart[entry.account_code];
+      let balanceChange = 0;
+
+      if (['asset', 'expense'].includes(accountInfo?.type)) {
+        // Assets and Expenses increase with debits
+        balanceChange = entry.debit_amount - entry.credit_amount;
+      } else {
+        // Liabilities, Equity, Revenue increase with credits
+        balanceChange = entry.credit_amount - entry.debit_amount;
+      }
+
+      multi.hIncrByFloat(ledgerKey, 'balance', balanceChange);
+
+      // Track open foreign balances alongside their MYR carrying amount for revaluation
+      if (entry.currency && entry.currency !== 'MYR') {
+        const foreignChange = ['asset', 'expense'].includes(accountInfo?.type)
+          ? entry.foreign_debit - entry.foreign_credit
+          : entry.foreign_credit - entry.foreign_debit;
+
+        multi.hIncrByFloat(ledgerKey, `fx_balance:${entry.currency}`, foreignChange);
+        multi.hIncrByFloat(ledgerKey, `fx_myr:${entry.currency}`, balanceChange);
+      }
+
+      multi.hSet(ledgerKey, 'last_updated', new Date().toISOString());
+      multi.expire(ledgerKey, 86400 * 365 * 7); // 7 years retention
+    }
+  }
+
+  getPeriodScore(year, month) {
+    return year * 100 + month;
+  }
+
+  // Every ledger period a user has posted to, oldest first
+  async getLedgerPeriods(userId) {
+    try {
+      const periodsKey = `ledger_periods:${userId}`;
+      const migratedKey = `ledger_periods_migrated:${userId}`;
+
+      // One-time backfill for ledgers written before periods were tracked.
+      // Postings add their own period to the set, so an empty set cannot
+      // tell whether the older buckets were indexed.
+      if (!await redis.get(migratedKey)) {
+        const ledgerKeys = await redis.keys(`ledger:${userId}:*`);
+        const found = new Map();
+
+        ledgerKeys.forEach(key => {
+          const [, , , year, month] = key.split(':');
+          if (month && /^\d+$/.test(month)) {
+            found.set(`${year}:${month}`, this.getPeriodScore(parseInt(year), parseInt(month)));
+          }
+        });
+
+        for (const [value, score] of found) {
+          await redis.zAdd(periodsKey, { score, value });
+        }
+        await redis.set(migratedKey, new Date().toISOString());
+      }
+
+      const periods = await redis.zRangeWithScores(periodsKey, 0, -1);
+
+      return periods.map(({ value, score }) => ({
+        period: value,
+        score: score,
+        is_closing: value.endsWith(':close')
+      }));
+    } catch (error) {
+      console.error('Get ledger periods error:', error);
+      return [];
+    }
+  }
+
+  // Net movement per account from journal lines dated within [from, to], for
+  // partial months that the monthly ledger buckets cannot split, or for lines
+  // matching a dimension filter. Closing entries sit in their own bucket and
+  // are left out here as well.
+  async getJournalMovements(userId, from, to, dimensions = null) {
+    const chart = await this.getChartOfAccounts(userId);
+    const journalIds = await redis.lRange(`user:${userId}:journals`, 0, -1);
+    const movements = {};
+
+    for (const journalId of journalIds) {
+      const journal = await redis.json.get(`journal:${journalId}`);
+      if (!journal || journal.entry_type === 'closing') continue;
+
+      const date = new Date(journal.date);
+      if (date < from || date > to) continue;
+
+      journal.entries.forEach(entry => {
+        const accountInfo = chart[entry.account_code];
+        if (!accountInfo) return;
+        if (dimensions && !this.matchesDimensions(entry, dimensions)) return;
+
+        const debit = entry.debit_amount || 0;
+        const credit = entry.credit_amount || 0;
+        const change = ['asset', 'expense'].includes(accountInfo.type) ? debit - credit : credit - debit;
+        movements[entry.account_code] = (movements[entry.account_code] || 0) + change;
+      });
+    }
+
+    return movements;
+  }
+
+  // Every value used for a dimension on revenue and expense lines within
+  // [from, to], in the spelling first seen
+  async getDimensionValues(userId, dimension, from, to, filter = null) {
+    const chart = await this.getChartOfAccounts(userId);
+    const journalIds = await redis.lRange(`user:${userId}:journals`, 0, -1);
+    const values = new Map();
+
+    for (const journalId of journalIds) {
+      const journal = await redis.json.get(`journal:${journalId}`);
+      if (!journal || journal.entry_type === 'closing') continue;
+
+      const date = new Date(journal.date);
+      if (date < from || date > to) continue;
+
+      journal.entries.forEach(entry => {
+        const value = entry.dimensions && entry.dimensions[dimension];
+        if (!value || !['revenue', 'expense'].includes(chart[entry.account_code]?.type)) return;
+        if (filter && !this.matchesDimensions(entry, filter)) return;
+
+        const key = this.dimensionValueKey(value);
+        if (!values.has(key)) values.set(key, value);
+      });
+    }
+
+    return [...values.values()].sort((a, b) => a.localeCompare(b));
+  }
+
+  // What to sum for balances as of a date: every ledger period up to its month,
+  // or, when the date falls mid-month, the periods before it plus that month's
+  // journal movements up to the date
+  async getBalancesAsOf(userId, asOfDate, fromScore = 0) {
+    const date = new Date(asOfDate);
+    const monthStart = new Date(date.getFullYear(), date.getMonth(), 1);
+    const monthEnd = new Date(date.getFullYear(), date.getMonth() + 1, 0, 23, 59, 59, 999);
+    const score = this.getPeriodScore(date.getFullYear(), date.getMonth() + 1);
+    const isPartial = date < monthEnd;
+
+    const periods = (await this.getLedgerPeriods(userId))
+      .filter(p => p.score >= fromScore && (isPartial ? p.score < score : p.score <= score));
+    const movements = isPartial ? await this.getJournalMovements(userId, monthStart, date) : {};
+
+    return { periods, movements };
+  }
+
+
+  // Fiscal Year Management
+  async getFiscalYearStartMonth(userId) {
+    const startMonth = parseInt(await redis.hGet(`user:${userId}`, 'fiscal_year_start_month'));
+    return startMonth >= 1 && startMonth <= 12 ? startMonth : 1;
+  }
+
+  async setFiscalYearStartMonth(userId, month) {
+    const startMonth = parseInt(month);
+
+    if (!(startMonth >= 1 && startMonth <= 12)) {
+      throw new Error('Fiscal year start month must be between 1 and 12');
+    }
+
+    const closes = await redis.hGetAll(`fiscal_closes:${userId}`);
+    if (Object.keys(closes).length > 0) {
+      throw new Error('Fiscal year start cannot be changed after a year has been closed');
+    }
+
+    await redis.hSet(`user:${userId}`, 'fiscal_year_start_month', startMonth.toString());
+    return startMonth;
+  }
+
+  // Fiscal years are labelled by the calendar year they end in, e.g. Jul 2024 - Jun 2025 is FY2025
+  async getFiscalYear(userId, date = new Date(), startMonth = null) {
+    const target = new Date(date);
+    const fyStartMonth = startMonth || await this.getFiscalYearStartMonth(userId);
+
+    let startYear = target.getFullYear();
+    if (target.getMonth() + 1 < fyStartMonth) {
+      startYear -= 1;
+    }
+
+    const endYear = fyStartMonth === 1 ? startYear : startYear + 1;
+
+    return {
+      label: `FY${endYear}`,
+      end_year: endYear,
+      start_month: fyStartMonth,
+      start_date: new Date(startYear, fyStartMonth - 1, 1),
+      end_date: new Date(startYear, fyStartMonth - 1 + 12, 0, 23, 59, 59, 999)
+    };
+  }
+
+  async getFiscalYearByEndYear(userId, endYear) {
+    const fyStartMonth = await this.getFiscalYearStartMonth(userId);
+    const endMonth = fyStartMonth === 1 ? 12 : fyStartMonth - 1;
+    return this.getFiscalYear(userId, new Date(endYear, endMonth - 1, 1), fyStartMonth);
+  }
+
+  async getFiscalCloses(userId) {
+    const closes = await redis.hGetAll(`fiscal_closes:${userId}`);
+    return Object.values(closes)
+      .map(close => JSON.parse(close))
+      .sort((a, b) => new Date(a.end_date) - new Date(b.end_date));
+  }
+
+  async getClosedThroughDate(userId) {
+    const closes = await this.getFiscalCloses(userId);
+    return closes.length > 0 ? new Date(closes[closes.length - 1].end_date) : null;
+  }
+
+  formatLocalDate(date) {
+    return `${date.getFullYear()}-${String(date.getMonth() + 1).padStart(2, '0')}-${String(date.getDate()).padStart(2, '0')}`;
+  }
+
+  // Report Periods - turns "2026-06", "2026-Q1", "Q2 2026", "2026", "FY2026",
+  // "ytd", "last month", "2026-01-15..2026-02-14" etc. into { type, label, start, end }
+  async parseReportPeriod(userId, text, now = new Date()) {
+    const input = String(text || '').trim().toLowerCase().replace(/\s+/g, '_');
+    const monthEnd = (year, month) => new Date(year, month, 0, 23, 59, 59, 999);
+    const currentQuarter = Math.floor(now.getMonth() / 3) + 1;
+    const quarter = (year, q) => ({
+      type: 'quarter',
+      label: `${year}-Q${q}`,
+      start: new Date(year, (q - 1) * 3, 1),
+      end: monthEnd(year, q * 3)
+    });
+    const month = (year, m) => ({
+      type: 'month',
+      label: `${year}-${String(m).padStart(2, '0')}`,
+      start: new Date(year, m - 1, 1),
+      end: monthEnd(year, m)
+    });
+
+    let match;
+
+    // Explicit ranges: each side is a date or any period, e.g. 2026-01..2026-03
+    if (input.includes('..')) {
+      const [fromText, toText] = input.split('..').map(part => part.replace(/^_+|_+$/g, ''));
+      if (!fromText || !toText) {
+        throw new Error(`Incomplete range "${text}". Use from..to, e.g. 2026-01-01..2026-03-31`);
+      }
+
+      const from = await this.parseReportPeriod(userId, fromText, now);
+      const to = await this.parseReportPeriod(userId, toText, now);
+      if (from.start > to.end) {
+        throw new Error(`Range "${text}" ends before it starts`);
+      }
+
+      return { type: 'range', label: `${this.formatLocalDate(from.start)}..${this.formatLocalDate(to.end)}`, start: from.start, end: to.end };
+    }
+
+    if ((match = input.match(/^(\d{4})-(\d{1,2})-(\d{1,2})$/))) {
+      const date = new Date(parseInt(match[1]), parseInt(match[2]) - 1, parseInt(match[3]));
+      if (date.getMonth() === parseInt(match[2]) - 1) {
+        return { type: 'date', label: this.formatLocalDate(date), start: date, end: new Date(date.getFullYear(), date.getMonth(), date.getDate(), 23, 59, 59, 999) };
+      }
+    }
+    if (['', 'this_month', 'mtd', 'month'].includes(input)) {
+      return month(now.getFullYear(), now.getMonth() + 1);
+    }
+    if (input === 'last_month') {
+      const previous = new Date(now.getFullYear(), now.getMonth() - 1, 1);
+      return month(previous.getFullYear(), previous.getMonth() + 1);
+    }
+    if (['this_quarter', 'qtd', 'quarter'].includes(input)) {
+      return quarter(now.getFullYear(), currentQuarter);
+    }
+    if (input === 'last_quarter') {
+      return currentQuarter === 1 ? quarter(now.getFullYear() - 1, 4) : quarter(now.getFullYear(), currentQuarter - 1);
+    }
+    if (input === 'ytd') {
+      const fiscalYear = await this.getFiscalYear(userId, now);
+      return { type: 'ytd', label: `${fiscalYear.label} YTD`, start: fiscalYear.start_date, end: now };
+    }
+    if ((match = input.match(/^(\d{4})-(\d{1,2})$/))) {
+      const m = parseInt(match[2]);
+      if (m >= 1 && m <= 12) return month(parseInt(match[1]), m);
+    }
+    if ((match = input.match(/^(\d{4})[-_]?q([1-4])$/))) {
+      return quarter(parseInt(match[1]), parseInt(match[2]));
+    }
+    if ((match = input.match(/^q([1-4])(?:[-_]?(\d{4}))?$/))) {
+      return quarter(match[2] ? parseInt(match[2]) : now.getFullYear(), parseInt(match[1]));
+    }
+    if (['this_year', 'last_year'].includes(input)) {
+      const year = now.getFullYear() - (input === 'last_year' ? 1 : 0);
+      return { type: 'year', label: `${year}`, start: new Date(year, 0, 1), end: monthEnd(year, 12) };
+    }
+    if ((match = input.match(/^(\d{4})$/))) {
+      const year = parseInt(match[1]);
+      return { type: 'year', label: `${year}`, start: new Date(year, 0, 1), end: monthEnd(year, 12) };
+    }
+    if (['fy', 'this_fy', 'last_fy'].includes(input)) {
+      const fiscalYear = await this.getFiscalYear(userId, now);
+      const target = input === 'last_fy'
+        ? await this.getFiscalYearByEndYear(userId, fiscalYear.end_date.getFullYear() - 1)
+        : fiscalYear;
+      return { type: 'fiscal_year', label: target.label, start: target.start_date, end: target.end_date };
+    }
+    if ((match = input.match(/^fy_?(\d{4})$/))) {
+      const fiscalYear = await this.getFiscalYearByEndYear(userId, parseInt(match[1]));
+      return { type: 'fiscal_year', label: fiscalYear.label, start: fiscalYear.start_date, end: fiscalYear.end_date };
+    }
+
+    throw new Error(`Unknown period "${text}". Try 2026-06, Q2 2026, 2026, FY2026, ytd, last month or 2026-01-01..2026-03-31`);
+  }
+
+  // The natural comparison for a period: previous month, same quarter last
+  // year, prior year-to-date or prior (fiscal) year
+  getPriorPeriod(period) {
+    const shiftYear = (date, years) => {
+      const shifted = new Date(date);
+      shifted.setFullYear(shifted.getFullYear() - years);
+      return shifted;
+    };
+
+    if (period.type === 'range' || period.type === 'date') {
+      const days = Math.round((period.end - period.start) / 86400000);
+      const end = new Date(period.start.getFullYear(), period.start.getMonth(), period.start.getDate() - 1, 23, 59, 59, 999);
+      const start = new Date(end.getFullYear(), end.getMonth(), end.getDate() - days + 1);
+      return {
+        type: period.type,
+        label: period.type === 'date' ? this.formatLocalDate(start) : `${this.formatLocalDate(start)}..${this.formatLocalDate(end)}`,
+        start,
+        end
+      };
+    }
+
+    if (period.type === 'month') {
+      const start = new Date(period.start.getFullYear(), period.start.getMonth() - 1, 1);
+      const label = `${start.getFullYear()}-${String(start.getMonth() + 1).padStart(2, '0')}`;
+      return { type: 'month', label, start, end: new Date(start.getFullYear(), start.getMonth() + 1, 0, 23, 59, 59, 999) };
+    }
+
+    const previous = {
+      type: period.type,
+      start: shiftYear(period.start, 1),
+      end: shiftYear(period.end, 1)
+    };
+
+    if (period.type === 'quarter') {
+      previous.label = period.label.replace(/^\d{4}/, String(previous.start.getFullYear()));
+    } else if (period.type === 'ytd') {
+      previous.label = `Prior YTD (to ${previous.end.toISOString().split('T')[0]})`;
+    } else if (period.type === 'fiscal_year') {
+      previous.label = `FY${parseInt(period.label.replace('FY', '')) - 1}`;
+    } else {
+      previous.label = `${previous.start.getFullYear()}`;
+    }
+
+    return previous;
+  }
+
+  // "2026-Q1 vs 2025-Q1", "ytd vs prior", "2026-06 vs" → { period, compare }
+  async parseComparativeArgs(userId, args, now = new Date()) {
+    const [currentText, compareText] = String(args || '').split(/\bvs\b\.?/i).map(part => part.trim());
+    const hasCompare = /\bvs\b/i.test(args || '');
+
+    const period = currentText && currentText.trim() ? await this.parseReportPeriod(userId, currentText, now) : null;
+    let compare = null;
+
+    if (hasCompare) {
+      const basis = period || await this.parseReportPeriod(userId, '', now);
+      compare = !compareText || ['prior', 'previous', 'last'].includes(compareText.trim().toLowerCase())
+        ? this.getPriorPeriod(basis)
+        : await this.parseReportPeriod(userId, compareText, now);
+    }
+
+    return { period, compare };
+  }
+
+  // Entries in a closed fiscal year (including the closing entry itself) are frozen
+  async assertJournalOpen(userId, journalEntry) {
+    if (journalEntry.entry_type === 'closing') {
+      throw new Error('Year-end closing entries cannot be changed');
+    }
+
+    const closedThrough = await this.getClosedThroughDate(userId);
+    if (closedThrough && new Date(journalEntry.date) <= closedThrough) {
+      throw new Error(`This entry falls in a closed fiscal year (closed through ${closedThrough.toISOString().split('T')[0]})`);
+    }
+
+    await this.assertPeriodOpen(userId, journalEntry.date);
+  }
+
+  // Period Locking - locked months ("YYYY-MM") refuse any new postings
+  parsePeriod(period) {
+    const match = String(period || '').trim().match(/^(\d{4})-(\d{1,2})$/);
+    const month = match ? parseInt(match[2]) : 0;
+
+    if (!match || month < 1 || month > 12) {
+      throw new Error(`Invalid period "${period}". Use YYYY-MM, e.g. 2026-06`);
+    }
+
+    return `${match[1]}-${month.toString().padStart(2, '0')}`;
+  }
+
+  getPeriodForDate(date) {
+    const target = new Date(date);
+    return `${target.getFullYear()}-${(target.getMonth() + 1).toString().padStart(2, '0')}`;
+  }
+
+  async getLockedPeriods(userId) {
+    const periods = await redis.sMembers(`period_locks:${userId}`);
+    return periods.sort();
+  }
+
+  async isPeriodLocked(userId, date) {
+    return await redis.sIsMember(`period_locks:${userId}`, this.getPeriodForDate(date));
+  }
+
+  async assertPeriodOpen(userId, date) {
+    if (await this.isPeriodLocked(userId, date)) {
+      const period = this.getPeriodForDate(date);
+      throw new Error(`Period ${period} is locked. Use /unlock_period ${period} to reopen it first.`);
+    }
+  }
+
+  async lockPeriod(userId, period, reason = '') {
+    try {
+      const normalized = this.parsePeriod(period);
+      const added = await redis.sAdd(`period_locks:${userId}`, normalized);
+
+      if (!added) {
+        throw new Error(`Period ${normalized} is already locked`);
+      }
+
+      await this.auditPeriodLock(userId, 'lock', normalized, reason);
+      console.log(`🔒 Locked period ${normalized} for user ${userId}`);
+      return normalized;
+    } catch (error) {
+      console.error('Lock period error:', error);
+      throw error;
+    }
+  }
+
+  async unlockPeriod(userId, period, reason = '') {
+    try {
+      const normalized = this.parsePeriod(period);
+      const removed = await redis.sRem(`period_locks:${userId}`, normalized);
+
+      if (!removed) {
+        throw new Error(`Period ${normalized} is not locked`);
+      }
+
+      await this.auditPeriodLock(userId, 'unlock', normalized, reason);
+      console.log(`🔓 Unlocked period ${normalized} for user ${userId}`);
+      return normalized;
+    } catch (error) {
+      console.error('Unlock period error:', error);
+      throw error;
+    }
+  }
+
+  async auditPeriodLock(userId, action, period, reason) {
+    await redis.xAdd(`period_lock_audit:${userId}`, '*', {
+      user_id: userId.toString(),
+      action: action,
+      period: period,
+      reason: reason || '',
+      timestamp: Date.now().toString()
+    });
+  }
+
+  async getPeriodLockHistory(userId, count = 10) {
+    const entries = await redis.xRevRange(`period_lock_audit:${userId}`, '+', '-', { COUNT: count });
+    return entries.map(entry => ({
+      action: entry.message.action,
+      period: entry.message.period,
+      reason: entry.message.reason,
+      timestamp: parseInt(entry.message.timestamp)
+    }));
+  }
+
+  // Balances brought forward into a fiscal year. Uses the snapshot written at
+  // year-end close; otherwise rolls up all earlier history, folding unclosed
+  // revenue and expenses into Retained Earnings.
+  async getOpeningBalances(userId, fiscalYear) {
+    try {
+      const snapshot = await redis.hGetAll(`opening_balances:${userId}:${fiscalYear.label}`);
+
+      if (Object.keys(snapshot).length > 0) {
+        const balances = {};
+        Object.entries(snapshot).forEach(([code, balance]) => {
+          balances[code] = parseFloat(balance);
+        });
+        return { balances, unclosed_earnings: 0, from_snapshot: true };
+      }
+
+      const chart = await this.getChartOfAccounts(userId);
+      const startScore = this.getPeriodScore(fiscalYear.start_date.getFullYear(), fiscalYear.start_date.getMonth() + 1);
+      const periods = (await this.getLedgerPeriods(userId)).filter(p => p.score < startScore);
+
+      const balances = {};
+      let unclosedEarnings = 0;
+
+      for (const [accountCode, accountInfo] of Object.entries(chart)) {
+        let cumulativeBalance = 0;
+
+        for (const { period } of periods) {
+          const balance = await redis.hGet(`ledger:${userId}:${accountCode}:${period}`, 'balance');
+          cumulativeBalance += parseFloat(balance || 0);
+        }
+
+        if (Math.abs(cumulativeBalance) < 0.005) continue;
+
+        if (accountInfo.type === 'revenue') {
+          unclosedEarnings += cumulativeBalance;
+        } else if (accountInfo.type === 'expense') {
+          unclosedEarnings -= cumulativeBalance;
+        } else {
+          balances[accountCode] = cumulativeBalance;
+        }
+      }
+
+      if (Math.abs(unclosedEarnings) >= 0.005) {
+        balances['3100'] = (balances['3100'] || 0) + unclosedEarnings;
+      }
+
+      return { balances, unclosed_earnings: unclosedEarnings, from_snapshot: false };
+    } catch (error) {
+      console.error('Get opening balances error:', error);
+      throw error;
+    }
+  }
+
+  // The closing entry, the close record and the next year's opening-balance
+  // snapshot commit in one EXEC, so a failed or repeated close can never post
+  // a second closing entry into Retained Earnings
+  async closeFiscalYear(userId, endYear) {
+    try {
+      const fiscalYear = await this.getFiscalYearByEndYear(userId, endYear);
+
+      if (new Date() <= fiscalYear.end_date) {
+        throw new Error(`${fiscalYear.label} has not ended yet (ends ${fiscalYear.end_date.toISOString().split('T')[0]})`);
+      }
+
+      const nextFiscalYear = await this.getFiscalYearByEndYear(userId, fiscalYear.end_year + 1);
+      const snapshotKey = `opening_balances:${userId}:${nextFiscalYear.label}`;
+      let closingEntry = null;
+      let netIncome = 0;
+      let openingBalances;
+
+      const { duplicate_of: duplicateOf } = await this.postJournalEntries(userId, async () => {
+        const closedThrough = await this.getClosedThroughDate(userId);
+        if (closedThrough && fiscalYear.end_date <= closedThrough) {
+          throw new Error(`${fiscalYear.label} is already closed`);
+        }
+
+        const chart = await this.getChartOfAccounts(userId);
+        const endScore = this.getPeriodScore(fiscalYear.end_date.getFullYear(), fiscalYear.end_date.getMonth() + 1);
+        const periods = (await this.getLedgerPeriods(userId)).filter(p => p.score <= endScore);
+
+        // Close every revenue and expense balance to date, so any earlier
+        // unclosed years are swept into Retained Earnings as well
+        const lines = [];
+        netIncome = 0;
+
+        for (const [accountCode, accountInfo] of Object.entries(chart)) {
+          if (!['revenue', 'expense'].includes(accountInfo.type)) continue;
+
+          let balance = 0;
+          for (const { period } of periods) {
+            const periodBalance = await redis.hGet(`ledger:${userId}:${accountCode}:${period}`, 'balance');
+            balance += parseFloat(periodBalance || 0);
+          }
+          balance = Math.round(balance * 100) / 100;
+
+          if (Math.abs(balance) < 0.01) continue;
+
+          // Post the opposite of the account's normal balance to bring it to zero
+          const closesWithDebit = (accountInfo.type === 'revenue') === (balance > 0);
+          lines.push({
+            account_code: accountCode,
+            debit: closesWithDebit ? Math.abs(balance) : 0,
+            credit: closesWithDebit ? 0 : Math.abs(balance),
+            description: `Close ${accountInfo.name}`
+          });
+
+          netIncome += accountInfo.type === 'revenue' ? balance : -balance;
+        }
+
+        netIncome = Math.round(netIncome * 100) / 100;
+
+        // Permanent balances carried forward as the next year's opening
+        // balances. Computed before the close posts, the year's unclosed
+        // earnings already sit in 3100 exactly as the closing entry puts them.
+        const opening = await this.getOpeningBalances(userId, nextFiscalYear);
+        openingBalances = { ...opening.balances, '3100': opening.balances['3100'] || 0 };
+
+        if (lines.length === 0) {
+          closingEntry = null;
+          return [];
+        }
+
+        if (Math.abs(netIncome) >= 0.01) {
+          lines.push({
+            account_code: '3100',
+            debit: netIncome < 0 ? Math.abs(netIncome) : 0,
+            credit: netIncome > 0 ? netIncome : 0,
+            description: `${fiscalYear.label} ${netIncome >= 0 ? 'profit' : 'loss'} to Retained Earnings`
+          });
+        }
+
+        closingEntry = await this.buildJournalEntry(userId, {
+          description: `Year-end close ${fiscalYear.label}`,
+          reference: `CLOSE-${fiscalYear.label}`,
+          date: fiscalYear.end_date.toISOString(),
+          entry_type: 'closing',
+          lines: lines
+        });
+        return [closingEntry];
+      }, {
+        idempotency_key: `close:${fiscalYear.label}`,
+        watch: [snapshotKey],
+        queue: (multi) => {
+          multi.hSet(`fiscal_closes:${userId}`, fiscalYear.label, JSON.stringify({
+            label: fiscalYear.label,
+            start_date: fiscalYear.start_date.toISOString(),
+            end_date: fiscalYear.end_date.toISOString(),
+            net_income: netIncome,
+            journal_id: closingEntry ? closingEntry.id : null,
+            closed_at: new Date().toISOString()
+          }));
+
+          multi.del(snapshotKey);
+          for (const [accountCode, balance] of Object.entries(openingBalances)) {
+            multi.hSet(snapshotKey, accountCode, balance.toString());
+          }
+
+          multi.xAdd('fiscal_year_closes', '*', {
+            user_id: userId.toString(),
+            fiscal_year: fiscalYear.label,
+            net_income: netIncome.toString(),
+            timestamp: Date.now().toString()
+          });
+        }
+      });
+
+      if (duplicateOf) throw new Error(`${fiscalYear.label} is already closed`);
+
+      console.log(`✅ Closed ${fiscalYear.label} for user ${userId}: net income RM${netIncome.toFixed(2)}`);
+
+      return {
+        fiscal_year: fiscalYear,
+        net_income: netIncome,
+        closing_entry: closingEntry,
+        opening_balances: openingBalances,
+        next_fiscal_year: nextFiscalYear
+      };
+    } catch (error) {
+      console.error('Close fiscal year error:', error);
+      throw error;
+    }
+  }
+
+  // Month-end revaluation: restate open foreign-currency balances on asset and
+  // liability accounts at today's rate, posting the difference as unrealised FX gain/loss
+  async revalueForeignBalances(userId, asOfDate = new Date()) {
+    try {
+      const date = new Date(asOfDate);
+      const revaluationPeriod = this.getPeriodForDate(date);
+      const revaluationKey = `fx_revaluations:${userId}`;
+      let items = [];
+      let totalGain = 0;
+      let totalLoss = 0;
+      let journalEntry = null;
+
+      // Balances are read inside the post and the period's revaluation record
+      // is watched, so a rerun or a second run at the same time finds the
+      // differences already booked instead of posting them twice
+      await this.postJournalEntries(userId, async () => {
+        const chart = await this.getChartOfAccounts(userId);
+        const asOfScore = this.getPeriodScore(date.getFullYear(), date.getMonth() + 1);
+        const periods = (await this.getLedgerPeriods(userId)).filter(p => p.score <= asOfScore + 0.5);
+
+        items = [];
+        totalGain = 0;
+        totalLoss = 0;
+        const lines = [];
+
+        for (const [accountCode, accountInfo] of Object.entries(chart)) {
+          if (!['asset', 'liability'].includes(accountInfo.type)) continue;
+
+          const foreignBalances = {};
+          for (const { period } of periods) {
+            const ledgerData = await redis.hGetAll(`ledger:${userId}:${accountCode}:${period}`);
+
+            Object.entries(ledgerData).forEach(([field, value]) => {
+              const fxMatch = field.match(/^fx_(balance|myr):([A-Z]{3})$/);
+              if (!fxMatch) return;
+
+              const currency = fxMatch[2];
+              foreignBalances[currency] = foreignBalances[currency] || { balance: 0, myr: 0 };
+              foreignBalances[currency][fxMatch[1]] += parseFloat(value || 0);
+            });
+          }
+
+          for (const [currency, { balance, myr }] of Object.entries(foreignBalances)) {
+            if (Math.abs(balance) < 0.005 && Math.abs(myr) < 0.005) continue;
+
+            const rate = await PriceFeedsService.getExchangeRate(currency);
+            const revalued = Math.round(balance * rate * 100) / 100;
+            const difference = Math.round((revalued - myr) * 100) / 100;
+
+            if (Math.abs(difference) < 0.01) continue;
 
-      // Process each line item
-      for (const line of entryData.lines) {
-        const lineEntry = {
-          account_code: line.account_code,
-          account_name: this.chartOfAccounts[line.account_code]?.name || 'Unknown Account',
-          debit_amount: parseFloat(line.debit || 0),
-          credit_amount: parseFloat(line.credit || 0),
-          description: line.description || entryData.description
-        };
+            // Assets gain when they grow in MYR; liabilities lose
+            const isAsset = accountInfo.type === 'asset';
+            const isGain = isAsset ? difference > 0 : difference < 0;
+            const debitAccount = isAsset === (difference > 0);
+            const amount = Math.abs(difference);
 
-        journalEntry.entries.push(lineEntry);
-        journalEntry.total_debit += lineEntry.debit_amount;
-        journalEntry.total_credit += lineEntry.credit_amount;
-      }
+            lines.push({
+              account_code: accountCode,
+              debit: debitAccount ? amount : 0,
+              credit: debitAccount ? 0 : amount,
+              currency: currency,
+              exchange_rate: rate,
+              revaluation: true,
+              description: `Revalue ${currency} ${balance.toFixed(2)} @ ${rate.toFixed(4)}`
+            });
+
+            if (isGain) {
+              totalGain += amount;
+            } else {
+              totalLoss += amount;
+            }
 
-      // Validate double-entry (debits = credits)
-      if (Math.abs(journalEntry.total_debit - journalEntry.total_credit) > 0.01) {
-        throw new Error(`Journal entry not balanced: Debits RM${journalEntry.total_debit.toFixed(2)} ≠ Credits RM${journalEntry.total_credit.toFixed(2)}`);
-      }
+            items.push({
+              account_code: accountCode,
+              account_name: accountInfo.name,
+              currency: currency,
+              foreign_balance: balance,
+              carrying_myr: myr,
+              rate: rate,
+              revalued_myr: revalued,
+              difference: isGain ? amount : -amount
+            });
+          }
+        }
 
-      // Store journal entry
-      await redis.json.set(`journal:${journalId}`, '$', journalEntry);
-      await redis.lPush(`user:${userId}:journals`, journalId);
+        journalEntry = null;
+        if (lines.length === 0) return [];
 
-      // Update general ledger accounts
-      await this.updateGeneralLedger(userId, journalEntry);
+        if (totalGain > 0) {
+          lines.push({ account_code: this.getSystemAccountCode(chart, '4500'), debit: 0, credit: Math.round(totalGain * 100) / 100, description: 'Unrealised FX gain' });
+        }
+        if (totalLoss > 0) {
+          lines.push({ account_code: this.getSystemAccountCode(chart, '5900'), debit: Math.round(totalLoss * 100) / 100, credit: 0, description: 'Unrealised FX loss' });
+        }
 
-      // Add to journal stream
-      await redis.xAdd('journal_entries', '*', {
-        user_id: userId.toString(),
-        journal_id: journalId,
-        amount: journalEntry.total_debit.toString(),
-        description: journalEntry.description,
-        timestamp: Date.now().toString()
+        journalEntry = await this.buildJournalEntry(userId, {
+          description: `FX revaluation as of ${date.toISOString().split('T')[0]}`,
+          reference: `FXREV-${revaluationPeriod}`,
+          date: date.toISOString(),
+          entry_type: 'fx_revaluation',
+          created_by: 'system',
+          lines: lines
+        });
+        return [journalEntry];
+      }, {
+        watch: [revaluationKey],
+        queue: (multi, entries) => {
+          if (entries.length > 0) {
+            multi.hSet(revaluationKey, revaluationPeriod, JSON.stringify({ as_of_date: date.toISOString(), journal_id: entries[0].id }));
+          }
+        }
       });
 
-      console.log(`✅ Created journal entry: ${journalId} for user ${userId}`);
-      return journalEntry;
+      return {
+        as_of_date: date.toISOString().split('T')[0],
+        items: items,
+        total_gain: totalGain,
+        total_loss: totalLoss,
+        net: totalGain - totalLoss,
+        journal_entry: journalEntry
+      };
     } catch (error) {
-      console.error('Create journal entry error:', error);
+      console.error('FX revaluation error:', error);
       throw error;
     }
   }
 
-  async updateGeneralLedger(userId, journalEntry) {
+  // Cumulative balances of every account as of a date.
+  // Balances on the wrong side of an account (overdrawn bank, contra accounts)
+  // are shown in the opposite column rather than dropped.
+  async getTrialBalance(userId, asOfDate = new Date()) {
     try {
-      const month = new Date(journalEntry.date).getMonth() + 1;
-      const year = new Date(journalEntry.date).getFullYear();
+      const date = new Date(asOfDate);
+      const { periods, movements } = await this.getBalancesAsOf(userId, date);
 
-      for (const entry of journalEntry.entries) {
-        const ledgerKey = `ledger:${userId}:${entry.account_code}:${year}:${month}`;
-        
-        // Update account balance
-        if (entry.debit_amount > 0) {
-          await redis.hIncrByFloat(ledgerKey, 'total_debits', entry.debit_amount);
-        }
-        if (entry.credit_amount > 0) {
-          await redis.hIncrByFloat(ledgerKey, 'total_credits', entry.credit_amount);
-        }
+      const chart = await this.getChartOfAccounts(userId);
+      const trialBalance = [];
+      let totalDebits = 0;
+      let totalCredits = 0;
 
-        // Calculate running balance based on account type
-        const accountInfo = this.chartOfAccounts[entry.account_code];
-        let balanceChange = 0;
+      for (const [accountCode, accountInfo] of Object.entries(chart)) {
+        let balance = 0;
+        let debits = 0;
+        let credits = 0;
 
-        if (['asset', 'expense'].includes(accountInfo?.type)) {
-          // Assets and Expenses increase with debits
-          balanceChange = entry.debit_amount - entry.credit_amount;
-        } else {
-          // Liabilities, Equity, Revenue increase with credits
-          balanceChange = entry.credit_amount - entry.debit_amount;
+        for (const { period } of periods) {
+          const ledgerData = await redis.hGetAll(`ledger:${userId}:${accountCode}:${period}`);
+          if (!ledgerData.balance) continue;
+
+          balance += parseFloat(ledgerData.balance);
+          debits += parseFloat(ledgerData.total_debits || 0);
+          credits += parseFloat(ledgerData.total_credits || 0);
         }
 
-        await redis.hIncrByFloat(ledgerKey, 'balance', balanceChange);
-        await redis.hSet(ledgerKey, 'last_updated', new Date().toISOString());
-        await redis.expire(ledgerKey, 86400 * 365 * 7); // 7 years retention
+        balance = Math.round((balance + (movements[accountCode] || 0)) * 100) / 100;
+
+        if (balance !== 0 || debits !== 0 || credits !== 0) {
+          const signedDebit = ['asset', 'expense'].includes(accountInfo.type) ? balance : -balance;
+          const entry = {
+            account_code: accountCode,
+            account_name: accountInfo.name,
+            account_type: accountInfo.type,
+            debit_balance: signedDebit > 0 ? signedDebit : 0,
+            credit_balance: signedDebit < 0 ? -signedDebit : 0,
+            total_debits: debits,
+            total_credits: credits
+          };
+
+          trialBalance.push(entry);
+          totalDebits += entry.debit_balance;
+          totalCredits += entry.credit_balance;
+        }
       }
+
+      return {
+        period: `${date.getFullYear()}-${String(date.getMonth() + 1).padStart(2, '0')}`,
+        as_of_date: this.formatLocalDate(date),
+        accounts: trialBalance.sort((a, b) => a.account_code.localeCompare(b.account_code)),
+        total_debits: totalDebits,
+        total_credits: totalCredits,
+        is_balanced: Math.abs(totalDebits - totalCredits) < 0.01
+      };
     } catch (error) {
-      console.error('Update general ledger error:', error);
+      console.error('Get trial balance error:', error);
       throw error;
     }
   }
 
-  async getTrialBalance(userId, year = null, month = null) {
+  // Every journal line posted to an account (and its sub-accounts) in date
+  // order, with a running balance. Lines before `from` roll into the opening balance.
+  async getAccountLedger(userId, accountCode, options = {}) {
     try {
-      const targetYear = year || new Date().getFullYear();
-      const targetMonth = month || new Date().getMonth() + 1;
-      
-      const trialBalance = [];
+      const code = String(accountCode).trim();
+      const chart = await this.getChartOfAccounts(userId);
+      const account = chart[code];
+
+      if (!account) {
+        throw new Error(`Account ${code} is not in your chart of accounts`);
+      }
+
+      const from = options.from ? new Date(options.from) : null;
+      const to = options.to ? new Date(options.to) : new Date();
+      const pageSize = options.pageSize || 20;
+      const family = this.getAccountFamily(chart, code);
+      const debitNormal = ['asset', 'expense'].includes(account.type);
+
+      const journalIds = await redis.lRange(`user:${userId}:journals`, 0, -1);
+      const lines = [];
+
+      for (const journalId of journalIds) {
+        const journal = await redis.json.get(`journal:${journalId}`);
+        if (!journal) continue;
+
+        journal.entries.forEach(entry => {
+          if (!family.includes(String(entry.account_code))) return;
+
+          lines.push({
+            date: journal.date,
+            created_at: journal.created_at,
+            journal_id: journal.id,
+            reference: journal.reference,
+            account_code: entry.account_code,
+            description: entry.description || journal.description,
+            debit: entry.debit_amount || 0,
+            credit: entry.credit_amount || 0,
+            currency: entry.currency || 'MYR',
+            foreign_amount: (entry.foreign_debit || 0) + (entry.foreign_credit || 0),
+            status: journal.status || 'posted',
+            entry_type: journal.entry_type || 'standard'
+          });
+        });
+      }
+
+      lines.sort((a, b) => new Date(a.date) - new Date(b.date) || new Date(a.created_at) - new Date(b.created_at));
+
+      let openingBalance = 0;
+      let runningBalance = 0;
       let totalDebits = 0;
       let totalCredits = 0;
+      const periodLines = [];
 
-      for (const [accountCode, accountInfo] of Object.entries(this.chartOfAccounts)) {
-        const ledgerKey = `ledger:${userId}:${accountCode}:${targetYear}:${targetMonth}`;
-        const ledgerData = await redis.hGetAll(ledgerKey);
-
-        if (ledgerData.balance) {
-          const balance = parseFloat(ledgerData.balance);
-          const debits = parseFloat(ledgerData.total_debits || 0);
-          const credits = parseFloat(ledgerData.total_credits || 0);
+      for (const line of lines) {
+        const change = debitNormal ? line.debit - line.credit : line.credit - line.debit;
+        const lineDate = new Date(line.date);
 
-          if (balance !== 0 || debits !== 0 || credits !== 0) {
-            const entry = {
-              account_code: accountCode,
-              account_name: accountInfo.name,
-              account_type: accountInfo.type,
-              debit_balance: balance > 0 && ['asset', 'expense'].includes(accountInfo.type) ? balance : 0,
-              credit_balance: balance > 0 && ['liability', 'equity', 'revenue'].includes(accountInfo.type) ? balance : 0,
-              total_debits: debits,
-              total_credits: credits
-            };
-
-            trialBalance.push(entry);
-            totalDebits += entry.debit_balance;
-            totalCredits += entry.credit_balance;
-          }
+        if (from && lineDate < from) {
+          openingBalance += change;
+          runningBalance += change;
+          continue;
         }
+        if (lineDate > to) continue;
+
+        runningBalance += change;
+        totalDebits += line.debit;
+        totalCredits += line.credit;
+        periodLines.push({ ...line, balance: runningBalance });
       }
 
+      const totalPages = Math.max(1, Math.ceil(periodLines.length / pageSize));
+      const page = Math.min(Math.max(1, parseInt(options.page) || 1), totalPages);
+
       return {
-        period: `${targetYear}-${String(targetMonth).padStart(2, '0')}`,
-        accounts: trialBalance.sort((a, b) => parseInt(a.account_code) - parseInt(b.account_code)),
+        account_code: code,
+        account_name: account.name,
+        account_type: account.type,
+        includes_sub_accounts: family.length > 1,
+        from: from ? from.toISOString().split('T')[0] : null,
+        to: to.toISOString().split('T')[0],
+        opening_balance: openingBalance,
         total_debits: totalDebits,
         total_credits: totalCredits,
-        is_balanced: Math.abs(totalDebits - totalCredits) < 0.01
+        closing_balance: runningBalance,
+        line_count: periodLines.length,
+        page: page,
+        total_pages: totalPages,
+        lines: periodLines.slice((page - 1) * pageSize, page * pageSize)
       };
     } catch (error) {
-      console.error('Get trial balance error:', error);
+      console.error('Get account ledger error:', error);
       throw error;
     }
   }
 
-  async generateBalanceSheet(userId, asOfDate = null) {
+  async generateBalanceSheet(userId, asOfDate = null, options = {}) {
     try {
       const date = asOfDate ? new Date(asOfDate) : new Date();
-      const year = date.getFullYear();
-      const month = date.getMonth() + 1;
 
       const balanceSheet = {
         as_of_date: date.toISOString().split('T')[0],
@@ -210,15 +1771,24 @@ class LedgerService {
         equity: { items: [], total: 0 }
       };
 
-      // Get all account balances for ALL months up to the target date
-      for (const [accountCode, accountInfo] of Object.entries(this.chartOfAccounts)) {
+      const chart = await this.getChartOfAccounts(userId);
+
+      // Balances brought forward into this fiscal year, plus every period
+      // posted since the fiscal year started
+      const fiscalYear = await this.getFiscalYear(userId, date);
+      const opening = await this.getOpeningBalances(userId, fiscalYear);
+      const fromScore = this.getPeriodScore(fiscalYear.start_date.getFullYear(), fiscalYear.start_date.getMonth() + 1);
+      const { periods, movements } = await this.getBalancesAsOf(userId, date, fromScore);
+
+      balanceSheet.fiscal_year = fiscalYear.label;
+
+      for (const [accountCode, accountInfo] of Object.entries(chart)) {
         if (!['asset', 'liability', 'equity'].includes(accountInfo.type)) continue;
 
-        let cumulativeBalance = 0;
+        let cumulativeBalance = (opening.balances[accountCode] || 0) + (movements[accountCode] || 0);
         
-        // Sum balances from all months up to target month
-        for (let m = 1; m <= month; m++) {
-          const ledgerKey = `ledger:${userId}:${accountCode}:${year}:${m}`;
+        for (const { period } of periods) {
+          const ledgerKey = `ledger:${userId}:${accountCode}:${period}`;
           const ledgerData = await redis.hGetAll(ledgerKey);
           const monthBalance = parseFloat(ledgerData.balance || 0);
           cumulativeBalance += monthBalance;
@@ -228,7 +1798,8 @@ class LedgerService {
           const item = {
             account_code: accountCode,
             account_name: accountInfo.name,
-            balance: accountInfo.isContra ? -Math.abs(cumulativeBalance) : Math.abs(cumulativeBalance)
+            // Contra accounts carry a negative balance against their section
+            balance: cumulativeBalance
           };
 
           if (accountInfo.type === 'asset') {
@@ -237,12 +1808,7 @@ class LedgerService {
               balanceSheet.assets[category] = [];
             }
             balanceSheet.assets[category].push(item);
-            
-            if (accountInfo.isContra) {
-              balanceSheet.assets.total -= item.balance;
-            } else {
-              balanceSheet.assets.total += item.balance;
-            }
+            balanceSheet.assets.total += item.balance;
           } else if (accountInfo.type === 'liability') {
             const category = accountInfo.category || 'current';
             if (!balanceSheet.liabilities[category]) {
@@ -311,10 +1877,8 @@ class LedgerService {
         console.error('Error adding liabilities to balance sheet:', error);
       }*/
 
-      // Add current period earnings to equity
-      const currentDate = new Date();
-      const startOfYear = new Date(currentDate.getFullYear(), 0, 1);
-      const incomeStatement = await this.generateIncomeStatement(userId, startOfYear, date);
+      // Add current fiscal year earnings to equity
+      const incomeStatement = await this.generateIncomeStatement(userId, fiscalYear.start_date, date);
 
       if (Math.abs(incomeStatement.net_income) > 0.01) {
         balanceSheet.equity.items.push({
@@ -336,6 +1900,24 @@ class LedgerService {
       console.log(`   Net Income: RM${incomeStatement.net_income.toFixed(2)}`);
       console.log(`   Balanced: ${balanceSheet.is_balanced}`);
 
+      if (options.compare_date) {
+        const previous = await this.generateBalanceSheet(userId, options.compare_date);
+
+        [['assets', 'current'], ['assets', 'fixed'], ['assets', 'investment'],
+          ['liabilities', 'current'], ['liabilities', 'long_term'], ['equity', 'items']]
+          .forEach(([section, group]) => {
+            this.compareItems(balanceSheet[section][group], previous[section][group] || [], 'balance');
+          });
+
+        balanceSheet.comparisons = {
+          total_assets: this.compareAmounts(balanceSheet.assets.total, previous.assets.total),
+          total_liabilities: this.compareAmounts(balanceSheet.liabilities.total, previous.liabilities.total),
+          total_equity: this.compareAmounts(balanceSheet.equity.total, previous.equity.total),
+          total_liabilities_equity: this.compareAmounts(balanceSheet.total_liabilities_equity, previous.total_liabilities_equity)
+        };
+        balanceSheet.compared_to = previous;
+      }
+
       return balanceSheet;
     } catch (error) {
       console.error('Generate balance sheet error:', error);
@@ -343,13 +1925,15 @@ class LedgerService {
     }
   }
 
-  async generateIncomeStatement(userId, startDate, endDate) {
+  async generateIncomeStatement(userId, startDate, endDate, options = {}) {
     try {
       const start = new Date(startDate);
       const end = new Date(endDate);
       
       const incomeStatement = {
         period: `${start.toISOString().split('T')[0]} to ${end.toISOString().split('T')[0]}`,
+        start_date: start.toISOString().split('T')[0],
+        end_date: end.toISOString().split('T')[0],
         revenue: { items: [], total: 0 },
         cogs: { items: [], total: 0 },
         gross_profit: 0,
@@ -360,50 +1944,83 @@ class LedgerService {
         net_income: 0
       };
 
-      // Process each month in the period
-      let currentDate = new Date(start);
-      while (currentDate <= end) {
-        const year = currentDate.getFullYear();
-        const month = currentDate.getMonth() + 1;
+      const chart = await this.getChartOfAccounts(userId);
 
-        for (const [accountCode, accountInfo] of Object.entries(this.chartOfAccounts)) {
+      // A dimension filter (e.g. { outlet: 'Bangsar' }) limits the statement
+      // to matching journal lines; ledger buckets carry no dimensions, so
+      // every month is then summed from the journal
+      const filter = {};
+      Object.entries(options.dimensions || {}).forEach(([name, value]) => {
+        filter[this.normalizeDimensionName(name)] = value;
+      });
+      const dimensions = Object.keys(filter).length > 0 ? filter : null;
+      if (dimensions) incomeStatement.dimensions = dimensions;
+
+      // Sum each account over every calendar month the period touches; months
+      // the period only partly covers are summed from their journal lines
+      const endScore = this.getPeriodScore(end.getFullYear(), end.getMonth() + 1);
+      const balances = {};
+      let year = start.getFullYear();
+      let month = start.getMonth() + 1;
+
+      while (this.getPeriodScore(year, month) <= endScore) {
+        const monthStart = new Date(year, month - 1, 1);
+        const monthEnd = new Date(year, month, 0, 23, 59, 59, 999);
+        const movements = dimensions || start > monthStart || end < monthEnd
+          ? await this.getJournalMovements(userId, start > monthStart ? start : monthStart, end < monthEnd ? end : monthEnd, dimensions)
+          : null;
+
+        for (const [accountCode, accountInfo] of Object.entries(chart)) {
           if (!['revenue', 'expense'].includes(accountInfo.type)) continue;
 
-          const ledgerKey = `ledger:${userId}:${accountCode}:${year}:${month}`;
-          const ledgerData = await redis.hGetAll(ledgerKey);
-          const balance = parseFloat(ledgerData.balance || 0);
-
-          if (balance !== 0) {
-            const item = {
-              account_code: accountCode,
-              account_name: accountInfo.name,
-              amount: Math.abs(balance)
-            };
-
-            if (accountInfo.type === 'revenue') {
-              if (accountInfo.category === 'operating') {
-                incomeStatement.revenue.items.push(item);
-                incomeStatement.revenue.total += item.amount;
-              } else {
-                incomeStatement.other_income.items.push(item);
-                incomeStatement.other_income.total += item.amount;
-              }
-            } else if (accountInfo.type === 'expense') {
-              if (accountInfo.category === 'cogs') {
-                incomeStatement.cogs.items.push(item);
-                incomeStatement.cogs.total += item.amount;
-              } else if (accountInfo.category === 'operating') {
-                incomeStatement.operating_expenses.items.push(item);
-                incomeStatement.operating_expenses.total += item.amount;
-              } else {
-                incomeStatement.other_expenses.items.push(item);
-                incomeStatement.other_expenses.total += item.amount;
-              }
-            }
+          let balance = 0;
+          if (movements) {
+            balance = movements[accountCode] || 0;
+          } else {
+            const ledgerKey = `ledger:${userId}:${accountCode}:${year}:${month}`;
+            const ledgerData = await redis.hGetAll(ledgerKey);
+            balance = parseFloat(ledgerData.balance || 0);
           }
+          balances[accountCode] = (balances[accountCode] || 0) + balance;
         }
 
-        currentDate.setMonth(currentDate.getMonth() + 1);
+        month++;
+        if (month > 12) {
+          month = 1;
+          year++;
+        }
+      }
+
+      for (const [accountCode, balance] of Object.entries(balances)) {
+        if (Math.abs(balance) < 0.005) continue;
+
+        const accountInfo = chart[accountCode];
+        const item = {
+          account_code: accountCode,
+          account_name: accountInfo.name,
+          amount: balance
+        };
+
+        if (accountInfo.type === 'revenue') {
+          if (accountInfo.category === 'operating') {
+            incomeStatement.revenue.items.push(item);
+            incomeStatement.revenue.total += item.amount;
+          } else {
+            incomeStatement.other_income.items.push(item);
+            incomeStatement.other_income.total += item.amount;
+          }
+        } else if (accountInfo.type === 'expense') {
+          if (accountInfo.category === 'cogs') {
+            incomeStatement.cogs.items.push(item);
+            incomeStatement.cogs.total += item.amount;
+          } else if (accountInfo.category === 'operating') {
+            incomeStatement.operating_expenses.items.push(item);
+            incomeStatement.operating_expenses.total += item.amount;
+          } else {
+            incomeStatement.other_expenses.items.push(item);
+            incomeStatement.other_expenses.total += item.amount;
+          }
+        }
       }
 
       // Calculate totals
@@ -413,6 +2030,38 @@ class LedgerService {
                                   incomeStatement.other_income.total - 
                                   incomeStatement.other_expenses.total;
 
+      // One statement per value of the segment dimension, plus lines without one
+      if (options.segment_by) {
+        const segmentBy = this.normalizeDimensionName(options.segment_by);
+        const values = await this.getDimensionValues(userId, segmentBy, start, end, dimensions);
+
+        incomeStatement.segment_by = segmentBy;
+        incomeStatement.segments = [];
+
+        for (const value of [...values, null]) {
+          const segment = await this.generateIncomeStatement(userId, start, end, {
+            dimensions: { ...dimensions, [segmentBy]: value }
+          });
+          const hasActivity = ['revenue', 'cogs', 'operating_expenses', 'other_income', 'other_expenses']
+            .some(section => segment[section].items.length > 0);
+
+          if (value !== null || hasActivity) {
+            incomeStatement.segments.push({ value: value, statement: segment });
+          }
+        }
+      }
+
+      if (options.compare) {
+        const previous = await this.generateIncomeStatement(userId, options.compare.start, options.compare.end,
+          dimensions ? { dimensions } : {});
+        this.applyComparison(
+          incomeStatement,
+          previous,
+          ['revenue', 'cogs', 'operating_expenses', 'other_income', 'other_expenses'],
+          ['gross_profit', 'operating_income', 'net_income']
+        );
+      }
+
       return incomeStatement;
     } catch (error) {
       console.error('Generate income statement error:', error);
@@ -420,10 +2069,138 @@ class LedgerService {
     }
   }
 
+  // Cumulative balance of every equity account as of a date, with earnings
+  // not yet closed to Retained Earnings shown under Current Year Earnings
+  async getEquityBalances(userId, chart, asOfDate) {
+    const { periods, movements } = await this.getBalancesAsOf(userId, asOfDate);
+    const accounts = {};
+    let unclosedEarnings = 0;
+
+    for (const [accountCode, accountInfo] of Object.entries(chart)) {
+      if (!['equity', 'revenue', 'expense'].includes(accountInfo.type)) continue;
+
+      let balance = movements[accountCode] || 0;
+      for (const { period } of periods) {
+        balance += parseFloat(await redis.hGet(`ledger:${userId}:${accountCode}:${period}`, 'balance') || 0);
+      }
+
+      if (accountInfo.type === 'equity') {
+        accounts[accountCode] = (accounts[accountCode] || 0) + balance;
+      } else {
+        unclosedEarnings += accountInfo.type === 'revenue' ? balance : -balance;
+      }
+    }
+
+    accounts['3200'] = (accounts['3200'] || 0) + unclosedEarnings;
+
+    return {
+      accounts: accounts,
+      total: Object.values(accounts).reduce((sum, balance) => sum + balance, 0)
+    };
+  }
+
+  // Statement of changes in equity: opening equity, capital contributed,
+  // owner's drawings, net income and closing equity for the period
+  async generateEquityStatement(userId, startDate, endDate) {
+    try {
+      const start = new Date(startDate);
+      const end = new Date(endDate);
+      const chart = await this.getChartOfAccounts(userId);
+
+      const opening = await this.getEquityBalances(userId, chart, new Date(start.getTime() - 1));
+      const closing = await this.getEquityBalances(userId, chart, end);
+      const incomeStatement = await this.generateIncomeStatement(userId, start, end);
+
+      const change = (codes) => codes
+        .flatMap(code => this.getAccountFamily(chart, code))
+        .reduce((sum, code) => sum + (closing.accounts[code] || 0) - (opening.accounts[code] || 0), 0);
+
+      const contributions = change([3000]);
+      const drawings = -change([this.getSystemAccountCode(chart, '3300')]);
+      // Anything else posted straight to equity, e.g. prior-year adjustments to Retained Earnings
+      const otherMovements = closing.total - opening.total - contributions + drawings - incomeStatement.net_income;
+
+      const accounts = Object.keys(closing.accounts)
+        .map(accountCode => ({
+          account_code: accountCode,
+          account_name: chart[accountCode]?.name || 'Current Year Earnings',
+          opening: opening.accounts[accountCode] || 0,
+          closing: closing.accounts[accountCode] || 0
+        }))
+        .filter(account => Math.abs(account.opening) >= 0.005 || Math.abs(account.closing) >= 0.005)
+        .sort((a, b) => a.account_code.localeCompare(b.account_code));
+
+      return {
+        period: incomeStatement.period,
+        start_date: incomeStatement.start_date,
+        end_date: incomeStatement.end_date,
+        opening_equity: opening.total,
+        contributions: contributions,
+        drawings: drawings,
+        net_income: incomeStatement.net_income,
+        other_movements: Math.abs(otherMovements) < 0.005 ? 0 : otherMovements,
+        closing_equity: closing.total,
+        accounts: accounts
+      };
+    } catch (error) {
+      console.error('Generate equity statement error:', error);
+      throw error;
+    }
+  }
+
+  // Comparative Statements
+  compareAmounts(current, previous) {
+    const change = current - previous;
+    return {
+      previous: previous,
+      change: change,
+      change_pct: Math.abs(previous) >= 0.01 ? (change / Math.abs(previous)) * 100 : null
+    };
+  }
+
+  // Annotates each line with prior-period figures (previous / change / change_pct).
+  // Lines that only existed in the prior period are added with a zero amount.
+  compareItems(items, previousItems, amountField = 'amount') {
+    const itemKey = item => `${item.account_code}:${item.account_name}`;
+    const remaining = new Map(previousItems.map(item => [itemKey(item), item]));
+
+    items.forEach(item => {
+      const previousItem = remaining.get(itemKey(item));
+      item.comparison = this.compareAmounts(item[amountField], previousItem ? previousItem[amountField] : 0);
+      remaining.delete(itemKey(item));
+    });
+
+    remaining.forEach(previousItem => {
+      items.push({
+        ...previousItem,
+        [amountField]: 0,
+        comparison: this.compareAmounts(0, previousItem[amountField])
+      });
+    });
+
+    return items;
+  }
+
+  applyComparison(current, previous, sectionKeys, scalarKeys) {
+    for (const sectionKey of sectionKeys) {
+      this.compareItems(current[sectionKey].items, previous[sectionKey].items);
+      current[sectionKey].comparison = this.compareAmounts(current[sectionKey].total, previous[sectionKey].total);
+    }
+
+    current.comparisons = {};
+    scalarKeys.forEach(key => {
+      current.comparisons[key] = this.compareAmounts(current[key], previous[key]);
+    });
+
+    current.compared_to = previous;
+    return current;
+  }
+
   async generateCashflowStatement(userId, startDate, endDate) {
     try {
       const start = new Date(startDate);
       const end = new Date(endDate);
+      const openingDate = new Date(start.getTime() - 1);
       
       const cashflowStatement = {
         period: `${start.toISOString().split('T')[0]} to ${end.toISOString().split('T')[0]}`,
@@ -443,15 +2220,20 @@ class LedgerService {
       });
       cashflowStatement.operating_activities.total += incomeStatement.net_income;
 
+      const chart = await this.getChartOfAccounts(userId);
+
       // Add back non-cash expenses (depreciation)
-      let currentDate = new Date(start);
+      let currentDate = new Date(start.getFullYear(), start.getMonth(), 1);
       while (currentDate <= end) {
         const year = currentDate.getFullYear();
         const month = currentDate.getMonth() + 1;
         
-        const depreciationKey = `ledger:${userId}:5600:${year}:${month}`;
-        const depreciationData = await redis.hGetAll(depreciationKey);
-        const depreciation = parseFloat(depreciationData.balance || 0);
+        let depreciation = 0;
+        for (const accountCode of this.getAccountFamily(chart, 5600)) {
+          const depreciationKey = `ledger:${userId}:${accountCode}:${year}:${month}`;
+          const depreciationData = await redis.hGetAll(depreciationKey);
+          depreciation += parseFloat(depreciationData.balance || 0);
+        }
         
         if (depreciation > 0) {
           cashflowStatement.operating_activities.items.push({
@@ -466,11 +2248,11 @@ class LedgerService {
 
       // Calculate changes in working capital
       const workingCapitalAccounts = [1200, 1300, 1400, 2000, 2100];
-      for (const accountCode of workingCapitalAccounts) {
-        const accountInfo = this.chartOfAccounts[accountCode];
+      for (const accountCode of workingCapitalAccounts.flatMap(code => this.getAccountFamily(chart, code))) {
+        const accountInfo = chart[accountCode];
         if (!accountInfo) continue;
 
-        const beginningBalance = await this.getAccountBalance(userId, accountCode, start);
+        const beginningBalance = await this.getAccountBalance(userId, accountCode, openingDate);
         const endingBalance = await this.getAccountBalance(userId, accountCode, end);
         const change = endingBalance - beginningBalance;
 
@@ -492,11 +2274,11 @@ class LedgerService {
 
       // Investing activities
       const investingAccounts = [1500, 1700, 1800];
-      for (const accountCode of investingAccounts) {
-        const accountInfo = this.chartOfAccounts[accountCode];
+      for (const accountCode of investingAccounts.flatMap(code => this.getAccountFamily(chart, code))) {
+        const accountInfo = chart[accountCode];
         if (!accountInfo) continue;
 
-        const beginningBalance = await this.getAccountBalance(userId, accountCode, start);
+        const beginningBalance = await this.getAccountBalance(userId, accountCode, openingDate);
         const endingBalance = await this.getAccountBalance(userId, accountCode, end);
         const change = endingBalance - beginningBalance;
 
@@ -510,12 +2292,12 @@ class LedgerService {
       }
 
       // Financing activities
-      const financingAccounts = [2500, 3000];
-      for (const accountCode of financingAccounts) {
-        const accountInfo = this.chartOfAccounts[accountCode];
+      const financingAccounts = [...new Set(['2500', '3000', '3300', this.getSystemAccountCode(chart, '3300')])];
+      for (const accountCode of financingAccounts.flatMap(code => this.getAccountFamily(chart, code))) {
+        const accountInfo = chart[accountCode];
         if (!accountInfo) continue;
 
-        const beginningBalance = await this.getAccountBalance(userId, accountCode, start);
+        const beginningBalance = await this.getAccountBalance(userId, accountCode, openingDate);
         const endingBalance = await this.getAccountBalance(userId, accountCode, end);
         const change = endingBalance - beginningBalance;
 
@@ -534,9 +2316,10 @@ class LedgerService {
         cashflowStatement.investing_activities.total +
         cashflowStatement.financing_activities.total;
 
-      // Get beginning and ending cash balances
-      cashflowStatement.beginning_cash = await this.getAccountBalance(userId, 1000, start) + 
-                                        await this.getAccountBalance(userId, 1100, start);
+      // Get beginning and ending cash balances (including bank sub-accounts)
+      for (const accountCode of [1000, 1100].flatMap(code => this.getAccountFamily(chart, code))) {
+        cashflowStatement.beginning_cash += await this.getAccountBalance(userId, accountCode, openingDate);
+      }
       cashflowStatement.ending_cash = cashflowStatement.beginning_cash + cashflowStatement.net_change_in_cash;
 
       return cashflowStatement;
@@ -546,27 +2329,316 @@ class LedgerService {
     }
   }
 
+  // Cumulative balance as of a date
   async getAccountBalance(userId, accountCode, asOfDate) {
     try {
-      const date = new Date(asOfDate);
-      const year = date.getFullYear();
-      const month = date.getMonth() + 1;
-      
-      const ledgerKey = `ledger:${userId}:${accountCode}:${year}:${month}`;
-      const ledgerData = await redis.hGetAll(ledgerKey);
-      
-      return parseFloat(ledgerData.balance || 0);
+      const { periods, movements } = await this.getBalancesAsOf(userId, asOfDate);
+      let balance = movements[accountCode] || 0;
+
+      for (const { period } of periods) {
+        balance += parseFloat(await redis.hGet(`ledger:${userId}:${accountCode}:${period}`, 'balance') || 0);
+      }
+
+      return balance;
     } catch (error) {
       console.error('Get account balance error:', error);
       return 0;
     }
   }
 
+  // Ledger Maintenance - the ledger hashes are derived data; the journal is the
+  // record. Rebuilding wipes the user's ledger and replays every journal entry
+  // in the user's journal list.
+  async findAllUserJournals(userId) {
+    const journalIds = [...new Set(await redis.lRange(`user:${userId}:journals`, 0, -1))];
+    const journals = [];
+
+    for (const journalId of journalIds) {
+      try {
+        const journal = await redis.json.get(`journal:${journalId}`);
+        if (journal && journal.user_id === userId.toString() && Array.isArray(journal.entries)) {
+          journals.push(journal);
+        }
+      } catch (error) {
+        // Skip unreadable journal entries
+      }
+    }
+
+    // Replay order: by date, then by when the entry was posted
+    journals.sort((a, b) => (new Date(a.date) - new Date(b.date)) || (new Date(a.created_at) - new Date(b.created_at)));
+    return journals;
+  }
+
+  // Cumulative balance per account across every ledger hash the user has
+  async getLedgerAccountBalances(userId) {
+    const balances = {};
+
+    for (const key of await redis.keys(`ledger:${userId}:*`)) {
+      const accountCode = key.split(':')[2];
+      const balance = parseFloat(await redis.hGet(key, 'balance') || 0);
+      balances[accountCode] = (balances[accountCode] || 0) + balance;
+    }
+
+    return balances;
+  }
+
+  async rebuildLedger(userId) {
+    try {
+      console.log(`🔄 Rebuilding ledger for user ${userId}`);
+
+      const chart = await this.getChartOfAccounts(userId);
+      const listKey = `user:${userId}:journals`;
+
+      const result = await redis.executeIsolated(async (client) => {
+        // A journal posted mid-rebuild would be wiped along with the old ledger
+        await client.watch(listKey);
+
+        try {
+          const before = await this.getLedgerAccountBalances(userId);
+          const ledgerKeys = await redis.keys(`ledger:${userId}:*`);
+          const journals = await this.findAllUserJournals(userId);
+          const listed = await redis.lRange(listKey, 0, -1);
+
+          const multi = client.multi();
+          if (ledgerKeys.length > 0) multi.del(ledgerKeys);
+          multi.del(`ledger_periods:${userId}`);
+
+          journals.forEach(journal => this.queueLedgerUpdates(multi, userId, journal, chart));
+
+          // Ids pointing at deleted entries, or listed twice, are dropped
+          const journalIds = new Set(journals.map(journal => journal.id));
+          const kept = listed.filter((journalId, index) => journalIds.has(journalId) && listed.indexOf(journalId) === index);
+          if (kept.length !== listed.length) {
+            multi.del(listKey);
+            if (kept.length > 0) multi.rPush(listKey, kept);
+          }
+
+          await multi.exec();
+
+          return {
+            before,
+            journals,
+            ledger_keys_removed: ledgerKeys.length,
+            unlinked: listed.length - journals.length
+          };
+        } catch (error) {
+          await client.unwatch();
+          if (error instanceof WatchError) {
+            throw new Error('A journal entry was posted during the rebuild. Please run it again.');
+          }
+          throw error;
+        }
+      });
+
+      const after = await this.getLedgerAccountBalances(userId);
+      const accounts = [...new Set([...Object.keys(result.before), ...Object.keys(after)])]
+        .map(accountCode => {
+          const before = Math.round((result.before[accountCode] || 0) * 100) / 100;
+          const afterBalance = Math.round((after[accountCode] || 0) * 100) / 100;
+          return {
+            account_code: accountCode,
+            account_name: chart[accountCode]?.name || 'Unknown account',
+            before: before,
+            after: afterBalance,
+            difference: Math.round((afterBalance - before) * 100) / 100
+          };
+        })
+        .filter(account => account.before !== 0 || account.after !== 0)
+        .sort((a, b) => a.account_code.localeCompare(b.account_code));
+
+      const trialBalance = await this.getTrialBalance(userId);
+
+      console.log(`✅ Rebuilt ledger for user ${userId}: ${result.journals.length} journal entries replayed, ${result.ledger_keys_removed} ledger hashes replaced`);
+
+      return {
+        journals_replayed: result.journals.length,
+        ledger_keys_removed: result.ledger_keys_removed,
+        unlinked_journals: result.unlinked,
+        accounts: accounts,
+        changed_accounts: accounts.filter(account => Math.abs(account.difference) >= 0.01),
+        is_balanced: trialBalance.is_balanced
+      };
+    } catch (error) {
+      console.error('Rebuild ledger error:', error);
+      throw error;
+    }
+  }
+
+  // Cross-checks the journal against itself, the ledger hashes and the
+  // user's transactions. Issues use the same shape as
+  // RedisService.performDataIntegrityCheck so the two reports merge.
+  async auditLedger(userId, transactions = []) {
+    try {
+      const chart = await this.getChartOfAccounts(userId);
+      const journals = await this.findAllUserJournals(userId);
+      const listed = await redis.lRange(`user:${userId}:journals`, 0, -1);
+      const journalIds = new Set(journals.map(journal => journal.id));
+      const issues = [];
+
+      // Every entry must balance, and its lines must add up to its totals
+      const unbalanced = journals.filter(journal => {
+        const debits = journal.entries.reduce((sum, entry) => sum + (entry.debit_amount || 0), 0);
+        const credits = journal.entries.reduce((sum, entry) => sum + (entry.credit_amount || 0), 0);
+        return Math.abs(debits - credits) > 0.01 ||
+          Math.abs(debits - (journal.total_debit || 0)) > 0.01 ||
+          Math.abs(credits - (journal.total_credit || 0)) > 0.01;
+      });
+
+      if (unbalanced.length > 0) {
+        issues.push({
+          type: 'unbalanced_journals',
+          description: `${unbalanced.length} journal entries do not balance: ${unbalanced.slice(0, 5).map(journal => journal.reference).join(', ')}`,
+          severity: 'high',
+          data: unbalanced.map(journal => journal.id)
+        });
+      }
+
+      const missing = listed.filter(journalId => !journalIds.has(journalId));
+      const duplicates = listed.filter((journalId, index) => journalIds.has(journalId) && listed.indexOf(journalId) !== index);
+
+      if (missing.length > 0 || duplicates.length > 0) {
+        issues.push({
+          type: 'journal_list_mismatch',
+          description: `Journal list points at ${missing.length} entries that no longer exist and lists ${duplicates.length} more than once`,
+          severity: 'medium',
+          data: { missing, duplicates }
+        });
+      }
+
+      // Transactions and their TXN- journals (replacements keep the reference)
+      const transactionRefs = new Map(transactions.map(txn => [`TXN-${txn.id.substring(0, 8)}`, txn]));
+      const journalRefs = new Set(journals.map(journal => journal.reference));
+
+      const orphans = journals.filter(journal =>
+        /^TXN-/.test(journal.reference) &&
+        (journal.status || 'posted') === 'posted' &&
+        !transactionRefs.has(journal.reference)
+      );
+
+      if (orphans.length > 0) {
+        issues.push({
+          type: 'orphan_journals',
+          description: `${orphans.length} posted journal entries belong to transactions that no longer exist: ${orphans.slice(0, 5).map(journal => journal.reference).join(', ')}`,
+          severity: 'high',
+          data: orphans.map(journal => journal.id)
+        });
+      }
+
+      const now = new Date();
+      const unjournaled = transactions.filter(txn =>
+        !journalRefs.has(`TXN-${txn.id.substring(0, 8)}`) &&
+        (!txn.is_future || new Date(txn.date) <= now)
+      );
+
+      if (unjournaled.length > 0) {
+        issues.push({
+          type: 'transactions_without_journal',
+          description: `${unjournaled.length} transactions have no journal entry, so they are missing from your statements`,
+          severity: 'high',
+          data: unjournaled.map(txn => txn.id)
+        });
+      }
+
+      // Replay the journal in memory and compare with every ledger hash
+      const expected = {};
+      for (const journal of journals) {
+        const date = new Date(journal.date);
+        const period = journal.entry_type === 'closing'
+          ? `${date.getFullYear()}:close`
+          : `${date.getFullYear()}:${date.getMonth() + 1}`;
+
+        for (const entry of journal.entries) {
+          const ledgerKey = `ledger:${userId}:${entry.account_code}:${period}`;
+          const bucket = expected[ledgerKey] || (expected[ledgerKey] = { balance: 0, total_debits: 0, total_credits: 0 });
+          const debitNormal = ['asset', 'expense'].includes(chart[entry.account_code]?.type);
+
+          bucket.total_debits += entry.debit_amount || 0;
+          bucket.total_credits += entry.credit_amount || 0;
+          bucket.balance += debitNormal
+            ? (entry.debit_amount || 0) - (entry.credit_amount || 0)
+            : (entry.credit_amount || 0) - (entry.debit_amount || 0);
+        }
+      }
+
+      const ledgerKeys = await redis.keys(`ledger:${userId}:*`);
+      const mismatches = [];
+
+      for (const ledgerKey of new Set([...ledgerKeys, ...Object.keys(expected)])) {
+        const actual = await redis.hGetAll(ledgerKey);
+        const want = expected[ledgerKey] || { balance: 0, total_debits: 0, total_credits: 0 };
+        const differs = ['balance', 'total_debits', 'total_credits']
+          .some(field => Math.abs(parseFloat(actual[field] || 0) - want[field]) > 0.01);
+
+        if (differs) {
+          const [, , accountCode, year, month] = ledgerKey.split(':');
+          mismatches.push({
+            account_code: accountCode,
+            period: `${year}-${month === 'close' ? 'close' : month.padStart(2, '0')}`,
+            expected: Math.round(want.balance * 100) / 100,
+            actual: Math.round(parseFloat(actual.balance || 0) * 100) / 100
+          });
+        }
+      }
+
+      if (mismatches.length > 0) {
+        issues.push({
+          type: 'ledger_mismatch',
+          description: `${mismatches.length} ledger balances differ from the sum of their journal lines`,
+          severity: 'high',
+          data: mismatches
+        });
+      }
+
+      return { journals_checked: journals.length, ledger_records_checked: ledgerKeys.length, issues };
+    } catch (error) {
+      console.error('Audit ledger error:', error);
+      throw error;
+    }
+  }
+
+  // The TXN- entry posted for a transaction, or null if it was never posted.
+  // The retry key points straight at it for 30 days; after that the user's
+  // journal list is searched by reference.
+  async getTransactionJournal(userId, transaction) {
+    const journalId = await redis.get(`journal_idempotency:${userId}:txn:${transaction.id}`);
+    if (journalId) return await this.getLiveJournalEntry(userId, journalId);
+
+    const reference = `TXN-${transaction.id.substring(0, 8)}`;
+    for (const id of await redis.lRange(`user:${userId}:journals`, 0, -1)) {
+      const journalEntry = await redis.json.get(`journal:${id}`);
+      if (journalEntry && journalEntry.reference === reference && journalEntry.entry_type !== 'reversal' && !journalEntry.replaces) {
+        return await this.getLiveJournalEntry(userId, journalEntry.id);
+      }
+    }
+
+    return null;
+  }
+
   async convertTransactionToJournalEntry(userId, transaction) {
     try {
       const lines = [];
+      // Purchases and sales of items tracked in /stock
+      const hasStock = Array.isArray(transaction.stock_items) && transaction.stock_items.length > 0 &&
+        ['income', 'expense'].includes(transaction.type);
       
-      if (transaction.type === 'income') {
+      if (transaction.type === 'drawing' || transaction.type === 'capital') {
+        // Owner withdrawals reduce equity through Drawings; injections add to Owner's Equity
+        const isDrawing = transaction.type === 'drawing';
+        
+        lines.push({
+          account_code: isDrawing ? this.getSystemAccountCode(await this.getChartOfAccounts(userId), '3300') : '1100',
+          debit: transaction.amount_myr,
+          credit: 0,
+          description: transaction.description
+        });
+        
+        lines.push({
+          account_code: isDrawing ? '1100' : '3000',
+          debit: 0,
+          credit: transaction.amount_myr,
+          description: transaction.description
+        });
+      } else if (transaction.type === 'income') {
         // Debit: Cash/Bank
         lines.push({
           account_code: '1100',
@@ -592,7 +2664,9 @@ class LedgerService {
         if (transaction.category === 'rent') expenseAccount = '5100';
         else if (transaction.category === 'utilities') expenseAccount = '5200';
         else if (transaction.category === 'marketing') expenseAccount = '5300';
-        else if (transaction.category === 'inventory') expenseAccount = '5000';
+        // Tracked stock is an asset until it is sold; other inventory
+        // purchases are still expensed straight to Cost of Goods Sold
+        else if (transaction.category === 'inventory') expenseAccount = hasStock ? '1300' : '5000';
         
         // Debit: Expense account
         lines.push({
@@ -611,12 +2685,36 @@ class LedgerService {
         });
       }
       
-      return await this.createJournalEntry(userId, {
+      // Transaction amounts include SST; a taxed revenue line is split into
+      // the net sale and SST Payable when the entry is built
+      if (transaction.tax_code && (transaction.type === 'income' || transaction.type === 'expense')) {
+        lines[transaction.type === 'income' ? 1 : 0].tax_code = transaction.tax_code;
+      }
+      
+      // Foreign currency receipts/payments keep the original amount on the bank line
+      if (transaction.currency && transaction.currency !== 'MYR') {
+        const bankLine = lines.find(line => line.account_code === '1100');
+        bankLine.currency = transaction.currency;
+        bankLine.exchange_rate = transaction.exchange_rate;
+        bankLine.debit = bankLine.debit > 0 ? transaction.amount_original : 0;
+        bankLine.credit = bankLine.credit > 0 ? transaction.amount_original : 0;
+      }
+      
+      const entryData = {
         description: transaction.description,
         reference: `TXN-${transaction.id.substring(0, 8)}`,
         date: transaction.date,
-        lines: lines
-      });
+        // One journal entry per transaction, however often this is retried
+        idempotency_key: `txn:${transaction.id}`,
+        dimensions: transaction.dimensions
+      };
+      
+      // Stock moves in the same EXEC as the entry, with sales costed out of 1300
+      if (hasStock) {
+        return await require('./inventory').postTransactionEntry(userId, transaction, lines, entryData);
+      }
+      
+      return await this.createJournalEntry(userId, { ...entryData, lines: lines });
     } catch (error) {
       console.error('Convert transaction to journal entry error:', error);
       throw error;
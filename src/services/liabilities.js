@@ -104,71 +104,36 @@ class LiabilityService {
         return { success: false, error: 'Liability not found or unauthorized' };
       }
       
-      // DELETE ASSOCIATED JOURNAL ENTRY
-      try {
-        if (liability.journal_entry_id) {
-          const LedgerService = require('./ledger');
-          const journalEntry = await redis.json.get(`journal:${liability.journal_entry_id}`);
-          
-          if (journalEntry) {
-            // Reverse the journal entry from ledger
-            await this.reverseJournalFromLedger(userId, journalEntry);
-            // Delete the journal entry
-            await redis.del(`journal:${liability.journal_entry_id}`);
-            await redis.lRem(`user:${userId}:journals`, 1, liability.journal_entry_id);
-          }
-        }
-      } catch (journalError) {
-        console.error('Liability journal deletion error:', journalError);
-      }
+      // VOID ASSOCIATED JOURNAL ENTRY WITH A REVERSING ENTRY, in the same
+      // transaction that removes the liability from the register
+      const LedgerService = require('./ledger');
+      const liabilityKey = `liability:${liabilityId}`;
+      const deactivate = (multi) => {
+        multi.json.set(liabilityKey, '$.is_active', false);
+        multi.json.set(liabilityKey, '$.deleted_at', new Date().toISOString());
+      };
       
-      await redis.json.set(`liability:${liabilityId}`, '$.is_active', false);
-      await redis.json.set(`liability:${liabilityId}`, '$.deleted_at', new Date().toISOString());
+      const original = liability.journal_entry_id
+        ? await LedgerService.getLiveJournalEntry(userId, liability.journal_entry_id)
+        : null;
+      
+      if (original && (original.status || 'posted') === 'posted') {
+        await LedgerService.reverseJournalEntry(userId, original.id, {
+          reason: `liability deleted: ${liability.name}`,
+          watch: [liabilityKey],
+          queue: deactivate
+        });
+      } else {
+        const multi = redis.multi();
+        deactivate(multi);
+        await multi.exec();
+      }
       
       console.log(`✅ Deleted liability: ${liabilityId} for user ${userId}`);
       return { success: true, liability };
     } catch (error) {
       console.error('Delete liability error:', error);
-      return { success: false, error: 'Failed to delete liability' };
-    }
-  }
-
-  async reverseJournalFromLedger(userId, journalEntry) {
-    try {
-      const month = new Date(journalEntry.date).getMonth() + 1;
-      const year = new Date(journalEntry.date).getFullYear();
-
-      for (const entry of journalEntry.entries) {
-        const ledgerKey = `ledger:${userId}:${entry.account_code}:${year}:${month}`;
-        
-        // REVERSE the totals
-        if (entry.debit_amount > 0) {
-          await redis.hIncrByFloat(ledgerKey, 'total_debits', -entry.debit_amount);
-        }
-        if (entry.credit_amount > 0) {
-          await redis.hIncrByFloat(ledgerKey, 'total_credits', -entry.credit_amount);
-        }
-
-        // REVERSE balance change
-        const balanceChange = -(entry.debit_amount - entry.credit_amount);
-        
-        // Get account type to determine how to reverse
-        const accountCode = entry.account_code;
-        const isAssetOrExpense = accountCode.startsWith('1') || accountCode.startsWith('5');
-        
-        if (isAssetOrExpense) {
-          await redis.hIncrByFloat(ledgerKey, 'balance', balanceChange);
-        } else {
-          await redis.hIncrByFloat(ledgerKey, 'balance', -balanceChange);
-        }
-        
-        await redis.hSet(ledgerKey, 'last_updated', new Date().toISOString());
-      }
-      
-      console.log(`✅ Reversed journal entry: ${journalEntry.id}`);
-    } catch (error) {
-      console.error('Reverse journal error:', error);
-      throw error;
+      return { success: false, error: error.message || 'Failed to delete liability' };
     }
   }
 
@@ -0,0 +1,77 @@
+// src/services/myinvois.js
+
+const axios = require('axios');
+const crypto = require('crypto');
+
+// LHDN MyInvois API client. MYINVOIS_BASE_URL selects the environment
+// (https://preprod-api.myinvois.hasil.gov.my for sandbox, or a local stub);
+// submission is disabled while it is unset.
+class MyInvoisClient {
+  constructor() {
+    this.baseUrl = (process.env.MYINVOIS_BASE_URL || '').replace(/\/+$/, '');
+    this.clientId = process.env.MYINVOIS_CLIENT_ID || '';
+    this.clientSecret = process.env.MYINVOIS_CLIENT_SECRET || '';
+    this.accessToken = null;
+    this.tokenExpiresAt = 0;
+  }
+
+  isConfigured() {
+    return Boolean(this.baseUrl);
+  }
+
+  async getAccessToken() {
+    if (this.accessToken && Date.now() < this.tokenExpiresAt) {
+      return this.accessToken;
+    }
+
+    const response = await axios.post(`${this.baseUrl}/connect/token`, new URLSearchParams({
+      client_id: this.clientId,
+      client_secret: this.clientSecret,
+      grant_type: 'client_credentials',
+      scope: 'InvoicingAPI'
+    }).toString(), {
+      headers: { 'Content-Type': 'application/x-www-form-urlencoded' },
+      timeout: 15000
+    });
+
+    this.accessToken = response.data.access_token;
+    // Refresh a minute early so a token never expires mid-request
+    this.tokenExpiresAt = Date.now() + ((response.data.expires_in || 3600) - 60) * 1000;
+    return this.accessToken;
+  }
+
+  // Submits UBL JSON documents ({ id, document }) and returns the submission
+  // UID with the accepted (uuid per invoice number) and rejected documents
+  async submitDocuments(documents) {
+    if (!this.isConfigured()) {
+      throw new Error('MyInvois submission is not configured. Set MYINVOIS_BASE_URL, MYINVOIS_CLIENT_ID and MYINVOIS_CLIENT_SECRET.');
+    }
+
+    const token = await this.getAccessToken();
+    const response = await axios.post(`${this.baseUrl}/api/v1.0/documentsubmissions/`, {
+      documents: documents.map(({ id, document }) => {
+        const json = JSON.stringify(document);
+        return {
+          format: 'JSON',
+          document: Buffer.from(json).toString('base64'),
+          documentHash: crypto.createHash('sha256').update(json).digest('hex'),
+          codeNumber: id
+        };
+      })
+    }, {
+      headers: { Authorization: `Bearer ${token}` },
+      timeout: 30000
+    });
+
+    return {
+      submission_uid: response.data.submissionUid,
+      accepted: (response.data.acceptedDocuments || []).map(doc => ({ id: doc.invoiceCodeNumber, uuid: doc.uuid })),
+      rejected: (response.data.rejectedDocuments || []).map(doc => ({
+        id: doc.invoiceCodeNumber,
+        error: doc.error?.message || doc.error?.details?.map(detail => detail.message).join('; ') || 'Rejected'
+      }))
+    };
+  }
+}
+
+module.exports = new MyInvoisClient();
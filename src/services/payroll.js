@@ -0,0 +1,839 @@
+// src/services/payroll.js
+
+const redis = require('../../config/redis');
+const { v4: uuidv4 } = require('uuid');
+const schedules = require('../data/payrollSchedules');
+
+class PayrollService {
+  constructor() {
+    this.accounts = {
+      salaries: '5150',
+      employer_contributions: '5160',
+      salaries_payable: '2600',
+      epf: '2610',
+      socso: '2620',
+      eis: '2630',
+      pcb: '2640'
+    };
+    this.bankAccount = '1100';
+    this.statutoryBodies = {
+      epf: 'EPF (KWSP)',
+      socso: 'SOCSO (PERKESO)',
+      eis: 'EIS (SIP)',
+      pcb: 'PCB (LHDN)'
+    };
+    this.residencies = {
+      citizen: 'Malaysian',
+      permanent_resident: 'Permanent resident',
+      foreign: 'Foreign worker'
+    };
+    // key=value names accepted by /employees, and the field each one sets
+    this.employeeFields = {
+      name: 'name',
+      salary: 'salary',
+      allowance: 'allowance',
+      ic: 'ic',
+      birth: 'birth_date',
+      residency: 'residency',
+      marital: 'marital',
+      spouse_working: 'spouse_working',
+      children: 'children',
+      epf: 'epf_no',
+      socso: 'socso_no',
+      tin: 'tin',
+      start: 'start_date'
+    };
+    // Pay items that vary from month to month, given per run
+    this.payItems = ['allowance', 'overtime', 'bonus', 'unpaid'];
+  }
+
+  // The payroll accounts in a user's chart; a default whose code was already
+  // taken by one of the user's own accounts lives at another code
+  async getAccounts(userId) {
+    const LedgerService = require('./ledger');
+    const chart = await LedgerService.getChartOfAccounts(userId);
+    return Object.fromEntries(Object.entries(this.accounts).map(([role, code]) => [role, LedgerService.getSystemAccountCode(chart, code)]));
+  }
+
+  round(amount) {
+    return Math.round(amount * 100) / 100;
+  }
+
+  normalizeName(name) {
+    return String(name || '').toLowerCase().replace(/[^\p{L}\p{N}]+/gu, ' ').trim();
+  }
+
+  runKey(userId, period) {
+    return `payroll_run:${userId}:${period}`;
+  }
+
+  // ---- Employee register ----
+
+  // "900101-14-5678" or "900101145678" → MyKad number and date of birth
+  parseIc(ic) {
+    const match = String(ic || '').trim().match(/^(\d{2})(\d{2})(\d{2})-?(\d{2})-?(\d{4})$/);
+    if (!match) throw new Error('IC numbers look like 900101-14-5678');
+
+    const [, yy, mm, dd, place, serial] = match;
+    const currentYear = new Date().getFullYear() % 100;
+    const year = parseInt(yy) > currentYear ? 1900 + parseInt(yy) : 2000 + parseInt(yy);
+    const birthDate = new Date(year, parseInt(mm) - 1, parseInt(dd));
+    if (birthDate.getMonth() !== parseInt(mm) - 1) throw new Error(`IC ${ic} does not start with a valid date of birth`);
+
+    return { ic: `${yy}${mm}${dd}-${place}-${serial}`, birth_date: `${year}-${mm}-${dd}` };
+  }
+
+  normalizeFields(data) {
+    const LedgerService = require('./ledger');
+    const fields = {};
+    const money = (value, label) => {
+      const amount = parseFloat(value);
+      if (!(amount >= 0)) throw new Error(`${label} must be an amount of zero or more`);
+      return this.round(amount);
+    };
+    const date = (value, label) => {
+      const parsed = new Date(value);
+      if (!/^\d{4}-\d{2}-\d{2}$/.test(String(value)) || isNaN(parsed)) throw new Error(`${label} must be a date (YYYY-MM-DD)`);
+      return LedgerService.formatLocalDate(parsed);
+    };
+
+    if (data.name !== undefined) {
+      fields.name = String(data.name).trim();
+      if (!fields.name) throw new Error('An employee needs a name');
+    }
+    if (data.salary !== undefined) {
+      fields.salary = money(data.salary, 'Salary');
+      if (fields.salary === 0) throw new Error('Salary must be greater than zero');
+    }
+    if (data.allowance !== undefined) fields.allowance = money(data.allowance, 'Allowance');
+    if (data.ic !== undefined) Object.assign(fields, this.parseIc(data.ic));
+    if (data.birth_date !== undefined) fields.birth_date = date(data.birth_date, 'Birth date');
+    if (data.start_date !== undefined) fields.start_date = date(data.start_date, 'Start date');
+    if (data.residency !== undefined) {
+      const aliases = { malaysian: 'citizen', citizen: 'citizen', pr: 'permanent_resident', permanent_resident: 'permanent_resident', foreign: 'foreign', foreigner: 'foreign' };
+      fields.residency = aliases[String(data.residency).toLowerCase().replace(/[\s-]+/g, '_')];
+      if (!fields.residency) throw new Error('Residency must be malaysian, pr or foreign');
+    }
+    if (data.marital !== undefined) {
+      fields.marital = String(data.marital).toLowerCase();
+      if (!['single', 'married'].includes(fields.marital)) throw new Error('Marital status must be single or married');
+    }
+    if (data.spouse_working !== undefined) {
+      fields.spouse_working = /^(?:yes|y|true|1|ya)$/i.test(String(data.spouse_working));
+    }
+    if (data.children !== undefined) {
+      fields.children = parseInt(data.children);
+      if (!(fields.children >= 0)) throw new Error('Children must be a number of zero or more');
+    }
+    for (const field of ['epf_no', 'socso_no', 'tin']) {
+      if (data[field] !== undefined) fields[field] = String(data[field]).trim() || null;
+    }
+
+    return fields;
+  }
+
+  async getEmployees(userId, { includeInactive = false } = {}) {
+    const ids = await redis.lRange(`user:${userId}:employees`, 0, -1);
+    const employees = [];
+
+    for (const id of ids) {
+      const employee = await redis.json.get(`employee:${id}`);
+      if (employee && (includeInactive || employee.status === 'active')) employees.push(employee);
+    }
+
+    return employees.sort((a, b) => a.name.localeCompare(b.name));
+  }
+
+  // An employee by id, full name, or a unique first part of the name
+  async getEmployee(userId, reference) {
+    const employees = await this.getEmployees(userId, { includeInactive: true });
+    const query = this.normalizeName(reference);
+    const match = employees.find(employee => employee.id === reference || this.normalizeName(employee.name) === query) ||
+      (() => {
+        const partial = employees.filter(employee => query && this.normalizeName(employee.name).startsWith(query));
+        return partial.length === 1 ? partial[0] : null;
+      })();
+
+    if (!match) throw new Error(`Employee "${reference}" not found. See /employees`);
+    return match;
+  }
+
+  async createEmployee(userId, data) {
+    try {
+      const LedgerService = require('./ledger');
+      const fields = this.normalizeFields(data);
+      if (!fields.name) throw new Error('An employee needs a name');
+      if (!fields.salary) throw new Error(`Give ${fields.name}'s monthly salary, e.g. salary=2500`);
+
+      const existing = await this.getEmployees(userId, { includeInactive: true });
+      if (existing.some(employee => employee.status === 'active' && this.normalizeName(employee.name) === this.normalizeName(fields.name))) {
+        throw new Error(`${fields.name} is already on the register`);
+      }
+
+      const employee = {
+        id: uuidv4(),
+        user_id: userId.toString(),
+        name: fields.name,
+        salary: fields.salary,
+        allowance: 0,
+        ic: null,
+        birth_date: null,
+        residency: 'citizen',
+        marital: 'single',
+        spouse_working: false,
+        children: 0,
+        epf_no: null,
+        socso_no: null,
+        tin: null,
+        start_date: LedgerService.formatLocalDate(new Date()),
+        ...fields,
+        status: 'active',
+        end_date: null,
+        created_at: new Date().toISOString(),
+        updated_at: new Date().toISOString()
+      };
+
+      await redis.json.set(`employee:${employee.id}`, '$', employee);
+      await redis.lPush(`user:${userId}:employees`, employee.id);
+
+      console.log(`✅ Added employee ${employee.name} for user ${userId}`);
+      return employee;
+    } catch (error) {
+      console.error('Create employee error:', error);
+      throw error;
+    }
+  }
+
+  async updateEmployee(userId, reference, data) {
+    try {
+      const employee = await this.getEmployee(userId, reference);
+      const updated = { ...employee, ...this.normalizeFields(data), updated_at: new Date().toISOString() };
+
+      await redis.json.set(`employee:${employee.id}`, '$', updated);
+      console.log(`✅ Updated employee ${updated.name} for user ${userId}`);
+      return updated;
+    } catch (error) {
+      console.error('Update employee error:', error);
+      throw error;
+    }
+  }
+
+  // Leavers stay on the register for their payslips and year-to-date figures
+  async terminateEmployee(userId, reference, endDate = null) {
+    try {
+      const LedgerService = require('./ledger');
+      const employee = await this.getEmployee(userId, reference);
+      if (employee.status !== 'active') throw new Error(`${employee.name} has already left`);
+
+      const updated = {
+        ...employee,
+        status: 'left',
+        end_date: endDate ? this.normalizeFields({ start_date: endDate }).start_date : LedgerService.formatLocalDate(new Date()),
+        updated_at: new Date().toISOString()
+      };
+
+      await redis.json.set(`employee:${employee.id}`, '$', updated);
+      console.log(`✅ ${updated.name} left on ${updated.end_date} for user ${userId}`);
+      return updated;
+    } catch (error) {
+      console.error('Terminate employee error:', error);
+      throw error;
+    }
+  }
+
+  getAge(employee, onDate) {
+    if (!employee.birth_date) return null;
+
+    const [year, month, day] = employee.birth_date.split('-').map(Number);
+    const date = new Date(onDate);
+    const hadBirthday = date.getMonth() + 1 > month || (date.getMonth() + 1 === month && date.getDate() >= day);
+    return date.getFullYear() - year - (hadBirthday ? 0 : 1);
+  }
+
+  // PCB category: 1 single, 2 married to a non-working spouse, 3 married to a working spouse
+  getTaxCategory(employee) {
+    if (employee.marital !== 'married') return 1;
+    return employee.spouse_working ? 3 : 2;
+  }
+
+  // ---- Statutory contributions ----
+
+  // EPF on the month's wages (overtime excluded) from the Third Schedule bands
+  calculateEpf(employee, wages, age) {
+    const epf = schedules.epf;
+    if (wages <= epf.minimum_wage) return { employee: 0, employer: 0 };
+
+    const group = employee.residency === 'foreign'
+      ? 'foreign'
+      : (age !== null && age >= 60 ? 'citizen_60_and_above' : 'citizen_below_60');
+    const rates = epf.rates[group];
+    const band = epf.bands.find(candidate => wages <= candidate.up_to);
+    const bandWages = band ? Math.ceil(this.round(wages) / band.step - 1e-9) * band.step : wages;
+    const employerRate = wages > 5000 ? rates.employer_above_5000 : rates.employer;
+    const share = (rate) => Math.ceil(this.round(bandWages * rate / 100) - 1e-9);
+
+    return { employee: share(rates.employee), employer: share(employerRate) };
+  }
+
+  findRow(rows, wages) {
+    return rows.find(row => wages <= row[0]) || rows[rows.length - 1];
+  }
+
+  // SOCSO: first category (injury and invalidity) below 60, second category
+  // (employment injury, employer only) for those 60 and above and foreign workers
+  calculateSocso(employee, wages, age) {
+    if (wages <= 0) return { employee: 0, employer: 0, category: null };
+
+    const row = this.findRow(schedules.socso.rows, wages);
+    if (employee.residency === 'foreign' || (age !== null && age >= 60)) {
+      return { employee: 0, employer: row[3], category: 2 };
+    }
+    return { employee: row[2], employer: row[1], category: 1 };
+  }
+
+  calculateEis(employee, wages, age) {
+    if (wages <= 0 || employee.residency === 'foreign' || (age !== null && age >= schedules.eis.maximum_age)) {
+      return { employee: 0, employer: 0 };
+    }
+
+    const amount = this.findRow(schedules.eis.rows, wages)[1];
+    return { employee: amount, employer: amount };
+  }
+
+  // Tax on a year's chargeable income P, after rebates, for a PCB category
+  getAnnualTax(chargeableIncome, category) {
+    if (chargeableIncome <= 0) return 0;
+
+    const bracket = [...schedules.pcb.brackets].reverse().find(candidate => chargeableIncome > candidate.from);
+    const b = category === 2 ? bracket.b_category_2 : bracket.b_category_1_3;
+    return Math.max((chargeableIncome - bracket.from) * bracket.rate / 100 + b, 0);
+  }
+
+  // PCB by the computerised calculation method: the year's chargeable income
+  // is projected from what has been paid so far, this month and the same
+  // again for the rest of the year; the tax on it, less PCB already
+  // deducted, is spread over the months left. A bonus (additional
+  // remuneration) bears the extra tax it adds to the year.
+  calculatePcb(employee, { month, remuneration, additional, epf, epfAdditional, ytd }) {
+    const pcb = schedules.pcb;
+    const category = this.getTaxCategory(employee);
+    const monthsLeft = 12 - month;
+    const limit = pcb.epf_relief_limit;
+    const reliefs = pcb.individual_relief +
+      (category === 2 ? pcb.spouse_relief : 0) +
+      pcb.child_relief * (employee.children || 0);
+
+    const pastEpf = Math.min(ytd.epf, limit);
+    const currentEpf = Math.min(epf, limit - pastEpf);
+    const chargeableIncome = (additionalPay, additionalEpf) => {
+      const bonusEpf = Math.min(additionalEpf, limit - pastEpf - currentEpf);
+      const futureEpf = monthsLeft > 0 ? Math.min(currentEpf, (limit - pastEpf - currentEpf - bonusEpf) / monthsLeft) : 0;
+      return (ytd.remuneration - pastEpf) + (remuneration - currentEpf) + (remuneration - futureEpf) * monthsLeft +
+        (additionalPay - bonusEpf) - reliefs;
+    };
+
+    const roundUp = (amount) => Math.max(Math.ceil(this.round(amount) * 20 - 1e-9) / 20, 0);
+    const yearTax = this.getAnnualTax(chargeableIncome(0, 0), category);
+    const normal = roundUp((yearTax - ytd.pcb) / (monthsLeft + 1));
+    const bonus = additional > 0
+      ? roundUp(this.getAnnualTax(chargeableIncome(additional, epfAdditional), category) - yearTax)
+      : 0;
+
+    const total = this.round(normal + bonus);
+    return total < pcb.minimum_deduction
+      ? { normal: 0, additional: 0, total: 0, category }
+      : { normal, additional: bonus, total, category };
+  }
+
+  // One employee's pay for a month. `items` vary per run: allowance
+  // (replaces the standing allowance), overtime, bonus and unpaid leave.
+  // EPF is on basic, allowances and bonus; SOCSO and EIS on basic,
+  // allowances and overtime; PCB treats the bonus as additional remuneration.
+  calculatePayslip(employee, period, items = {}, ytd = { remuneration: 0, epf: 0, pcb: 0 }) {
+    const [year, month] = period.split('-').map(Number);
+    const periodEnd = new Date(year, month, 0);
+    const age = this.getAge(employee, periodEnd);
+
+    const basic = employee.salary;
+    const unpaid = this.round(parseFloat(items.unpaid) || 0);
+    const allowance = this.round(items.allowance !== undefined ? parseFloat(items.allowance) || 0 : employee.allowance || 0);
+    const overtime = this.round(parseFloat(items.overtime) || 0);
+    const bonus = this.round(parseFloat(items.bonus) || 0);
+    if (unpaid > basic) throw new Error(`${employee.name}: unpaid leave is more than the salary`);
+
+    const remuneration = this.round(basic - unpaid + allowance + overtime);
+    const gross = this.round(remuneration + bonus);
+    const epfWages = this.round(basic - unpaid + allowance);
+    const epf = this.calculateEpf(employee, this.round(epfWages + bonus), age);
+    const epfNormal = this.calculateEpf(employee, epfWages, age).employee;
+    const socso = this.calculateSocso(employee, remuneration, age);
+    const eis = this.calculateEis(employee, remuneration, age);
+    const pcb = this.calculatePcb(employee, {
+      month,
+      remuneration,
+      additional: bonus,
+      epf: epfNormal,
+      epfAdditional: epf.employee - epfNormal,
+      ytd
+    });
+
+    const deductions = this.round(epf.employee + socso.employee + eis.employee + pcb.total);
+    const employerContributions = this.round(epf.employer + socso.employer + eis.employer);
+
+    return {
+      employee_id: employee.id,
+      name: employee.name,
+      ic: employee.ic,
+      epf_no: employee.epf_no,
+      socso_no: employee.socso_no,
+      tin: employee.tin,
+      age: age,
+      tax_category: pcb.category,
+      basic: basic,
+      unpaid_leave: unpaid,
+      allowance: allowance,
+      overtime: overtime,
+      bonus: bonus,
+      gross: gross,
+      epf_employee: epf.employee,
+      epf_employer: epf.employer,
+      socso_employee: socso.employee,
+      socso_employer: socso.employer,
+      socso_category: socso.category,
+      eis_employee: eis.employee,
+      eis_employer: eis.employer,
+      pcb: pcb.total,
+      pcb_additional: pcb.additional,
+      total_deductions: deductions,
+      net_pay: this.round(gross - deductions),
+      employer_contributions: employerContributions,
+      employer_cost: this.round(gross + employerContributions),
+      ytd: {
+        remuneration: this.round(ytd.remuneration + gross),
+        epf: this.round(ytd.epf + epf.employee),
+        pcb: this.round(ytd.pcb + pcb.total)
+      }
+    };
+  }
+
+  // ---- Payroll runs ----
+
+  async getRuns(userId) {
+    const periods = (await redis.sMembers(`user:${userId}:payroll_runs`)).sort().reverse();
+    const runs = [];
+
+    for (const period of periods) {
+      const run = await redis.json.get(this.runKey(userId, period));
+      if (run) runs.push(run);
+    }
+
+    return runs;
+  }
+
+  async getRun(userId, period) {
+    const LedgerService = require('./ledger');
+    const normalized = LedgerService.parsePeriod(period);
+    const run = await redis.json.get(this.runKey(userId, normalized));
+
+    if (!run) throw new Error(`No payroll run for ${normalized}. Use /payroll run ${normalized}`);
+    return run;
+  }
+
+  // Earnings, EPF and PCB from the year's earlier runs, for the PCB projection
+  async getYearToDate(userId, period) {
+    const [year] = period.split('-');
+    const totals = {};
+
+    for (const run of await this.getRuns(userId)) {
+      if (run.status === 'void' || !run.period.startsWith(`${year}-`) || run.period >= period) continue;
+
+      run.payslips.forEach(payslip => {
+        const total = totals[payslip.employee_id] || { remuneration: 0, epf: 0, pcb: 0 };
+        totals[payslip.employee_id] = {
+          remuneration: this.round(total.remuneration + payslip.gross),
+          epf: this.round(total.epf + payslip.epf_employee),
+          pcb: this.round(total.pcb + payslip.pcb)
+        };
+      });
+    }
+
+    return totals;
+  }
+
+  sumPayslips(payslips) {
+    const fields = [
+      'gross', 'epf_employee', 'epf_employer', 'socso_employee', 'socso_employer',
+      'eis_employee', 'eis_employer', 'pcb', 'total_deductions', 'net_pay', 'employer_contributions', 'employer_cost'
+    ];
+    return Object.fromEntries(fields.map(field => [field, this.round(payslips.reduce((sum, payslip) => sum + payslip[field], 0))]));
+  }
+
+  // What each statutory body is owed for a run: both shares of EPF, SOCSO and EIS, and the PCB
+  getStatutoryAmounts(totals) {
+    return {
+      epf: this.round(totals.epf_employee + totals.epf_employer),
+      socso: this.round(totals.socso_employee + totals.socso_employer),
+      eis: this.round(totals.eis_employee + totals.eis_employer),
+      pcb: totals.pcb
+    };
+  }
+
+  // Dr Salaries & Wages (gross) and Employer Statutory Contributions;
+  // Cr Salaries Payable (net pay) and each statutory body's payable
+  buildRunJournalLines(run, accounts = this.accounts) {
+    const amounts = this.getStatutoryAmounts(run.totals);
+    const lines = [
+      { account_code: accounts.salaries, debit: run.totals.gross, credit: 0, description: `Salaries & wages ${run.period}` },
+      { account_code: accounts.employer_contributions, debit: run.totals.employer_contributions, credit: 0, description: `Employer EPF, SOCSO & EIS ${run.period}` },
+      { account_code: accounts.salaries_payable, debit: 0, credit: run.totals.net_pay, description: `Net pay ${run.period}` }
+    ];
+
+    for (const [body, amount] of Object.entries(amounts)) {
+      lines.push({ account_code: accounts[body], debit: 0, credit: amount, description: `${this.statutoryBodies[body]} ${run.period}` });
+    }
+
+    return lines.filter(line => line.debit > 0 || line.credit > 0);
+  }
+
+  // Works out every active employee's pay for the month without saving it
+  async previewRun(userId, period, adjustments = []) {
+    const LedgerService = require('./ledger');
+    const normalized = LedgerService.parsePeriod(period);
+    const [year, month] = normalized.split('-').map(Number);
+    const periodStart = LedgerService.formatLocalDate(new Date(year, month - 1, 1));
+    const periodEnd = LedgerService.formatLocalDate(new Date(year, month, 0));
+
+    // Everyone employed at some point in the month
+    const employees = (await this.getEmployees(userId, { includeInactive: true }))
+      .filter(employee => employee.start_date <= periodEnd && (!employee.end_date || employee.end_date >= periodStart));
+    if (employees.length === 0) throw new Error('No employees on the register for this month. Add one with /employees add');
+
+    const items = {};
+    for (const adjustment of adjustments) {
+      const employee = await this.getEmployee(userId, adjustment.reference);
+      if (!employees.some(candidate => candidate.id === employee.id)) {
+        throw new Error(`${employee.name} was not employed in ${normalized}`);
+      }
+      items[employee.id] = { ...items[employee.id], ...adjustment.items };
+    }
+
+    const ytd = await this.getYearToDate(userId, normalized);
+    const payslips = employees.map(employee => this.calculatePayslip(employee, normalized, items[employee.id], ytd[employee.id]));
+
+    return {
+      period: normalized,
+      pay_date: new Date(year, month, 0, 23, 59, 59).toISOString(),
+      payslips: payslips,
+      totals: this.sumPayslips(payslips)
+    };
+  }
+
+  // Runs and posts the month's payroll. One run per month; void it to run again.
+  async runPayroll(userId, period, adjustments = [], options = {}) {
+    try {
+      const LedgerService = require('./ledger');
+      const preview = await this.previewRun(userId, period, adjustments);
+      const runKey = this.runKey(userId, preview.period);
+      let run;
+
+      const { duplicate_of: duplicateOf } = await LedgerService.postJournalEntries(userId, async () => {
+        const existing = await redis.json.get(runKey);
+        if (existing && existing.status !== 'void') {
+          throw new Error(`Payroll for ${preview.period} has already been run. Void it first with /payroll void ${preview.period}`);
+        }
+
+        const revision = existing ? existing.revision + 1 : 1;
+        run = {
+          id: uuidv4(),
+          user_id: userId.toString(),
+          ...preview,
+          revision: revision,
+          reference: `PAY-${preview.period}${revision > 1 ? `-R${revision}` : ''}`,
+          status: 'posted',
+          paid_at: null,
+          payment_journal_entry_id: null,
+          remittances: {},
+          created_at: new Date().toISOString()
+        };
+
+        const journalEntry = await LedgerService.buildJournalEntry(userId, {
+          description: `Payroll ${run.period} (${run.payslips.length} employee${run.payslips.length === 1 ? '' : 's'})`,
+          reference: run.reference,
+          date: run.pay_date,
+          entry_type: 'payroll',
+          lines: this.buildRunJournalLines(run, await this.getAccounts(userId))
+        });
+        run.journal_entry_id = journalEntry.id;
+        return [journalEntry];
+      }, {
+        idempotency_key: options.idempotency_key,
+        watch: [runKey],
+        queue: (multi) => {
+          multi.json.set(runKey, '$', run);
+          multi.sAdd(`user:${userId}:payroll_runs`, run.period);
+        }
+      });
+
+      if (duplicateOf) {
+        console.log(`⏭️ Payroll ${options.idempotency_key} already posted as ${duplicateOf}`);
+        return await this.getRun(userId, preview.period);
+      }
+
+      console.log(`✅ Posted payroll ${run.reference} for user ${userId}`);
+      return run;
+    } catch (error) {
+      console.error('Payroll run error:', error);
+      throw error;
+    }
+  }
+
+  // Pays the month's net salaries from the bank: Dr Salaries Payable / Cr Bank
+  async paySalaries(userId, period, data = {}) {
+    try {
+      const LedgerService = require('./ledger');
+      const runKey = this.runKey(userId, (await this.getRun(userId, period)).period);
+      let run;
+
+      await LedgerService.postJournalEntries(userId, async () => {
+        run = await this.getRun(userId, period);
+        if (run.status === 'void') throw new Error(`Payroll ${run.period} is void`);
+        if (run.paid_at) throw new Error(`Salaries for ${run.period} were paid on ${LedgerService.formatLocalDate(new Date(run.paid_at))}`);
+
+        const date = data.date ? new Date(data.date) : new Date();
+        if (isNaN(date)) throw new Error('Invalid payment date');
+
+        const accounts = await this.getAccounts(userId);
+        const journalEntry = await LedgerService.buildJournalEntry(userId, {
+          description: `Salaries paid ${run.period}`,
+          reference: `${run.reference}-NET`,
+          date: date.toISOString(),
+          entry_type: 'payroll_payment',
+          lines: [
+            { account_code: accounts.salaries_payable, debit: run.totals.net_pay, credit: 0, description: `Net pay ${run.period}` },
+            { account_code: data.paid_from || this.bankAccount, debit: 0, credit: run.totals.net_pay, description: `Salaries ${run.period}` }
+          ]
+        });
+        run = { ...run, paid_at: date.toISOString(), payment_journal_entry_id: journalEntry.id };
+        return [journalEntry];
+      }, {
+        idempotency_key: data.idempotency_key,
+        watch: [runKey],
+        queue: (multi) => multi.json.set(runKey, '$', run)
+      });
+
+      console.log(`✅ Paid salaries ${run.period} for user ${userId}`);
+      return run;
+    } catch (error) {
+      console.error('Pay salaries error:', error);
+      throw error;
+    }
+  }
+
+  // Pays EPF, SOCSO, EIS and/or PCB for a month: Dr the body's payable / Cr
+  // Bank, one entry per body. Bodies already paid are skipped.
+  async remitStatutory(userId, period, bodies = null, data = {}) {
+    try {
+      const LedgerService = require('./ledger');
+      const runKey = this.runKey(userId, (await this.getRun(userId, period)).period);
+      const requested = (bodies && bodies.length > 0 ? bodies : Object.keys(this.statutoryBodies)).map(body => body.toLowerCase());
+      const unknown = requested.find(body => !this.statutoryBodies[body]);
+      if (unknown) throw new Error(`Unknown statutory body "${unknown}". Use epf, socso, eis or pcb`);
+
+      let run;
+      let remitted = [];
+
+      await LedgerService.postJournalEntries(userId, async () => {
+        run = await this.getRun(userId, period);
+        if (run.status === 'void') throw new Error(`Payroll ${run.period} is void`);
+
+        const date = data.date ? new Date(data.date) : new Date();
+        if (isNaN(date)) throw new Error('Invalid payment date');
+
+        const amounts = this.getStatutoryAmounts(run.totals);
+        remitted = requested.filter(body => !run.remittances[body] && amounts[body] > 0);
+        if (remitted.length === 0) throw new Error(`Nothing left to pay for ${requested.map(body => body.toUpperCase()).join(', ')} ${run.period}`);
+
+        const accounts = await this.getAccounts(userId);
+        const entries = [];
+        const remittances = { ...run.remittances };
+        for (const body of remitted) {
+          const journalEntry = await LedgerService.buildJournalEntry(userId, {
+            description: `${this.statutoryBodies[body]} ${run.period} paid`,
+            reference: `${run.reference}-${body.toUpperCase()}`,
+            date: date.toISOString(),
+            entry_type: 'payroll_payment',
+            lines: [
+              { account_code: accounts[body], debit: amounts[body], credit: 0, description: `${this.statutoryBodies[body]} ${run.period}` },
+              { account_code: data.paid_from || this.bankAccount, debit: 0, credit: amounts[body], description: `${this.statutoryBodies[body]} ${run.period}` }
+            ]
+          });
+          remittances[body] = { amount: amounts[body], date: date.toISOString(), journal_entry_id: journalEntry.id };
+          entries.push(journalEntry);
+        }
+
+        run = { ...run, remittances };
+        return entries;
+      }, {
+        idempotency_key: data.idempotency_key,
+        watch: [runKey],
+        queue: (multi) => multi.json.set(runKey, '$', run)
+      });
+
+      console.log(`✅ Paid ${remitted.join(', ')} for payroll ${run.period} for user ${userId}`);
+      return { run, remitted };
+    } catch (error) {
+      console.error('Statutory payment error:', error);
+      throw error;
+    }
+  }
+
+  // Reverses a run that nothing has been paid from, so it can be run again
+  async voidRun(userId, period, reason = null) {
+    try {
+      const LedgerService = require('./ledger');
+      const runKey = this.runKey(userId, (await this.getRun(userId, period)).period);
+      let run;
+      let original;
+
+      await LedgerService.postJournalEntries(userId, async () => {
+        run = await this.getRun(userId, period);
+        if (run.status === 'void') throw new Error(`Payroll ${run.period} is already void`);
+        if (run.paid_at || Object.keys(run.remittances).length > 0) {
+          throw new Error(`Payments have been recorded against payroll ${run.period}, so it cannot be voided`);
+        }
+
+        original = await LedgerService.getJournalEntry(userId, run.journal_entry_id);
+        const reversal = await LedgerService.buildReversal(userId, original, { reason: reason || `${run.reference} voided` });
+        run = { ...run, status: 'void', voided_at: new Date().toISOString(), void_journal_entry_id: reversal.id };
+        return [reversal];
+      }, {
+        watch: [runKey],
+        queue: (multi, [reversal]) => {
+          LedgerService.queueReversedStatus(multi, original, 'voided', reversal.id);
+          multi.json.set(runKey, '$', run);
+        }
+      });
+
+      console.log(`✅ Voided payroll ${run.reference} for user ${userId}`);
+      return run;
+    } catch (error) {
+      console.error('Void payroll error:', error);
+      throw error;
+    }
+  }
+
+  // ---- Text input and payslips ----
+
+  // "Siti salary=2500 ic=900101-14-5678 marital=married children=2"
+  // → { reference: 'Siti', data }
+  parseEmployeeText(text) {
+    const data = {};
+    const reference = String(text || '').replace(/([a-z][\w-]*)\s*=\s*(?:"([^"]*)"|([^\s;]+))/gi, (all, name, quoted, plain) => {
+      const field = this.employeeFields[name.toLowerCase()];
+      if (!field) throw new Error(`Unknown field "${name}". Use ${Object.keys(this.employeeFields).join(', ')}`);
+      data[field] = (quoted !== undefined ? quoted : plain).trim();
+      return ' ';
+    }).replace(/\s+/g, ' ').trim();
+
+    return { reference, data };
+  }
+
+  // "2026-10; Siti bonus=500 overtime=120; Ali unpaid=100"
+  // → { period, adjustments: [{ reference, items }] }
+  parseRunText(text) {
+    const [first, ...parts] = String(text || '').split(';').map(part => part.trim());
+    const adjustments = parts.filter(Boolean).map(part => {
+      const items = {};
+      const reference = part.replace(/([a-z][\w-]*)\s*=\s*(\S+)/gi, (all, name, value) => {
+        const item = name.toLowerCase();
+        if (!this.payItems.includes(item)) throw new Error(`Unknown pay item "${name}". Use ${this.payItems.join(', ')}`);
+        if (!(parseFloat(value) >= 0)) throw new Error(`${name} must be an amount`);
+        items[item] = parseFloat(value);
+        return ' ';
+      }).replace(/\s+/g, ' ').trim();
+      if (!reference) throw new Error(`Say whose pay "${part}" is for, e.g. "Siti bonus=500"`);
+      return { reference, items };
+    });
+
+    return { period: first || null, adjustments };
+  }
+
+  // A printable HTML payslip for one employee in a run
+  toPayslipHTML(run, payslip, employer = {}) {
+    const escape = (value) => String(value === null || value === undefined ? '' : value)
+      .replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;').replace(/"/g, '&quot;');
+    const money = (amount) => amount.toFixed(2);
+    const row = (label, amount) => amount > 0 ? `<tr><td>${label}</td><td class="amount">${money(amount)}</td></tr>` : '';
+    const [year, month] = run.period.split('-').map(Number);
+    const monthName = new Date(year, month - 1, 1).toLocaleString('en-MY', { month: 'long', year: 'numeric' });
+
+    return `<!DOCTYPE html>
+<html>
+<head>
+<meta charset="utf-8">
+<title>Payslip ${escape(payslip.name)} ${run.period}</title>
+<style>
+body { font-family: Arial, sans-serif; max-width: 720px; margin: 24px auto; color: #222; }
+h1 { font-size: 20px; margin: 0; }
+h2 { font-size: 15px; border-bottom: 1px solid #999; padding-bottom: 4px; }
+table { width: 100%; border-collapse: collapse; }
+td { padding: 3px 0; }
+.amount { text-align: right; }
+.total td { border-top: 1px solid #999; font-weight: bold; }
+.columns { display: flex; gap: 32px; }
+.columns > div { flex: 1; }
+.muted { color: #666; font-size: 12px; }
+</style>
+</head>
+<body>
+<h1>${escape(employer.name || 'Payslip')}</h1>
+<div class="muted">${escape([employer.address, employer.city, employer.postcode, employer.state].filter(Boolean).join(', '))}</div>
+<h2>PAYSLIP - ${escape(monthName)}</h2>
+<table>
+<tr><td>Employee</td><td>${escape(payslip.name)}</td><td>Reference</td><td>${escape(run.reference)}</td></tr>
+<tr><td>IC No.</td><td>${escape(payslip.ic)}</td><td>Pay date</td><td>${escape(run.pay_date.split('T')[0])}</td></tr>
+<tr><td>EPF No.</td><td>${escape(payslip.epf_no)}</td><td>SOCSO No.</td><td>${escape(payslip.socso_no)}</td></tr>
+<tr><td>Tax No.</td><td>${escape(payslip.tin)}</td><td>PCB category</td><td>${payslip.tax_category}</td></tr>
+</table>
+<div class="columns">
+<div>
+<h2>EARNINGS (RM)</h2>
+<table>
+${row('Basic salary', payslip.basic)}
+${payslip.unpaid_leave > 0 ? `<tr><td>Unpaid leave</td><td class="amount">-${money(payslip.unpaid_leave)}</td></tr>` : ''}
+${row('Allowance', payslip.allowance)}
+${row('Overtime', payslip.overtime)}
+${row('Bonus', payslip.bonus)}
+<tr class="total"><td>Gross pay</td><td class="amount">${money(payslip.gross)}</td></tr>
+</table>
+</div>
+<div>
+<h2>DEDUCTIONS (RM)</h2>
+<table>
+${row('EPF', payslip.epf_employee)}
+${row('SOCSO', payslip.socso_employee)}
+${row('EIS', payslip.eis_employee)}
+${row('PCB (income tax)', payslip.pcb)}
+<tr class="total"><td>Total deductions</td><td class="amount">${money(payslip.total_deductions)}</td></tr>
+</table>
+</div>
+</div>
+<h2>NET PAY: RM${money(payslip.net_pay)}</h2>
+<table>
+<tr><td colspan="2"><strong>Employer contributions (RM)</strong></td></tr>
+${row('EPF', payslip.epf_employer)}
+${row(`SOCSO${payslip.socso_category === 2 ? ' (employment injury)' : ''}`, payslip.socso_employer)}
+${row('EIS', payslip.eis_employer)}
+<tr><td colspan="2"><strong>Year to date (RM)</strong></td></tr>
+<tr><td>Gross pay</td><td class="amount">${money(payslip.ytd.remuneration)}</td></tr>
+<tr><td>EPF (employee)</td><td class="amount">${money(payslip.ytd.epf)}</td></tr>
+<tr><td>PCB</td><td class="amount">${money(payslip.ytd.pcb)}</td></tr>
+</table>
+<p class="muted">Computed with EPF rates from ${schedules.epf.effective}, SOCSO and EIS tables from ${schedules.socso.effective} and the LHDN PCB schedule from ${schedules.pcb.effective}.</p>
+</body>
+</html>
+`;
+  }
+}
+
+module.exports = new PayrollService();
@@ -0,0 +1,362 @@
+// src/services/prepayments.js
+
+const redis = require('../../config/redis');
+const { v4: uuidv4 } = require('uuid');
+
+class PrepaymentService {
+  constructor() {
+    this.prepaidAccount = '1400';
+    this.accruedAccount = '2100';
+  }
+
+  async getExpenseAccount(userId, accountCode) {
+    const LedgerService = require('./ledger');
+    const account = await LedgerService.getAccount(userId, accountCode);
+
+    if (!account || account.type !== 'expense' || account.is_archived) {
+      throw new Error(`Account ${accountCode} is not an active expense account in your chart`);
+    }
+
+    return account;
+  }
+
+  formatPeriod(date) {
+    return `${date.getFullYear()}-${String(date.getMonth() + 1).padStart(2, '0')}`;
+  }
+
+  // Prepayments: paid once into 1400, released to expense on the 1st of each covered month
+  async createPrepayment(userId, data) {
+    try {
+      const LedgerService = require('./ledger');
+      const amount = Math.round(parseFloat(data.amount) * 100) / 100;
+      const months = parseInt(data.months);
+      const expenseAccount = String(data.expense_account);
+
+      if (!(amount > 0)) throw new Error('Amount must be greater than zero');
+      if (!(months >= 1 && months <= 120)) throw new Error('Months must be between 1 and 120');
+
+      await this.getExpenseAccount(userId, expenseAccount);
+
+      const paidDate = data.paid_date ? new Date(data.paid_date) : new Date();
+      const start = data.start_date ? new Date(data.start_date) : paidDate;
+      const startDate = new Date(start.getFullYear(), start.getMonth(), 1);
+
+      const prepaymentId = uuidv4();
+      const prepayment = {
+        id: prepaymentId,
+        user_id: userId.toString(),
+        description: data.description,
+        amount_myr: amount,
+        monthly_amount_myr: Math.round(amount / months * 100) / 100,
+        months: months,
+        expense_account: expenseAccount,
+        start_date: startDate.toISOString(),
+        released_months: 0,
+        released_myr: 0,
+        journal_entry_id: null,
+        is_active: true,
+        created_at: new Date().toISOString()
+      };
+
+      const { duplicate_of: duplicateOf } = await LedgerService.postJournalEntries(userId, async () => {
+        const journalEntry = await LedgerService.buildJournalEntry(userId, {
+          description: `Prepayment: ${data.description}`,
+          reference: `PREPAID-${prepaymentId.substring(0, 8)}`,
+          date: paidDate.toISOString(),
+          entry_type: 'prepayment',
+          lines: [
+            { account_code: this.prepaidAccount, debit: amount, credit: 0, description: data.description },
+            { account_code: data.paid_from || '1100', debit: 0, credit: amount, description: `Paid ${data.description}` }
+          ]
+        });
+        prepayment.journal_entry_id = journalEntry.id;
+        return [journalEntry];
+      }, {
+        idempotency_key: data.idempotency_key,
+        queue: (multi) => {
+          multi.json.set(`prepayment:${prepaymentId}`, '$', prepayment);
+          multi.lPush(`user:${userId}:prepayments`, prepaymentId);
+          multi.sAdd('active_prepayments', prepaymentId);
+        }
+      });
+
+      if (duplicateOf) {
+        console.log(`⏭️ Prepayment ${data.idempotency_key} already recorded`);
+        return (await this.getPrepayments(userId)).find(existing => existing.journal_entry_id === duplicateOf);
+      }
+
+      // Catch up on months that have already started
+      try {
+        await this.releasePrepayment(prepayment);
+      } catch (releaseError) {
+        console.error('Initial prepayment release error:', releaseError);
+      }
+
+      console.log(`✅ Created prepayment: ${prepaymentId} for user ${userId}`);
+      return prepayment;
+    } catch (error) {
+      console.error('Create prepayment error:', error);
+      throw error;
+    }
+  }
+
+  async getPrepayments(userId) {
+    try {
+      const prepaymentIds = await redis.lRange(`user:${userId}:prepayments`, 0, -1);
+      const prepayments = [];
+
+      for (const prepaymentId of prepaymentIds) {
+        const prepayment = await redis.json.get(`prepayment:${prepaymentId}`);
+        if (prepayment) prepayments.push(prepayment);
+      }
+
+      return prepayments;
+    } catch (error) {
+      console.error('Get prepayments error:', error);
+      return [];
+    }
+  }
+
+  // The next month due for release, or null when nothing is due yet
+  getNextRelease(prepayment, now) {
+    if (prepayment.released_months >= prepayment.months) return null;
+
+    const start = new Date(prepayment.start_date);
+    const releaseDate = new Date(start.getFullYear(), start.getMonth() + prepayment.released_months, 1);
+    if (releaseDate > now) return null;
+
+    // The final month takes whatever rounding left behind
+    const isLast = prepayment.released_months === prepayment.months - 1;
+    const amount = isLast
+      ? Math.round((prepayment.amount_myr - prepayment.released_myr) * 100) / 100
+      : prepayment.monthly_amount_myr;
+
+    return { period: this.formatPeriod(releaseDate), date: releaseDate, amount };
+  }
+
+  // Each month's release and the prepayment's progress land in one EXEC,
+  // keyed by prepayment and period, so creation catching up and the
+  // scheduler running at the same time never release a month twice
+  async releasePrepayment(prepayment, now = new Date()) {
+    const LedgerService = require('./ledger');
+    const prepaymentKey = `prepayment:${prepayment.id}`;
+    let released = 0;
+
+    for (let next = this.getNextRelease(prepayment, now); next; next = this.getNextRelease(prepayment, now)) {
+      let updated;
+      const { duplicate_of: duplicateOf } = await LedgerService.postJournalEntries(prepayment.user_id, async () => {
+        const current = await redis.json.get(prepaymentKey);
+        const release = this.getNextRelease(current, now) || next;
+        const releasedMonths = current.released_months + 1;
+        updated = {
+          ...current,
+          released_months: releasedMonths,
+          released_myr: Math.round((current.released_myr + release.amount) * 100) / 100,
+          is_active: releasedMonths < current.months
+        };
+
+        return [await LedgerService.buildJournalEntry(prepayment.user_id, {
+          description: `Release prepayment ${release.period}: ${prepayment.description}`,
+          reference: `PREPAID-${prepayment.id.substring(0, 8)}-${release.period}`,
+          date: release.date.toISOString(),
+          entry_type: 'prepayment_release',
+          created_by: 'system',
+          lines: [
+            { account_code: prepayment.expense_account, debit: release.amount, credit: 0, description: prepayment.description },
+            { account_code: this.prepaidAccount, debit: 0, credit: release.amount, description: `Release ${prepayment.description}` }
+          ]
+        })];
+      }, {
+        idempotency_key: `PREPAID-${prepayment.id}-${next.period}`,
+        watch: [prepaymentKey],
+        queue: (multi) => multi.json.set(prepaymentKey, '$', updated)
+      });
+
+      // The scheduler keeps using this prepayment, so bring it up to date in
+      // place; a duplicate means another run is releasing it and carries on
+      if (duplicateOf) {
+        Object.assign(prepayment, await redis.json.get(prepaymentKey));
+        break;
+      }
+      Object.assign(prepayment, updated);
+      released++;
+    }
+
+    return released;
+  }
+
+  // Accruals: expense recognised at month-end against 2100, reversed on the 1st of the next month
+  async createAccrual(userId, data) {
+    try {
+      const LedgerService = require('./ledger');
+      const amount = Math.round(parseFloat(data.amount) * 100) / 100;
+      const expenseAccount = String(data.expense_account);
+
+      if (!(amount > 0)) throw new Error('Amount must be greater than zero');
+
+      await this.getExpenseAccount(userId, expenseAccount);
+
+      const period = data.period ? LedgerService.parsePeriod(data.period) : this.formatPeriod(new Date());
+      const [year, month] = period.split('-').map(Number);
+      const accrualDate = new Date(year, month, 0, 23, 59, 59);
+      const reversalDate = new Date(year, month, 1);
+
+      const accrualId = uuidv4();
+      const accrual = {
+        id: accrualId,
+        user_id: userId.toString(),
+        description: data.description,
+        amount_myr: amount,
+        expense_account: expenseAccount,
+        period: period,
+        reversal_date: reversalDate.toISOString(),
+        journal_entry_id: null,
+        reversal_journal_id: null,
+        is_reversed: false,
+        created_at: new Date().toISOString()
+      };
+
+      const { duplicate_of: duplicateOf } = await LedgerService.postJournalEntries(userId, async () => {
+        const journalEntry = await LedgerService.buildJournalEntry(userId, {
+          description: `Accrual ${period}: ${data.description}`,
+          reference: `ACCR-${accrualId.substring(0, 8)}`,
+          date: accrualDate.toISOString(),
+          entry_type: 'accrual',
+          lines: [
+            { account_code: expenseAccount, debit: amount, credit: 0, description: data.description },
+            { account_code: this.accruedAccount, debit: 0, credit: amount, description: `Accrued ${data.description}` }
+          ]
+        });
+        accrual.journal_entry_id = journalEntry.id;
+        return [journalEntry];
+      }, {
+        idempotency_key: data.idempotency_key,
+        queue: (multi) => {
+          multi.json.set(`accrual:${accrualId}`, '$', accrual);
+          multi.lPush(`user:${userId}:accruals`, accrualId);
+          multi.sAdd('pending_accrual_reversals', accrualId);
+        }
+      });
+
+      if (duplicateOf) {
+        console.log(`⏭️ Accrual ${data.idempotency_key} already recorded`);
+        return (await this.getAccruals(userId)).find(existing => existing.journal_entry_id === duplicateOf);
+      }
+
+      console.log(`✅ Created accrual: ${accrualId} for user ${userId}`);
+      return accrual;
+    } catch (error) {
+      console.error('Create accrual error:', error);
+      throw error;
+    }
+  }
+
+  async getAccruals(userId) {
+    try {
+      const accrualIds = await redis.lRange(`user:${userId}:accruals`, 0, -1);
+      const accruals = [];
+
+      for (const accrualId of accrualIds) {
+        const accrual = await redis.json.get(`accrual:${accrualId}`);
+        if (accrual) accruals.push(accrual);
+      }
+
+      return accruals;
+    } catch (error) {
+      console.error('Get accruals error:', error);
+      return [];
+    }
+  }
+
+  // The reversal, the accrual's status and its removal from the pending set
+  // land in one EXEC, keyed by accrual, so it is only ever reversed once
+  async reverseAccrual(accrual) {
+    const LedgerService = require('./ledger');
+    const accrualKey = `accrual:${accrual.id}`;
+    let updated;
+
+    const { entries: [reversal], duplicate_of: duplicateOf } = await LedgerService.postJournalEntries(accrual.user_id, async () => {
+      const current = await redis.json.get(accrualKey);
+      if (current.is_reversed) throw new Error(`Accrual ${accrual.id} has already been reversed`);
+
+      const journalEntry = await LedgerService.buildJournalEntry(accrual.user_id, {
+        description: `Auto-reverse accrual ${accrual.period}: ${accrual.description}`,
+        reference: `ACCR-REV-${accrual.id.substring(0, 8)}`,
+        date: accrual.reversal_date,
+        entry_type: 'accrual_reversal',
+        created_by: 'system',
+        lines: [
+          { account_code: this.accruedAccount, debit: accrual.amount_myr, credit: 0, description: `Reverse accrued ${accrual.description}` },
+          { account_code: accrual.expense_account, debit: 0, credit: accrual.amount_myr, description: accrual.description }
+        ]
+      });
+      updated = { ...current, is_reversed: true, reversal_journal_id: journalEntry.id };
+      return [journalEntry];
+    }, {
+      idempotency_key: `ACCR-REV-${accrual.id}`,
+      watch: [accrualKey],
+      queue: (multi) => {
+        multi.json.set(accrualKey, '$', updated);
+        multi.sRem('pending_accrual_reversals', accrual.id);
+      }
+    });
+
+    Object.assign(accrual, duplicateOf ? await redis.json.get(accrualKey) : updated);
+    return duplicateOf ? null : reversal;
+  }
+
+  async processDue() {
+    try {
+      const now = new Date();
+      let processedCount = 0;
+
+      for (const prepaymentId of await redis.sMembers('active_prepayments')) {
+        try {
+          const prepayment = await redis.json.get(`prepayment:${prepaymentId}`);
+
+          if (!prepayment || !prepayment.is_active) {
+            await redis.sRem('active_prepayments', prepaymentId);
+            continue;
+          }
+
+          processedCount += await this.releasePrepayment(prepayment, now);
+
+          if (!prepayment.is_active) {
+            await redis.sRem('active_prepayments', prepaymentId);
+          }
+        } catch (error) {
+          // Locked or closed periods hold the release until the user reopens them
+          console.error(`Error releasing prepayment ${prepaymentId}:`, error.message);
+        }
+      }
+
+      for (const accrualId of await redis.sMembers('pending_accrual_reversals')) {
+        try {
+          const accrual = await redis.json.get(`accrual:${accrualId}`);
+
+          if (!accrual || accrual.is_reversed) {
+            await redis.sRem('pending_accrual_reversals', accrualId);
+            continue;
+          }
+
+          if (new Date(accrual.reversal_date) <= now && await this.reverseAccrual(accrual)) {
+            processedCount++;
+          }
+        } catch (error) {
+          console.error(`Error reversing accrual ${accrualId}:`, error.message);
+        }
+      }
+
+      if (processedCount > 0) {
+        console.log(`✅ Posted ${processedCount} prepayment releases and accrual reversals`);
+      }
+
+      return processedCount;
+    } catch (error) {
+      console.error('Process prepayments and accruals error:', error);
+      return 0;
+    }
+  }
+}
+
+module.exports = new PrepaymentService();
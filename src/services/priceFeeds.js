@@ -3,6 +3,9 @@ const redis = require('../../config/redis');
 
 let isRunning = false;
 
+// Foreign currencies we keep MYR rates for (stored as e.g. usd_myr in latest_prices)
+const FX_CURRENCIES = ['USD', 'SGD', 'EUR', 'GBP', 'CNY'];
+
 class PriceFeedsService {
   static async startPriceMonitoring() {
     if (isRunning) return;
@@ -15,8 +18,14 @@ class PriceFeedsService {
       await PriceFeedsService.updatePrices();
     }, 5 * 60 * 1000);
     
+    // Exchange rates move slower - refresh hourly
+    setInterval(async () => {
+      await PriceFeedsService.updateExchangeRates();
+    }, 60 * 60 * 1000);
+    
     // Initial update
     await PriceFeedsService.updatePrices();
+    await PriceFeedsService.updateExchangeRates();
   }
 
   static async updatePrices() {
@@ -108,6 +117,100 @@ class PriceFeedsService {
     }
   }
 
+  static async updateExchangeRates() {
+    try {
+      const response = await axios.get('https://open.er-api.com/v6/latest/MYR', {
+        timeout: 10000,
+        headers: {
+          'User-Agent': 'kheAI-Bot/1.0',
+          'Accept': 'application/json'
+        }
+      });
+
+      // The feed quotes foreign units per 1 MYR; we store MYR per 1 foreign unit
+      const rates = response.data.rates || {};
+      for (const currency of FX_CURRENCIES) {
+        if (rates[currency] > 0) {
+          await PriceFeedsService.setExchangeRate(currency, 1 / rates[currency], 'feed');
+        }
+      }
+
+      console.log(`💱 FX rates updated: ${FX_CURRENCIES.join(', ')}`);
+    } catch (error) {
+      // Keep the last known (or manually entered) rates
+      console.log(`⚠️ FX rate feed failed: ${error.message}`);
+    }
+  }
+
+  static normalizeCurrency(currency) {
+    const code = String(currency || 'MYR').trim().toUpperCase();
+    return code === 'RM' ? 'MYR' : code;
+  }
+
+  static async setExchangeRate(currency, rate, source = 'manual') {
+    const code = PriceFeedsService.normalizeCurrency(currency);
+    const value = parseFloat(rate);
+
+    if (code === 'MYR') {
+      throw new Error('MYR is the base currency');
+    }
+    if (!/^[A-Z]{3}$/.test(code)) {
+      throw new Error(`Invalid currency code "${currency}"`);
+    }
+    if (!(value > 0)) {
+      throw new Error('Exchange rate must be a positive number');
+    }
+
+    const field = `${code.toLowerCase()}_myr`;
+    const timestamp = Date.now();
+
+    try {
+      await redis.ts.add(`${field}_price`, timestamp, value);
+    } catch (error) {
+      if (error.message.includes('TSDB: the key does not exist')) {
+        await redis.ts.create(`${field}_price`);
+        await redis.ts.add(`${field}_price`, timestamp, value);
+      } else {
+        console.log('⚠️ TimeSeries not available, using regular storage');
+      }
+    }
+
+    await redis.hSet('latest_prices', {
+      [field]: value.toString(),
+      [`${field}_source`]: source,
+      [`${field}_updated_at`]: new Date(timestamp).toISOString()
+    });
+
+    return { currency: code, rate: value, source: source };
+  }
+
+  // MYR per 1 unit of the given currency
+  static async getExchangeRate(currency) {
+    const code = PriceFeedsService.normalizeCurrency(currency);
+    if (code === 'MYR') return 1;
+
+    const rate = parseFloat(await redis.hGet('latest_prices', `${code.toLowerCase()}_myr`));
+    if (!(rate > 0)) {
+      throw new Error(`No ${code} exchange rate available. Set one with /fx_rate ${code} [rate]`);
+    }
+
+    return rate;
+  }
+
+  static async getExchangeRates() {
+    const prices = await redis.hGetAll('latest_prices');
+
+    return Object.keys(prices)
+      .filter(field => /^[a-z]{3}_myr$/.test(field) && field !== 'btc_myr')
+      .map(field => ({
+        currency: field.substring(0, 3).toUpperCase(),
+        rate: parseFloat(prices[field]),
+        source: prices[`${field}_source`] || 'feed',
+        updated_at: prices[`${field}_updated_at`]
+      }))
+      .sort((a, b) => a.currency.localeCompare(b.currency));
+  }
+
   static async getPriceHistory(hours = 24) {
     try {
       const fromTime = Date.now() - (hours * 60 * 60 * 1000);
@@ -0,0 +1,184 @@
+// src/services/ratios.js
+
+const redis = require('../../config/redis');
+
+class RatioService {
+  constructor() {
+    // Account families the ratios are built from (sub-accounts included)
+    this.cashAccounts = [1000, 1100];
+    this.receivableAccounts = [1200];
+    this.inventoryAccounts = [1300];
+    this.prepaidAccounts = [1400];
+    this.payableAccounts = [2000];
+    this.depreciationAccounts = [5600];
+    this.interestAccounts = [5700];
+
+    // DSO, DPO and cash burn are averaged over this many months to smooth out
+    // one-off invoices and payments
+    this.trailingMonths = 3;
+  }
+
+  divide(numerator, denominator) {
+    return Math.abs(denominator) >= 0.01 ? numerator / denominator : null;
+  }
+
+  sumFamilies(chart, balances, codes) {
+    const LedgerService = require('./ledger');
+    return codes
+      .flatMap(code => LedgerService.getAccountFamily(chart, code))
+      .reduce((sum, code) => sum + (balances[code] || 0), 0);
+  }
+
+  // Reads every ledger bucket once: each period's movement per account,
+  // oldest first, year-end closing periods included
+  async getLedgerMovements(userId, chart) {
+    const LedgerService = require('./ledger');
+    const periods = await LedgerService.getLedgerPeriods(userId);
+    const movements = [];
+
+    for (const { period, score } of periods) {
+      const balances = {};
+
+      for (const accountCode of Object.keys(chart)) {
+        const balance = parseFloat(await redis.hGet(`ledger:${userId}:${accountCode}:${period}`, 'balance') || 0);
+        if (balance !== 0) balances[accountCode] = balance;
+      }
+
+      movements.push({ period, score, balances });
+    }
+
+    return movements;
+  }
+
+  // Balance sheet position and profit & loss for one calendar month
+  summarizeMonth(chart, cumulative, monthly) {
+    const byType = (balances, type, category = null) => Object.entries(balances)
+      .filter(([code]) => chart[code]?.type === type && (!category || (chart[code].category || 'current') === category))
+      .reduce((sum, [, balance]) => sum + balance, 0);
+
+    const revenue = byType(monthly, 'revenue', 'operating');
+    const cogs = byType(monthly, 'expense', 'cogs');
+    const operatingExpenses = byType(monthly, 'expense', 'operating');
+    const totalRevenue = byType(monthly, 'revenue');
+    const totalExpenses = byType(monthly, 'expense');
+
+    const currentAssets = byType(cumulative, 'asset', 'current');
+    const inventory = this.sumFamilies(chart, cumulative, this.inventoryAccounts);
+    const prepaid = this.sumFamilies(chart, cumulative, this.prepaidAccounts);
+
+    return {
+      cash: this.sumFamilies(chart, cumulative, this.cashAccounts),
+      receivables: this.sumFamilies(chart, cumulative, this.receivableAccounts),
+      inventory: inventory,
+      current_assets: currentAssets,
+      quick_assets: currentAssets - inventory - prepaid,
+      payables: this.sumFamilies(chart, cumulative, this.payableAccounts),
+      current_liabilities: byType(cumulative, 'liability', 'current'),
+      total_liabilities: byType(cumulative, 'liability'),
+      // Earnings not yet closed into Retained Earnings still belong to equity
+      equity: byType(cumulative, 'equity') + byType(cumulative, 'revenue') - byType(cumulative, 'expense'),
+      revenue: revenue,
+      cogs: cogs,
+      gross_profit: revenue - cogs,
+      // Spend that is paid to suppliers: cost of sales plus cash operating costs
+      purchases: cogs + operatingExpenses - this.sumFamilies(chart, monthly, this.depreciationAccounts),
+      interest_expense: this.sumFamilies(chart, monthly, this.interestAccounts),
+      net_income: totalRevenue - totalExpenses
+    };
+  }
+
+  // Current, quick and debt-to-equity, margins, DSO/DPO, cash runway and
+  // interest coverage for each of the last `months` month-ends (the current
+  // month to date last), computed straight from the ledger
+  async getRatios(userId, asOfDate = new Date(), months = 12) {
+    try {
+      const LedgerService = require('./ledger');
+      const date = new Date(asOfDate);
+      const chart = await LedgerService.getChartOfAccounts(userId);
+      const movements = await this.getLedgerMovements(userId, chart);
+
+      // Month-ends to report, plus the trailing window before the first one
+      const points = [];
+      for (let i = months + this.trailingMonths - 1; i >= 0; i--) {
+        const monthDate = new Date(date.getFullYear(), date.getMonth() - i, 1);
+        const daysInMonth = new Date(monthDate.getFullYear(), monthDate.getMonth() + 1, 0).getDate();
+        points.push({
+          year: monthDate.getFullYear(),
+          month: monthDate.getMonth() + 1,
+          period: `${monthDate.getFullYear()}-${String(monthDate.getMonth() + 1).padStart(2, '0')}`,
+          days: i === 0 ? date.getDate() : daysInMonth,
+          is_partial: i === 0 && date.getDate() < daysInMonth
+        });
+      }
+
+      const summaries = points.map(point => {
+        const score = LedgerService.getPeriodScore(point.year, point.month);
+        const cumulative = {};
+        let monthly = {};
+
+        movements
+          .filter(movement => movement.score < score + 1)
+          .forEach(movement => {
+            Object.entries(movement.balances).forEach(([code, balance]) => {
+              cumulative[code] = (cumulative[code] || 0) + balance;
+            });
+            if (movement.score === score) monthly = movement.balances;
+          });
+
+        return { ...point, ...this.summarizeMonth(chart, cumulative, monthly) };
+      });
+
+      const trend = summaries.slice(this.trailingMonths).map((summary, index) => {
+        const window = summaries.slice(index + 1, index + this.trailingMonths + 1);
+        const windowDays = window.reduce((sum, month) => sum + month.days, 0);
+        const windowRevenue = window.reduce((sum, month) => sum + month.revenue, 0);
+        const windowPurchases = window.reduce((sum, month) => sum + month.purchases, 0);
+        const openingCash = summaries[index].cash;
+        const monthlyBurn = (openingCash - summary.cash) / this.trailingMonths;
+        const ebit = summary.net_income + summary.interest_expense;
+
+        return {
+          period: summary.period,
+          is_partial: summary.is_partial,
+          current_ratio: this.divide(summary.current_assets, summary.current_liabilities),
+          quick_ratio: this.divide(summary.quick_assets, summary.current_liabilities),
+          debt_to_equity: summary.equity > 0 ? summary.total_liabilities / summary.equity : null,
+          gross_margin: this.divide(summary.gross_profit * 100, summary.revenue),
+          net_margin: this.divide(summary.net_income * 100, summary.revenue),
+          dso: windowRevenue > 0 ? summary.receivables / windowRevenue * windowDays : null,
+          dpo: windowPurchases > 0 ? summary.payables / windowPurchases * windowDays : null,
+          monthly_burn: monthlyBurn,
+          // Null runway with positive cash flow means cash is not running down
+          cash_runway_months: monthlyBurn > 0 ? Math.max(summary.cash, 0) / monthlyBurn : null,
+          interest_coverage: summary.interest_expense > 0 ? ebit / summary.interest_expense : null,
+          figures: {
+            cash: summary.cash,
+            receivables: summary.receivables,
+            inventory: summary.inventory,
+            current_assets: summary.current_assets,
+            current_liabilities: summary.current_liabilities,
+            total_liabilities: summary.total_liabilities,
+            payables: summary.payables,
+            equity: summary.equity,
+            revenue: summary.revenue,
+            gross_profit: summary.gross_profit,
+            net_income: summary.net_income,
+            interest_expense: summary.interest_expense
+          }
+        };
+      });
+
+      return {
+        as_of_date: LedgerService.formatLocalDate(date),
+        trailing_months: this.trailingMonths,
+        current: trend[trend.length - 1],
+        trend: trend
+      };
+    } catch (error) {
+      console.error('Get ratios error:', error);
+      throw error;
+    }
+  }
+}
+
+module.exports = new RatioService();
@@ -25,6 +25,15 @@ class RecurringService {
         execution_count: 0
       };
 
+      if (data.dimensions && Object.keys(data.dimensions).length > 0) {
+        recurring.dimensions = data.dimensions;
+      }
+
+      if (data.tax_code) {
+        recurring.tax_code = data.tax_code;
+        recurring.tax_inclusive = data.tax_inclusive !== false;
+      }
+
       // Store recurring transaction using RedisJSON
       await redis.json.set(`recurring:${recurringId}`, '$', recurring);
       
@@ -173,7 +182,10 @@ class RecurringService {
         amount: recurring.amount_myr,
         type: recurring.type,
         category: recurring.category,
-        description: `${recurring.description} (Auto)`
+        description: `${recurring.description} (Auto)`,
+        dimensions: recurring.dimensions,
+        tax_code: recurring.tax_code,
+        tax_inclusive: recurring.tax_inclusive
       });
       
       // Update recurring transaction
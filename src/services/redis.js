@@ -115,11 +115,38 @@ class RedisService {
       const txnId = uuidv4();
       const txnKey = `transaction:${txnId}`;
       
+      const LedgerService = require('./ledger');
+      await LedgerService.assertPeriodOpen(userId, transactionData.date || new Date());
+      
+      // Foreign currency amounts are converted to MYR at the current (or given) rate
+      const PriceFeedsService = require('./priceFeeds');
+      const currency = PriceFeedsService.normalizeCurrency(transactionData.currency);
+      const exchangeRate = currency === 'MYR'
+        ? 1
+        : parseFloat(transactionData.exchange_rate) || await PriceFeedsService.getExchangeRate(currency);
+      
+      // SST: sales without a tax code use the user's default; amounts quoted
+      // before tax ("RM100 + 8% SST") are grossed up to what was received or paid
+      const TaxService = require('./tax');
+      let taxCode = transactionData.tax_code;
+      if (!taxCode && transactionData.type === 'income') {
+        taxCode = (await TaxService.getSettings(userId)).default_sales_tax_code;
+      }
+      taxCode = taxCode && ['income', 'expense'].includes(transactionData.type)
+        ? TaxService.getTaxCode(taxCode)
+        : null;
+      
+      let amount = parseFloat(transactionData.amount);
+      if (taxCode && transactionData.tax_inclusive === false) {
+        amount = Math.round(amount * (100 + taxCode.rate)) / 100;
+      }
+      
       const transaction = {
         id: txnId,
         user_id: userId.toString(),
         date: transactionData.date || new Date().toISOString(),
-        amount_myr: parseFloat(transactionData.amount),
+        amount_myr: Math.round(amount * exchangeRate * 100) / 100,
+        currency: currency,
         type: transactionData.type,
         category: transactionData.category,
         description: transactionData.description,
@@ -129,11 +156,74 @@ class RedisService {
         updated_at: new Date().toISOString()
       };
 
-      // Store transaction using RedisJSON
-      await redis.json.set(txnKey, '$', transaction);
-      
-      // Add to user's transaction list
-      await redis.lPush(`user:${userId}:transactions`, txnId);
+      if (currency !== 'MYR') {
+        transaction.amount_original = amount;
+        transaction.exchange_rate = exchangeRate;
+      }
+
+      if (taxCode) {
+        transaction.tax_code = taxCode.code;
+        transaction.tax_amount_myr = TaxService.getInclusiveTax(transaction.amount_myr, taxCode.code);
+      }
+
+      // Customer or supplier, linked to /contacts when known
+      if (transactionData.counterparty) {
+        transaction.counterparty = transactionData.counterparty;
+      }
+      if (transactionData.contact_id) {
+        transaction.contact_id = transactionData.contact_id;
+      }
+
+      // Quantities of /stock items bought or sold
+      const InventoryService = require('./inventory');
+      const stockItems = ['income', 'expense'].includes(transaction.type)
+        ? InventoryService.normalizeStockItems(transactionData.stock_items)
+        : [];
+      if (stockItems.length > 0) {
+        transaction.stock_items = stockItems;
+      }
+
+      // Outlet, project, cost centre etc. - carried onto the journal lines
+      const dimensions = LedgerService.normalizeDimensions(transactionData.dimensions);
+      if (Object.keys(dimensions).length > 0) {
+        transaction.dimensions = dimensions;
+      }
+
+      // A retried request (e.g. a redelivered Telegram update) gets back the
+      // transaction it already created instead of recording it twice
+      if (transactionData.idempotency_key) {
+        const idempotencyKey = `transaction_idempotency:${userId}:${transactionData.idempotency_key}`;
+        const claimed = await redis.set(idempotencyKey, txnId, { NX: true, EX: 86400 * 30 });
+
+        if (!claimed) {
+          const existing = await this.getTransaction(await redis.get(idempotencyKey));
+          if (existing) {
+            console.log(`⏭️ Transaction ${transactionData.idempotency_key} already recorded as ${existing.id}`);
+            return existing;
+          }
+          throw new Error('This message is already being processed');
+        }
+      }
+
+      try {
+        // A sale of tracked stock must be in stock; checked after the retry
+        // lookup so a redelivered sale still finds the one it recorded
+        if (stockItems.length > 0 && transaction.type === 'income') {
+          await InventoryService.checkAvailability(userId, stockItems);
+        }
+
+        // Store the transaction and add it to the user's list together
+        const multi = redis.multi();
+        multi.json.set(txnKey, '$', transaction);
+        multi.lPush(`user:${userId}:transactions`, txnId);
+        await multi.exec();
+      } catch (error) {
+        // Nothing was recorded, so free the claim for the next delivery
+        if (transactionData.idempotency_key) {
+          await redis.del(`transaction_idempotency:${userId}:${transactionData.idempotency_key}`);
+        }
+        throw error;
+      }
       
       // Add to real-time stream - ALL VALUES MUST BE STRINGS
       await redis.xAdd('transactions', '*', {
@@ -181,6 +271,15 @@ class RedisService {
         return { success: false, error: 'Transaction not found or unauthorized' };
       }
 
+      // Neither the original month nor the month it moves to may be locked
+      const LedgerService = require('./ledger');
+      for (const date of [transaction.date, updates.date || transaction.date]) {
+        if (await LedgerService.isPeriodLocked(userId, date)) {
+          const period = LedgerService.getPeriodForDate(date);
+          return { success: false, error: `Period ${period} is locked. Use /unlock_period ${period} to reopen it first.` };
+        }
+      }
+
       // Store original for metrics reversal
       const original = { ...transaction };
       
@@ -238,9 +337,13 @@ class RedisService {
     }
   }
 
-  // Transaction Deletion
+  // Transaction Deletion - the transaction's journal entry is cancelled by a
+  // linked reversing entry (and any stock it moved is put back) in the same
+  // EXEC that removes the transaction, so the ledger never keeps an entry
+  // without its source
   async deleteTransaction(userId, transactionId) {
     try {
+      const LedgerService = require('./ledger');
       const txnKey = `transaction:${transactionId}`;
       
       // Get transaction details before deletion
@@ -250,11 +353,63 @@ class RedisService {
         return { success: false, error: 'Transaction not found or unauthorized' };
       }
       
-      // Remove from RedisJSON
-      await redis.del(txnKey);
+      // Deleting would change the figures of a locked month
+      if (await LedgerService.isPeriodLocked(userId, transaction.date)) {
+        const period = LedgerService.getPeriodForDate(transaction.date);
+        return { success: false, error: `Period ${period} is locked. Use /unlock_period ${period} to reopen it first.` };
+      }
+      
+      const original = await LedgerService.getTransactionJournal(userId, transaction);
+      let reversal = null;
       
-      // Remove from user's transaction list
-      await redis.lRem(`user:${userId}:transactions`, 1, transactionId);
+      if (original && (original.status || 'posted') === 'posted') {
+        const InventoryService = require('./inventory');
+        const stockItems = transaction.stock_items || [];
+        let stock = null;
+        
+        ({ entries: [reversal] } = await LedgerService.postJournalEntries(userId, async () => {
+          const current = await LedgerService.getJournalEntry(userId, original.id);
+          const journalEntry = await LedgerService.buildReversal(userId, current, { reason: 'transaction deleted' });
+          
+          // Stock sold comes back at the cost it went out at; stock bought
+          // goes back out at the cost it came in at
+          if (stockItems.length > 0) {
+            const movements = transaction.type === 'income'
+              ? stockItems.map(stockItem => ({
+                sku: stockItem.sku,
+                type: 'in',
+                quantity: stockItem.quantity,
+                value: current.entries
+                  .filter(entry => entry.account_code === InventoryService.inventoryAccount && entry.description.endsWith(` x ${stockItem.sku}`))
+                  .reduce((sum, entry) => sum + entry.credit_amount, 0),
+                reference: current.reference
+              }))
+              : InventoryService.allocateCost(stockItems, transaction.amount_myr).map(stockItem => ({
+                sku: stockItem.sku,
+                type: 'out',
+                quantity: stockItem.quantity,
+                value: stockItem.value,
+                reference: current.reference,
+                reverses: current.reference
+              }));
+            stock = await InventoryService.applyMovements(userId, movements.map(movement => ({ ...movement, date: journalEntry.date })));
+          }
+          
+          return [journalEntry];
+        }, {
+          watch: [txnKey, `journal:${original.id}`, ...InventoryService.getItemKeys(userId, stockItems)],
+          queue: (multi, [journalEntry]) => {
+            LedgerService.queueReversedStatus(multi, original, 'voided', journalEntry.id);
+            if (stock) InventoryService.queueMovements(multi, userId, stock);
+            multi.del(txnKey);
+            multi.lRem(`user:${userId}:transactions`, 1, transactionId);
+          }
+        }));
+      } else {
+        // Never posted (or already reversed) - nothing in the ledger to cancel
+        await redis.del(txnKey);
+        await redis.lRem(`user:${userId}:transactions`, 1, transactionId);
+      }
       
       // Reverse the business metrics (only for current transactions)
       if (!transaction.is_future || new Date(transaction.date) <= new Date()) {
@@ -267,15 +422,16 @@ class RedisService {
         transaction_id: transactionId.toString(),
         amount: transaction.amount_myr.toString(),
         type: transaction.type.toString(),
+        reversal_journal_id: reversal ? reversal.id : '',
         deleted_at: Date.now().toString()
       });
       
-      console.log(`✅ Deleted transaction: ${transactionId} for user ${userId}`);
-      return { success: true, transaction };
+      console.log(`✅ Deleted transaction: ${transactionId} for user ${userId}${reversal ? ` (reversed by ${reversal.reference})` : ''}`);
+      return { success: true, transaction, reversal };
       
     } catch (error) {
       console.error('Delete transaction error:', error);
-      return { success: false, error: 'Failed to delete transaction' };
+      return { success: false, error: error.message || 'Failed to delete transaction' };
     }
   }
 
@@ -285,7 +441,7 @@ class RedisService {
       
       if (transaction.type === 'income') {
         await redis.hIncrByFloat(metricsKey, 'total_revenue', -transaction.amount_myr);
-      } else {
+      } else if (transaction.type === 'expense') {
         await redis.hIncrByFloat(metricsKey, 'total_expenses', -transaction.amount_myr);
       }
       
@@ -405,7 +561,7 @@ class RedisService {
         if (txnMonth === currentMonth && (!txn.is_future || new Date(txn.date) <= new Date())) {
           if (txn.type === 'income') {
             totalRevenue += txn.amount_myr;
-          } else {
+          } else if (txn.type === 'expense') {
             totalExpenses += txn.amount_myr;
           }
           transactionCount++;
@@ -479,6 +635,12 @@ class RedisService {
   }
 
   generateDoubleEntry(data) {
+    if (data.type === 'drawing') {
+      return { debit: 'owner_drawings', credit: 'cash_myr' };
+    }
+    if (data.type === 'capital') {
+      return { debit: 'cash_myr', credit: 'owner_capital' };
+    }
     if (data.type === 'income') {
       return {
         debit: 'cash_myr',
@@ -519,9 +681,10 @@ class RedisService {
       // FIXED: Use consistent key format
       const metricsKey = `metrics:${userId.toString()}:${month}`;
       
+      // Owner drawings and capital injections are equity, not revenue or expenses
       if (transaction.type === 'income') {
         await redis.hIncrByFloat(metricsKey, 'total_revenue', transaction.amount_myr);
-      } else {
+      } else if (transaction.type === 'expense') {
         await redis.hIncrByFloat(metricsKey, 'total_expenses', transaction.amount_myr);
       }
       
@@ -735,7 +898,7 @@ class RedisService {
       const transactions = await this.findAllUserTransactions(userId);
       
       if (format === 'csv') {
-        let csv = 'Date,Type,Category,Description,Amount (MYR),Is Future,Debit Account,Credit Account,Created At\n';
+        let csv = 'Date,Type,Category,Description,Amount (MYR),Is Future,Debit Account,Credit Account,Dimensions,Tax Code,SST (MYR),Counterparty,Created At\n';
         
         // Sort transactions by date (newest first)
         transactions.sort((a, b) => new Date(b.date) - new Date(a.date));
@@ -745,8 +908,13 @@ class RedisService {
           const createdAt = new Date(txn.created_at).toLocaleDateString();
           const description = txn.description.replace(/"/g, '""'); // Escape quotes
           const isFuture = txn.is_future ? 'Yes' : 'No';
+          const dimensions = Object.entries(txn.dimensions || {})
+            .map(([name, value]) => `${name}=${value}`)
+            .join('; ')
+            .replace(/"/g, '""');
+          const counterparty = (txn.counterparty || '').replace(/"/g, '""');
           
-          csv += `${date},${txn.type},${txn.category},"${description}",${txn.amount_myr},${isFuture},${txn.double_entry.debit},${txn.double_entry.credit},${createdAt}\n`;
+          csv += `${date},${txn.type},${txn.category},"${description}",${txn.amount_myr},${isFuture},${txn.double_entry.debit},${txn.double_entry.credit},"${dimensions}",${txn.tax_code || ''},${txn.tax_amount_myr || ''},"${counterparty}",${createdAt}\n`;
         });
         
         return csv;
@@ -795,7 +963,7 @@ class RedisService {
         
         if (txn.type === 'income') {
           categoryBreakdown[txn.category].income += txn.amount_myr;
-        } else {
+        } else if (txn.type === 'expense') {
           categoryBreakdown[txn.category].expenses += txn.amount_myr;
         }
         categoryBreakdown[txn.category].count++;
@@ -852,9 +1020,9 @@ class RedisService {
         });
       }
       
-      // Check metrics consistency
-      const calculatedMetrics = await this.reconcileBusinessMetrics(userId);
+      // Check metrics consistency (read the stored figures before reconciling overwrites them)
       const storedMetrics = await this.getBusinessMetrics(userId);
+      const calculatedMetrics = await this.reconcileBusinessMetrics(userId);
       
       if (Math.abs(calculatedMetrics.totalRevenue - storedMetrics.total_revenue) > 0.01) {
         issues.push({
@@ -872,11 +1040,20 @@ class RedisService {
         });
       }
       
+      // Check the books: journals balance, the ledger matches them and every
+      // transaction has exactly the journal entry it should
+      const LedgerService = require('./ledger');
+      const ledgerAudit = await LedgerService.auditLedger(userId, actualTransactions);
+      issues.push(...ledgerAudit.issues);
+      
       console.log(`✅ Data integrity check complete for user ${userId}: ${issues.length} issues found`);
       
       return {
         user_id: userId,
         check_timestamp: new Date().toISOString(),
+        transactions_checked: actualTransactions.length,
+        journals_checked: ledgerAudit.journals_checked,
+        ledger_records_checked: ledgerAudit.ledger_records_checked,
         issues_found: issues.length,
         issues: issues,
         recommendations: this.generateIntegrityRecommendations(issues)
@@ -903,6 +1080,22 @@ class RedisService {
       recommendations.push('Run metrics reconciliation to fix calculation discrepancies');
     }
     
+    if (issues.some(issue => issue.type === 'orphan_journals')) {
+      recommendations.push('Void journal entries left behind by deleted transactions (/audit_books fix)');
+    }
+    
+    if (issues.some(issue => issue.type === 'transactions_without_journal')) {
+      recommendations.push('Post the missing journal entries for those transactions (/audit_books fix)');
+    }
+    
+    if (issues.some(issue => issue.type === 'ledger_mismatch' || issue.type === 'journal_list_mismatch')) {
+      recommendations.push('Replay the ledger from journal entries with /rebuild_ledger (/audit_books fix)');
+    }
+    
+    if (issues.some(issue => issue.type === 'unbalanced_journals')) {
+      recommendations.push('Correct unbalanced entries by hand with /journal_edit');
+    }
+    
     if (issues.length === 0) {
       recommendations.push('Data integrity is good - no action needed');
     }
@@ -910,6 +1103,76 @@ class RedisService {
     return recommendations;
   }
 
+  // Apply every automatic fix the integrity check can offer, then check again.
+  // Journal fixes come first so the ledger rebuild sees the final journal.
+  async repairDataIntegrity(userId) {
+    try {
+      const LedgerService = require('./ledger');
+      const report = await this.performDataIntegrityCheck(userId);
+      
+      if (report.issues_found < 0) {
+        throw new Error(report.error);
+      }
+      
+      const findIssue = (type) => report.issues.find(issue => issue.type === type);
+      const fixes = [];
+      
+      if (findIssue('transaction_list_mismatch') || findIssue('orphaned_transactions')) {
+        const transactions = await this.rebuildTransactionList(userId);
+        fixes.push(`Rebuilt transaction list (${transactions.length} transactions)`);
+      }
+      
+      if (findIssue('revenue_mismatch') || findIssue('expenses_mismatch')) {
+        fixes.push('Reconciled business metrics');
+      }
+      
+      const orphans = findIssue('orphan_journals');
+      if (orphans) {
+        let voided = 0;
+        for (const journalId of orphans.data) {
+          try {
+            await LedgerService.reverseJournalEntry(userId, journalId, { reason: 'transaction deleted', created_by: 'system' });
+            voided++;
+          } catch (error) {
+            console.error(`Could not void orphan journal ${journalId}:`, error.message);
+          }
+        }
+        fixes.push(`Voided ${voided} of ${orphans.data.length} journal entries for deleted transactions`);
+      }
+      
+      const unjournaled = findIssue('transactions_without_journal');
+      if (unjournaled) {
+        let posted = 0;
+        for (const transactionId of unjournaled.data) {
+          try {
+            const transaction = await this.getTransaction(transactionId);
+            if (transaction) {
+              await LedgerService.convertTransactionToJournalEntry(userId, transaction);
+              posted++;
+            }
+          } catch (error) {
+            console.error(`Could not post journal for transaction ${transactionId}:`, error.message);
+          }
+        }
+        fixes.push(`Posted ${posted} of ${unjournaled.data.length} missing journal entries`);
+      }
+      
+      if (findIssue('ledger_mismatch') || findIssue('journal_list_mismatch')) {
+        const rebuild = await LedgerService.rebuildLedger(userId);
+        fixes.push(`Rebuilt ledger from ${rebuild.journals_replayed} journal entries (${rebuild.changed_accounts.length} account balances corrected)`);
+      }
+      
+      const after = await this.performDataIntegrityCheck(userId);
+      
+      console.log(`✅ Data integrity repair for user ${userId}: ${fixes.length} fixes, ${after.issues_found} issues remaining`);
+      
+      return { before: report, fixes, after };
+    } catch (error) {
+      console.error('Data integrity repair error:', error);
+      throw error;
+    }
+  }
+
   // Bulk operations
   async bulkCreateTransactions(userId, transactionsData) {
     try {
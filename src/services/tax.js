@@ -0,0 +1,156 @@
+// src/services/tax.js
+
+const redis = require('../../config/redis');
+
+class TaxService {
+  constructor() {
+    // Malaysian SST. Sales tax applies to taxable goods, service tax to taxable
+    // services; EX and OS lines are tracked so the return shows them too.
+    this.taxCodes = {
+      SV6: { name: 'Service tax 6%', tax_type: 'service', rate: 6 },
+      SV8: { name: 'Service tax 8%', tax_type: 'service', rate: 8 },
+      ST5: { name: 'Sales tax 5%', tax_type: 'sales', rate: 5 },
+      ST10: { name: 'Sales tax 10%', tax_type: 'sales', rate: 10 },
+      EX: { name: 'Exempt', tax_type: 'exempt', rate: 0 },
+      OS: { name: 'Out of scope', tax_type: 'out_of_scope', rate: 0 }
+    };
+
+    this.sstPayableAccount = '2300';
+  }
+
+  getTaxCode(code) {
+    const normalized = String(code || '').trim().toUpperCase().replace(/[\s-]+/g, '');
+    const taxCode = this.taxCodes[normalized];
+
+    if (!taxCode) {
+      throw new Error(`Unknown tax code "${code}". Use ${Object.keys(this.taxCodes).join(', ')}`);
+    }
+
+    return { code: normalized, ...taxCode };
+  }
+
+  // SST contained in a tax-inclusive amount, e.g. RM108 at 8% holds RM8
+  getInclusiveTax(amount, taxCode) {
+    const { rate } = this.getTaxCode(taxCode);
+    return Math.round(amount * rate / (100 + rate) * 100) / 100;
+  }
+
+  async getSettings(userId) {
+    const settings = await redis.hGetAll(`sst_settings:${userId}`);
+    return {
+      // Taxable periods run two months from this month: 1 = Jan-Feb, Mar-Apr...; 2 = Feb-Mar, Apr-May...
+      first_period_month: parseInt(settings.first_period_month) === 2 ? 2 : 1,
+      default_sales_tax_code: settings.default_sales_tax_code || null
+    };
+  }
+
+  async setFirstPeriodMonth(userId, month) {
+    const value = parseInt(month);
+    if (![1, 2].includes(value)) {
+      throw new Error('Taxable periods start in January (1) or February (2)');
+    }
+
+    await redis.hSet(`sst_settings:${userId}`, 'first_period_month', value.toString());
+    return value;
+  }
+
+  // Tax code applied to sales that do not name one; null turns it off
+  async setDefaultSalesTaxCode(userId, code) {
+    if (!code) {
+      await redis.hDel(`sst_settings:${userId}`, 'default_sales_tax_code');
+      return null;
+    }
+
+    const taxCode = this.getTaxCode(code);
+    await redis.hSet(`sst_settings:${userId}`, 'default_sales_tax_code', taxCode.code);
+    return taxCode;
+  }
+
+  // The bi-monthly taxable period containing a date, with its SST-02 due date
+  // (the last day of the month after the period ends)
+  async getTaxablePeriod(userId, date = new Date()) {
+    const { first_period_month: firstMonth } = await this.getSettings(userId);
+    const target = new Date(date);
+    const month = target.getMonth() + 1;
+    const offset = ((month - firstMonth) % 2 + 2) % 2;
+
+    const start = new Date(target.getFullYear(), target.getMonth() - offset, 1);
+    const end = new Date(start.getFullYear(), start.getMonth() + 2, 0, 23, 59, 59, 999);
+    const dueDate = new Date(start.getFullYear(), start.getMonth() + 3, 0);
+    const format = d => `${d.getFullYear()}-${String(d.getMonth() + 1).padStart(2, '0')}`;
+
+    return {
+      label: `${format(start)} to ${format(end)}`,
+      start: start,
+      end: end,
+      due_date: dueDate
+    };
+  }
+
+  // SST-02 figures for a taxable period, from the tax codes on posted journal
+  // lines: taxable value and tax per code, exempt and out-of-scope sales, and
+  // revenue that carries no tax code at all
+  async getSSTReturn(userId, date = new Date()) {
+    try {
+      const LedgerService = require('./ledger');
+      const period = await this.getTaxablePeriod(userId, date);
+      const chart = await LedgerService.getChartOfAccounts(userId);
+      const journalIds = await redis.lRange(`user:${userId}:journals`, 0, -1);
+
+      const byCode = {};
+      Object.keys(this.taxCodes).forEach(code => {
+        byCode[code] = { code: code, ...this.taxCodes[code], value: 0, tax: 0 };
+      });
+      let untaggedRevenue = 0;
+
+      for (const journalId of journalIds) {
+        const journal = await redis.json.get(`journal:${journalId}`);
+        if (!journal || journal.entry_type === 'closing') continue;
+
+        const journalDate = new Date(journal.date);
+        if (journalDate < period.start || journalDate > period.end) continue;
+
+        journal.entries.forEach(entry => {
+          const amount = (entry.credit_amount || 0) - (entry.debit_amount || 0);
+
+          if (entry.is_tax && byCode[entry.tax_code]) {
+            byCode[entry.tax_code].tax += amount;
+          } else if (chart[entry.account_code]?.type === 'revenue') {
+            if (byCode[entry.tax_code]) {
+              byCode[entry.tax_code].value += amount;
+            } else {
+              untaggedRevenue += amount;
+            }
+          }
+        });
+      }
+
+      const lines = Object.values(byCode);
+      const salesTax = lines.filter(line => line.tax_type === 'sales');
+      const serviceTax = lines.filter(line => line.tax_type === 'service');
+      const totalSalesTax = salesTax.reduce((sum, line) => sum + line.tax, 0);
+      const totalServiceTax = serviceTax.reduce((sum, line) => sum + line.tax, 0);
+
+      return {
+        taxable_period: period.label,
+        start_date: LedgerService.formatLocalDate(period.start),
+        end_date: LedgerService.formatLocalDate(period.end),
+        due_date: LedgerService.formatLocalDate(period.due_date),
+        sales_tax: salesTax,
+        service_tax: serviceTax,
+        exempt_value: byCode.EX.value,
+        out_of_scope_value: byCode.OS.value,
+        untagged_revenue: untaggedRevenue,
+        total_sales_tax: totalSalesTax,
+        total_service_tax: totalServiceTax,
+        total_tax_payable: totalSalesTax + totalServiceTax,
+        sst_payable_balance: await LedgerService.getAccountBalance(userId, this.sstPayableAccount, period.end)
+      };
+    } catch (error) {
+      console.error('SST return error:', error);
+      throw error;
+    }
+  }
+}
+
+module.exports = new TaxService();